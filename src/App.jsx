@@ -1,7 +1,14 @@
-import { useState, useMemo, useEffect } from "react";
+import { Fragment, createContext, useContext, useState, useMemo, useEffect, useRef } from "react";
+import { flushSync } from "react-dom";
+import { animate } from "framer-motion";
 import {
   BarChart,
   Bar,
+  ComposedChart,
+  LineChart,
+  Line,
+  ReferenceDot,
+  ReferenceLine,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -10,6 +17,59 @@ import {
   Cell,
   LabelList,
 } from "recharts";
+import {
+  BOND_TYPES,
+  CREDIT_MODELS,
+  CURVE_MODELS,
+  DAY_COUNTS,
+  INFLATION_MODELS,
+  KEY_TENORS,
+  REFERENCE_MODELS,
+  SHOCK_KINDS,
+  addMonths,
+  analyzeBond,
+  analyzeHorizonReturn,
+  analyzeRedemptions,
+  analyzeBondWithCurve,
+  analyzeCredit,
+  analyzeFloatingRateNote,
+  analyzeInflationLinkedBond,
+  analyzeShocks,
+  buildCouponSchedule,
+  buildDefaultProbabilities,
+  buildIndexRatios,
+  buildPriceGrid,
+  buildPriceTrajectory,
+  buildReferencePath,
+  centeredSteps,
+  computeBondPrice,
+  effectiveAnnualYield,
+  floatingCouponRates,
+  parseISODate,
+  priceEquationSteps,
+  solveYieldFromPrice,
+  spotRateAt,
+  toISODate,
+} from "./engine/index.js";
+import { buildReportRows, toCSV, toXLSX } from "./export.js";
+import {
+  exportScenarioFile,
+  parseScenarioFile,
+  readPreferences,
+  readSavedScenarios,
+  readStressSets,
+  ScenarioFileError,
+  scenariosFromQuery,
+  scenariosToQuery,
+  writePreferences,
+  writeSavedScenarios,
+  writeStressSets,
+} from "./persistence.js";
+import { STATUS_CHOICES, answerTolerance, generateProblemSet, gradeAnswer } from "./practice.js";
+import { CURRENCIES, LOCALES, createLocale, frequencyLabel, matchLocale, parseLocaleNumber } from "./i18n/index.js";
+import { DEFAULT_PROFILE, FREQUENCIES, VALIDATION_PROFILES, collectWarnings, validateInputs, validateShocks, validationProfile } from "./validation.js";
+import { planTones, playTones } from "./sonification.js";
+import { changeMessage, normalizeEmbedOptions, summarizeBond } from "./widget.js";
 
 // ============================
 // CFA-branded color palette
@@ -33,6 +93,33 @@ const COLORS = {
   purchase: "#f2af81",
 };
 
+// Starting spot curves for term-structure mode: a gently upward-sloping market
+const DEFAULT_CURVE_POINTS = [
+  { tenor: 0.5, rate: 4.0 },
+  { tenor: 1, rate: 4.3 },
+  { tenor: 2, rate: 4.8 },
+  { tenor: 3, rate: 5.2 },
+  { tenor: 5, rate: 5.8 },
+];
+const DEFAULT_NELSON_SIEGEL = { beta0: 6.5, beta1: -2.5, beta2: 1, tau: 2 };
+
+// ============================
+// LOCALE AND THEME
+// ============================
+// Components read the translator and formatters for the chosen locale and currency from context
+const LocaleContext = createContext(createLocale("en-US", "USD"));
+const useLocale = () => useContext(LocaleContext);
+
+// Charts and equations take their palette from context so an embedding page can restyle them
+const ThemeContext = createContext(COLORS);
+const useColors = () => useContext(ThemeContext);
+
+// Substitutes React elements for the placeholders t() leaves in a message, e.g. {balance}
+const withElements = (message, elements) =>
+  message
+    .split(/\{(\w+)\}/)
+    .map((part, index) => (index % 2 === 1 ? <Fragment key={index}>{elements[part] ?? `{${part}}`}</Fragment> : part));
+
 // ============================
 // CARD WRAPPER
 // ============================
@@ -48,11 +135,13 @@ function Card({ title, children, className = "" }) {
 // ============================
 // VALIDATION MESSAGE
 // ============================
+// Errors stop the calculation; warnings only point out inputs that are legal but unusual
 function ValidationMessage({ errors }) {
+  const { t } = useLocale();
   if (!errors || Object.keys(errors).length === 0) return null;
   return (
     <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg" role="alert">
-      <div className="text-red-800 font-semibold text-sm mb-2">Please correct the following:</div>
+      <div className="text-red-800 font-semibold text-sm mb-2">{t("validation.heading")}</div>
       <ul className="text-red-800 text-sm space-y-1">
         {Object.entries(errors).map(([field, error]) => (
           <li key={field}>• {error}</li>
@@ -62,88 +151,399 @@ function ValidationMessage({ errors }) {
   );
 }
 
+function InputWarnings({ warnings }) {
+  const { t } = useLocale();
+  if (!warnings || Object.keys(warnings).length === 0) return null;
+  return (
+    <div className="mt-3 p-3 bg-amber-50 border border-amber-200 rounded-lg" role="status">
+      <div className="text-amber-800 font-semibold text-sm mb-2">{t("validation.warning.heading")}</div>
+      <ul className="text-amber-800 text-sm space-y-1">
+        {Object.entries(warnings).map(([field, warning]) => (
+          <li key={field}>• {warning}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 // ============================
 // UTILS
 // ============================
-const formatCurrency = (amount, showNegativeAsParens = false) => {
-  if (isNaN(amount)) return "$0.00";
-  const formattedAmount = new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: "USD",
-    minimumFractionDigits: 2,
-  }).format(Math.abs(amount));
-
-  if (amount < 0 && showNegativeAsParens) return `(${formattedAmount})`;
-  if (amount < 0) return `-${formattedAmount}`;
-  return formattedAmount;
-};
-
-const computeBondPrice = ({ faceValue, couponRate, ytm, years, frequency }) => {
-  const periods = years * frequency;
-  const periodicCouponRate = couponRate / 100 / frequency;
-  const periodicYield = ytm / 100 / frequency;
-  const periodicCoupon = faceValue * periodicCouponRate;
-  let pvCoupons = 0;
-  for (let t = 1; t <= periods; t++) {
-    pvCoupons += periodicCoupon / Math.pow(1 + periodicYield, t);
-  }
-  const pvFaceValue = faceValue / Math.pow(1 + periodicYield, periods);
-  return { price: pvCoupons + pvFaceValue, pvCoupons, pvFaceValue };
-};
+// Premium, par or discount, judged on the flat price so accrued interest does not distort it.
+// The result is a key: display it with t(`status.${status.toLowerCase()}`).
+const parStatus = (cleanPrice, faceValue) =>
+  Math.abs(cleanPrice - faceValue) < 0.01 ? "Par" : cleanPrice > faceValue ? "Premium" : "Discount";
 
 // ============================
 // EQUATION SECTION (Card 1)
 // ============================
-function EquationSection() {
+// Bond types with their own equation; the introduction and screen-reader wording of each are
+// in the message catalogs under equation.<type>
+const EQUATION_TYPES = ["bullet", "zero", "amortizing-level", "amortizing-equal", "sinking-fund", "floating-rate", "inflation-linked"];
+const equationKey = (bondType) => (EQUATION_TYPES.includes(bondType) ? bondType : "bullet");
+
+// (1 + r)^exponent, with r in the yield colour
+function Compounding({ exponent }) {
+  const colors = useColors();
+  return (
+    <>
+      (1 + <span style={{ color: colors.yield }}>r</span>)<sup>{exponent}</sup>
+    </>
+  );
+}
+
+function Fraction({ numerator, denominator, className = "" }) {
+  return (
+    <span className={`inline-flex flex-col items-center mx-1 align-middle ${className}`}>
+      <span className="border-b border-gray-400 px-1 pb-0.5">{numerator}</span>
+      <span className="text-xs pt-0.5">{denominator}</span>
+    </span>
+  );
+}
+
+function Summation() {
+  return (
+    <span className="inline-flex flex-col items-center mx-1 align-middle leading-none">
+      <span className="text-xs">T</span>
+      <span className="text-xl">Σ</span>
+      <span className="text-xs">t=1</span>
+    </span>
+  );
+}
+
+// Π over k = 1…upper, for a discount factor compounded at a different rate each period
+function Product({ upper }) {
+  return (
+    <span className="inline-flex flex-col items-center mx-0.5 align-middle leading-none">
+      <span className="text-xs">{upper}</span>
+      <span className="text-base">Π</span>
+      <span className="text-xs">k=1</span>
+    </span>
+  );
+}
+
+function EquationFormula({ bondType }) {
+  const { t } = useLocale();
+  const colors = useColors();
+  const pv = (subscript) => (
+    <>
+      <span className="font-bold" style={{ color: colors.orange }}>PV</span>
+      <sub style={{ color: colors.orange }}>{subscript}</sub>
+      <span className="mx-1">=</span>
+    </>
+  );
+  const fv = <span className="font-bold" style={{ color: colors.mint }}>FV</span>;
+  const coupon = <span className="font-bold" style={{ color: colors.coupon }}>c</span>;
+
+  if (bondType === "zero") {
+    return (
+      <>
+        {pv(t("equation.subscript.zero"))}
+        <Fraction numerator={fv} denominator={<Compounding exponent="T" />} />
+      </>
+    );
+  }
+
+  if (bondType === "amortizing-level") {
+    return (
+      <>
+        {pv(t("equation.subscript.amortizing"))}
+        <Fraction
+          numerator={<span className="font-bold" style={{ color: colors.coupon }}>A</span>}
+          denominator={<span style={{ color: colors.yield }}>r</span>}
+        />
+        <span className="mx-1">×</span>
+        [ 1 − <Fraction numerator="1" denominator={<Compounding exponent="T" />} /> ]
+        <span className="mx-2">,</span>
+        <span className="font-bold" style={{ color: colors.coupon }}>A</span>
+        <span className="mx-1">=</span>
+        <Fraction
+          numerator={<>{fv} × {coupon}</>}
+          denominator={<>1 − (1 + {coupon})<sup>−T</sup></>}
+        />
+      </>
+    );
+  }
+
+  if (bondType === "floating-rate") {
+    const reference = (index) => (
+      <>
+        <span style={{ color: colors.yield }}>R</span>
+        <sub>{index}</sub>
+      </>
+    );
+    const quotedMargin = <span className="font-bold" style={{ color: colors.coupon }}>QM</span>;
+    const discountFactor = (upper) => (
+      <>
+        <Product upper={upper} />
+        (1 + {reference("k")} + <span className="font-bold" style={{ color: colors.orange }}>DM</span>)
+      </>
+    );
+    return (
+      <>
+        {pv(t("equation.subscript.floating"))}
+        <Summation />
+        <Fraction
+          numerator={
+            <>
+              ({reference("t")} + {quotedMargin}) × {fv}
+            </>
+          }
+          denominator={discountFactor("t")}
+        />
+        <span className="mx-1">+</span>
+        <Fraction numerator={fv} denominator={discountFactor("T")} />
+      </>
+    );
+  }
+
+  if (bondType === "inflation-linked") {
+    const indexRatio = (index) => (
+      <>
+        <span className="font-bold" style={{ color: colors.purple }}>I</span>
+        <sub>{index}</sub>
+      </>
+    );
+    return (
+      <>
+        {pv(t("equation.subscript.indexed"))}
+        <Summation />
+        <Fraction
+          numerator={
+            <>
+              {coupon} × {fv} × {indexRatio("t")}
+            </>
+          }
+          denominator={<Compounding exponent="t" />}
+        />
+        <span className="mx-1">+</span>
+        <Fraction
+          numerator={
+            <>
+              {fv} × {indexRatio("T")}
+            </>
+          }
+          denominator={<Compounding exponent="T" />}
+        />
+      </>
+    );
+  }
+
+  if (bondType === "amortizing-equal" || bondType === "sinking-fund") {
+    const principal =
+      bondType === "amortizing-equal" ? (
+        <>{fv}/T</>
+      ) : (
+        <>
+          <span className="font-bold" style={{ color: colors.mint }}>S</span>
+          <sub>t</sub>
+        </>
+      );
+    return (
+      <>
+        {pv(t(bondType === "sinking-fund" ? "equation.subscript.sinkingFund" : "equation.subscript.amortizing"))}
+        <Summation />
+        <Fraction
+          numerator={
+            <>
+              {principal} + {coupon} × B<sub>t−1</sub>
+            </>
+          }
+          denominator={<Compounding exponent="t" />}
+        />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <span className="font-bold" style={{ color: colors.orange }}>PV</span>
+      <sub style={{ color: colors.orange }}>{t("equation.subscript.bullet")}</sub>
+      <span className="mx-1">=</span>
+      <span className="inline-flex flex-col items-center mx-1">
+        <span className="border-b border-gray-400 px-1 pb-0.5">
+          <span className="font-bold" style={{ color: colors.coupon }}>PMT</span>
+        </span>
+        <span className="text-xs pt-0.5" style={{ color: colors.yield }}>r</span>
+      </span>
+      <span className="mx-1">×</span>
+      <span className="inline-flex items-stretch align-middle mx-1">
+        <span className="flex flex-col justify-center text-base leading-none font-semibold">[</span>
+        <span className="inline-flex items-center px-1">
+          1 −
+          <span className="inline-flex flex-col items-center mx-1">
+            <span className="border-b border-gray-400 px-1 pb-0.5">1</span>
+            <span className="text-xs pt-0.5">
+              (1 + <span style={{ color: colors.yield }}>r</span>)<sup>T</sup>
+            </span>
+          </span>
+        </span>
+        <span className="flex flex-col justify-center text-base leading-none font-semibold">]</span>
+      </span>
+      <span className="mx-1">+</span>
+      <span className="inline-flex flex-col items-center justify-center mx-1 align-middle">
+        <span className="border-b border-gray-400 px-1 pb-0.5 flex justify-center">
+          <span className="font-bold" style={{ color: colors.mint }}>FV</span>
+        </span>
+        <span className="text-xs pt-0.5">
+          (1 + <span style={{ color: colors.yield }}>r</span>)<sup>T</sup>
+        </span>
+      </span>
+    </>
+  );
+}
+
+const EQUATION_NOTES = {
+  "sinking-fund": "equation.sinkingFundNote",
+  "floating-rate": "equation.floatingNote",
+  "inflation-linked": "equation.indexedNote",
+};
+
+function EquationSection({ bondType = "bullet" }) {
+  const { t } = useLocale();
   return (
     <div
       className="p-4 bg-white rounded-lg border border-gray-200 overflow-x-auto xl:overflow-x-visible"
       aria-describedby="equation-description"
     >
       <p className="sr-only" id="equation-description">
-        Bond valuation equation: Present value of a coupon bond equals the coupon payment divided by the rate,
-        multiplied by one minus one divided by the quantity one plus the rate raised to the power T,
-        plus the face value divided by the quantity one plus the rate raised to the power T.
+        {t(`equation.${equationKey(bondType)}.description`)}
       </p>
       <div className="flex justify-center">
         <div
           className="font-mono text-sm p-3 rounded inline-block whitespace-normal break-words text-center max-w-full"
           aria-hidden="true"
         >
-          <span className="font-bold" style={{ color: COLORS.orange }}>PV</span>
-          <sub style={{ color: COLORS.orange }}>coupon bond</sub>
-          <span className="mx-1">=</span>
-          <span className="inline-flex flex-col items-center mx-1">
-            <span className="border-b border-gray-400 px-1 pb-0.5">
-              <span className="font-bold" style={{ color: COLORS.coupon }}>PMT</span>
-            </span>
-            <span className="text-xs pt-0.5" style={{ color: COLORS.yield }}>r</span>
-          </span>
-          <span className="mx-1">×</span>
-          <span className="inline-flex items-stretch align-middle mx-1">
-            <span className="flex flex-col justify-center text-base leading-none font-semibold">[</span>
-            <span className="inline-flex items-center px-1">
-              1 −
-              <span className="inline-flex flex-col items-center mx-1">
-                <span className="border-b border-gray-400 px-1 pb-0.5">1</span>
-                <span className="text-xs pt-0.5">
-                  (1 + <span style={{ color: COLORS.yield }}>r</span>)<sup>T</sup>
-                </span>
-              </span>
-            </span>
-            <span className="flex flex-col justify-center text-base leading-none font-semibold">]</span>
-          </span>
-          <span className="mx-1">+</span>
-          <span className="inline-flex flex-col items-center justify-center mx-1 align-middle">
-            <span className="border-b border-gray-400 px-1 pb-0.5 flex justify-center">
-              <span className="font-bold" style={{ color: COLORS.mint }}>FV</span>
-            </span>
-            <span className="text-xs pt-0.5">
-              (1 + <span style={{ color: COLORS.yield }}>r</span>)<sup>T</sup>
-            </span>
-          </span>
+          <EquationFormula bondType={bondType} />
         </div>
       </div>
+      {bondType !== "bullet" && bondType !== "zero" && (
+        <p className="text-xs text-gray-600 mt-2 text-center">
+          {withElements(t(EQUATION_NOTES[bondType] ?? "equation.amortizingNote"), {
+            balance: (
+              <>
+                B<sub>t−1</sub>
+              </>
+            ),
+          })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Equation 6 with the current inputs substituted, one step per line of a hand calculation
+const buildWorkingSteps = ({ bondTerms, ytm, bondCalculations }, { t, formatNumber, formatDecimal, formatPercent }) => {
+  const { faceValue, couponRate, frequency, bondType } = bondTerms;
+  const steps = priceEquationSteps({ ...bondTerms, ytm });
+  const { periodicRate, periods, payment, annuityFactor, pvCoupons, pvFaceValue, priceOnCouponDate } = steps;
+  const dated = Boolean(bondCalculations.schedule);
+  const values = {
+    ytm: formatPercent(ytm, 4),
+    frequency,
+    periodicRate: formatNumber(periodicRate, 6),
+    periods,
+    years: formatDecimal(bondTerms.years, 4),
+    faceValue: formatDecimal(faceValue, 2),
+    couponRate: formatPercent(couponRate, 2),
+    payment: formatNumber(payment, 4),
+    growth: formatNumber(1 + periodicRate, 6),
+    annuityFactor: formatNumber(annuityFactor, 6),
+    pvCoupons: formatNumber(pvCoupons, 4),
+    pvFaceValue: formatNumber(pvFaceValue, 4),
+    priceOnCouponDate: formatNumber(priceOnCouponDate, 4),
+  };
+  const step = (key, formula) => ({
+    label: t(`working.${key}.label`),
+    formula: formula ?? t(`working.${key}.formula`, values),
+    text: t(`working.${key}.text`, values),
+  });
+  const { ytm: y, periodicRate: r, growth, payment: pmt, annuityFactor: af } = values;
+
+  const working = [
+    step("periodicRate", `r = ${y} ÷ ${frequency} = ${r}`),
+    step(dated ? "periodsDated" : "periods"),
+  ];
+  if (bondType !== "zero") {
+    working.push(
+      step("payment", `PMT = ${values.faceValue} × ${values.couponRate} ÷ ${frequency} = ${pmt}`),
+      // The formula divides by r, so at a zero yield show its limit, T, rather than a division by zero
+      periodicRate === 0
+        ? step("annuityFactorZero")
+        : step("annuityFactor", `[1 − 1 / ${growth}^${periods}] ÷ ${r} = ${af}`),
+      step("pvCoupons", `${pmt} × ${af} = ${values.pvCoupons}`)
+    );
+  }
+  working.push(step("pvFaceValue", `${values.faceValue} ÷ ${growth}^${periods} = ${values.pvFaceValue}`));
+  working.push(
+    bondType === "zero"
+      ? step("priceZero", `PV = ${values.priceOnCouponDate}`)
+      : step("price", `PV = ${values.pvCoupons} + ${values.pvFaceValue} = ${values.priceOnCouponDate}`)
+  );
+  if (dated && bondTerms.accrualFraction > 0) {
+    Object.assign(values, {
+      fraction: formatNumber(bondTerms.accrualFraction, 4),
+      fullPrice: formatNumber(steps.price, 4),
+      accrued: formatNumber(bondCalculations.accruedInterest, 4),
+      flatPrice: formatNumber(steps.price - bondCalculations.accruedInterest, 4),
+    });
+    working.push(step("carry"), step("flatPrice"));
+  }
+  return working;
+};
+
+// Each step shows the substituted formula visually and reads as a full sentence to screen readers
+function WorkingSteps({ steps }) {
+  return (
+    <ol className="space-y-2 text-sm list-decimal list-inside">
+      {steps.map(({ label, formula, text }) => (
+        <li key={label}>
+          <span className="font-semibold">{label}:</span>{" "}
+          <span className="font-mono" aria-hidden="true">{formula}</span>
+          <span className="sr-only">{text}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function WorkedSolution({ bondTerms, ytm, bondCalculations }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [open, setOpen] = useState(false);
+  const applies = bondCalculations && !bondCalculations.spotCurve && ["bullet", "zero"].includes(bondTerms.bondType);
+
+  return (
+    <div className="mt-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300 print:hidden"
+        aria-expanded={open}
+        aria-controls="worked-solution"
+      >
+        {open ? t("working.hide") : t("working.show")}
+      </button>
+      {open && (
+        <div id="worked-solution" className="mt-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          {!bondCalculations ? (
+            <p className="text-sm text-gray-700">{t("working.invalidInputs")}</p>
+          ) : !applies ? (
+            <p className="text-sm text-gray-700">
+              {bondCalculations.spotCurve
+                ? t("working.notApplicableCurve")
+                : bondCalculations.floating
+                ? t("working.notApplicableFloating")
+                : t("working.notApplicableType")}
+            </p>
+          ) : (
+            <>
+              <h5 className="font-semibold text-sm text-gray-800 mb-2">{t("working.heading")}</h5>
+              <WorkingSteps steps={buildWorkingSteps({ bondTerms, ytm, bondCalculations }, locale)} />
+              <p className="text-xs text-gray-600 mt-3">{t("working.rounding")}</p>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -151,43 +551,363 @@ function EquationSection() {
 // ============================
 // MISC SECTION (Card 2)
 // ============================
-function MiscSection({ bondCalculations, faceValue, couponRate, ytm, years }) {
+function MiscSection({ bondCalculations, bondTerms, ytm, yieldSolution, optionAnalysis = null, creditAnalysis = null }) {
+  const { t, formatCurrency, formatDecimal, formatPercent, formatDate } = useLocale();
+  const colors = useColors();
+  const { faceValue, frequency, bondType } = bondTerms;
+  const couponRate = bondType === "zero" ? 0 : bondTerms.couponRate;
+  const effectiveYield = effectiveAnnualYield(ytm, frequency);
   if (!bondCalculations) return null;
+  const { schedule, cleanPrice, floating, inflation } = bondCalculations;
+  const rates = { coupon: formatPercent(couponRate, 2), ytm: formatPercent(ytm, 2) };
+  const solvedTitle = floating
+    ? "results.equivalentYtm"
+    : inflation
+    ? "results.indexedYtm"
+    : bondCalculations.spotCurve
+    ? "results.impliedYtm"
+    : "results.solvedYtm";
   return (
     <div className="space-y-6">
+      {yieldSolution && (
+        <div className="p-4 rounded-lg border" style={{ backgroundColor: "#f5f3ff", borderColor: "#ddd6fe" }}>
+          <h5 className="font-semibold text-sm mb-1" style={{ color: colors.yield }}>
+            {t(solvedTitle)}
+          </h5>
+          <div className="text-3xl font-serif" style={{ color: colors.yield }}>
+            <div aria-live="polite" aria-atomic="true">{formatPercent(ytm, 4)}</div>
+          </div>
+          {frequency !== 1 && (
+            <div className="text-xs text-gray-700 mt-1">
+              {t("results.effectiveYield", {
+                value: formatPercent(effectiveYield, 4),
+                compounding: frequencyLabel(frequency, t).toLocaleLowerCase(),
+              })}
+            </div>
+          )}
+          <div className="text-xs text-gray-700 mt-2" aria-live="polite" aria-atomic="true">
+            {t(yieldSolution.converged ? "results.converged" : "results.notConverged", {
+              count: yieldSolution.iterations,
+              newton: yieldSolution.newtonSteps,
+              bisection: yieldSolution.bisectionSteps,
+            })}
+          </div>
+          {bondCalculations.spotCurve && <p className="text-xs text-gray-700 mt-2">{t("results.impliedYtmNote")}</p>}
+          {floating && <p className="text-xs text-gray-700 mt-2">{t("results.equivalentYtmNote")}</p>}
+          {inflation && <p className="text-xs text-gray-700 mt-2">{t("results.indexedYtmNote")}</p>}
+        </div>
+      )}
+
       <div className="p-4 rounded-lg border" style={{ backgroundColor: "#fff7ed", borderColor: "#fed7aa" }}>
-        <h5 className="font-semibold text-sm mb-1" style={{ color: COLORS.orange }}>PV Bond Price</h5>
-        <div className="text-3xl font-serif" style={{ color: COLORS.orange }}>
+        <h5 className="font-semibold text-sm mb-1" style={{ color: colors.orange }}>{t("results.price")}</h5>
+        <div className="text-3xl font-serif" style={{ color: colors.orange }}>
           <div aria-live="polite" aria-atomic="true">{formatCurrency(bondCalculations.bondPrice)}</div>{" "}
-          <span className="text-sm text-gray-700 font-sans">per $100 par</span>
+          <span className="text-sm text-gray-700 font-sans">{t("results.perPar", { faceValue: formatCurrency(faceValue) })}</span>
         </div>
+        {schedule && (
+          <dl className="text-xs text-gray-700 grid grid-cols-2 gap-x-3 gap-y-1 mt-3 pt-3 border-t" style={{ borderColor: "#fed7aa" }}>
+            <dt>{t("results.fullPrice")}</dt>
+            <dd className="text-right font-semibold">{formatCurrency(bondCalculations.bondPrice)}</dd>
+            <dt>{t("results.accruedInterest")}</dt>
+            <dd className="text-right font-semibold">{formatCurrency(bondCalculations.accruedInterest)}</dd>
+            <dt>{t("results.flatPrice")}</dt>
+            <dd className="text-right font-semibold">{formatCurrency(cleanPrice)}</dd>
+            <dd className="col-span-2 text-gray-600">
+              {t("results.accruedDays", {
+                accrued: schedule.accruedDays,
+                period: formatDecimal(schedule.periodDays, 2),
+                date: formatDate(schedule.previousCouponDate),
+                dayCount: bondCalculations.dayCount,
+              })}
+            </dd>
+          </dl>
+        )}
       </div>
 
+      {floating && <FloatingRateAnalysis bondCalculations={bondCalculations} />}
+      {inflation && <InflationAnalysis bondCalculations={bondCalculations} />}
+      {creditAnalysis && <CreditAnalysis creditAnalysis={creditAnalysis} ytm={ytm} />}
+
+      {optionAnalysis && <RedemptionYieldsSection optionAnalysis={optionAnalysis} />}
+
       <div className="p-4 bg-purple-50 rounded-lg border border-purple-200">
-        <h5 className="font-semibold text-sm text-purple-800 mb-2">Premium–Discount Analysis</h5>
+        <h5 className="font-semibold text-sm text-purple-800 mb-2">{t("results.premiumDiscount")}</h5>
         <div className="text-xs text-purple-700 space-y-2" aria-live="polite" aria-atomic="true">
-          <div className="font-semibold">
-            {Math.abs(bondCalculations.bondPrice - faceValue) < 0.01
-              ? "Par bond"
-              : bondCalculations.bondPrice > faceValue
-              ? "Premium bond"
-              : "Discount bond"}
-          </div>
+          <div className="font-semibold">{t(`results.statusBond.${parStatus(cleanPrice, faceValue).toLowerCase()}`)}</div>
+          {/* A floating-rate note's premium or discount is explained by its margins, and a linker's
+              real coupon and nominal yield are not comparable, so both skip the comparison */}
+          {!floating && !inflation && (
           <div>
-            {Math.abs(bondCalculations.bondPrice - faceValue) < 0.01 ? (
-              <>Trading at par. Coupon rate ≈ YTM ({ytm.toFixed(2)}%)</>
-            ) : bondCalculations.bondPrice > faceValue ? (
-              <>Trading {formatCurrency(bondCalculations.bondPrice - faceValue)} above par. Coupon ({couponRate.toFixed(2)}%) &gt; YTM ({ytm.toFixed(2)}%)</>
-            ) : (
-              <>Trading {formatCurrency(faceValue - bondCalculations.bondPrice)} below par. YTM ({ytm.toFixed(2)}%) &gt; coupon ({couponRate.toFixed(2)}%)</>
-            )}
+            {Math.abs(cleanPrice - faceValue) < 0.01
+              ? t("results.atPar", rates)
+              : cleanPrice > faceValue
+              ? t("results.abovePar", { ...rates, amount: formatCurrency(cleanPrice - faceValue) })
+              : t("results.belowPar", { ...rates, amount: formatCurrency(faceValue - cleanPrice) })}
           </div>
+          )}
           <div className="text-xs pt-2 border-t border-purple-300 space-y-1">
-            <div>PV coupons: {formatCurrency(bondCalculations.pvCoupons)}</div>
-            <div>PV face: {formatCurrency(bondCalculations.pvFaceValue)}</div>
+            <div>{t("results.pvCoupons", { amount: formatCurrency(bondCalculations.pvCoupons) })}</div>
+            <div>
+              {t(["bullet", "zero", "floating-rate", "inflation-linked"].includes(bondType) ? "results.pvFace" : "results.pvPrincipal", {
+                amount: formatCurrency(bondCalculations.pvFaceValue),
+              })}
+            </div>
           </div>
         </div>
       </div>
+
+      <RiskSection bondCalculations={bondCalculations} bondTerms={bondTerms} ytm={ytm} />
+    </div>
+  );
+}
+
+// Why a floating-rate note prices where it does: the quoted margin it pays against the discount
+// margin the market asks, and how long its price is exposed to each
+function FloatingRateAnalysis({ bondCalculations }) {
+  const { t, formatDecimal, formatPercent } = useLocale();
+  const { floating, cashFlows, accrualFraction } = bondCalculations;
+  const basisPoints = (margin) => t("floating.basisPoints", { value: formatDecimal(margin * 100, 2) });
+  const { referenceRate, couponRate, discountRate } = cashFlows[1];
+  const difference = floating.quotedMargin - floating.discountMargin;
+  // Margins are entered in whole or fractional basis points, so anything smaller is rounding
+  const relation = Math.abs(difference) < 1e-6 ? "par" : difference > 0 ? "premium" : "discount";
+  const margins = {
+    quotedMargin: basisPoints(floating.quotedMargin),
+    discountMargin: basisPoints(floating.discountMargin),
+    difference: basisPoints(Math.abs(difference)),
+  };
+  const years = (value) => t("common.years", { count: value, value: formatDecimal(value, 3) });
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h5 className="font-semibold text-sm text-gray-800 mb-2">{t("floating.analysis.heading")}</h5>
+      <dl className="text-xs text-gray-700 grid grid-cols-2 gap-x-3 gap-y-1">
+        <dt>{t("floating.analysis.currentReference")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(referenceRate, 3)}</dd>
+        <dt>{t("floating.quotedMargin")}</dt>
+        <dd className="text-right font-semibold">{margins.quotedMargin}</dd>
+        <dt>{t("floating.discountMargin")}</dt>
+        <dd className="text-right font-semibold">{margins.discountMargin}</dd>
+        <dt>{t("floating.analysis.currentCoupon")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(couponRate, 3)}</dd>
+        <dt>{t("floating.analysis.currentDiscount")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(discountRate, 3)}</dd>
+        <dt>{t("floating.analysis.rateDuration")}</dt>
+        <dd className="text-right font-semibold">{years(floating.rateDuration)}</dd>
+        <dt>{t("floating.analysis.spreadDuration")}</dt>
+        <dd className="text-right font-semibold">{years(floating.spreadDuration)}</dd>
+      </dl>
+      <div className="text-xs text-gray-700 space-y-2 mt-3 pt-3 border-t border-gray-200" aria-live="polite" aria-atomic="true">
+        <p>{t(`floating.analysis.${relation}`, margins)}</p>
+        {accrualFraction > 0 && <p>{t("floating.analysis.betweenResets")}</p>}
+        <p>{t("floating.analysis.durations")}</p>
+      </div>
+    </div>
+  );
+}
+
+// What an inflation-linked bond's two yields say about inflation: the breakeven priced into the
+// market yields against the inflation the projected path assumes, and the price on each basis
+function InflationAnalysis({ bondCalculations }) {
+  const { t, formatCurrency, formatNumber, formatPercent } = useLocale();
+  const { inflation } = bondCalculations;
+  const difference = inflation.pathInflation - inflation.breakeven;
+  // Half a basis point either way is rounding in the inputs
+  const relation = Math.abs(difference) < 0.005 ? "matches" : difference > 0 ? "above" : "below";
+  const values = {
+    breakeven: formatPercent(inflation.breakeven, 3),
+    path: formatPercent(inflation.pathInflation, 3),
+    priceAtReal: formatCurrency(inflation.priceAtReal),
+    priceAtNominal: formatCurrency(inflation.priceAtNominal),
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h5 className="font-semibold text-sm text-gray-800 mb-2">{t("inflation.analysis.heading")}</h5>
+      <dl className="text-xs text-gray-700 grid grid-cols-2 gap-x-3 gap-y-1">
+        <dt>{t("inflation.analysis.breakeven")}</dt>
+        <dd className="text-right font-semibold">{values.breakeven}</dd>
+        <dt>{t("inflation.analysis.pathInflation")}</dt>
+        <dd className="text-right font-semibold">{values.path}</dd>
+        <dt>{t("inflation.analysis.realYield")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(inflation.realYield, 4)}</dd>
+        <dt>{t("inflation.analysis.nominalYield")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(inflation.nominalYield, 4)}</dd>
+        <dt>{t("inflation.analysis.indexRatio")}</dt>
+        <dd className="text-right font-semibold">{formatNumber(inflation.indexRatio, 4)}</dd>
+        <dt>{t("inflation.analysis.priceAtReal")}</dt>
+        <dd className="text-right font-semibold">{values.priceAtReal}</dd>
+        <dt>{t("inflation.analysis.priceAtNominal")}</dt>
+        <dd className="text-right font-semibold">{values.priceAtNominal}</dd>
+      </dl>
+      <div className="text-xs text-gray-700 space-y-2 mt-3 pt-3 border-t border-gray-200" aria-live="polite" aria-atomic="true">
+        <p>{t("inflation.analysis.explanation", values)}</p>
+        <p>{t(`inflation.analysis.${relation}`, values)}</p>
+        <p>{t(`inflation.analysis.basis.${inflation.yieldBasis}`)}</p>
+      </div>
+    </div>
+  );
+}
+
+// What the chance of default costs: the risky price against the default-free one, and the spread
+// over the risk-free yield that the promised flows must earn to make up for it
+function CreditAnalysis({ creditAnalysis, ytm }) {
+  const { t, formatCurrency, formatDecimal, formatPercent } = useLocale();
+  const { riskFreePrice, riskyPrice, cva, expectedLoss, cumulativeDefault, recoveryRate, riskyYield, creditSpread } = creditAnalysis;
+  const values = {
+    riskFreePrice: formatCurrency(riskFreePrice),
+    riskyPrice: formatCurrency(riskyPrice),
+    cva: formatCurrency(cva),
+    riskFreeYield: formatPercent(ytm, 3),
+    riskyYield: formatPercent(riskyYield, 3),
+    spread: t("floating.basisPoints", { value: formatDecimal(creditSpread * 100, 1) }),
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h5 className="font-semibold text-sm text-gray-800 mb-2">{t("credit.analysis.heading")}</h5>
+      <dl className="text-xs text-gray-700 grid grid-cols-2 gap-x-3 gap-y-1">
+        <dt>{t("credit.analysis.riskFreePrice")}</dt>
+        <dd className="text-right font-semibold">{values.riskFreePrice}</dd>
+        <dt>{t("credit.analysis.riskyPrice")}</dt>
+        <dd className="text-right font-semibold">{values.riskyPrice}</dd>
+        <dt>{t("credit.analysis.cva")}</dt>
+        <dd className="text-right font-semibold">{values.cva}</dd>
+        <dt>{t("credit.analysis.expectedLoss")}</dt>
+        <dd className="text-right font-semibold">{formatCurrency(expectedLoss)}</dd>
+        <dt>{t("credit.analysis.cumulativeDefault")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(cumulativeDefault, 2)}</dd>
+        <dt>{t("credit.analysis.recoveryRate")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(recoveryRate, 1)}</dd>
+        <dt>{t("credit.analysis.riskyYield")}</dt>
+        <dd className="text-right font-semibold">{formatPercent(riskyYield, 4)}</dd>
+        <dt>{t("credit.analysis.creditSpread")}</dt>
+        <dd className="text-right font-semibold">{values.spread}</dd>
+      </dl>
+      <div className="text-xs text-gray-700 space-y-2 mt-3 pt-3 border-t border-gray-200" aria-live="polite" aria-atomic="true">
+        <p>{t("credit.analysis.explanation", values)}</p>
+        <p>{t("credit.analysis.spread", values)}</p>
+      </div>
+    </div>
+  );
+}
+
+// Yield to maturity, to each call and put, and the yield-to-worst for a bond with embedded options
+function RedemptionYieldsSection({ optionAnalysis }) {
+  const { t, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const { scenarios, worst } = optionAnalysis;
+  const formatYield = (value) => (Number.isFinite(value) ? formatPercent(value, 4) : t("common.notAvailable"));
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h5 className="font-semibold text-sm text-gray-800 mb-1">{t("options.heading")}</h5>
+      <div className="text-3xl font-serif" style={{ color: colors.yield }}>
+        <div aria-live="polite" aria-atomic="true">{formatYield(worst.ytm)}</div>
+      </div>
+      <div className="text-xs text-gray-700 mt-1">{t("options.worstCase", { scenario: worst.label })}</div>
+      <table className="w-full text-xs text-gray-800 mt-3">
+        <caption className="sr-only">{t("options.caption")}</caption>
+        <thead>
+          <tr className="border-b border-gray-300">
+            <th scope="col" className="text-left font-semibold py-1">{t("options.scenario")}</th>
+            <th scope="col" className="text-right font-semibold py-1">{t("options.price")}</th>
+            <th scope="col" className="text-right font-semibold py-1">{t("options.yield")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scenarios.map((scenario) => {
+            const isWorst = scenario.kind === worst.kind && scenario.period === worst.period;
+            return (
+              <tr key={`${scenario.kind}-${scenario.period}`} className={isWorst ? "font-semibold bg-purple-50" : ""}>
+                <th scope="row" className="text-left font-normal py-0.5">
+                  {t(`options.kind.${scenario.kind}`)} <span className="text-gray-600">({scenario.label})</span>
+                  {isWorst && <span className="sr-only"> ({t("options.worst")})</span>}
+                </th>
+                <td className="text-right">{formatDecimal(scenario.redemptionPrice, 3)}</td>
+                <td className="text-right">{formatYield(scenario.ytm)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600 mt-2">{t("options.note")}</p>
+    </div>
+  );
+}
+
+// ============================
+// RISK MEASURES (Card 2)
+// ============================
+function RiskSection({ bondCalculations, bondTerms, ytm }) {
+  const { t, formatCurrency, formatNumber, formatPercent } = useLocale();
+  const [shockBp, setShockBp] = useState(100);
+  const { bondPrice, riskMeasures } = bondCalculations;
+  const { macaulayDuration, modifiedDuration, moneyDuration, pvbp, convexity } = riskMeasures;
+
+  const dy = shockBp / 10000;
+  const durationEstimate = -modifiedDuration * dy * 100;
+  const convexityEstimate = durationEstimate + 0.5 * convexity * dy * dy * 100;
+  const exactPrice = computeBondPrice({ ...bondTerms, ytm: ytm + shockBp / 100 }).price;
+  const exactChange = (exactPrice / bondPrice - 1) * 100;
+
+  const formatPct = (value) => formatPercent(value, 4, true);
+
+  return (
+    <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+      <h5 className="font-semibold text-sm text-blue-900 mb-2">{t("risk.heading")}</h5>
+      <dl className="text-xs text-blue-900 grid grid-cols-2 gap-x-3 gap-y-1">
+        <dt>{t("risk.macaulay")}</dt>
+        <dd className="text-right font-semibold">{t("risk.years", { value: formatNumber(macaulayDuration, 4) })}</dd>
+        <dt>{t("risk.modified")}</dt>
+        <dd className="text-right font-semibold">{formatNumber(modifiedDuration, 4)}</dd>
+        <dt>{t("risk.money")}</dt>
+        <dd className="text-right font-semibold">{formatCurrency(moneyDuration)}</dd>
+        <dt>{t("risk.pvbp")}</dt>
+        <dd className="text-right font-semibold">{formatNumber(pvbp, 4)}</dd>
+        <dt>{t("risk.convexity")}</dt>
+        <dd className="text-right font-semibold">{formatNumber(convexity, 4)}</dd>
+      </dl>
+
+      <div className="mt-3 pt-3 border-t border-blue-300">
+        <div className="flex items-center gap-2 mb-2">
+          <label htmlFor="yieldShock" className="text-xs font-medium text-blue-900">
+            {t("risk.shock")} <span className="font-normal">({t("risk.bp")})</span>
+          </label>
+          <input
+            id="yieldShock"
+            type="number"
+            step="1"
+            value={shockBp}
+            onChange={(e) => setShockBp(+e.target.value)}
+            className="block w-20 rounded-md shadow-sm px-2 py-1 text-xs border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+          />
+        </div>
+        <table className="w-full text-xs text-blue-900" aria-live="polite">
+          <caption className="sr-only">{t("risk.caption", { count: shockBp })}</caption>
+          <thead>
+            <tr className="border-b border-blue-300">
+              <th scope="col" className="text-left font-semibold py-1">{t("risk.method")}</th>
+              <th scope="col" className="text-right font-semibold py-1">{t("risk.change")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th scope="row" className="text-left font-normal py-0.5">{t("risk.durationOnly")}</th>
+              <td className="text-right">{formatPct(durationEstimate)}</td>
+            </tr>
+            <tr>
+              <th scope="row" className="text-left font-normal py-0.5">{t("risk.durationConvexity")}</th>
+              <td className="text-right">{formatPct(convexityEstimate)}</td>
+            </tr>
+            <tr>
+              <th scope="row" className="text-left font-normal py-0.5">{t("risk.exact")}</th>
+              <td className="text-right font-semibold">
+                {formatPct(exactChange)} <span className="font-normal">({formatCurrency(exactPrice)})</span>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
     </div>
   );
 }
@@ -195,11 +915,39 @@ function MiscSection({ bondCalculations, faceValue, couponRate, ytm, years }) {
 // ============================
 // VISUALIZER SECTION (Card 3)
 // ============================
-function BondChart({ bondCalculations }) {
-  if (!bondCalculations) return null;
+// One row per payment time with each compared bond's total cash flow side by side
+const buildComparisonRows = (comparison) => {
+  const rows = new Map();
+  comparison.forEach(({ id, bondCalculations }) => {
+    bondCalculations.cashFlows.forEach(({ yearLabel, totalCashFlow }) => {
+      const row = rows.get(yearLabel) ?? { yearLabel };
+      row[`bond${id}`] = (row[`bond${id}`] ?? 0) + totalCashFlow;
+      rows.set(yearLabel, row);
+    });
+  });
+  return [...rows.values()].sort((a, b) => a.yearLabel - b.yearLabel);
+};
+
+function BondChart({
+  bondCalculations: maturityCalculations,
+  comparison = null,
+  paidThrough = 0,
+  worstCase = null,
+  credit = null,
+  shocks = null,
+}) {
+  const { t, formatCurrency, formatNumber, formatDecimal, formatPercent, formatDate, formatList } = useLocale();
+  const colors = useColors();
   const [showLabels, setShowLabels] = useState(true);
+  const [showWorst, setShowWorst] = useState(true);
   const [viewMode, setViewMode] = useState('chart');
-  const [viewAnnouncement, setViewAnnouncement] = useState('');
+  const [announcement, setAnnouncement] = useState('');
+  const [printing, setPrinting] = useState(false);
+  // The bar picked out with the arrow keys, and whether each one sounds as it is reached
+  const [activeBar, setActiveBar] = useState(null);
+  const [tonesOnExplore, setTonesOnExplore] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const audio = useRef({ context: null, stop: null, timer: null });
 
   useEffect(() => {
     const handleResize = () => setShowLabels(window.innerWidth > 860);
@@ -208,25 +956,215 @@ function BondChart({ bondCalculations }) {
     return () => window.removeEventListener("resize", handleResize);
   }, []);
 
+  // A printed report carries both the chart and the full table, whichever view is on screen
+  useEffect(() => {
+    const handleBeforePrint = () => flushSync(() => setPrinting(true));
+    const handleAfterPrint = () => setPrinting(false);
+    window.addEventListener("beforeprint", handleBeforePrint);
+    window.addEventListener("afterprint", handleAfterPrint);
+    return () => {
+      window.removeEventListener("beforeprint", handleBeforePrint);
+      window.removeEventListener("afterprint", handleAfterPrint);
+    };
+  }, []);
+
+  // Silence anything still playing when the chart goes away
+  useEffect(() => {
+    const player = audio.current;
+    return () => {
+      player.stop?.();
+      clearTimeout(player.timer);
+      player.context?.close();
+    };
+  }, []);
+
+  if (!maturityCalculations) return null;
+  const comparing = comparison !== null && comparison.length > 1;
+  // A callable bond can be shown redeemed at its worst date instead of held to maturity
+  const worstShown = Boolean(worstCase) && showWorst && !comparing;
+  const bondCalculations = worstShown ? worstCase.bondCalculations : maturityCalculations;
+  const { schedule, bondType, spotCurve } = bondCalculations;
+  // A floating-rate note's rows carry their projected rates; held to a call date it is priced off one yield
+  const floating = Boolean(bondCalculations.floating);
+  // An inflation-linked bond's rows also carry their real amounts, shown beside the indexed ones
+  const indexed = Boolean(bondCalculations.inflation);
+  const showOutstanding = !["bullet", "zero", "floating-rate"].includes(bondType);
+  // With credit risk on, each promised flow stands beside its probability-weighted expectation. The
+  // credit analysis follows the bond to maturity, so it is left out of a redemption at the worst date
+  const credited = Boolean(credit) && !worstShown && !comparing;
+  // Scenario shocks reprice the same flows to maturity, so their present values are likewise left out
+  // of a redemption at the worst date
+  const shocked = Boolean(shocks) && !worstShown && !comparing;
+  const creditRows = credited
+    ? bondCalculations.cashFlows.map((row, index) => {
+        // The purchase at the risky price, against the default-free price of the promised flows
+        if (index === 0) {
+          const purchase = -credit.riskyPrice;
+          return { ...row, expectedFlow: purchase, survival: 100, defaultProbability: null, exposure: null, expectedLoss: null, riskyPresentValue: purchase };
+        }
+        const { survival, defaultProbability, exposure, expectedLoss, expected, presentValue } = credit.schedule[index - 1];
+        return { ...row, expectedFlow: expected, survival, defaultProbability, exposure, expectedLoss, riskyPresentValue: presentValue };
+      })
+    : bondCalculations.cashFlows;
+  // Each payment carries its present value unshocked and under each shock; the purchase has none
+  const cashFlowRows = shocked
+    ? creditRows.map((row, index) =>
+        index === 0
+          ? row
+          : {
+              ...row,
+              shockBase: shocks.basePresentValues[index - 1],
+              ...Object.fromEntries(shocks.scenarios.map(({ index: shock, presentValues }) => [`shock${shock}`, presentValues[index - 1]])),
+            }
+      )
+    : creditRows;
+  const shockName = (label) => t("cashFlows.shockedPresentValue", { name: label });
+  // Present values are already a column off a curve or a reference path
+  const showBasePresentValue = shocked && !floating && !spotCurve;
+  const shockFields = shocked
+    ? [...(showBasePresentValue ? ["shockBase"] : []), ...shocks.scenarios.map(({ index }) => `shock${index}`)]
+    : [];
+  const comparisonRows = comparing ? buildComparisonRows(comparison) : [];
+  const showChart = viewMode === 'chart' || printing;
+  const showTable = viewMode === 'table' || printing;
+  // Flows already paid at the pull-to-par step are faded; the purchase at row 0 stays solid
+  const cellOpacity = (index) => (index > 0 && index <= paidThrough ? 0.25 : 1);
+
   const handleViewChange = (newView) => {
     setViewMode(newView);
-    setViewAnnouncement(newView === 'chart' ? 'Chart view active' : 'Table view active');
+    setAnnouncement(newView === 'chart' ? t("cashFlows.chartActive") : t("cashFlows.tableActive"));
     // Clear announcement after a moment so it can be triggered again
-    setTimeout(() => setViewAnnouncement(''), 100);
+    setTimeout(() => setAnnouncement(''), 100);
+  };
+
+  const formatYears = (value) => t("common.years", { count: value, value: formatDecimal(value, 3) });
+  const bondNames = comparing ? formatList(comparison.map(({ name }) => name)) : "";
+
+  // ---- Keyboard exploration: arrow keys step through the bars and the live region reads each one ----
+  const bars = comparing ? comparisonRows : bondCalculations.cashFlows;
+  const active = activeBar !== null && activeBar < bars.length ? activeBar : null;
+  const describeBar = (index) => {
+    const position = { position: index + 1, count: bars.length };
+    if (comparing) {
+      const row = comparisonRows[index];
+      const flows = comparison.map(({ id, name }) =>
+        t("common.labelValue", {
+          label: name,
+          value: row[`bond${id}`] === undefined ? t("common.noPayment") : formatCurrency(row[`bond${id}`], true),
+        })
+      );
+      return t("cashFlows.explore.comparison", { when: formatYears(row.yearLabel), flows: formatList(flows), ...position });
+    }
+    const row = cashFlowRows[index];
+    const when = row.dateLabel ? formatDate(row.dateLabel) : formatYears(row.yearLabel);
+    const expected = credited ? ` ${t("cashFlows.explore.expected", { amount: formatCurrency(row.expectedFlow, true) })}` : "";
+    if (row.period === 0)
+      return t("cashFlows.explore.purchase", { when, amount: formatCurrency(row.totalCashFlow, true), ...position }) + expected;
+    return (
+      t("cashFlows.explore.payment", {
+        when,
+        coupon: formatCurrency(row.couponPayment),
+        principal: formatCurrency(row.principalPayment, true),
+        total: formatCurrency(row.totalCashFlow, true),
+        ...position,
+      }) + expected
+    );
+  };
+
+  // ---- Sonification: the total cash flows as tones, pitch rising with size ----
+  const audioSupported = Boolean(window.AudioContext ?? window.webkitAudioContext);
+  const amounts = bondCalculations.cashFlows.map(({ totalCashFlow }) => totalCashFlow);
+  const audioContext = () => {
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+    audio.current.context ??= new AudioContextClass();
+    return audio.current.context;
   };
+  const stopPlayback = () => {
+    audio.current.stop?.();
+    audio.current.stop = null;
+    clearTimeout(audio.current.timer);
+    setPlaying(false);
+  };
+  const play = (tones) => {
+    stopPlayback();
+    if (tones.length === 0) return;
+    audio.current.stop = playTones(tones, audioContext());
+    const { start, duration } = tones[tones.length - 1];
+    audio.current.timer = setTimeout(() => {
+      audio.current.stop = null;
+      setPlaying(false);
+    }, (start + duration) * 1000);
+    setPlaying(true);
+  };
+  // A single bar's tone keeps its pitch relative to the whole series
+  const playBar = (index) => play(planTones(amounts).filter((tone) => tone.index === index).map((tone) => ({ ...tone, start: 0 })));
+
+  const handleChartKeyDown = (event) => {
+    if (event.key === "Escape") {
+      setActiveBar(null);
+      return;
+    }
+    const current = active ?? -1;
+    const next = { ArrowRight: current + 1, ArrowDown: current + 1, ArrowLeft: current - 1, ArrowUp: current - 1, Home: 0, End: bars.length - 1 }[
+      event.key
+    ];
+    if (next === undefined) return;
+    event.preventDefault();
+    const index = Math.min(Math.max(next, 0), bars.length - 1);
+    setActiveBar(index);
+    setAnnouncement(describeBar(index));
+    if (tonesOnExplore && audioSupported && !comparing) playBar(index);
+  };
+  const explorable = {
+    tabIndex: 0,
+    role: "application",
+    "aria-roledescription": t("cashFlows.explore.roleDescription"),
+    "aria-labelledby": "bond-chart-title",
+    "aria-describedby": "bond-chart-desc",
+    onKeyDown: handleChartKeyDown,
+    onBlur: () => setActiveBar(null),
+    className: "h-96 rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-600",
+  };
+  const barOutline = (index) => (index === active ? { stroke: colors.darkText, strokeWidth: 2 } : {});
 
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
       const data = payload[0].payload;
       return (
         <div className="bg-white p-3 border rounded shadow text-gray-800">
-          <p className="font-medium">{`Period: ${data.yearLabel} years`}</p>
-          {payload.map((entry, index) => (
+          <p className="font-medium">
+            {data.dateLabel
+              ? t("cashFlows.tooltipDate", { date: formatDate(data.dateLabel), years: formatYears(data.yearLabel) })
+              : t("cashFlows.tooltipPeriod", { years: formatYears(data.yearLabel) })}
+          </p>
+          {payload.filter((entry) => entry.value != null).map((entry, index) => (
             <p key={index} style={{ color: entry.color }}>
-              {`${entry.name}: ${formatCurrency(entry.value, true)}`}
+              {t("common.labelValue", { label: entry.name, value: formatCurrency(entry.value, true) })}
             </p>
           ))}
-          <p className="text-sm mt-1">{`Total: ${formatCurrency(data.totalCashFlow, true)}`}</p>
+          {data.defaultProbability != null && (
+            <p className="text-sm">
+              {t("cashFlows.tooltipCredit", {
+                survival: formatPercent(data.survival, 2),
+                probability: formatPercent(data.defaultProbability, 3),
+              })}
+            </p>
+          )}
+          {data.indexRatio != null && (
+            <p className="text-sm">{t("cashFlows.tooltipIndexed", { ratio: formatNumber(data.indexRatio, 4) })}</p>
+          )}
+          {data.couponRate != null && (
+            <p className="text-sm">
+              {t("cashFlows.tooltipFloating", {
+                coupon: formatPercent(data.couponRate, 3),
+                reference: formatPercent(data.referenceRate, 3),
+                discount: formatPercent(data.discountRate, 3),
+              })}
+            </p>
+          )}
+          <p className="text-sm mt-1">
+            {t("common.labelValue", { label: t("common.total"), value: formatCurrency(data.totalCashFlow, true) })}
+          </p>
         </div>
       );
     }
@@ -237,44 +1175,125 @@ function BondChart({ bondCalculations }) {
     <>
       {/* Screen reader announcement for view changes */}
       <div className="sr-only" aria-live="polite" aria-atomic="true">
-        {viewAnnouncement}
+        {announcement}
       </div>
 
       <div className="sr-only" id="bond-chart-desc">
-        <h5 id="bond-chart-title">Bond cash flows</h5>
-        <p>Stacked bars display coupon payments and the final principal repayment over time. The initial purchase appears as a negative bar at period 0.</p>
+        <h5 id="bond-chart-title">{t("cashFlows.title")}</h5>
+        <p>{comparing ? t("cashFlows.comparisonDescription", { bonds: bondNames }) : t("cashFlows.description")}</p>
+        {worstShown && <p>{t("cashFlows.worstDescription", { scenario: worstCase.label })}</p>}
+        {shocked && <p>{t("cashFlows.shocksDescription", { scenarios: formatList(shocks.scenarios.map(({ label }) => label)) })}</p>}
+        <p>{t("cashFlows.explore.instructions")}</p>
       </div>
 
       <div className="mb-4">
         <div className="flex flex-wrap items-center gap-4">
           {/* Legend - Only show in chart view */}
-          {viewMode === 'chart' && (
+          {viewMode === 'chart' && comparing && (
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              {comparison.map(({ id, name, color }) => (
+                <span key={id} className="flex items-center">
+                  <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: color }}></span>
+                  {name}
+                </span>
+              ))}
+            </div>
+          )}
+          {viewMode === 'chart' && !comparing && (
             <div className="flex flex-wrap items-center gap-4 text-sm">
               <span className="flex items-center">
-                <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: COLORS.purchase }}></span>
-                Initial purchase
+                <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: colors.purchase }}></span>
+                {t("cashFlows.purchase")}
               </span>
               <span className="flex items-center">
-                <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: COLORS.coupon }}></span>
-                Coupon payment
+                <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: colors.coupon }}></span>
+                {t("cashFlows.coupon")}
               </span>
               <span className="flex items-center">
-                <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: COLORS.mint }}></span>
-                Principal repayment
+                <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: colors.mint }}></span>
+                {t("cashFlows.principal")}
               </span>
+              {indexed && (
+                <span className="flex items-center">
+                  <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: colors.purple }}></span>
+                  {t("cashFlows.real")}
+                </span>
+              )}
+              {credited && (
+                <span className="flex items-center">
+                  <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: colors.orange }}></span>
+                  {t("cashFlows.expected")}
+                </span>
+              )}
+              {shocked && (
+                <span className="flex items-center">
+                  <span className="w-4 mr-2 border-t-2 border-dashed" style={{ borderColor: colors.presentValue }}></span>
+                  {t("cashFlows.basePresentValue")}
+                </span>
+              )}
+              {shocked &&
+                shocks.scenarios.map(({ index, label }) => (
+                  <span key={index} className="flex items-center">
+                    <span className="w-4 mr-2 border-t-2" style={{ borderColor: shockColor(colors, index) }}></span>
+                    {shockName(label)}
+                  </span>
+                ))}
+              {paidThrough > 0 && (
+                <span className="text-xs text-gray-600">{t("cashFlows.fadedBars", { count: paidThrough })}</span>
+              )}
+            </div>
+          )}
+
+          {viewMode === 'chart' && !comparing && audioSupported && (
+            <div className="flex flex-wrap items-center gap-2 print:hidden" role="group" aria-label={t("cashFlows.sound.label")}>
+              <button
+                onClick={() => (playing ? stopPlayback() : play(planTones(amounts)))}
+                className="px-3 py-1 text-sm rounded transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
+              >
+                {playing ? t("cashFlows.sound.stop") : t("cashFlows.sound.play")}
+              </button>
+              <button
+                onClick={() => setTonesOnExplore(!tonesOnExplore)}
+                className={`px-3 py-1 text-sm rounded transition-colors ${
+                  tonesOnExplore ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                }`}
+                aria-pressed={tonesOnExplore}
+              >
+                {t("cashFlows.sound.onExplore")}
+              </button>
             </div>
           )}
 
           {/* Toggle Buttons - Always right-aligned */}
           <a href="#bond-data-table" className="sr-only focus:not-sr-only">
-          Skip to data table
+          {t("cashFlows.skipToTable")}
           </a>
 
-          <div className="flex gap-2 ml-auto" role="group" aria-label="Bond cash flow display options">
+          {worstCase && !comparing && (
+            <div className="flex gap-2 print:hidden" role="group" aria-label={t("cashFlows.redemptionScenario")}>
+              {[
+                { worst: false, label: t("cashFlows.toMaturity") },
+                { worst: true, label: t("cashFlows.toWorst", { scenario: worstCase.label }) },
+              ].map(({ worst, label }) => (
+                <button
+                  key={label}
+                  onClick={() => setShowWorst(worst)}
+                  className={`px-3 py-1 text-sm rounded transition-colors ${
+                    showWorst === worst ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                  }`}
+                  aria-pressed={showWorst === worst}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-2 ml-auto print:hidden" role="group" aria-label={t("cashFlows.displayOptions")}>
 
             <button
   onClick={() => handleViewChange('chart')}
-  aria-label="Show bond cash flows as a chart"
+  aria-label={t("cashFlows.showChartLabel")}
   className={`px-3 py-1 text-sm rounded transition-colors ${
     viewMode === 'chart' 
       ? 'bg-blue-600 text-white font-semibold' 
@@ -283,17 +1302,19 @@ function BondChart({ bondCalculations }) {
   aria-pressed={viewMode === 'chart'}
   aria-controls="bond-data-table"
 >
-  Show Chart
+  {t("cashFlows.showChart")}
 </button>
 <button
-   onClick={() => {
+   onClick={(event) => {
+    // The root is a shadow root when the calculator is embedded as a widget
+    const root = event.currentTarget.getRootNode();
     handleViewChange('table');
     setTimeout(() => {
-      const table = document.getElementById('bond-data-table');
+      const table = root.getElementById('bond-data-table');
       if (table) table.focus();
     }, 300);
   }}
-  aria-label="Show bond cash flows as a table"
+  aria-label={t("cashFlows.showTableLabel")}
   className={`px-3 py-1 text-sm rounded transition-colors ${
     viewMode === 'table' 
       ? 'bg-blue-600 text-white font-semibold' 
@@ -302,42 +1323,176 @@ function BondChart({ bondCalculations }) {
   aria-pressed={viewMode === 'table'}
   aria-controls="bond-data-table"
 >
-  Show Table
+  {t("cashFlows.showTable")}
 </button>
 
           </div>
         </div>
       </div>
 
-      {viewMode === 'chart' ? (
-        <div className="h-96" role="img" aria-labelledby="bond-chart-title" aria-describedby="bond-chart-desc">
+      {showChart && comparing && (
+        <div {...explorable}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={comparisonRows} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="yearLabel"
+                tickFormatter={(value) => formatDecimal(value, 2)}
+                label={{ value: t("cashFlows.yearsAxis"), position: "insideBottom", offset: -10 }}
+              />
+              <YAxis tickFormatter={(value) => formatCurrency(value)} />
+              <Tooltip formatter={(value) => formatCurrency(value, true)} labelFormatter={formatYears} />
+              {comparison.map(({ id, name, color }) => (
+                <Bar key={id} dataKey={`bond${id}`} name={name} fill={color} stroke="#333" strokeWidth={0.5}>
+                  {comparisonRows.map((row, index) => (
+                    <Cell key={`cell-${id}-${index}`} {...barOutline(index)} />
+                  ))}
+                </Bar>
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+      {showChart && !comparing && (
+        <div {...explorable}>
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={bondCalculations.cashFlows} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+            <ComposedChart data={cashFlowRows} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="yearLabel" label={{ value: "Years", position: "insideBottom", offset: -10 }} />
+              {schedule ? (
+                <XAxis
+                  dataKey="dateLabel"
+                  tickFormatter={formatDate}
+                  label={{ value: t("cashFlows.dateAxis"), position: "insideBottom", offset: -10 }}
+                />
+              ) : (
+                <XAxis
+                  dataKey="yearLabel"
+                  tickFormatter={(value) => formatDecimal(value, 2)}
+                  label={{ value: t("cashFlows.yearsAxis"), position: "insideBottom", offset: -10 }}
+                />
+              )}
               <YAxis tickFormatter={(value) => formatCurrency(value)} />
               <Tooltip content={<CustomTooltip />} />
-              <Bar dataKey="principalPayment" name="Principal repayment" stroke="#333"
+              <Bar dataKey="principalPayment" name={t("cashFlows.principal")} stroke="#333"
   strokeWidth={0.5} stackId="cashflow">
                 {bondCalculations.cashFlows.map((entry, index) => (
-                  <Cell key={`cell-principal-${index}`} fill={entry.principalPayment >= 0 ? COLORS.mint : COLORS.purchase} />
+                  <Cell
+                    key={`cell-principal-${index}`}
+                    fill={entry.principalPayment >= 0 ? colors.mint : colors.purchase}
+                    fillOpacity={cellOpacity(index)}
+                    {...barOutline(index)}
+                  />
                 ))}
               </Bar>
-              <Bar dataKey="couponPayment" name="Coupon payment" fill={COLORS.coupon} stroke="#333"
+              <Bar dataKey="couponPayment" name={t("cashFlows.coupon")} fill={colors.coupon} stroke="#333"
   strokeWidth={0.5} stackId="cashflow">
-                {showLabels && (
+                {bondCalculations.cashFlows.map((entry, index) => (
+                  <Cell key={`cell-coupon-${index}`} fillOpacity={cellOpacity(index)} {...barOutline(index)} />
+                ))}
+                {showLabels && bondCalculations.periods <= 20 && (
                   <LabelList
                     dataKey="totalCashFlow"
                     position="top"
                     formatter={(value) => (value && Math.abs(value) >= 0.01 ? formatCurrency(value, true) : "")}
-                    style={{ fontSize: "11px", fontWeight: "600", fill: COLORS.darkText }}
+                    style={{ fontSize: "11px", fontWeight: "600", fill: colors.darkText }}
                   />
                 )}
               </Bar>
-            </BarChart>
+              {/* Real flows stand beside the indexed (nominal) stack rather than on top of it */}
+              {indexed && (
+                <Bar dataKey="realTotal" name={t("cashFlows.real")} fill={colors.purple} stroke="#333" strokeWidth={0.5} stackId="real">
+                  {bondCalculations.cashFlows.map((entry, index) => (
+                    <Cell key={`cell-real-${index}`} fillOpacity={cellOpacity(index)} {...barOutline(index)} />
+                  ))}
+                </Bar>
+              )}
+              {/* Expected flows likewise stand beside the promised ones they discount for default */}
+              {credited && (
+                <Bar dataKey="expectedFlow" name={t("cashFlows.expected")} fill={colors.orange} stroke="#333" strokeWidth={0.5} stackId="expected">
+                  {cashFlowRows.map((entry, index) => (
+                    <Cell key={`cell-expected-${index}`} fillOpacity={cellOpacity(index)} {...barOutline(index)} />
+                  ))}
+                </Bar>
+              )}
+              {/* Present values as lines over the bars, unshocked (dashed) and under each shock */}
+              {shocked && (
+                <Line
+                  dataKey="shockBase"
+                  name={t("cashFlows.basePresentValue")}
+                  stroke={colors.presentValue}
+                  strokeWidth={2}
+                  strokeDasharray="5 5"
+                  dot={false}
+                />
+              )}
+              {shocked &&
+                shocks.scenarios.map(({ index, label }) => (
+                  <Line
+                    key={index}
+                    dataKey={`shock${index}`}
+                    name={shockName(label)}
+                    stroke={shockColor(colors, index)}
+                    strokeWidth={2}
+                    dot={{ r: 2 }}
+                  />
+                ))}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
-      ) : (
+      )}
+      {/* The same reading for sighted keyboard users; screen readers hear it from the live region */}
+      {showChart && active !== null && (
+        <p className="text-sm text-gray-700 mt-2" aria-hidden="true">{describeBar(active)}</p>
+      )}
+      {showTable && comparing && (
+        <div className="overflow-x-auto">
+          <table id="bond-data-table" className="w-full text-sm border-collapse" aria-describedby="table-note" tabIndex="-1">
+            <caption className="sr-only">{t("cashFlows.comparisonCaption", { bonds: bondNames })}</caption>
+            <thead>
+              <tr className="border-b-2 border-gray-300">
+                <th scope="col" className="text-left py-2 px-3 font-semibold">{t("cashFlows.periodColumn")}</th>
+                {comparison.map(({ id, name, color }) => (
+                  <th key={id} scope="col" className="text-right py-2 px-3 font-semibold">
+                    <span className="inline-block w-3 h-3 mr-1 rounded align-middle" style={{ backgroundColor: color }}></span>
+                    {name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparisonRows.map((row) => (
+                <tr key={row.yearLabel} className="border-b border-gray-200 hover:bg-gray-50">
+                  <th scope="row" className="text-left py-2 px-3 font-semibold">{formatYears(row.yearLabel)}</th>
+                  {comparison.map(({ id }) => (
+                    <td key={id} className="text-right py-2 px-3">
+                      {row[`bond${id}`] === undefined ? (
+                        <span aria-label={t("common.noPayment")}>—</span>
+                      ) : (
+                        formatCurrency(row[`bond${id}`], true)
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t-2 border-gray-300 bg-gray-50">
+                <th scope="row" className="text-left py-2 px-3 font-semibold">{t("common.total")}</th>
+                {comparison.map(({ id, bondCalculations: calculations }) => (
+                  <td key={id} className="text-right py-2 px-3 font-semibold">
+                    {formatCurrency(
+                      calculations.cashFlows.reduce((sum, row) => sum + row.totalCashFlow, 0),
+                      true
+                    )}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          </table>
+          <p id="table-note" className="text-xs text-gray-600 mt-3">{t("cashFlows.comparisonNote")}</p>
+        </div>
+      )}
+      {showTable && !comparing && (
         <div className="overflow-x-auto">
           <table 
   id="bond-data-table" 
@@ -347,48 +1502,204 @@ function BondChart({ bondCalculations }) {
 >
 
             <caption className="sr-only">
-              Table showing bond cash flows: Initial purchase of {formatCurrency(bondCalculations.bondPrice)} at year 0, 
-              followed by {bondCalculations.periods} semi-annual coupon payments of {formatCurrency(bondCalculations.periodicCoupon)} each, 
-              plus principal repayment of {formatCurrency(100)} at maturity. 
-              Values in parentheses indicate cash outflows.
+              {t(schedule ? "cashFlows.captionPurchaseDated" : "cashFlows.captionPurchase", {
+                price: formatCurrency(bondCalculations.bondPrice),
+                date: schedule ? formatDate(bondCalculations.cashFlows[0].dateLabel) : "",
+              })}{" "}
+              {bondType === "zero"
+                ? t("cashFlows.captionZero", { faceValue: formatCurrency(bondCalculations.faceValue) })
+                : indexed
+                ? t("cashFlows.captionIndexed", {
+                    count: bondCalculations.periods,
+                    frequency: frequencyLabel(bondCalculations.frequency, t).toLocaleLowerCase(),
+                    coupon: formatCurrency(bondCalculations.cashFlows[1].realCoupon),
+                    principal: formatCurrency(bondCalculations.cashFlows[bondCalculations.cashFlows.length - 1].principalPayment),
+                  })
+                : bondType === "floating-rate"
+                ? t("cashFlows.captionFloating", {
+                    count: bondCalculations.periods,
+                    frequency: frequencyLabel(bondCalculations.frequency, t).toLocaleLowerCase(),
+                    first: formatCurrency(bondCalculations.periodicCoupon),
+                    last: formatCurrency(bondCalculations.cashFlows[bondCalculations.cashFlows.length - 1].couponPayment),
+                    principal: formatCurrency(bondCalculations.cashFlows[bondCalculations.cashFlows.length - 1].principalPayment),
+                  })
+                : bondType === "bullet"
+                ? t(worstShown ? "cashFlows.captionBulletRedeemed" : "cashFlows.captionBullet", {
+                    count: bondCalculations.periods,
+                    frequency: frequencyLabel(bondCalculations.frequency, t).toLocaleLowerCase(),
+                    coupon: formatCurrency(bondCalculations.periodicCoupon),
+                    principal: formatCurrency(bondCalculations.cashFlows[bondCalculations.cashFlows.length - 1].principalPayment),
+                  })
+                : t("cashFlows.captionAmortizing", {
+                    count: bondCalculations.periods,
+                    frequency: frequencyLabel(bondCalculations.frequency, t).toLocaleLowerCase(),
+                    faceValue: formatCurrency(bondCalculations.faceValue),
+                  })}{" "}
+              {worstShown && <>{t("cashFlows.captionWorst", { scenario: worstCase.label })} </>}
+              {credited && <>{t("cashFlows.captionCredit", { price: formatCurrency(credit.riskyPrice) })} </>}
+              {shocked && <>{t("cashFlows.captionShocks")} </>}
+              {t("cashFlows.captionOutflows")}
             </caption>
             <thead>
               <tr className="border-b-2 border-gray-300">
-                <th scope="col" className="text-left py-2 px-3 font-semibold">Period (Years)</th>
-                <th scope="col" className="text-right py-2 px-3 font-semibold">Coupon Payment</th>
-                <th scope="col" className="text-right py-2 px-3 font-semibold">Principal Payment</th>
-                <th scope="col" className="text-right py-2 px-3 font-semibold">Total Cash Flow</th>
-              </tr>
+                <th scope="col" className="text-left py-2 px-3 font-semibold">
+                  {schedule ? t("cashFlows.dateColumn") : t("cashFlows.periodColumn")}
+                </th>
+                <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.couponColumn")}</th>
+                <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.principalColumn")}</th>
+                <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.totalColumn")}</th>
+                {showOutstanding && (
+                  <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.outstandingColumn")}</th>
+                )}
+                {indexed && (
+                  <>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.indexRatioColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.realCouponColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.realPrincipalColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.realTotalColumn")}</th>
+                  </>
+                )}
+                {floating && (
+                  <>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.referenceRateColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.couponRateColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.discountRateColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.discountFactorColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.presentValueColumn")}</th>
+                  </>
+                )}
+                {spotCurve && (
+                  <>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.spotRateColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.discountFactorColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.presentValueColumn")}</th>
+                  </>
+                )}
+                {credited && (
+                  <>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.survivalColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.defaultProbabilityColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.exposureColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.expectedLossColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.expectedColumn")}</th>
+                    <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.riskyPresentValueColumn")}</th>
+                  </>
+                )}
+                {showBasePresentValue && (
+                  <th scope="col" className="text-right py-2 px-3 font-semibold">{t("cashFlows.presentValueColumn")}</th>
+                )}
+                {shocked &&
+                  shocks.scenarios.map(({ index, label }) => (
+                    <th key={index} scope="col" className="text-right py-2 px-3 font-semibold">{shockName(label)}</th>
+                  ))}
+              </tr>
             </thead>
             <tbody>
-              {bondCalculations.cashFlows.map((row, index) => (
+              {cashFlowRows.map((row, index) => (
                 <tr key={index} className="border-b border-gray-200 hover:bg-gray-50">
                   <th scope="row" className="text-left py-2 px-3 font-semibold">
-                    {row.yearLabel} {row.yearLabel === 1 ? 'year' : 'years'}
+                    {row.dateLabel ? (
+                      <>
+                        {formatDate(row.dateLabel)}{" "}
+                        <span className="font-normal text-gray-600">({formatDecimal(row.yearLabel, 3)})</span>
+                      </>
+                    ) : (
+                      formatYears(row.yearLabel)
+                    )}
                   </th>
                   <td className="text-right py-2 px-3">
                     {row.couponPayment !== 0 ? (
                       formatCurrency(row.couponPayment)
                     ) : (
-                      <span aria-label="No payment">—</span>
+                      <span aria-label={t("common.noPayment")}>—</span>
                     )}
                   </td>
                   <td className="text-right py-2 px-3">
                     {row.principalPayment !== 0 ? (
                       formatCurrency(row.principalPayment, true)
                     ) : (
-                      <span aria-label="No payment">—</span>
+                      <span aria-label={t("common.noPayment")}>—</span>
                     )}
                   </td>
                   <td className="text-right py-2 px-3 font-semibold">
                     {formatCurrency(row.totalCashFlow, true)}
                   </td>
+                  {showOutstanding && (
+                    <td className="text-right py-2 px-3">{formatCurrency(row.outstanding)}</td>
+                  )}
+                  {indexed && (
+                    <>
+                      <td className="text-right py-2 px-3">{formatNumber(row.indexRatio, 4)}</td>
+                      <td className="text-right py-2 px-3">
+                        {row.realCoupon !== 0 ? formatCurrency(row.realCoupon) : <span aria-label={t("common.noPayment")}>—</span>}
+                      </td>
+                      <td className="text-right py-2 px-3">
+                        {row.realPrincipal !== 0 ? (
+                          formatCurrency(row.realPrincipal, true)
+                        ) : (
+                          <span aria-label={t("common.noPayment")}>—</span>
+                        )}
+                      </td>
+                      <td className="text-right py-2 px-3 font-semibold">{formatCurrency(row.realTotal, true)}</td>
+                    </>
+                  )}
+                  {floating && (
+                    <>
+                      {["referenceRate", "couponRate", "discountRate"].map((field) => (
+                        <td key={field} className="text-right py-2 px-3">
+                          {row[field] === null ? (
+                            <span aria-label={t("cashFlows.notDiscounted")}>—</span>
+                          ) : (
+                            formatPercent(row[field], 3)
+                          )}
+                        </td>
+                      ))}
+                      <td className="text-right py-2 px-3">{formatNumber(row.discountFactor, 6)}</td>
+                      <td className="text-right py-2 px-3">{formatCurrency(row.presentValue, true)}</td>
+                    </>
+                  )}
+                  {spotCurve && (
+                    <>
+                      <td className="text-right py-2 px-3">
+                        {row.spotRate === null ? (
+                          <span aria-label={t("cashFlows.notDiscounted")}>—</span>
+                        ) : (
+                          formatPercent(row.spotRate, 3)
+                        )}
+                      </td>
+                      <td className="text-right py-2 px-3">{formatNumber(row.discountFactor, 6)}</td>
+                      <td className="text-right py-2 px-3">{formatCurrency(row.presentValue, true)}</td>
+                    </>
+                  )}
+                  {credited && (
+                    <>
+                      <td className="text-right py-2 px-3">{formatPercent(row.survival, 2)}</td>
+                      {row.defaultProbability === null ? (
+                        <td className="text-right py-2 px-3" colSpan={3}>
+                          <span aria-label={t("cashFlows.noDefault")}>—</span>
+                        </td>
+                      ) : (
+                        <>
+                          <td className="text-right py-2 px-3">{formatPercent(row.defaultProbability, 3)}</td>
+                          <td className="text-right py-2 px-3">{formatCurrency(row.exposure)}</td>
+                          <td className="text-right py-2 px-3">{formatCurrency(row.expectedLoss)}</td>
+                        </>
+                      )}
+                      <td className="text-right py-2 px-3 font-semibold">{formatCurrency(row.expectedFlow, true)}</td>
+                      <td className="text-right py-2 px-3">{formatCurrency(row.riskyPresentValue, true)}</td>
+                    </>
+                  )}
+                  {shockFields.map((field) => (
+                    <td key={field} className="text-right py-2 px-3">
+                      {index === 0 ? <span aria-label={t("cashFlows.notDiscounted")}>—</span> : formatCurrency(row[field], true)}
+                    </td>
+                  ))}
                 </tr>
               ))}
             </tbody>
             <tfoot>
               <tr className="border-t-2 border-gray-300 bg-gray-50">
-                <th scope="row" className="text-left py-2 px-3 font-semibold">Total</th>
+                <th scope="row" className="text-left py-2 px-3 font-semibold">{t("common.total")}</th>
                 <td className="text-right py-2 px-3 font-semibold">
                   {formatCurrency(
                     bondCalculations.cashFlows.reduce((sum, row) => sum + row.couponPayment, 0)
@@ -406,11 +1717,82 @@ function BondChart({ bondCalculations }) {
                     true
                   )}
                 </td>
+                {showOutstanding && <td className="py-2 px-3"></td>}
+                {indexed && (
+                  <>
+                    <td className="py-2 px-3"></td>
+                    {["realCoupon", "realPrincipal", "realTotal"].map((field) => (
+                      <td key={field} className="text-right py-2 px-3 font-semibold">
+                        {formatCurrency(
+                          bondCalculations.cashFlows.reduce((sum, row) => sum + row[field], 0),
+                          field !== "realCoupon"
+                        )}
+                      </td>
+                    ))}
+                  </>
+                )}
+                {floating && (
+                  <>
+                    <td className="py-2 px-3" colSpan={4}></td>
+                    <td className="text-right py-2 px-3 font-semibold">
+                      {formatCurrency(
+                        bondCalculations.cashFlows.reduce((sum, row) => sum + row.presentValue, 0),
+                        true
+                      )}
+                    </td>
+                  </>
+                )}
+                {spotCurve && (
+                  <>
+                    <td className="py-2 px-3"></td>
+                    <td className="py-2 px-3"></td>
+                    <td className="text-right py-2 px-3 font-semibold">
+                      {formatCurrency(
+                        bondCalculations.cashFlows.reduce((sum, row) => sum + row.presentValue, 0),
+                        true
+                      )}
+                    </td>
+                  </>
+                )}
+                {credited && (
+                  <>
+                    <td className="py-2 px-3" colSpan={3}></td>
+                    <td className="text-right py-2 px-3 font-semibold">{formatCurrency(credit.expectedLoss)}</td>
+                    {["expectedFlow", "riskyPresentValue"].map((field) => (
+                      <td key={field} className="text-right py-2 px-3 font-semibold">
+                        {formatCurrency(
+                          cashFlowRows.reduce((sum, row) => sum + row[field], 0),
+                          true
+                        )}
+                      </td>
+                    ))}
+                  </>
+                )}
+                {shockFields.map((field) => (
+                  <td key={field} className="text-right py-2 px-3 font-semibold">
+                    {formatCurrency(
+                      cashFlowRows.reduce((sum, row) => sum + (row[field] ?? 0), 0),
+                      true
+                    )}
+                  </td>
+                ))}
               </tr>
             </tfoot>
           </table>
           <p id="table-note" className="text-xs text-gray-600 mt-3">
-            Note: Values in parentheses indicate negative cash flows (outflows).
+            {t("cashFlows.note")}
+            {indexed && <> {t("cashFlows.indexedNote")}</>}
+            {credited && <> {t("cashFlows.creditNote")}</>}
+            {shocked && <> {t("cashFlows.shocksNote")}</>}
+            {schedule && bondCalculations.accrualFraction > 0 && (
+              <>
+                {" "}
+                {t("cashFlows.fractionalPeriod", {
+                  fraction: formatNumber(1 - bondCalculations.accrualFraction, 4),
+                  date: formatDate(schedule.couponDates[0]),
+                })}
+              </>
+            )}
           </p>
         </div>
       )}
@@ -419,201 +1801,3351 @@ function BondChart({ bondCalculations }) {
 }
 
 // ============================
-// MAIN APP
+// EXPORT
 // ============================
-export default function App() {
-  const faceValue = 100;
-  const frequency = 2;
-  const [couponRate, setCouponRate] = useState(8.6);
-  const [ytm, setYtm] = useState(6.5);
-  const [years, setYears] = useState(5);
+function ExportSection({ bondCalculations, assumptions }) {
+  const { t } = useLocale();
+  const download = (content, type, fileName) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-  useEffect(() => {
-    const approxEq = (a, b, tol = 0.01) => Math.abs(a - b) <= tol;
-    const t1 = computeBondPrice({ faceValue: 100, couponRate: 6, ytm: 6, years: 5, frequency: 2 });
-    console.assert(approxEq(t1.price, 100, 0.2), "Test 1 failed: par pricing should be about 100");
-    const t2 = computeBondPrice({ faceValue: 100, couponRate: 8, ytm: 6, years: 5, frequency: 2 });
-    console.assert(t2.price > 100, "Test 2 failed: price should be premium (>100)");
-    const t3 = computeBondPrice({ faceValue: 100, couponRate: 4, ytm: 6, years: 5, frequency: 2 });
-    console.assert(t3.price < 100, "Test 3 failed: price should be discount (<100)");
-  }, []);
+  const rows = () => buildReportRows(bondCalculations, assumptions, t);
+  const buttonClass = "px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300";
+
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-2 print:hidden" role="group" aria-label={t("export.label")}>
+      <span className="text-gray-700 text-sm mr-1">{t("export.heading")}</span>
+      {/* The byte-order mark lets Excel read the CSV as UTF-8 */}
+      <button onClick={() => download(`\uFEFF${toCSV(rows())}`, "text/csv;charset=utf-8", "bond-cash-flows.csv")} className={buttonClass}>
+        CSV
+      </button>
+      <button
+        onClick={() =>
+          download(
+            toXLSX(rows(), t("report.sheetName")),
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            "bond-cash-flows.xlsx"
+          )
+        }
+        className={buttonClass}
+      >
+        {t("export.excel")}
+      </button>
+      <button onClick={() => window.print()} className={buttonClass}>
+        {t("export.print")}
+      </button>
+      <span className="text-xs text-gray-600">{t("export.note")}</span>
+    </div>
+  );
+}
+
+// ============================
+// PULL TO PAR
+// ============================
+function PullToParChart({ bondTerms, ytm, step, onStepChange }) {
+  const { t, formatCurrency, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const [playing, setPlaying] = useState(false);
+  const controlsRef = useRef(null);
+
+  // Stop a running animation when the card unmounts
+  useEffect(() => () => controlsRef.current?.stop(), []);
+
+  const { faceValue, bondType } = bondTerms;
+  const couponRate = bondType === "zero" ? 0 : bondTerms.couponRate;
+  // The same bond two points either side of its coupon, so both convergence paths are visible
+  const scenarios = [
+    { key: "current", ytm, color: colors.presentValue, width: 3 },
+    { key: "premium", ytm: Math.max(couponRate - 2, 0), color: colors.primary, width: 1.5 },
+    { key: "discount", ytm: couponRate + 2, color: colors.orange, width: 1.5 },
+  ].map((scenario) => {
+    const trajectory = buildPriceTrajectory({ ...bondTerms, ytm: scenario.ytm });
+    const key = scenario.key === "current" ? "current" : parStatus(trajectory[0].price, faceValue).toLowerCase();
+    const name = t(`pullToPar.case.${key}`, { ytm: formatPercent(scenario.ytm, 2) });
+    return { ...scenario, name, trajectory };
+  });
 
-  const validateInputs = () => {
-    const errors = {};
-    if (couponRate < 0 || couponRate > 10) errors.couponRate = "Coupon rate must be between 0% and 10%";
-    if (ytm < 0 || ytm > 10) errors.ytm = "Yield-to-maturity must be between 0% and 10%";
-    if (years < 1 || years > 5) errors.years = "Years-to-maturity must be between 1 and 5";
-    return errors;
+  const periods = scenarios[0].trajectory.length - 1;
+  const current = scenarios[0].trajectory[Math.min(step, periods)];
+  const data = scenarios[0].trajectory.map(({ years, par }, k) => ({
+    years,
+    par,
+    ...Object.fromEntries(scenarios.map(({ key, trajectory }) => [key, trajectory[k].price])),
+  }));
+
+  const stop = () => {
+    controlsRef.current?.stop();
+    setPlaying(false);
   };
 
-  const inputErrors = validateInputs();
+  const handlePlay = () => {
+    if (playing) return stop();
+    const from = step >= periods ? 0 : step;
+    setPlaying(true);
+    controlsRef.current = animate(from, periods + 0.999, {
+      duration: Math.max((periods - from) * 0.35, 0.5),
+      ease: "linear",
+      onUpdate: (value) => onStepChange(Math.min(Math.floor(value), periods)),
+      onComplete: () => setPlaying(false),
+    });
+  };
 
-  const bondCalculations = useMemo(() => {
-    if (Object.keys(inputErrors).length > 0) return null;
-    const periods = years * frequency;
-    const periodicCouponRate = couponRate / 100 / frequency;
-    const periodicYield = ytm / 100 / frequency;
-    const periodicCoupon = faceValue * periodicCouponRate;
+  return (
+    <>
+      <p className="text-sm text-gray-700 mb-3">{t("pullToPar.intro")}</p>
 
-    let pvCoupons = 0;
-    for (let t = 1; t <= periods; t++) {
-      pvCoupons += periodicCoupon / Math.pow(1 + periodicYield, t);
-    }
-    const pvFaceValue = faceValue / Math.pow(1 + periodicYield, periods);
-    const bondPrice = pvCoupons + pvFaceValue;
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <button
+          onClick={handlePlay}
+          className="px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700"
+          aria-pressed={playing}
+        >
+          {playing ? t("pullToPar.pause") : step >= periods ? t("pullToPar.replay") : t("pullToPar.play")}
+        </button>
+        <label htmlFor="pullToParStep" className="text-sm text-gray-700">{t("pullToPar.couponsPaid")}</label>
+        <input
+          id="pullToParStep"
+          type="range"
+          min="0"
+          max={periods}
+          step="1"
+          value={Math.min(step, periods)}
+          onChange={(e) => {
+            stop();
+            onStepChange(+e.target.value);
+          }}
+          className="flex-1 min-w-32"
+          aria-valuetext={t("pullToPar.stepValue", { step: Math.min(step, periods), count: periods })}
+        />
+        <span className="text-sm font-semibold w-16 text-right">
+          {Math.min(step, periods)} / {periods}
+        </span>
+      </div>
 
-    const cashFlows = [
-      { period: 0, yearLabel: 0, couponPayment: 0, principalPayment: -bondPrice, totalCashFlow: -bondPrice },
-    ];
+      <div className="h-72" role="img" aria-label={t("pullToPar.chartLabel")}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data} margin={{ top: 10, right: 30, left: 20, bottom: 30 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="years"
+              type="number"
+              domain={[0, "dataMax"]}
+              tickFormatter={(value) => formatDecimal(value, 2)}
+              label={{ value: t("pullToPar.yearsAxis"), position: "insideBottom", offset: -15 }}
+            />
+            <YAxis tickFormatter={(value) => formatCurrency(value)} domain={["auto", "auto"]} width={80} />
+            <Tooltip
+              formatter={(value) => formatCurrency(value)}
+              labelFormatter={(value) => t("common.years", { count: value, value: formatDecimal(value, 3) })}
+            />
+            <Line type="stepAfter" dataKey="par" name={t("pullToPar.outstanding")} stroke={colors.mint} strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+            {scenarios.map(({ key, name, color, width }) => (
+              <Line key={key} type="monotone" dataKey={key} name={name} stroke={color} strokeWidth={width} dot={false} isAnimationActive={false} />
+            ))}
+            <ReferenceLine x={current.years} stroke={colors.darkText} strokeDasharray="3 3" />
+            <ReferenceDot x={current.years} y={current.price} r={6} fill={colors.presentValue} stroke="white" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
 
-    for (let t = 1; t <= periods; t++) {
-      const couponPayment = periodicCoupon;
-      const principalPayment = t === periods ? faceValue : 0;
-      const totalCashFlow = couponPayment + principalPayment;
-      cashFlows.push({
-        period: t,
-        yearLabel: t / frequency,
-        couponPayment,
-        principalPayment,
-        totalCashFlow,
-      });
-    }
+      <div className="flex flex-wrap gap-4 text-xs mt-2">
+        {scenarios.map(({ key, name, color }) => (
+          <span key={key} className="flex items-center">
+            <span className="w-4 h-1 mr-2" style={{ backgroundColor: color }}></span>
+            {name}
+          </span>
+        ))}
+        <span className="flex items-center">
+          <span className="w-4 h-0 mr-2 border-t-2 border-dashed" style={{ borderColor: colors.mint }}></span>
+          {t("pullToPar.outstanding")}
+        </span>
+      </div>
 
-    return { bondPrice, periodicCoupon, periodicYield, periods, cashFlows, pvCoupons, pvFaceValue };
-  }, [couponRate, ytm, years, inputErrors]);
+      <p className="text-sm text-gray-700 mt-3" aria-live={playing ? "off" : "polite"} aria-atomic="true">
+        {current.step === 0
+          ? t("pullToPar.atSettlement", { price: formatCurrency(current.price), par: formatCurrency(current.par) })
+          : t("pullToPar.afterCoupons", {
+              step: current.step,
+              periods,
+              years: t("common.years", { count: current.years, value: formatDecimal(current.years, 3) }),
+              price: formatCurrency(current.price),
+              par: formatCurrency(current.par),
+              count: current.remaining,
+            })}
+      </p>
+    </>
+  );
+}
 
-  const couponErrId = "couponError";
-  const ytmErrId = "ytmError";
-  const yearsErrId = "yearsError";
+// ============================
+// HORIZON RETURN
+// ============================
+function HorizonSection({ bondCalculations, ytm, limits }) {
+  const { t, formatCurrency, formatNumber, formatPercent } = useLocale();
+  const colors = useColors();
+  const [horizonYears, setHorizonYears] = useState(3);
+  const [reinvestmentRate, setReinvestmentRate] = useState(() => +ytm.toFixed(2));
+  const [exitYield, setExitYield] = useState(() => +ytm.toFixed(2));
+  const { cashFlows, bondPrice, frequency } = bondCalculations;
+
+  const errors = {};
+  const { horizonRate } = limits;
+  const rateRange = { min: formatPercent(horizonRate.min, 0), max: formatPercent(horizonRate.max, 0) };
+  if (!(horizonYears > 0) || horizonYears > limits.horizonYears)
+    errors.horizon = t("horizon.errors.horizon", { max: limits.horizonYears });
+  if (!(reinvestmentRate >= horizonRate.min && reinvestmentRate <= horizonRate.max))
+    errors.reinvestment = t("horizon.errors.reinvestment", rateRange);
+  if (!(exitYield >= horizonRate.min && exitYield <= horizonRate.max)) errors.exit = t("horizon.errors.exit", rateRange);
+  const valid = Object.keys(errors).length === 0;
+
+  const result = valid
+    ? analyzeHorizonReturn({ cashFlows, price: bondPrice, frequency, horizonYears, reinvestmentRate, exitYield })
+    : null;
+
+  const breakdown = result
+    ? [
+        { name: t("horizon.couponIncome"), value: result.couponIncome, color: colors.coupon },
+        { name: t("horizon.interestOnInterest"), value: result.interestOnInterest, color: colors.purple },
+        {
+          name: result.capitalGain >= 0 ? t("horizon.capitalGain") : t("horizon.capitalLoss"),
+          value: result.capitalGain,
+          color: colors.mint,
+        },
+      ]
+    : [];
+
+  const inputClass = (error) =>
+    `block w-full rounded-md shadow-sm px-2 py-2 text-sm ${error ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`;
+  const fields = [
+    { id: "horizonYears", label: t("horizon.horizon"), unit: t("horizon.yearsUnit"), value: horizonYears, onChange: setHorizonYears, step: "0.5", min: 0, max: limits.horizonYears, error: errors.horizon },
+    { id: "reinvestmentRate", label: t("horizon.reinvestmentRate"), unit: "%", value: reinvestmentRate, onChange: setReinvestmentRate, step: "0.1", ...horizonRate, error: errors.reinvestment },
+    { id: "exitYield", label: t("horizon.exitYield"), unit: "%", value: exitYield, onChange: setExitYield, step: "0.1", ...horizonRate, error: errors.exit },
+  ];
 
   return (
-    <div className="min-h-screen bg-gray-50 p-6 font-sans">
-      <main className="max-w-7xl mx-auto space-y-6">
-        <Card title="Bond Valuation Equation">
-          <p className="mb-4 text-sm text-gray-700">Equation 6 shows the price of a coupon bond expressed as:</p>
-          <EquationSection />
-        </Card>
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="space-y-3">
+        {fields.map(({ id, label, unit, value, onChange, step, min, max, error }) => (
+          <div key={id}>
+            <label htmlFor={id} className="font-medium text-gray-700 text-sm">
+              {label} <span className="font-normal">({unit})</span>
+            </label>
+            <input
+              id={id}
+              type="number"
+              step={step}
+              min={min}
+              max={max}
+              value={value}
+              onChange={(e) => onChange(+e.target.value)}
+              className={inputClass(error)}
+              aria-invalid={!!error}
+              aria-describedby={error ? `${id}Error` : undefined}
+            />
+            {error && <p id={`${id}Error`} className="text-xs text-red-700 mt-1">{error}</p>}
+          </div>
+        ))}
+        <button
+          onClick={() => {
+            setReinvestmentRate(+ytm.toFixed(2));
+            setExitYield(+ytm.toFixed(2));
+          }}
+          className="px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+        >
+          {t("horizon.useYtm", { ytm: formatPercent(ytm, 2) })}
+        </button>
+        <p className="text-xs text-gray-600">
+          {t("horizon.durationNote", { duration: formatNumber(bondCalculations.riskMeasures.macaulayDuration, 2) })}
+        </p>
+      </div>
 
-        {bondCalculations && (
-          <div className="grid grid-cols-6 gap-6">
-            <div className="col-span-6 sm:col-span-2">
-              <Card title="Results and Analysis">
-                <MiscSection
-                  bondCalculations={bondCalculations}
-                  faceValue={faceValue}
-                  couponRate={couponRate}
-                  ytm={ytm}
-                  years={years}
-                />
-              </Card>
-            </div>
-            <div className="col-span-6 sm:col-span-4">
-              <Card title="Bond Cash Flows">
-                <BondChart bondCalculations={bondCalculations} />
-              </Card>
-            </div>
+      {result && (
+        <>
+          <div>
+            <dl className="text-sm grid grid-cols-2 gap-x-3 gap-y-1" aria-live="polite">
+              <dt>{t("horizon.pricePaid")}</dt>
+              <dd className="text-right font-semibold">{formatCurrency(bondPrice)}</dd>
+              <dt>{t("horizon.reinvested")}</dt>
+              <dd className="text-right font-semibold">{formatCurrency(result.reinvestedValue)}</dd>
+              <dt>{t("horizon.salePrice")}</dt>
+              <dd className="text-right font-semibold">
+                {result.flowsSold > 0 ? (
+                  formatCurrency(result.salePrice)
+                ) : (
+                  <span aria-label={t("horizon.notApplicable")}>{t("horizon.heldToMaturity")}</span>
+                )}
+              </dd>
+              <dt>{t("horizon.totalValue")}</dt>
+              <dd className="text-right font-semibold">{formatCurrency(result.totalValue)}</dd>
+              <dt className="pt-2 border-t">{t("horizon.totalReturn")}</dt>
+              <dd className="pt-2 border-t text-right font-semibold">{formatPercent(result.totalReturn, 4)}</dd>
+              <dt>{t("horizon.horizonYield")}</dt>
+              <dd className="text-right font-semibold" style={{ color: colors.yield }}>{formatPercent(result.horizonYield, 4)}</dd>
+              <dd className="col-span-2 text-xs text-gray-600">
+                {t("horizon.compounding", {
+                  compounding: frequencyLabel(frequency, t).toLocaleLowerCase(),
+                  ytm: formatPercent(ytm, 4),
+                })}
+                {result.principalReceived > 0 && result.flowsSold > 0 &&
+                  ` ${t("horizon.principalBefore", { amount: formatCurrency(result.principalReceived) })}`}
+              </dd>
+            </dl>
           </div>
-        )}
 
-        <Card title="Bond Cash Flow Calculator">
-          <div className="mb-4 p-3 bg-blue-50 rounded-lg text-sm">
-            <div className="flex flex-wrap justify-between items-center gap-x-8 gap-y-2">
-              <div className="flex items-center">
-                <span className="text-gray-700 mr-2">Face value:</span>
-                <span className="font-semibold">{formatCurrency(faceValue)}</span>
-              </div>
-              <div className="flex items-center">
-                <span className="text-gray-700 mr-2">Payment frequency:</span>
-                <span className="font-semibold">Semi-annual</span>
-              </div>
+          <div>
+            <h5 className="font-semibold text-sm text-gray-800 mb-2">{t("horizon.sources")}</h5>
+            <table className="w-full text-sm">
+              <caption className="sr-only">{t("horizon.sourcesCaption")}</caption>
+              <tbody>
+                {breakdown.map(({ name, value, color }) => (
+                  <tr key={name} className="border-b border-gray-200">
+                    <th scope="row" className="text-left font-normal py-1">
+                      <span className="inline-block w-3 h-3 mr-2 rounded align-middle" style={{ backgroundColor: color }}></span>
+                      {name}
+                    </th>
+                    <td className="text-right py-1">{formatCurrency(value, true)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <th scope="row" className="text-left font-semibold py-1">{t("horizon.totalDollarReturn")}</th>
+                  <td className="text-right font-semibold py-1">{formatCurrency(result.totalValue - bondPrice, true)}</td>
+                </tr>
+              </tbody>
+            </table>
+            <div className="h-40 mt-2" aria-hidden="true">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={breakdown} layout="vertical" margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <XAxis type="number" tickFormatter={(value) => formatCurrency(value)} />
+                  <YAxis type="category" dataKey="name" width={120} tick={{ fontSize: 11 }} />
+                  <ReferenceLine x={0} stroke="#333" />
+                  <Bar dataKey="value" isAnimationActive={false}>
+                    {breakdown.map(({ name, color }) => (
+                      <Cell key={name} fill={color} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
             </div>
           </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-          <div className="space-y-4">
-            <p className="text-xs text-gray-600"><span className="text-red-500 ml-1">*</span> Required fields</p>
-            
-            <div className="flex flex-wrap items-end gap-x-6 gap-y-4" aria-describedby="inputHelp">
-              <div className="flex items-center gap-2">
-                <label htmlFor="coupon" className="font-medium text-gray-700 text-sm">
-                  Coupon rate <span className="text-gray-500 font-normal">(0 - 10)</span> <span className="text-red-500 ml-1">*</span>
-                </label>
-                <div className="relative w-24">
-                  <input
-                    id="coupon"
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    max="10"
-                    value={couponRate}
-                    onChange={(e) => setCouponRate(+e.target.value)}
-                    className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm pr-6 ${inputErrors.couponRate ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
-                    aria-required="true"
-                    aria-invalid={!!inputErrors.couponRate}
-                    aria-describedby={inputErrors.couponRate ? couponErrId : undefined}
-                  />
-                  <span className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 text-sm">%</span>
-                </div>
-              </div>
-              {inputErrors.couponRate && (
-                <p id={couponErrId} className="text-xs text-red-700 w-full">{inputErrors.couponRate}</p>
-              )}
+// ============================
+// SENSITIVITY GRID
+// ============================
+const GRID_LAYOUTS = ["coupon-ytm", "ytm-maturity"];
 
-              <div className="flex items-center gap-2">
-                <label htmlFor="ytm" className="font-medium text-gray-700 text-sm">
-                  Yield-to-maturity <span className="text-gray-500 font-normal">(0 - 10)</span> <span className="text-red-500 ml-1">*</span>
-                </label>
-                <div className="relative w-24">
-                  <input
-                    id="ytm"
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    max="10"
-                    value={ytm}
-                    onChange={(e) => setYtm(+e.target.value)}
-                    className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm pr-6 ${inputErrors.ytm ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
-                    aria-required="true"
-                    aria-invalid={!!inputErrors.ytm}
-                    aria-describedby={inputErrors.ytm ? ytmErrId : undefined}
-                  />
-                  <span className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 text-sm">%</span>
-                </div>
-              </div>
-              {inputErrors.ytm && (
-                <p id={ytmErrId} className="text-xs text-red-700 w-full">{inputErrors.ytm}</p>
-              )}
+// Cell shading: hue by premium/par/discount, strength by how far the price is from par
+const gridCellColor = (premiumPercent, status) => {
+  const alpha = Math.min(0.12 + Math.abs(premiumPercent) / 25, 0.6).toFixed(2);
+  if (status === "Premium") return `rgba(68, 118, 255, ${alpha})`;
+  if (status === "Discount") return `rgba(234, 121, 45, ${alpha})`;
+  return "rgba(73, 178, 184, 0.35)";
+};
 
-              <div className="flex items-center gap-2">
-                <label htmlFor="years" className="font-medium text-gray-700 text-sm">
-                  Years-to-maturity <span className="text-gray-500 font-normal">(1 - 5)</span> <span className="text-red-500 ml-1">*</span>
-                </label>
-                <div className="w-24">
-                  <input
-                    id="years"
-                    type="number"
-                    step="0.5"
-                    min="1"
-                    max="5"
-                    value={years}
-                    onChange={(e) => setYears(+e.target.value)}
-                    className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${inputErrors.years ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
-                    aria-required="true"
-                    aria-invalid={!!inputErrors.years}
-                    aria-describedby={inputErrors.years ? yearsErrId : undefined}
-                  />
-                </div>
+function SensitivitySection({ bondTerms, ytm, useDates, limits, onSelect }) {
+  const { t, formatCurrency, formatDecimal, formatPercent } = useLocale();
+  const [layout, setLayout] = useState("coupon-ytm");
+  const [display, setDisplay] = useState("price");
+  const { faceValue, bondType } = bondTerms;
+
+  // The grid varies a fixed coupon and a single yield, neither of which a floating-rate note has
+  if (bondType === "floating-rate") {
+    return <p className="text-sm text-gray-700">{t("sensitivity.unavailableFloating")}</p>;
+  }
+  // A linker's index ratios are fixed to its payment dates, so neither its yield basis nor its term can be varied alone
+  if (bondType === "inflation-linked") {
+    return <p className="text-sm text-gray-700">{t("sensitivity.unavailableIndexed")}</p>;
+  }
+
+  // Coupons do not vary for a zero, and maturity is fixed by the dates in settlement-date mode
+  const available = GRID_LAYOUTS.filter((value) => (value === "coupon-ytm" ? bondType !== "zero" : !useDates));
+  const activeLayout = available.includes(layout) ? layout : available[0];
+  if (!activeLayout) {
+    return <p className="text-sm text-gray-700">{t("sensitivity.unavailable")}</p>;
+  }
+
+  const current = { couponRate: bondTerms.couponRate, ytm, years: bondTerms.years };
+  const rateSteps = (field) => centeredSteps({ center: current[field], step: 0.5, count: 9, ...limits[field] });
+  const [rowField, columnField] = activeLayout === "coupon-ytm" ? ["couponRate", "ytm"] : ["ytm", "years"];
+  const axisValues = (field) =>
+    field === "years"
+      ? centeredSteps({ center: current.years, step: 1, count: 5, ...limits.years })
+      : rateSteps(field);
+  const grid = buildPriceGrid({
+    ...bondTerms,
+    ytm,
+    rows: { field: rowField, values: axisValues(rowField) },
+    columns: { field: columnField, values: axisValues(columnField) },
+  });
+
+  const isCurrent = (field, value) => Math.abs(current[field] - value) < 1e-9;
+  const formatCell = ({ cleanPrice, premiumPercent }) =>
+    display === "price" ? formatCurrency(cleanPrice) : formatPercent(premiumPercent, 2, true);
+  const fieldLabels = {
+    couponRate: { title: t("sensitivity.field.couponRate"), format: (value) => formatPercent(value, 2) },
+    ytm: { title: t("sensitivity.field.ytm"), format: (value) => formatPercent(value, 2) },
+    years: { title: t("sensitivity.field.years"), format: (value) => t("sensitivity.yearsShort", { value: formatDecimal(value, 2) }) },
+  };
+  const rowLabel = fieldLabels[rowField];
+  const columnLabel = fieldLabels[columnField];
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-3">
+        <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("sensitivity.axes")}>
+          <span className="text-gray-700 text-sm mr-1">{t("sensitivity.vary")}</span>
+          {GRID_LAYOUTS.map((value) => (
+            <button
+              key={value}
+              onClick={() => setLayout(value)}
+              disabled={!available.includes(value)}
+              className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                activeLayout === value ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+              aria-pressed={activeLayout === value}
+            >
+              {t(`sensitivity.layout.${value}`)}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("sensitivity.cellValues")}>
+          <span className="text-gray-700 text-sm mr-1">{t("sensitivity.show")}</span>
+          {[
+            { value: "price", label: t("sensitivity.cleanPrice") },
+            { value: "premium", label: t("sensitivity.premium") },
+          ].map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setDisplay(value)}
+              className={`px-3 py-1 text-sm rounded transition-colors ${
+                display === value ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+              aria-pressed={display === value}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="text-xs border-collapse mx-auto">
+          <caption className="sr-only">
+            {t(display === "price" ? "sensitivity.captionPrice" : "sensitivity.captionPremium", {
+              rows: rowLabel.title.toLocaleLowerCase(),
+              columns: columnLabel.title.toLocaleLowerCase(),
+            })}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" className="p-1 text-left font-semibold text-gray-700">
+                {rowLabel.title} ↓ / {columnLabel.title} →
+              </th>
+              {grid[0].cells.map(({ value }) => (
+                <th
+                  key={value}
+                  scope="col"
+                  className={`p-1 text-center font-semibold ${isCurrent(columnField, value) ? "text-blue-700" : "text-gray-700"}`}
+                >
+                  {columnLabel.format(value)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.map((row) => (
+              <tr key={row.value}>
+                <th scope="row" className={`p-1 text-right font-semibold ${isCurrent(rowField, row.value) ? "text-blue-700" : "text-gray-700"}`}>
+                  {rowLabel.format(row.value)}
+                </th>
+                {row.cells.map((cell) => {
+                  const status = parStatus(cell.cleanPrice, faceValue);
+                  const selected = isCurrent(rowField, row.value) && isCurrent(columnField, cell.value);
+                  return (
+                    <td key={cell.value} className="p-0.5">
+                      <button
+                        onClick={() => onSelect({ [rowField]: row.value, [columnField]: cell.value })}
+                        className={`w-full min-w-20 px-2 py-1.5 rounded text-gray-900 hover:ring-2 hover:ring-gray-400 ${
+                          selected ? "ring-2 ring-offset-1 ring-gray-900 font-bold" : ""
+                        }`}
+                        style={{ backgroundColor: gridCellColor(cell.premiumPercent, status) }}
+                        aria-current={selected ? "true" : undefined}
+                        aria-label={t(selected ? "sensitivity.cellCurrent" : "sensitivity.cell", {
+                          row: `${rowLabel.title} ${rowLabel.format(row.value)}`,
+                          column: `${columnLabel.title} ${columnLabel.format(cell.value)}`,
+                          price: formatCurrency(cell.cleanPrice),
+                          status: t(`status.${status.toLowerCase()}`).toLocaleLowerCase(),
+                        })}
+                      >
+                        {formatCell(cell)}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs mt-3 justify-center">
+        {["Premium", "Par", "Discount"].map((status) => (
+          <span key={status} className="flex items-center">
+            <span className="w-4 h-4 mr-2 rounded" style={{ backgroundColor: gridCellColor(status === "Par" ? 0 : 10, status) }}></span>
+            {t(`status.${status.toLowerCase()}`)}
+          </span>
+        ))}
+        <span className="flex items-center">
+          <span className="w-4 h-4 mr-2 rounded ring-2 ring-gray-900"></span>
+          {t("sensitivity.currentInputs")}
+        </span>
+      </div>
+    </>
+  );
+}
+
+// ============================
+// SCENARIO ANALYSIS
+// ============================
+// Named yield-curve shocks, each repriced against the unshocked bond. The shocks are kept apart from
+// any one bond's inputs so the same stress set can be saved once and run against whichever bond is
+// selected.
+const createShock = (overrides = {}) => ({
+  name: "",
+  kind: "parallel",
+  shift: 100,
+  shortTenor: 2,
+  shortShift: -25,
+  longTenor: 10,
+  longShift: 25,
+  points: KEY_TENORS.map((tenor) => ({ tenor, shift: 0 })),
+  ...overrides,
+});
+
+// ±100 bp parallel moves, then a 2s10s steepener and flattener
+const standardShocks = () => [
+  createShock({ shift: 100 }),
+  createShock({ shift: -100 }),
+  createShock({ kind: "twist" }),
+  createShock({ kind: "twist", shortShift: 25, longShift: -25 }),
+];
+
+// Chart and table color of the shock at a position, from the (possibly host-themed) palette
+const shockColor = (colors, index) => [colors.orange, colors.purple, colors.mint, colors.primary, colors.darkText][index % 5];
+
+// An unnamed shock is described by its shape, in the reader's language
+const shockLabel = (shock, { t, formatDecimal }) => {
+  if (shock.name.trim()) return shock.name.trim();
+  const bp = (value) => `${value > 0 ? "+" : ""}${formatDecimal(value, 2)}`;
+  const tenor = (value) => t("sensitivity.yearsShort", { value: formatDecimal(value) });
+  if (shock.kind === "twist") {
+    return t(shock.longShift >= shock.shortShift ? "shocks.label.steepener" : "shocks.label.flattener", {
+      short: tenor(shock.shortTenor),
+      long: tenor(shock.longTenor),
+      shortShift: bp(shock.shortShift),
+      longShift: bp(shock.longShift),
+    });
+  }
+  if (shock.kind === "custom") return t("shocks.label.custom");
+  return t("shocks.label.parallel", { shift: bp(shock.shift) });
+};
+
+function ShockSection({ shocks, onChange, shockAnalysis, errors, overlay, onOverlayChange, saving = true }) {
+  const localeValue = useLocale();
+  const { t, locale, formatCurrency, formatDecimal, formatPercent } = localeValue;
+  const colors = useColors();
+  const [saved, setSaved] = useState(() => (saving ? readStressSets(createShock(), globalThis.localStorage, fallbackNames(t)) : []));
+  const [newName, setNewName] = useState("");
+  const [status, setStatus] = useState({ text: "", error: false });
+
+  const report = (text, error = false) => setStatus({ text, error });
+
+  const updateSaved = (list) => {
+    setSaved(list);
+    if (!writeStressSets(list)) report(t("shocks.storageFailed"), true);
+  };
+
+  const updateShock = (index, changes) => onChange(shocks.map((shock, i) => (i === index ? { ...shock, ...changes } : shock)));
+  const updatePoint = (index, tenor, shift) =>
+    updateShock(index, { points: shocks[index].points.map((point) => (point.tenor === tenor ? { ...point, shift } : point)) });
+
+  const handleSave = () => {
+    const name = newName.trim() || t("shocks.defaultName", { number: saved.length + 1 });
+    updateSaved([...saved, { id: `${Date.now()}`, name, savedAt: new Date().toISOString(), shocks }]);
+    setNewName("");
+    report(t("shocks.saved", { name }));
+  };
+
+  const handleApply = ({ name, shocks: list }) => {
+    onChange(list);
+    report(t("shocks.applied", { name }));
+  };
+
+  const handleDelete = ({ id, name }) => {
+    updateSaved(saved.filter((entry) => entry.id !== id));
+    report(t("saved.deleted", { name }));
+  };
+
+  const buttonClass = "px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300";
+  const inputClass = (invalid) =>
+    `block rounded-md shadow-sm px-2 py-1 text-sm ${invalid ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`;
+
+  const numberField = (index, field, { label, unit, step }) => (
+    <div className="flex items-center gap-2">
+      <label htmlFor={`shock${index}-${field}`} className="text-sm text-gray-700">
+        {label} <span className="text-gray-500">{unit}</span>
+      </label>
+      <input
+        id={`shock${index}-${field}`}
+        type="number"
+        step={step}
+        value={shocks[index][field]}
+        onChange={(e) => updateShock(index, { [field]: +e.target.value })}
+        className={`w-20 ${inputClass(errors[index])}`}
+        aria-invalid={!!errors[index]}
+        aria-describedby={errors[index] ? `shock${index}Error` : undefined}
+      />
+    </div>
+  );
+
+  // An invalid shock keeps its row in the results, without a price
+  const result = (index) => (errors[index] || !Number.isFinite(shockAnalysis?.scenarios[index]?.price) ? null : shockAnalysis.scenarios[index]);
+  const none = <span aria-label={t("shocks.notPriced")}>—</span>;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">{t("shocks.intro")}</p>
+
+      <ul className="space-y-3">
+        {shocks.map((shock, index) => {
+          const label = shockLabel(shock, localeValue);
+          return (
+            <li key={index} className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: shockColor(colors, index) }}></span>
+                <input
+                  type="text"
+                  value={shock.name}
+                  placeholder={shockLabel({ ...shock, name: "" }, localeValue)}
+                  onChange={(e) => updateShock(index, { name: e.target.value })}
+                  className={`w-56 ${inputClass(false)}`}
+                  aria-label={t("shocks.nameLabel", { number: index + 1 })}
+                />
+                <select
+                  value={shock.kind}
+                  onChange={(e) => updateShock(index, { kind: e.target.value })}
+                  className={inputClass(false)}
+                  aria-label={t("shocks.kindLabel", { name: label })}
+                >
+                  {SHOCK_KINDS.map(({ value }) => (
+                    <option key={value} value={value}>{t(`shockKind.${value}`)}</option>
+                  ))}
+                </select>
+                {shock.kind === "parallel" && numberField(index, "shift", { label: t("shocks.shift"), unit: t("risk.bp"), step: 5 })}
+                {shock.kind === "twist" && (
+                  <>
+                    {numberField(index, "shortTenor", { label: t("shocks.shortTenor"), unit: t("shocks.years"), step: 1 })}
+                    {numberField(index, "shortShift", { label: t("shocks.shiftThere"), unit: t("risk.bp"), step: 5 })}
+                    {numberField(index, "longTenor", { label: t("shocks.longTenor"), unit: t("shocks.years"), step: 1 })}
+                    {numberField(index, "longShift", { label: t("shocks.shiftThere"), unit: t("risk.bp"), step: 5 })}
+                  </>
+                )}
+                <button
+                  onClick={() => onChange(shocks.filter((_, i) => i !== index))}
+                  className={`${buttonClass} ml-auto`}
+                  aria-label={t("shocks.removeLabel", { name: label })}
+                >
+                  {t("shocks.remove")}
+                </button>
               </div>
-              {inputErrors.years && (
-                <p id={yearsErrId} className="text-xs text-red-700 w-full">{inputErrors.years}</p>
+              {shock.kind === "custom" && (
+                <div className="flex flex-wrap items-center gap-3" role="group" aria-label={t("shocks.pointsLabel", { name: label })}>
+                  {shock.points.map(({ tenor, shift }) => (
+                    <label key={tenor} className="flex items-center gap-1 text-sm text-gray-700">
+                      {t("sensitivity.yearsShort", { value: formatDecimal(tenor) })}
+                      <input
+                        type="number"
+                        step={5}
+                        value={shift}
+                        onChange={(e) => updatePoint(index, tenor, +e.target.value)}
+                        className={`w-16 ${inputClass(errors[index])}`}
+                        aria-label={t("shocks.pointLabel", { count: tenor, tenor: formatDecimal(tenor) })}
+                        aria-invalid={!!errors[index]}
+                      />
+                    </label>
+                  ))}
+                  <span className="text-xs text-gray-600">{t("shocks.pointsHelp")}</span>
+                </div>
+              )}
+              {errors[index] && (
+                <p id={`shock${index}Error`} className="text-xs text-red-700">{errors[index]}</p>
               )}
+            </li>
+          );
+        })}
+      </ul>
 
-              <p id="inputHelp" className="sr-only">Enter values and the calculator updates results and the chart automatically.</p>
-            </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onChange([...shocks, createShock({ shift: 50 })])}
+          className="px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700"
+        >
+          {t("shocks.add")}
+        </button>
+        <button onClick={() => onChange(standardShocks())} className={buttonClass}>{t("shocks.restore")}</button>
+        <button
+          onClick={() => onOverlayChange(!overlay)}
+          className={`px-3 py-1 text-sm rounded transition-colors ml-auto ${
+            overlay ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+          }`}
+          aria-pressed={overlay}
+        >
+          {t("shocks.overlay")}
+        </button>
+      </div>
+
+      {shockAnalysis && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border-collapse" aria-live="polite">
+            <caption className="sr-only">{t("shocks.caption")}</caption>
+            <thead>
+              <tr className="border-b-2 border-gray-300">
+                <th scope="col" className="text-left py-2 px-3 font-semibold">{t("shocks.scenarioColumn")}</th>
+                <th scope="col" className="text-right py-2 px-3 font-semibold">{t("shocks.priceColumn")}</th>
+                <th scope="col" className="text-right py-2 px-3 font-semibold">{t("shocks.changeColumn")}</th>
+                <th scope="col" className="text-right py-2 px-3 font-semibold">{t("shocks.percentColumn")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b border-gray-200 bg-gray-50">
+                <th scope="row" className="text-left py-2 px-3 font-semibold">{t("shocks.base")}</th>
+                <td className="text-right py-2 px-3 font-semibold">{formatCurrency(shockAnalysis.basePrice)}</td>
+                <td className="text-right py-2 px-3">{none}</td>
+                <td className="text-right py-2 px-3">{none}</td>
+              </tr>
+              {shocks.map((shock, index) => {
+                const scenario = result(index);
+                return (
+                  <tr key={index} className="border-b border-gray-200 hover:bg-gray-50">
+                    <th scope="row" className="text-left py-2 px-3 font-normal">
+                      <span className="inline-block w-3 h-3 mr-2 rounded align-middle" style={{ backgroundColor: shockColor(colors, index) }}></span>
+                      {shockLabel(shock, localeValue)}
+                    </th>
+                    <td className="text-right py-2 px-3">{scenario ? formatCurrency(scenario.price) : none}</td>
+                    <td className="text-right py-2 px-3">{scenario ? formatCurrency(scenario.change, true) : none}</td>
+                    <td className="text-right py-2 px-3 font-semibold">{scenario ? formatPercent(scenario.percentChange, 2, true) : none}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mt-2">{t("shocks.note")}</p>
+        </div>
+      )}
 
-            <ValidationMessage errors={inputErrors} />
+      {saving && (
+        <div className="space-y-2 pt-3 border-t border-gray-200">
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="stressSetName" className="text-gray-700 text-sm">{t("shocks.saveAs")}</label>
+            <input
+              id="stressSetName"
+              type="text"
+              value={newName}
+              placeholder={t("shocks.defaultName", { number: saved.length + 1 })}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && shocks.length > 0 && handleSave()}
+              className={`w-48 ${inputClass(false)}`}
+            />
+            <button
+              onClick={handleSave}
+              disabled={shocks.length === 0}
+              className="px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+            >
+              {t("saved.save")}
+            </button>
           </div>
-        </Card>
+          {saved.length === 0 ? (
+            <p className="text-sm text-gray-600">{t("shocks.empty")}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {saved.map((entry) => (
+                <li key={entry.id} className="flex flex-wrap items-center gap-2 px-3 py-2">
+                  <span className="font-semibold text-gray-800">{entry.name}</span>
+                  <span className="text-xs text-gray-600">
+                    {t("shocks.summary", {
+                      count: entry.shocks.length,
+                      date: new Date(entry.savedAt).toLocaleDateString(locale),
+                    })}
+                  </span>
+                  <span className="flex gap-2 ml-auto">
+                    <button onClick={() => handleApply(entry)} className={buttonClass} aria-label={t("shocks.applyLabel", { name: entry.name })}>
+                      {t("shocks.apply")}
+                    </button>
+                    <button onClick={() => handleDelete(entry)} className={buttonClass} aria-label={t("saved.deleteLabel", { name: entry.name })}>
+                      {t("saved.delete")}
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className={`text-xs ${status.error ? "text-red-700" : "text-gray-600"}`} aria-live="polite">
+            {status.text}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================
+// PRICE–YIELD SECTION (Card 4)
+// ============================
+function PriceYieldChart({ bondCalculations, bondTerms, ytm, onSelectYield }) {
+  const { t, formatCurrency, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const [showTangent, setShowTangent] = useState(true);
+  if (!bondCalculations) return null;
+
+  const { bondPrice, riskMeasures } = bondCalculations;
+  // Starts at zero unless the yield is negative, which the professional profile allows
+  const minYield = Math.min(0, Math.floor(ytm - 1));
+  const maxYield = Math.max(15, Math.ceil(ytm + 2));
+  const step = (maxYield - minYield) / 60;
+
+  // Tangent at the current point: P(y) ≈ P₀ × (1 − ModDur × Δy)
+  const curve = [];
+  for (let i = 0; i <= 60; i++) {
+    const y = +(minYield + i * step).toFixed(4);
+    curve.push({
+      ytm: y,
+      price: computeBondPrice({ ...bondTerms, ytm: y }).price,
+      tangent: bondPrice * (1 - (riskMeasures.modifiedDuration * (y - ytm)) / 100),
+    });
+  }
+
+  const handleClick = (state) => {
+    if (onSelectYield && state && state.activeLabel !== undefined) onSelectYield(+state.activeLabel);
+  };
+
+  const CurveTooltip = ({ active, payload }) => {
+    if (active && payload && payload.length) {
+      const data = payload[0].payload;
+      return (
+        <div className="bg-white p-3 border rounded shadow text-gray-800">
+          <p className="font-medium">{t("priceYield.tooltipYtm", { value: formatPercent(data.ytm, 2) })}</p>
+          <p style={{ color: colors.presentValue }}>{t("priceYield.tooltipPrice", { value: formatCurrency(data.price) })}</p>
+          {showTangent && (
+            <p style={{ color: colors.orange }}>{t("priceYield.tooltipEstimate", { value: formatCurrency(data.tangent) })}</p>
+          )}
+          {onSelectYield && <p className="text-xs mt-1 text-gray-600">{t("priceYield.clickHint")}</p>}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <>
+      <div className="sr-only" id="price-yield-desc">
+        <h5 id="price-yield-title">{t("priceYield.title")}</h5>
+        <p>
+          {t("priceYield.description", {
+            from: formatPercent(minYield, 0),
+            to: formatPercent(maxYield, 0),
+            ytm: formatPercent(ytm, 2),
+            price: formatCurrency(bondPrice),
+          })}
+          {showTangent && ` ${t("priceYield.tangentDescription", { value: formatDecimal(riskMeasures.modifiedDuration, 2) })}`}
+        </p>
+      </div>
+
+      <div className="mb-4 flex flex-wrap items-center gap-4 text-sm">
+        <span className="flex items-center">
+          <span className="w-4 h-1 mr-2 rounded" style={{ backgroundColor: colors.presentValue }}></span>
+          {t("priceYield.bondPrice")}
+        </span>
+        {showTangent && (
+          <span className="flex items-center">
+            <span className="w-4 h-0 mr-2 border-t-2 border-dashed" style={{ borderColor: colors.orange }}></span>
+            {t("priceYield.tangent")}
+          </span>
+        )}
+        <label className="flex items-center gap-2 ml-auto">
+          <input type="checkbox" checked={showTangent} onChange={(e) => setShowTangent(e.target.checked)} />
+          {t("priceYield.showTangent")}
+        </label>
+      </div>
+
+      <div className="h-80" role="img" aria-labelledby="price-yield-title" aria-describedby="price-yield-desc">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={curve} margin={{ top: 20, right: 30, left: 20, bottom: 30 }} onClick={handleClick}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="ytm"
+              type="number"
+              domain={[minYield, maxYield]}
+              tickFormatter={(value) => formatPercent(value, 0)}
+              label={{ value: t("priceYield.xAxis"), position: "insideBottom", offset: -15 }}
+            />
+            <YAxis
+              domain={[0, "auto"]}
+              allowDataOverflow
+              tickFormatter={(value) => formatCurrency(value)}
+            />
+            <Tooltip content={<CurveTooltip />} />
+            <Line type="monotone" dataKey="price" name={t("priceYield.bondPrice")} stroke={colors.presentValue} strokeWidth={2} dot={false} />
+            {showTangent && (
+              <Line
+                type="linear"
+                dataKey="tangent"
+                name={t("priceYield.tangent")}
+                stroke={colors.orange}
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                dot={false}
+              />
+            )}
+            <ReferenceDot x={ytm} y={bondPrice} r={6} fill={colors.orange} stroke="#fff" strokeWidth={2} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </>
+  );
+}
+
+// ============================
+// BOND COMPARISON
+// ============================
+function ComparisonTable({ comparison, activeId, onSelect }) {
+  const { t, formatCurrency, formatDecimal, formatNumber, formatPercent, formatList } = useLocale();
+  const na = <span aria-label={t("common.notAvailable")}>—</span>;
+
+  // Each metric reads from one evaluated bond; invalid bonds show a dash unless the row only needs the terms
+  const rows = [
+    { key: "bondType", termsOnly: true, value: ({ bondTerms }) => t(`bondType.${bondTerms.bondType}`) },
+    {
+      key: "couponRate",
+      value: ({ bondTerms }) => formatPercent(bondTerms.bondType === "zero" ? 0 : bondTerms.couponRate, 2),
+    },
+    { key: "ytm", value: ({ effectiveYtm }) => formatPercent(effectiveYtm, 4) },
+    { key: "years", value: ({ bondTerms }) => formatDecimal(bondTerms.years, 4) },
+    { key: "fullPrice", value: ({ bondCalculations }) => formatCurrency(bondCalculations.bondPrice), strong: true },
+    { key: "cleanPrice", value: ({ bondCalculations }) => formatCurrency(bondCalculations.cleanPrice) },
+    {
+      key: "status",
+      value: ({ bondCalculations, bondTerms }) =>
+        t(`status.${parStatus(bondCalculations.cleanPrice, bondTerms.faceValue).toLowerCase()}`),
+    },
+    { key: "pvCoupons", value: ({ bondCalculations }) => formatCurrency(bondCalculations.pvCoupons) },
+    { key: "pvPrincipal", value: ({ bondCalculations }) => formatCurrency(bondCalculations.pvFaceValue) },
+    {
+      key: "couponShare",
+      value: ({ bondCalculations }) => formatPercent((bondCalculations.pvCoupons / bondCalculations.bondPrice) * 100, 2),
+    },
+    {
+      key: "macaulay",
+      value: ({ bondCalculations }) =>
+        t("comparison.yearsShort", { value: formatNumber(bondCalculations.riskMeasures.macaulayDuration, 4) }),
+    },
+    { key: "modified", value: ({ bondCalculations }) => formatNumber(bondCalculations.riskMeasures.modifiedDuration, 4) },
+    { key: "money", value: ({ bondCalculations }) => formatCurrency(bondCalculations.riskMeasures.moneyDuration) },
+    { key: "pvbp", value: ({ bondCalculations }) => formatNumber(bondCalculations.riskMeasures.pvbp, 4) },
+    { key: "convexity", value: ({ bondCalculations }) => formatNumber(bondCalculations.riskMeasures.convexity, 4) },
+  ];
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm border-collapse">
+        <caption className="sr-only">
+          {t("comparison.caption", { names: formatList(comparison.map(({ name }) => name)) })}
+        </caption>
+        <thead>
+          <tr className="border-b-2 border-gray-300">
+            <th scope="col" className="text-left py-2 px-3 font-semibold">{t("comparison.measure")}</th>
+            {comparison.map(({ id, name, color }) => (
+              <th key={id} scope="col" className="text-right py-2 px-3 font-semibold">
+                <button
+                  onClick={() => onSelect(id)}
+                  className={`inline-flex items-center gap-1 rounded px-2 py-0.5 ${id === activeId ? "bg-gray-200" : "hover:bg-gray-100"}`}
+                  aria-pressed={id === activeId}
+                  aria-label={t("comparison.edit", { name })}
+                >
+                  <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: color }}></span>
+                  {name}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ key, value, strong, termsOnly }) => (
+            <tr key={key} className="border-b border-gray-200">
+              <th scope="row" className="text-left py-1.5 px-3 font-normal">{t(`comparison.row.${key}`)}</th>
+              {comparison.map((bond) => (
+                <td key={bond.id} className={`text-right py-1.5 px-3 ${strong ? "font-semibold" : ""}`}>
+                  {bond.bondCalculations || termsOnly ? value(bond) : na}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {comparison.some(({ bondCalculations }) => !bondCalculations) && (
+        <p className="text-xs text-gray-600 mt-2">{t("comparison.invalidNote")}</p>
+      )}
+    </div>
+  );
+}
+
+// ============================
+// PRACTICE MODE
+// ============================
+const newSeed = () => Math.floor(Math.random() * 100000);
+
+function PracticeSection() {
+  const locale = useLocale();
+  const { t, formatCurrency, formatDecimal, formatNumber, formatPercent } = locale;
+  const [seed, setSeed] = useState(newSeed);
+  const [seedInput, setSeedInput] = useState("");
+  const [index, setIndex] = useState(0);
+  const [response, setResponse] = useState("");
+  const [result, setResult] = useState(null);
+  const [hint, setHint] = useState("");
+  const [score, setScore] = useState({ correct: 0, attempted: 0 });
+
+  const problems = useMemo(() => generateProblemSet(seed), [seed]);
+  const problem = problems[index];
+  const finished = index >= problems.length;
+
+  const startSet = (nextSeed) => {
+    setSeed(nextSeed);
+    setIndex(0);
+    setResponse("");
+    setResult(null);
+    setHint("");
+  };
+
+  const handleCheck = () => {
+    const graded = gradeAnswer(problem, response, locale.locale);
+    if (!graded.answered) {
+      setHint(
+        problem.kind === "status" ? t("practice.chooseStatus") : t("practice.enterNumber", { example: formatDecimal(97.28, 2) })
+      );
+      return;
+    }
+    setHint("");
+    setResult(graded);
+    setScore({ correct: score.correct + (graded.correct ? 1 : 0), attempted: score.attempted + 1 });
+  };
+
+  const handleNext = () => {
+    setIndex(index + 1);
+    setResponse("");
+    setResult(null);
+  };
+
+  const handleLoadSeed = () => {
+    const parsed = Math.floor(Number(seedInput));
+    if (seedInput.trim() === "" || !Number.isFinite(parsed) || parsed < 0) {
+      setHint(t("practice.invalidSeed"));
+      return;
+    }
+    startSet(parsed);
+    setSeedInput("");
+  };
+
+  const formatAnswer = (value) => (typeof value === "number" ? formatCurrency(value) : t(`status.${value.toLowerCase()}`));
+  const buttonClass = "px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300";
+
+  // The worked solution reuses the calculator's Equation 6 walkthrough for the problem bond
+  const workingFor = ({ bond }) =>
+    buildWorkingSteps(
+      {
+        bondTerms: { ...bond, accrualFraction: 0, bondType: "bullet" },
+        ytm: bond.ytm,
+        bondCalculations: { schedule: null, accruedInterest: 0 },
+      },
+      locale
+    );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+        <span>
+          {withElements(t("practice.set"), { seed: <span className="font-semibold">#{seed}</span> })}
+          {!finished && <> · {t("practice.progress", { current: index + 1, count: problems.length })}</>}
+        </span>
+        <span aria-live="polite" aria-atomic="true">
+          {withElements(t("practice.score"), {
+            score: (
+              <span className="font-semibold">
+                {score.correct} / {score.attempted}
+              </span>
+            ),
+          })}
+        </span>
+        <div className="flex flex-wrap items-center gap-2 ml-auto">
+          <label htmlFor="practiceSeed" className="text-gray-700">{t("practice.openSet")}</label>
+          <input
+            id="practiceSeed"
+            type="text"
+            inputMode="numeric"
+            value={seedInput}
+            onChange={(e) => setSeedInput(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleLoadSeed()}
+            className="block w-24 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+          />
+          <button onClick={handleLoadSeed} className={buttonClass}>{t("practice.open")}</button>
+          <button onClick={() => startSet(newSeed())} className={buttonClass}>{t("practice.newSet")}</button>
+        </div>
+      </div>
+
+      {finished ? (
+        <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+          <p className="font-semibold text-blue-900">{t("practice.complete", { seed })}</p>
+          <p className="text-sm text-blue-900 mt-1">{t("practice.shareNote")}</p>
+          <button onClick={() => startSet(newSeed())} className="mt-3 px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700">
+            {t("practice.startNew")}
+          </button>
+        </div>
+      ) : (
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <dl className="grid grid-cols-2 sm:grid-cols-5 gap-2 text-sm">
+            <div><dt className="text-gray-600">{t("practice.faceValue")}</dt><dd className="font-semibold">{formatCurrency(problem.bond.faceValue)}</dd></div>
+            <div><dt className="text-gray-600">{t("practice.couponRate")}</dt><dd className="font-semibold">{formatPercent(problem.bond.couponRate, 2)}</dd></div>
+            <div><dt className="text-gray-600">{t("practice.ytm")}</dt><dd className="font-semibold">{formatPercent(problem.bond.ytm, 2)}</dd></div>
+            <div><dt className="text-gray-600">{t("practice.years")}</dt><dd className="font-semibold">{formatDecimal(problem.bond.years)}</dd></div>
+            <div><dt className="text-gray-600">{t("practice.coupons")}</dt><dd className="font-semibold">{frequencyLabel(problem.bond.frequency, t)}</dd></div>
+          </dl>
+
+          <p id="practicePrompt" className="font-semibold text-gray-800">{t(`practice.question.${problem.kind}`)}</p>
+
+          {problem.kind === "status" ? (
+            <div className="flex flex-wrap gap-4" role="radiogroup" aria-labelledby="practicePrompt">
+              {STATUS_CHOICES.map((choice) => (
+                <label key={choice} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="practiceStatus"
+                    value={choice}
+                    checked={response === choice}
+                    onChange={(e) => setResponse(e.target.value)}
+                    disabled={result !== null}
+                  />
+                  {t(`status.${choice.toLowerCase()}`)}
+                </label>
+              ))}
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <label htmlFor="practiceAnswer" className="sr-only">{t("practice.yourAnswer")}</label>
+              <input
+                id="practiceAnswer"
+                type="text"
+                inputMode="decimal"
+                value={response}
+                onChange={(e) => setResponse(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && result === null && handleCheck()}
+                disabled={result !== null}
+                placeholder={formatNumber(0, 2)}
+                className="block w-36 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                aria-describedby="practiceTolerance"
+              />
+              <span id="practiceTolerance" className="text-xs text-gray-600">
+                {t("practice.tolerance", { value: formatCurrency(answerTolerance(problem.bond.faceValue)) })}
+              </span>
+            </div>
+          )}
+
+          {result === null ? (
+            <button onClick={handleCheck} className="px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700">
+              {t("practice.check")}
+            </button>
+          ) : (
+            <button onClick={handleNext} className="px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700">
+              {index + 1 < problems.length ? t("practice.next") : t("practice.finish")}
+            </button>
+          )}
+
+          <div aria-live="polite" aria-atomic="true">
+            {hint && <p className="text-sm text-red-700">{hint}</p>}
+            {result && (
+              <p className={`text-sm font-semibold ${result.correct ? "text-green-700" : "text-red-700"}`}>
+                {t(result.correct ? "practice.correct" : "practice.incorrect", { answer: formatAnswer(problem.answer) })}
+              </p>
+            )}
+          </div>
+
+          {result && !result.correct && (
+            <div className="pt-3 border-t border-gray-200">
+              <h5 className="font-semibold text-sm text-gray-800 mb-2">{t("practice.workedSolution")}</h5>
+              <WorkingSteps steps={workingFor(problem)} />
+              {problem.kind === "status" && (
+                <p className="text-sm text-gray-700 mt-2">
+                  {t("practice.statusExplanation", { faceValue: formatCurrency(problem.bond.faceValue) })}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================
+// SAVED SCENARIOS
+// ============================
+// Names for scenarios, bonds and stress sets saved or imported without one
+const fallbackNames = (t) => ({
+  scenario: (number) => t("saved.defaultName", { number }),
+  bond: (letter) => t("scenario.defaultName", { letter }),
+  stressSet: (number) => t("shocks.defaultName", { number }),
+});
+
+function SavedScenariosSection({ scenarios, onLoad }) {
+  const { t, locale } = useLocale();
+  const [saved, setSaved] = useState(() => readSavedScenarios(createDefaultInputs(), globalThis.localStorage, fallbackNames(t)));
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [status, setStatus] = useState({ text: "", error: false });
+  const fileInputRef = useRef(null);
+
+  const report = (text, error = false) => setStatus({ text, error });
+
+  const updateSaved = (list) => {
+    setSaved(list);
+    if (!writeSavedScenarios(list)) report(t("saved.storageFailed"), true);
+  };
+
+  const handleSave = () => {
+    const name = newName.trim() || t("saved.defaultName", { number: saved.length + 1 });
+    const entry = {
+      id: `${Date.now()}`,
+      name,
+      savedAt: new Date().toISOString(),
+      bonds: scenarios.map(({ name: bondName, inputs }) => ({ name: bondName, inputs })),
+    };
+    updateSaved([...saved, entry]);
+    setNewName("");
+    report(t("saved.saved", { name }));
+  };
+
+  const handleRename = () => {
+    const name = editing.name.trim();
+    if (!name) return report(t("saved.nameRequired"), true);
+    updateSaved(saved.map((entry) => (entry.id === editing.id ? { ...entry, name } : entry)));
+    setEditing(null);
+    report(t("saved.renamed", { name }));
+  };
+
+  const handleDelete = ({ id, name }) => {
+    updateSaved(saved.filter((entry) => entry.id !== id));
+    report(t("saved.deleted", { name }));
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      report(t("saved.linkCopied"));
+    } catch {
+      report(t("saved.clipboardBlocked"), true);
+    }
+  };
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([exportScenarioFile(saved)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "bond-scenarios.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseScenarioFile(await file.text(), createDefaultInputs(), fallbackNames(t));
+      // Imported ids may clash with existing ones, so every entry gets a fresh id
+      const stamp = Date.now();
+      updateSaved([...saved, ...imported.map((entry, i) => ({ ...entry, id: `${stamp}-${i}` }))]);
+      report(t("saved.imported", { count: imported.length }));
+    } catch (error) {
+      const message = error instanceof ScenarioFileError ? t(`saved.importError.${error.code}`) : error.message;
+      report(t("saved.importFailed", { message }), true);
+    }
+  };
+
+  const buttonClass = "px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="scenarioName" className="text-gray-700 text-sm">{t("saved.saveAs")}</label>
+        <input
+          id="scenarioName"
+          type="text"
+          value={newName}
+          placeholder={t("saved.defaultName", { number: saved.length + 1 })}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          className="block w-48 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+        />
+        <button onClick={handleSave} className="px-3 py-1 text-sm rounded bg-blue-600 text-white font-semibold hover:bg-blue-700">
+          {t("saved.save")}
+        </button>
+        <div className="flex flex-wrap gap-2 ml-auto">
+          <button onClick={handleCopyLink} className={buttonClass}>{t("saved.copyLink")}</button>
+          <button onClick={handleExport} className={buttonClass} disabled={saved.length === 0}>{t("saved.exportJson")}</button>
+          <button onClick={() => fileInputRef.current?.click()} className={buttonClass}>{t("saved.importJson")}</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+            aria-label={t("saved.importLabel")}
+          />
+        </div>
+      </div>
+
+      {saved.length === 0 ? (
+        <p className="text-sm text-gray-600">{t("saved.empty")}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {saved.map((entry) => (
+            <li key={entry.id} className="flex flex-wrap items-center gap-2 px-3 py-2">
+              {editing?.id === entry.id ? (
+                <>
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleRename();
+                      if (e.key === "Escape") setEditing(null);
+                    }}
+                    className="block w-48 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                    aria-label={t("saved.newNameFor", { name: entry.name })}
+                    autoFocus
+                  />
+                  <button onClick={handleRename} className={buttonClass}>{t("saved.saveName")}</button>
+                  <button onClick={() => setEditing(null)} className={buttonClass}>{t("saved.cancel")}</button>
+                </>
+              ) : (
+                <>
+                  <span className="font-semibold text-gray-800">{entry.name}</span>
+                  <span className="text-xs text-gray-600">
+                    {t("saved.summary", {
+                      count: entry.bonds.length,
+                      date: new Date(entry.savedAt).toLocaleDateString(locale),
+                    })}
+                  </span>
+                  <span className="flex gap-2 ml-auto">
+                    <button
+                      onClick={() => onLoad(entry.bonds)}
+                      className={buttonClass}
+                      aria-label={t("saved.loadLabel", { name: entry.name })}
+                    >
+                      {t("saved.load")}
+                    </button>
+                    <button
+                      onClick={() => setEditing({ id: entry.id, name: entry.name })}
+                      className={buttonClass}
+                      aria-label={t("saved.renameLabel", { name: entry.name })}
+                    >
+                      {t("saved.rename")}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(entry)}
+                      className={buttonClass}
+                      aria-label={t("saved.deleteLabel", { name: entry.name })}
+                    >
+                      {t("saved.delete")}
+                    </button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className={`text-xs ${status.error ? "text-red-700" : "text-gray-600"}`} aria-live="polite">
+        {status.text}
+      </p>
+    </div>
+  );
+}
+
+// ============================
+// SPOT CURVE SECTION
+// ============================
+function SpotCurveSection({
+  model,
+  onModelChange,
+  points,
+  onPointsChange,
+  nelsonSiegelParams,
+  onNelsonSiegelChange,
+  maxTenor,
+  error,
+}) {
+  const { t, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const updatePoint = (index, field, value) =>
+    onPointsChange(points.map((point, i) => (i === index ? { ...point, [field]: value } : point)));
+  const removePoint = (index) => onPointsChange(points.filter((_, i) => i !== index));
+  const addPoint = () => {
+    const lastTenor = points.length ? Math.max(...points.map((point) => point.tenor)) : 0;
+    const lastRate = points.length ? points[points.length - 1].rate : 5;
+    onPointsChange([...points, { tenor: lastTenor + 1, rate: lastRate }]);
+  };
+
+  const curve = model === "nelson-siegel" ? { model, params: nelsonSiegelParams } : { model, points };
+  const horizon = Math.max(maxTenor, ...points.map((point) => point.tenor || 0), 1);
+  const preview = error
+    ? []
+    : Array.from({ length: 41 }, (_, i) => {
+        const tenor = +((horizon * i) / 40).toFixed(3);
+        return { tenor, rate: spotRateAt(curve, tenor) };
+      });
+
+  const nelsonSiegelFields = ["beta0", "beta1", "beta2", "tau"];
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h5 className="font-semibold text-sm text-gray-800 mr-2">{t("spotCurve.title")}</h5>
+        <label htmlFor="curveModel" className="text-gray-700 text-sm">{t("spotCurve.specifyAs")}</label>
+        <select
+          id="curveModel"
+          value={model}
+          onChange={(e) => onModelChange(e.target.value)}
+          className="block rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+        >
+          {CURVE_MODELS.map(({ value }) => (
+            <option key={value} value={value}>{t(`curveModel.${value}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {model === "points" ? (
+          <div>
+            <table className="text-sm">
+              <caption className="sr-only">{t("spotCurve.caption")}</caption>
+              <thead>
+                <tr>
+                  <th scope="col" className="text-left font-semibold pr-2 pb-1">{t("spotCurve.tenor")}</th>
+                  <th scope="col" className="text-left font-semibold pr-2 pb-1">{t("spotCurve.rate")}</th>
+                  <th scope="col"><span className="sr-only">{t("common.remove")}</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {points.map((point, index) => (
+                  <tr key={index}>
+                    <td className="pr-2 pb-1">
+                      <input
+                        type="number"
+                        step="0.5"
+                        min="0"
+                        value={point.tenor}
+                        onChange={(e) => updatePoint(index, "tenor", +e.target.value)}
+                        className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                        aria-label={t("spotCurve.tenorLabel", { number: index + 1 })}
+                      />
+                    </td>
+                    <td className="pr-2 pb-1">
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={point.rate}
+                        onChange={(e) => updatePoint(index, "rate", +e.target.value)}
+                        className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                        aria-label={t("spotCurve.rateLabel", { number: index + 1 })}
+                      />
+                    </td>
+                    <td className="pb-1">
+                      <button
+                        onClick={() => removePoint(index)}
+                        className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+                        aria-label={t("spotCurve.removeLabel", { count: point.tenor, value: formatDecimal(point.tenor) })}
+                      >
+                        {t("common.remove")}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button onClick={addPoint} className="mt-2 px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300">
+              {t("spotCurve.add")}
+            </button>
+            <p className="text-xs text-gray-600 mt-2">{t("spotCurve.interpolationNote")}</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 gap-2 content-start">
+            {nelsonSiegelFields.map((key) => (
+              <label key={key} className="text-sm text-gray-700">
+                {t(`spotCurve.nelsonSiegel.${key}`)}
+                <input
+                  type="number"
+                  step="0.1"
+                  value={nelsonSiegelParams[key]}
+                  onChange={(e) => onNelsonSiegelChange({ ...nelsonSiegelParams, [key]: +e.target.value })}
+                  className="block w-24 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="h-40" role="img" aria-label={t("spotCurve.previewLabel")}>
+          {preview.length > 0 && (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={preview} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="tenor"
+                  type="number"
+                  domain={[0, horizon]}
+                  tickFormatter={(value) => t("sensitivity.yearsShort", { value: formatDecimal(value) })}
+                />
+                <YAxis tickFormatter={(value) => formatPercent(value, 1)} domain={["auto", "auto"]} width={50} />
+                <Tooltip
+                  formatter={(value) => formatPercent(value, 3)}
+                  labelFormatter={(value) => t("common.years", { count: value, value: formatDecimal(value, 3) })}
+                />
+                <Line type="monotone" dataKey="rate" name={t("spotCurve.spotRate")} stroke={colors.yield} strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+}
+
+// ============================
+// FLOATING-RATE NOTE SECTION
+// ============================
+// Reference-rate path and margins for a floating-rate note. Per-period rates are typed as one list,
+// separated by spaces, semicolons or new lines, because a long note can have hundreds of periods.
+const FLOATING_FIELDS = [
+  "referenceModel",
+  "referenceRate",
+  "referenceStep",
+  "referenceStepYears",
+  "referenceRates",
+  "quotedMargin",
+  "discountMargin",
+];
+
+function FloatingRateSection({ inputs, onChange, referencePath, limits, errors }) {
+  const { t, locale, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const { frequency, referenceModel, referenceRates, quotedMargin, discountMargin } = inputs;
+  const formatRates = (rates) => rates.map((rate) => formatDecimal(rate)).join(" ");
+  const [ratesText, setRatesText] = useState(() => formatRates(referenceRates));
+
+  // Switching to per-period rates starts from the path already shown, without its flat tail
+  const handleModelChange = (value) => {
+    onChange("referenceModel", value);
+    if (value === "custom" && referenceRates.length === 0) {
+      const lastChange = referencePath.findLastIndex((rate, index) => index === 0 || rate !== referencePath[index - 1]);
+      const rates = referencePath.slice(0, lastChange + 1);
+      onChange("referenceRates", rates);
+      setRatesText(formatRates(rates));
+    }
+  };
+  const handleRatesText = (text) => {
+    setRatesText(text);
+    onChange("referenceRates", text.trim() === "" ? [] : text.trim().split(/[\s;]+/).map((token) => parseLocaleNumber(token, locale)));
+  };
+
+  const pathError = errors.referenceRate ?? errors.referenceRates ?? errors.referenceStepYears;
+  const preview = pathError
+    ? []
+    : referencePath.map((rate, index) => ({
+        years: (index + 1) / frequency,
+        reference: rate,
+        coupon: rate + quotedMargin / 100,
+        discount: rate + discountMargin / 100,
+      }));
+
+  const numberField = (field, { label, unit, step, min, max }) => (
+    <div className="flex items-center gap-2">
+      <label htmlFor={field} className="text-sm text-gray-700">
+        {label} {unit && <span className="text-gray-500">{unit}</span>}
+      </label>
+      <input
+        id={field}
+        type="number"
+        step={step}
+        min={min}
+        max={max}
+        value={inputs[field]}
+        onChange={(e) => onChange(field, +e.target.value)}
+        className={`block w-24 rounded-md shadow-sm px-2 py-1 text-sm ${errors[field] ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+        aria-invalid={!!errors[field]}
+        aria-describedby={errors[field] ? `${field}Error` : undefined}
+      />
+    </div>
+  );
+  const marginRange = t("calculator.range", { min: formatDecimal(limits.margin.min), max: formatDecimal(limits.margin.max) });
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h5 className="font-semibold text-sm text-gray-800 mr-2">{t("floating.title")}</h5>
+        <label htmlFor="referenceModel" className="text-gray-700 text-sm">{t("floating.projectAs")}</label>
+        <select
+          id="referenceModel"
+          value={referenceModel}
+          onChange={(e) => handleModelChange(e.target.value)}
+          className="block rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+        >
+          {REFERENCE_MODELS.map(({ value }) => (
+            <option key={value} value={value}>{t(`referenceModel.${value}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          {referenceModel === "custom" ? (
+            <div>
+              <label htmlFor="referenceRates" className="text-sm text-gray-700">{t("floating.ratesLabel")}</label>
+              <textarea
+                id="referenceRates"
+                rows={3}
+                value={ratesText}
+                onChange={(e) => handleRatesText(e.target.value)}
+                className={`block w-full rounded-md shadow-sm px-2 py-1 text-sm font-mono ${errors.referenceRates ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                aria-invalid={!!errors.referenceRates}
+                aria-describedby="referenceRatesHelp"
+              />
+              <p id="referenceRatesHelp" className="text-xs text-gray-600 mt-1">{t("floating.ratesHelp")}</p>
+            </div>
+          ) : (
+            numberField("referenceRate", {
+              label: t(referenceModel === "stepped" ? "floating.startRate" : "floating.rate"),
+              unit: "%",
+              step: 0.1,
+              min: limits.ytm.min,
+              max: limits.ytm.max,
+            })
+          )}
+          {referenceModel === "stepped" && (
+            <>
+              {numberField("referenceStep", { label: t("floating.step"), unit: t("floating.percentagePoints"), step: 0.05 })}
+              {numberField("referenceStepYears", { label: t("floating.stepYears"), unit: t("calculator.inYears"), step: 0.5, min: 0 })}
+            </>
+          )}
+          {numberField("quotedMargin", { label: t("floating.quotedMargin"), unit: marginRange, step: 5, ...limits.margin })}
+          {numberField("discountMargin", { label: t("floating.discountMargin"), unit: marginRange, step: 5, ...limits.margin })}
+          {["referenceRate", "referenceRates", "referenceStepYears", "quotedMargin", "discountMargin"].map(
+            (field) => errors[field] && <p key={field} id={`${field}Error`} className="text-xs text-red-700">{errors[field]}</p>
+          )}
+          <p className="text-xs text-gray-600">{t("floating.marginNote")}</p>
+        </div>
+
+        <div className="h-40" role="img" aria-label={t("floating.previewLabel")}>
+          {preview.length > 0 && (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={preview} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="years"
+                  type="number"
+                  domain={[0, "dataMax"]}
+                  tickFormatter={(value) => t("sensitivity.yearsShort", { value: formatDecimal(value) })}
+                />
+                <YAxis tickFormatter={(value) => formatPercent(value, 1)} domain={["auto", "auto"]} width={50} />
+                <Tooltip
+                  formatter={(value) => formatPercent(value, 3)}
+                  labelFormatter={(value) => t("common.years", { count: value, value: formatDecimal(value, 3) })}
+                />
+                <Line type="stepBefore" dataKey="reference" name={t("floating.referenceRate")} stroke={colors.yield} strokeWidth={2} dot={false} />
+                <Line type="stepBefore" dataKey="coupon" name={t("floating.couponRate")} stroke={colors.coupon} strokeDasharray="5 3" dot={false} />
+                <Line type="stepBefore" dataKey="discount" name={t("floating.discountRate")} stroke={colors.orange} strokeDasharray="2 2" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================
+// INFLATION-LINKED BOND SECTION
+// ============================
+// Inflation path, real yield and pricing basis for a capital-indexed bond. CPI levels are typed as one
+// list, one per coupon date, like a floating-rate note's per-period rates.
+const INFLATION_FIELDS = ["realYield", "yieldBasis", "inflationModel", "inflationRate", "baseCpi", "cpiSeries"];
+
+function InflationSection({ inputs, onChange, indexRatios, limits, errors }) {
+  const { t, locale, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const { frequency, yieldBasis, inflationModel, baseCpi, cpiSeries } = inputs;
+  const formatLevels = (levels) => levels.map((level) => formatDecimal(level)).join(" ");
+  const [cpiText, setCpiText] = useState(() => formatLevels(cpiSeries));
+
+  // Switching to a CPI series starts from the levels the constant rate projects
+  const handleModelChange = (value) => {
+    onChange("inflationModel", value);
+    if (value === "cpi" && cpiSeries.length === 0 && indexRatios) {
+      const levels = indexRatios.map((ratio) => +(baseCpi * ratio).toFixed(1));
+      onChange("cpiSeries", levels);
+      setCpiText(formatLevels(levels));
+    }
+  };
+  const handleCpiText = (text) => {
+    setCpiText(text);
+    onChange("cpiSeries", text.trim() === "" ? [] : text.trim().split(/[\s;]+/).map((token) => parseLocaleNumber(token, locale)));
+  };
+
+  const preview = (indexRatios ?? []).map((ratio, index) => ({ years: (index + 1) / frequency, ratio }));
+
+  const numberField = (field, { label, unit, step, min, max }) => (
+    <div className="flex items-center gap-2">
+      <label htmlFor={field} className="text-sm text-gray-700">
+        {label} {unit && <span className="text-gray-500">{unit}</span>}
+      </label>
+      <input
+        id={field}
+        type="number"
+        step={step}
+        min={min}
+        max={max}
+        value={inputs[field]}
+        onChange={(e) => onChange(field, +e.target.value)}
+        className={`block w-24 rounded-md shadow-sm px-2 py-1 text-sm ${errors[field] ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+        aria-invalid={!!errors[field]}
+        aria-describedby={errors[field] ? `${field}Error` : undefined}
+      />
+    </div>
+  );
+  const range = (limit) => t("calculator.range", { min: formatDecimal(limit.min), max: formatDecimal(limit.max) });
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h5 className="font-semibold text-sm text-gray-800 mr-2">{t("inflation.title")}</h5>
+        <label htmlFor="inflationModel" className="text-gray-700 text-sm">{t("inflation.projectAs")}</label>
+        <select
+          id="inflationModel"
+          value={inflationModel}
+          onChange={(e) => handleModelChange(e.target.value)}
+          className="block rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+        >
+          {INFLATION_MODELS.map(({ value }) => (
+            <option key={value} value={value}>{t(`inflationModel.${value}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          {inflationModel === "cpi" ? (
+            <>
+              {numberField("baseCpi", { label: t("inflation.baseCpi"), step: 0.1, min: 0 })}
+              <div>
+                <label htmlFor="cpiSeries" className="text-sm text-gray-700">{t("inflation.cpiLabel")}</label>
+                <textarea
+                  id="cpiSeries"
+                  rows={3}
+                  value={cpiText}
+                  onChange={(e) => handleCpiText(e.target.value)}
+                  className={`block w-full rounded-md shadow-sm px-2 py-1 text-sm font-mono ${errors.cpiSeries ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                  aria-invalid={!!errors.cpiSeries}
+                  aria-describedby="cpiSeriesHelp"
+                />
+                <p id="cpiSeriesHelp" className="text-xs text-gray-600 mt-1">{t("inflation.cpiHelp")}</p>
+              </div>
+            </>
+          ) : (
+            numberField("inflationRate", { label: t("inflation.rate"), unit: range(limits.inflation), step: 0.1, ...limits.inflation })
+          )}
+          {numberField("realYield", { label: t("inflation.realYield"), unit: range(limits.ytm), step: 0.1, ...limits.ytm })}
+          <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("inflation.basis")}>
+            <span className="text-gray-700 text-sm mr-1">{t("inflation.priceOff")}</span>
+            {["real", "nominal"].map((basis) => (
+              <button
+                key={basis}
+                type="button"
+                onClick={() => onChange("yieldBasis", basis)}
+                className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                  yieldBasis === basis ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                }`}
+                aria-pressed={yieldBasis === basis}
+              >
+                {t(`inflation.${basis}Basis`)}
+              </button>
+            ))}
+          </div>
+          {["inflationRate", "baseCpi", "cpiSeries", "realYield"].map(
+            (field) => errors[field] && <p key={field} id={`${field}Error`} className="text-xs text-red-700">{errors[field]}</p>
+          )}
+          <p className="text-xs text-gray-600">{t(`inflation.basisNote.${yieldBasis}`)}</p>
+        </div>
+
+        <div className="h-40" role="img" aria-label={t("inflation.previewLabel")}>
+          {preview.length > 0 && (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={preview} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="years"
+                  type="number"
+                  domain={[0, "dataMax"]}
+                  tickFormatter={(value) => t("sensitivity.yearsShort", { value: formatDecimal(value) })}
+                />
+                <YAxis tickFormatter={(value) => formatDecimal(value, 2)} domain={["auto", "auto"]} width={50} />
+                <Tooltip
+                  formatter={(value) => t("inflation.ratioTooltip", { ratio: formatDecimal(value, 4), change: formatPercent((value - 1) * 100, 2) })}
+                  labelFormatter={(value) => t("common.years", { count: value, value: formatDecimal(value, 3) })}
+                />
+                <Line type="monotone" dataKey="ratio" name={t("inflation.indexRatio")} stroke={colors.purple} strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================
+// CREDIT RISK SECTION
+// ============================
+// Default probabilities and recovery for the credit-risky valuation. Like the other per-period lists,
+// a term structure is typed as one list of annual probabilities, the last carrying on to maturity.
+const CREDIT_FIELDS = ["creditRisk", "defaultModel", "defaultProbability", "defaultProbabilities", "recoveryRate"];
+
+function CreditSection({ inputs, onChange, creditAnalysis, errors }) {
+  const { t, locale, formatDecimal, formatPercent } = useLocale();
+  const colors = useColors();
+  const { frequency, creditRisk, defaultModel, defaultProbability, defaultProbabilities } = inputs;
+  const formatRates = (rates) => rates.map((rate) => formatDecimal(rate)).join(" ");
+  const [ratesText, setRatesText] = useState(() => formatRates(defaultProbabilities));
+
+  // Switching to a term structure starts from the constant probability, once a year
+  const handleModelChange = (value) => {
+    onChange("defaultModel", value);
+    if (value === "term" && defaultProbabilities.length === 0) {
+      onChange("defaultProbabilities", [defaultProbability]);
+      setRatesText(formatRates([defaultProbability]));
+    }
+  };
+  const handleRatesText = (text) => {
+    setRatesText(text);
+    onChange("defaultProbabilities", text.trim() === "" ? [] : text.trim().split(/[\s;]+/).map((token) => parseLocaleNumber(token, locale)));
+  };
+
+  const preview = [
+    { years: 0, survival: 100 },
+    ...(creditAnalysis?.schedule ?? []).map(({ survival }, index) => ({ years: (index + 1) / frequency, survival })),
+  ];
+
+  const numberField = (field, { label, unit, step, min, max }) => (
+    <div className="flex items-center gap-2">
+      <label htmlFor={field} className="text-sm text-gray-700">
+        {label} {unit && <span className="text-gray-500">{unit}</span>}
+      </label>
+      <input
+        id={field}
+        type="number"
+        step={step}
+        min={min}
+        max={max}
+        value={inputs[field]}
+        onChange={(e) => onChange(field, +e.target.value)}
+        className={`block w-24 rounded-md shadow-sm px-2 py-1 text-sm ${errors[field] ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+        aria-invalid={!!errors[field]}
+        aria-describedby={errors[field] ? `${field}Error` : undefined}
+      />
+    </div>
+  );
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h5 className="font-semibold text-sm text-gray-800 mr-2">{t("credit.title")}</h5>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={creditRisk} onChange={(e) => onChange("creditRisk", e.target.checked)} />
+          {t("credit.enable")}
+        </label>
+      </div>
+
+      {creditRisk && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <label htmlFor="defaultModel" className="text-gray-700 text-sm">{t("credit.defaultAs")}</label>
+              <select
+                id="defaultModel"
+                value={defaultModel}
+                onChange={(e) => handleModelChange(e.target.value)}
+                className="block rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+              >
+                {CREDIT_MODELS.map(({ value }) => (
+                  <option key={value} value={value}>{t(`defaultModel.${value}`)}</option>
+                ))}
+              </select>
+            </div>
+            {defaultModel === "term" ? (
+              <div>
+                <label htmlFor="defaultProbabilities" className="text-sm text-gray-700">{t("credit.probabilitiesLabel")}</label>
+                <textarea
+                  id="defaultProbabilities"
+                  rows={2}
+                  value={ratesText}
+                  onChange={(e) => handleRatesText(e.target.value)}
+                  className={`block w-full rounded-md shadow-sm px-2 py-1 text-sm font-mono ${errors.defaultProbabilities ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                  aria-invalid={!!errors.defaultProbabilities}
+                  aria-describedby="defaultProbabilitiesHelp"
+                />
+                <p id="defaultProbabilitiesHelp" className="text-xs text-gray-600 mt-1">{t("credit.probabilitiesHelp")}</p>
+              </div>
+            ) : (
+              numberField("defaultProbability", { label: t("credit.probability"), unit: t("credit.perYear"), step: 0.1, min: 0, max: 99.9 })
+            )}
+            {numberField("recoveryRate", { label: t("credit.recoveryRate"), unit: t("credit.ofExposure"), step: 5, min: 0, max: 100 })}
+            {["defaultProbability", "defaultProbabilities", "recoveryRate"].map(
+              (field) => errors[field] && <p key={field} id={`${field}Error`} className="text-xs text-red-700">{errors[field]}</p>
+            )}
+            <p className="text-xs text-gray-600">{t("credit.note")}</p>
+          </div>
+
+          <div className="h-40" role="img" aria-label={t("credit.previewLabel")}>
+            {preview.length > 1 && (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={preview} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="years"
+                    type="number"
+                    domain={[0, "dataMax"]}
+                    tickFormatter={(value) => t("sensitivity.yearsShort", { value: formatDecimal(value) })}
+                  />
+                  <YAxis tickFormatter={(value) => formatPercent(value, 0)} domain={["auto", 100]} width={50} />
+                  <Tooltip
+                    formatter={(value) => formatPercent(value, 2)}
+                    labelFormatter={(value) => t("common.years", { count: value, value: formatDecimal(value, 3) })}
+                  />
+                  <Line type="stepAfter" dataKey="survival" name={t("credit.survival")} stroke={colors.orange} strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================
+// CALL AND PUT SCHEDULES
+// ============================
+function ExerciseScheduleSection({ kind, entries, onChange, useDates, settlementDate, frequency, error }) {
+  const { t } = useLocale();
+  const updateEntry = (index, field, value) =>
+    onChange(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  const removeEntry = (index) => onChange(entries.filter((_, i) => i !== index));
+  // Each new date starts one year after the last one so the schedule stays in order
+  const addEntry = () => {
+    const last = entries[entries.length - 1];
+    const years = last ? last.years + 1 : 1;
+    const start = parseISODate(last?.date ?? settlementDate) ?? new Date();
+    onChange([...entries, { years, date: toISODate(addMonths(start, 12)), price: last ? last.price : 100 }]);
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+      <h5 className="font-semibold text-sm text-gray-800">{t(`exercise.${kind}.title`)}</h5>
+      {entries.length > 0 && (
+        <table className="text-sm">
+          <caption className="sr-only">{t(`exercise.${kind}.caption`)}</caption>
+          <thead>
+            <tr>
+              <th scope="col" className="text-left font-semibold pr-2 pb-1">{t(useDates ? "exercise.date" : "exercise.year")}</th>
+              <th scope="col" className="text-left font-semibold pr-2 pb-1">{t("exercise.price")}</th>
+              <th scope="col"><span className="sr-only">{t("common.remove")}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry, index) => (
+              <tr key={index}>
+                <td className="pr-2 pb-1">
+                  {useDates ? (
+                    <input
+                      type="date"
+                      value={entry.date}
+                      onChange={(e) => updateEntry(index, "date", e.target.value)}
+                      className="block rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                      aria-label={t(`exercise.${kind}.dateLabel`, { number: index + 1 })}
+                    />
+                  ) : (
+                    <input
+                      type="number"
+                      step={1 / frequency}
+                      min="0"
+                      value={entry.years}
+                      onChange={(e) => updateEntry(index, "years", +e.target.value)}
+                      className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                      aria-label={t(`exercise.${kind}.yearsLabel`, { number: index + 1 })}
+                    />
+                  )}
+                </td>
+                <td className="pr-2 pb-1">
+                  <input
+                    type="number"
+                    step="0.5"
+                    min="0"
+                    value={entry.price}
+                    onChange={(e) => updateEntry(index, "price", +e.target.value)}
+                    className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                    aria-label={t(`exercise.${kind}.priceLabel`, { number: index + 1 })}
+                  />
+                </td>
+                <td className="pb-1">
+                  <button
+                    onClick={() => removeEntry(index)}
+                    className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+                    aria-label={t(`exercise.${kind}.removeLabel`, { number: index + 1 })}
+                  >
+                    {t("common.remove")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button onClick={addEntry} className="px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300">
+        {t(`exercise.${kind}.add`)}
+      </button>
+      <p className="text-xs text-gray-600">
+        {t(`exercise.${kind}.note`)} {t(useDates ? "exercise.datesNote" : "exercise.yearsNote")}
+      </p>
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+}
+
+// ============================
+// LANGUAGE AND CURRENCY
+// ============================
+// A stored choice wins; otherwise follow the browser's languages with that region's currency
+const initialPreferences = () => {
+  const { locale, currency } = readPreferences();
+  const matched = LOCALES.find(({ value }) => value === locale)?.value ?? matchLocale(globalThis.navigator?.languages ?? []);
+  return {
+    locale: matched,
+    currency: CURRENCIES.includes(currency) ? currency : LOCALES.find(({ value }) => value === matched).currency,
+  };
+};
+
+function LocaleSelector({ preferences, onChange }) {
+  const { t, locale } = useLocale();
+  const currencyNames = useMemo(() => new Intl.DisplayNames([locale], { type: "currency" }), [locale]);
+  const selectClass =
+    "block rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 ml-auto text-sm" role="group" aria-label={t("locale.label")}>
+      <label htmlFor="locale" className="text-gray-700">{t("locale.language")}</label>
+      <select
+        id="locale"
+        value={preferences.locale}
+        // Switching region switches to its currency; the currency can still be changed afterwards
+        onChange={(e) =>
+          onChange({ locale: e.target.value, currency: LOCALES.find(({ value }) => value === e.target.value).currency })
+        }
+        className={selectClass}
+      >
+        {LOCALES.map(({ value, label }) => (
+          <option key={value} value={value} lang={value}>{label}</option>
+        ))}
+      </select>
+      <label htmlFor="currency" className="text-gray-700">{t("locale.currency")}</label>
+      <select
+        id="currency"
+        value={preferences.currency}
+        onChange={(e) => onChange({ ...preferences, currency: e.target.value })}
+        className={selectClass}
+      >
+        {CURRENCIES.map((code) => (
+          <option key={code} value={code}>{`${code} – ${currencyNames.of(code)}`}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// ============================
+// BOND SCENARIOS
+// ============================
+// Each compared bond gets the next unused color
+const SCENARIO_COLORS = [COLORS.primary, COLORS.orange, COLORS.mint, COLORS.purple];
+
+const createDefaultInputs = () => ({
+  // Which validation profile sets the input limits; see validation.js
+  profile: DEFAULT_PROFILE,
+  faceValue: 100,
+  frequency: 2,
+  couponRate: 8.6,
+  ytm: 6.5,
+  years: 5,
+  solveFor: "price",
+  quotedPrice: 108.84,
+  useDates: false,
+  settlementDate: toISODate(new Date()),
+  maturityDate: toISODate(addMonths(new Date(), 58)),
+  dayCount: "30/360",
+  bondType: "bullet",
+  sinkingFundPercent: 10,
+  sinkingFundStart: 2,
+  discounting: "ytm",
+  curveModel: "points",
+  curvePoints: DEFAULT_CURVE_POINTS,
+  nelsonSiegelParams: DEFAULT_NELSON_SIEGEL,
+  // Embedded options: { years, date, price } per exercise date, price as % of principal outstanding
+  callSchedule: [],
+  putSchedule: [],
+  // Floating-rate notes: the projected reference rate (% a year) and the margins over it in basis points
+  referenceModel: "flat",
+  referenceRate: 4,
+  referenceStep: 0.25,
+  referenceStepYears: 1,
+  referenceRates: [],
+  quotedMargin: 100,
+  discountMargin: 100,
+  // Inflation-linked bonds: the coupon is real, the YTM nominal; the index follows a constant rate or CPI levels
+  realYield: 4,
+  yieldBasis: "real",
+  inflationModel: "flat",
+  inflationRate: 2.5,
+  baseCpi: 300,
+  cpiSeries: [],
+  // Credit risk: annual default probability (%), constant or one per year, and recovery as % of the exposure
+  creditRisk: false,
+  defaultModel: "flat",
+  defaultProbability: 2,
+  defaultProbabilities: [],
+  recoveryRate: 40,
+});
+
+const createScenario = (id, inputs, existing, name, t) => {
+  const used = new Set(existing.map((scenario) => scenario.color));
+  const usedNames = new Set(existing.map((scenario) => scenario.name));
+  const defaultName = (letter) => t("scenario.defaultName", { letter: String.fromCharCode(65 + letter) });
+  let letter = 0;
+  while (usedNames.has(defaultName(letter))) letter += 1;
+  return {
+    id,
+    name: name ?? defaultName(letter),
+    color: SCENARIO_COLORS.find((color) => !used.has(color)) ?? SCENARIO_COLORS[existing.length % SCENARIO_COLORS.length],
+    inputs: { ...inputs },
+  };
+};
+
+// Rebuilds the compared bonds from a list of { name, inputs }, numbering them from 1
+const scenariosFromBonds = (bonds, t) =>
+  bonds.reduce((list, { name, inputs }, index) => [...list, createScenario(index + 1, inputs, list, name, t)], []);
+
+// A shared link reopens its bonds; otherwise start from the textbook example
+const initialScenarios = (t) => {
+  const fromUrl = scenariosFromQuery(window.location.search, createDefaultInputs());
+  return scenariosFromBonds((fromUrl ?? [createDefaultInputs()]).map((inputs) => ({ name: null, inputs })), t);
+};
+
+// Turns one bond's raw inputs into validated engine terms and its full analysis; messages and
+// labels come out in the locale's language
+function evaluateScenario(inputs, { t, formatDate, formatDecimal, formatPercent }) {
+  const { faceValue, frequency, couponRate, ytm, years, solveFor, quotedPrice, useDates } = inputs;
+  const { settlementDate, maturityDate, dayCount, bondType, sinkingFundPercent, sinkingFundStart } = inputs;
+  const { discounting, curveModel, curvePoints, nelsonSiegelParams, callSchedule, putSchedule } = inputs;
+  const { referenceModel, referenceRate, referenceStep, referenceStepYears, referenceRates, quotedMargin, discountMargin } = inputs;
+  const { realYield, yieldBasis, inflationModel, inflationRate, baseCpi, cpiSeries } = inputs;
+  const { creditRisk, defaultModel, defaultProbability, defaultProbabilities, recoveryRate } = inputs;
+
+  const schedule = useDates ? buildCouponSchedule({ settlementDate, maturityDate, frequency, dayCount }) : null;
+
+  // With dates, the remaining coupons set the term and settlement sets the accrued fraction
+  const pricingYears = schedule ? schedule.couponDates.length / frequency : years;
+  const accrualFraction = schedule ? schedule.accrualFraction : 0;
+
+  const inputErrors = validateInputs(inputs, pricingYears, { t, formatPercent, formatDecimal });
+  const hasErrors = Object.keys(inputErrors).length > 0;
+
+  // A floating-rate note's coupons follow its reference path, and it is always discounted at
+  // reference + DM, so the single-yield and curve inputs do not apply to it. The path is only
+  // projected over a valid term; otherwise it stays empty and the errors block the analysis
+  const floating = bondType === "floating-rate";
+  const termValid = !inputErrors.frequency && !inputErrors.years && !inputErrors.settlementDate && !inputErrors.maturityDate;
+  const referencePath =
+    floating && termValid
+      ? buildReferencePath(
+          { model: referenceModel, rate: referenceRate, step: referenceStep, stepYears: referenceStepYears, rates: referenceRates },
+          Math.round(pricingYears * frequency),
+          frequency
+        )
+      : [];
+  const couponRates = floating ? floatingCouponRates(referencePath, quotedMargin / 100) : null;
+
+  // An inflation-linked bond scales each payment by its index ratio and is priced off one yield,
+  // real or nominal, so it too sets the curve and the quoted price aside
+  const indexed = bondType === "inflation-linked";
+  const indexRatios =
+    indexed && !hasErrors
+      ? buildIndexRatios(
+          { model: inflationModel, rate: inflationRate, baseCpi, cpi: cpiSeries },
+          Math.round(pricingYears * frequency),
+          frequency,
+          accrualFraction
+        )
+      : null;
+
+  // Everything the engine needs to generate and discount the promised cash flows
+  const bondTerms = {
+    faceValue,
+    couponRate: floating ? couponRates[0] : couponRate,
+    years: pricingYears,
+    frequency,
+    accrualFraction,
+    accruedFraction: schedule ? schedule.accruedFraction : 0,
+    bondType,
+    sinkingFundPercent,
+    sinkingFundStart,
+    ...(floating && { couponRates }),
+    ...(indexRatios && { indexRatios }),
+  };
+
+  const spotCurve =
+    floating || indexed || discounting !== "curve"
+      ? null
+      : curveModel === "nelson-siegel"
+      ? { model: "nelson-siegel", params: nelsonSiegelParams }
+      : { model: "points", points: curvePoints };
+
+  // In "solve for YTM" mode the yield is backed out of the quoted (clean) price plus accrued interest
+  let yieldSolution = null;
+  if (!floating && !indexed && !spotCurve && solveFor === "ytm" && quotedPrice > 0 && !hasErrors) {
+    const { accruedInterest } = computeBondPrice({ ...bondTerms, ytm: 0 });
+    yieldSolution = solveYieldFromPrice({ ...bondTerms, price: quotedPrice + accruedInterest });
+    // Nothing can be analyzed without a yield, so say why at the price rather than leave the results blank
+    if (!Number.isFinite(yieldSolution.ytm)) inputErrors.quotedPrice = t("validation.noYield");
+  }
+  const inputYtm = yieldSolution ? yieldSolution.ytm : ytm;
+
+  const dated = { settlementDate, couponDates: schedule ? schedule.couponDates : null };
+  let bondCalculations = null;
+  if (!hasErrors && floating) {
+    bondCalculations = {
+      ...analyzeFloatingRateNote({
+        ...bondTerms,
+        referenceRates: referencePath,
+        quotedMargin: quotedMargin / 100,
+        discountMargin: discountMargin / 100,
+        ...dated,
+      }),
+      schedule,
+      dayCount,
+      spotCurve,
+    };
+  } else if (!hasErrors && indexed) {
+    bondCalculations = {
+      ...analyzeInflationLinkedBond({ ...bondTerms, realYield, nominalYield: ytm, yieldBasis, ...dated }),
+      schedule,
+      dayCount,
+      spotCurve,
+    };
+  } else if (!hasErrors && spotCurve) {
+    bondCalculations = { ...analyzeBondWithCurve({ ...bondTerms, curve: spotCurve, ...dated }), schedule, dayCount, spotCurve };
+  } else if (!hasErrors && Number.isFinite(inputYtm)) {
+    bondCalculations = { ...analyzeBond({ ...bondTerms, ytm: inputYtm, ...dated }), schedule, dayCount, spotCurve };
+  }
+
+  // Off a spot curve or a reference path the YTM is an output: the single yield that reproduces the price.
+  // So is a linker's nominal yield when it is priced off the real one
+  const solvedYield =
+    (spotCurve || floating || (indexed && yieldBasis === "real")) && bondCalculations ? bondCalculations.yieldSolution : null;
+  const effectiveYtm = solvedYield ? solvedYield.ytm : inputYtm;
+
+  // Each call or put is priced as an early redemption at the coupon date it falls on
+  let optionAnalysis = null;
+  let worstCase = null;
+  if (bondCalculations && callSchedule.length + putSchedule.length > 0) {
+    const exerciseDates = (entries) =>
+      entries.map(({ years: exerciseYears, date, price }) => ({
+        period: schedule
+          ? schedule.couponDates.findIndex((couponDate) => couponDate >= date) + 1
+          : Math.round(exerciseYears * frequency),
+        price,
+      }));
+    const { scenarios, worst } = analyzeRedemptions({
+      ...bondTerms,
+      price: bondCalculations.bondPrice,
+      calls: exerciseDates(callSchedule),
+      puts: exerciseDates(putSchedule),
+    });
+    const describe = (scenario) => ({
+      ...scenario,
+      label:
+        scenario.kind === "maturity"
+          ? t("options.label.maturity")
+          : schedule
+          ? t(`options.label.${scenario.kind}Date`, { date: formatDate(schedule.couponDates[scenario.period - 1]) })
+          : t(`options.label.${scenario.kind}Years`, { years: formatDecimal(scenario.period / frequency, 3) }),
+    });
+    optionAnalysis = { scenarios: scenarios.map(describe), worst: describe(worst) };
+    if (worst.kind !== "maturity") {
+      const redemption = { period: worst.period, price: worst.redemptionPrice };
+      worstCase = {
+        label: optionAnalysis.worst.label,
+        bondCalculations: {
+          ...analyzeBond({ ...bondTerms, ytm: worst.ytm, redemption, ...dated }),
+          schedule,
+          dayCount,
+          spotCurve: null,
+        },
+      };
+    }
+  }
+
+  // Credit risk weights the same promised flows by the chance they are paid, discounted at the
+  // default-free yield found above
+  const creditAnalysis =
+    creditRisk && bondCalculations
+      ? analyzeCredit({
+          ...bondTerms,
+          defaultProbabilities: buildDefaultProbabilities(
+            { model: defaultModel, probability: defaultProbability, probabilities: defaultProbabilities },
+            Math.round(pricingYears * frequency),
+            frequency,
+            accrualFraction
+          ),
+          recoveryRate,
+          ytm: effectiveYtm,
+        })
+      : null;
+
+  const inputWarnings = collectWarnings(inputs, { bondTerms, bondCalculations, effectiveYtm }, { t, formatPercent, formatDecimal });
+
+  return {
+    schedule,
+    pricingYears,
+    inputErrors,
+    inputWarnings,
+    bondTerms,
+    spotCurve,
+    referencePath,
+    yieldSolution: solvedYield ?? yieldSolution,
+    bondCalculations,
+    effectiveYtm,
+    optionAnalysis,
+    worstCase,
+    creditAnalysis,
+  };
+}
+
+// Input assumptions as label/value pairs, shared by the exports and the printed report
+// Labels are translated; values stay raw so the spreadsheet exports keep numbers as numbers
+const describeAssumptions = (inputs, { bondTerms, effectiveYtm, schedule, spotCurve, referencePath }, { t, formatDecimal }) => {
+  const floating = inputs.bondType === "floating-rate";
+  const indexed = inputs.bondType === "inflation-linked";
+  const discounting = floating
+    ? "assumptions.referencePlusMargin"
+    : indexed
+    ? `assumptions.${inputs.yieldBasis}Basis`
+    : spotCurve
+    ? "assumptions.spotCurve"
+    : "assumptions.singleYield";
+  const assumptions = [
+    [t("assumptions.profile"), t(`profile.${inputs.profile}`)],
+    [t("assumptions.bondType"), t(`bondType.${inputs.bondType}`)],
+    [t("assumptions.faceValue"), inputs.faceValue],
+    floating
+      ? [t("assumptions.quotedMargin"), inputs.quotedMargin]
+      : [t(indexed ? "assumptions.realCouponRate" : "assumptions.couponRate"), inputs.bondType === "zero" ? 0 : inputs.couponRate],
+    [t("assumptions.frequency"), inputs.frequency],
+    [t("assumptions.discounting"), t(discounting)],
+    [
+      t(
+        spotCurve || floating || (indexed && inputs.yieldBasis === "real")
+          ? "assumptions.impliedYtm"
+          : indexed
+          ? "assumptions.nominalYield"
+          : "assumptions.ytm"
+      ),
+      effectiveYtm,
+    ],
+    [t("assumptions.years"), bondTerms.years],
+  ];
+  if (floating) {
+    assumptions.push([t("assumptions.discountMargin"), inputs.discountMargin]);
+    // The projected path itself, one row per period, is what the coupons and discount rates follow
+    referencePath.forEach((rate, index) => assumptions.push([t("assumptions.referenceRate", { period: index + 1 }), rate]));
+  }
+  if (indexed) {
+    assumptions.push([t("assumptions.realYield"), inputs.realYield]);
+    if (inputs.yieldBasis === "real") assumptions.push([t("assumptions.marketNominalYield"), inputs.ytm]);
+    if (inputs.inflationModel === "cpi") {
+      assumptions.push([t("assumptions.baseCpi"), inputs.baseCpi]);
+      inputs.cpiSeries.forEach((level, index) => assumptions.push([t("assumptions.cpiLevel", { period: index + 1 }), level]));
+    } else {
+      assumptions.push([t("assumptions.inflationRate"), inputs.inflationRate]);
+    }
+  }
+  if (inputs.creditRisk) {
+    if (inputs.defaultModel === "term") {
+      inputs.defaultProbabilities.forEach((probability, index) =>
+        assumptions.push([t("assumptions.defaultProbabilityYear", { year: index + 1 }), probability])
+      );
+    } else {
+      assumptions.push([t("assumptions.defaultProbability"), inputs.defaultProbability]);
+    }
+    assumptions.push([t("assumptions.recoveryRate"), inputs.recoveryRate]);
+  }
+  if (!spotCurve && !floating && !indexed && inputs.solveFor === "ytm") assumptions.push([t("assumptions.quotedPrice"), inputs.quotedPrice]);
+  if (schedule) {
+    assumptions.push(
+      [t("assumptions.settlementDate"), inputs.settlementDate],
+      [t("assumptions.maturityDate"), inputs.maturityDate],
+      [t("assumptions.dayCount"), inputs.dayCount]
+    );
+  }
+  if (inputs.bondType === "sinking-fund") {
+    assumptions.push(
+      [t("assumptions.sinkingFundPercent"), inputs.sinkingFundPercent],
+      [t("assumptions.sinkingFundStart"), inputs.sinkingFundStart]
+    );
+  }
+  const exercisePrice = (kind, { years, date }) =>
+    schedule ? t(`assumptions.${kind}PriceDate`, { date }) : t(`assumptions.${kind}PriceYears`, { years: formatDecimal(years) });
+  inputs.callSchedule.forEach((entry) => assumptions.push([exercisePrice("call", entry), entry.price]));
+  inputs.putSchedule.forEach((entry) => assumptions.push([exercisePrice("put", entry), entry.price]));
+  if (spotCurve?.model === "points") {
+    spotCurve.points.forEach(({ tenor, rate }) =>
+      assumptions.push([t("assumptions.spotRate", { tenor: formatDecimal(tenor) }), rate])
+    );
+  } else if (spotCurve) {
+    const { beta0, beta1, beta2, tau } = spotCurve.params;
+    assumptions.push(
+      [t("assumptions.nelsonSiegel", { parameter: "β0" }), beta0],
+      [t("assumptions.nelsonSiegel", { parameter: "β1" }), beta1],
+      [t("assumptions.nelsonSiegel", { parameter: "β2" }), beta2],
+      [t("assumptions.nelsonSiegel", { parameter: "τ" }), tau]
+    );
+  }
+  return assumptions;
+};
+
+// ============================
+// MAIN APP
+// ============================
+/**
+ * The full calculator page, or the widget a course page embeds (see embed.jsx).
+ * @param {{
+ *   embedOptions?: import("./widget.js").EmbedOptions,
+ *   onChange?: (message: object, targetOrigin: string|null) => void,
+ * }} props embedOptions set only when embedded; onChange then receives a message for each change of
+ *   inputs, with the origin the host page allowed to receive it
+ */
+export default function App({ embedOptions = null, onChange = null }) {
+  // Embedded, the host page picks the starting bonds, cards and locale; the address bar, the page
+  // language and stored preferences stay the host's
+  const [embed] = useState(() =>
+    embedOptions ? normalizeEmbedOptions(embedOptions, createDefaultInputs(), COLORS, window.location.origin ?? null) : null
+  );
+  const [preferences, setPreferences] = useState(() =>
+    embed?.locale ? { locale: embed.locale, currency: embed.currency } : initialPreferences()
+  );
+  const localeValue = useMemo(
+    () => createLocale(preferences.locale, preferences.currency),
+    [preferences.locale, preferences.currency]
+  );
+  const { t, formatCurrency, formatDecimal, formatPercent } = localeValue;
+  const [scenarios, setScenarios] = useState(() =>
+    embed
+      ? scenariosFromBonds(embed.bonds.map((inputs) => ({ name: null, inputs })), localeValue.t)
+      : initialScenarios(localeValue.t)
+  );
+  const [activeScenarioId, setActiveScenarioId] = useState(1);
+  const [mode, setMode] = useState("calculator");
+  const [pullToParStep, setPullToParStep] = useState(0);
+  // The stress set belongs to the page, not to a bond, so it carries over as bonds are switched
+  const [shocks, setShocks] = useState(standardShocks);
+  const [shockOverlay, setShockOverlay] = useState(false);
+
+  // Keep the address bar in step with the inputs so the page can be bookmarked or shared
+  useEffect(() => {
+    if (embed) return;
+    const query = scenariosToQuery(scenarios.map(({ inputs }) => inputs), createDefaultInputs());
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, "", `${pathname}${query ? `?${query}` : ""}${hash}`);
+  }, [embed, scenarios]);
+
+  useEffect(() => {
+    if (embed) return;
+    document.documentElement.lang = preferences.locale;
+    writePreferences(preferences);
+  }, [embed, preferences]);
+
+  const handleLoadSaved = (bonds) => {
+    setScenarios(scenariosFromBonds(bonds, t));
+    setActiveScenarioId(1);
+  };
+
+  // Every bond is evaluated on each change so the comparison stays in step with the editor
+  const evaluations = useMemo(
+    () => new Map(scenarios.map((scenario) => [scenario.id, evaluateScenario(scenario.inputs, localeValue)])),
+    [scenarios, localeValue]
+  );
+
+  const activeScenario = scenarios.find((scenario) => scenario.id === activeScenarioId) ?? scenarios[0];
+
+  // Tell the host page about every change, including the starting state once mounted
+  useEffect(() => {
+    if (!embed || !onChange) return;
+    const bonds = scenarios.map((scenario) => summarizeBond(scenario, evaluations.get(scenario.id)));
+    onChange(changeMessage(embed.id, bonds, scenarios.indexOf(activeScenario)), embed.targetOrigin);
+  }, [embed, onChange, scenarios, evaluations, activeScenario]);
+
+  const {
+    faceValue,
+    frequency,
+    couponRate,
+    ytm,
+    years,
+    solveFor,
+    quotedPrice,
+    useDates,
+    settlementDate,
+    maturityDate,
+    dayCount,
+    bondType,
+    sinkingFundPercent,
+    sinkingFundStart,
+    discounting,
+    curveModel,
+    curvePoints,
+    nelsonSiegelParams,
+    callSchedule,
+    putSchedule,
+  } = activeScenario.inputs;
+  const limits = validationProfile(activeScenario.inputs.profile);
+  const {
+    pricingYears,
+    inputErrors,
+    inputWarnings,
+    bondTerms,
+    spotCurve,
+    referencePath,
+    yieldSolution,
+    bondCalculations,
+    effectiveYtm,
+    optionAnalysis,
+    worstCase,
+    creditAnalysis,
+  } = evaluations.get(activeScenario.id);
+  // A floating-rate note takes its own path and margins in place of the coupon and discounting inputs
+  const floating = bondType === "floating-rate";
+  // An inflation-linked bond keeps the coupon (real) and the YTM (nominal) but brings its own yield basis
+  const indexed = bondType === "inflation-linked";
+
+  // Fields the host page locked stay at its values, whichever control or chart tries to change them
+  const isLocked = (field) => embed?.locked.has(field) ?? false;
+  const showCard = (card) => !embed || embed.cards.has(card);
+
+  // The calculator card edits whichever bond is selected
+  const updateInput = (field, value) => {
+    if (isLocked(field)) return;
+    setScenarios((list) =>
+      list.map((scenario) =>
+        scenario.id === activeScenario.id ? { ...scenario, inputs: { ...scenario.inputs, [field]: value } } : scenario
+      )
+    );
+  };
+
+  // A new bond starts as a copy of the selected one so a single input can be varied
+  const handleAddScenario = () => {
+    const id = Math.max(...scenarios.map((scenario) => scenario.id)) + 1;
+    setScenarios([...scenarios, createScenario(id, activeScenario.inputs, scenarios, null, t)]);
+    setActiveScenarioId(id);
+  };
+
+  const handleRemoveScenario = (id) => {
+    const remaining = scenarios.filter((scenario) => scenario.id !== id);
+    setScenarios(remaining);
+    if (id === activeScenario.id) setActiveScenarioId(remaining[0].id);
+  };
+
+  // Shocks move whatever the bond is discounted at: its single yield, each spot rate, or a floating-rate
+  // note's reference path, whose later coupons reset with it
+  const shockErrors = validateShocks(shocks, localeValue);
+  const shockAnalysis = bondCalculations
+    ? analyzeShocks({
+        ...bondTerms,
+        shocks,
+        ...(floating
+          ? {
+              floating: {
+                referenceRates: referencePath,
+                quotedMargin: activeScenario.inputs.quotedMargin / 100,
+                discountMargin: activeScenario.inputs.discountMargin / 100,
+              },
+            }
+          : { ytm: effectiveYtm, curve: spotCurve }),
+      })
+    : null;
+  const shockLines =
+    shockOverlay && shockAnalysis
+      ? {
+          basePresentValues: shockAnalysis.basePresentValues,
+          scenarios: shockAnalysis.scenarios
+            .map(({ presentValues }, index) => ({ index, label: shockLabel(shocks[index], localeValue), presentValues }))
+            .filter(({ index }) => !shockErrors[index]),
+        }
+      : null;
+
+  const comparison = scenarios.map((scenario) => ({ ...scenario, ...evaluations.get(scenario.id) }));
+  const equationType = mode === "practice" ? "bullet" : bondType;
+  const assumptions = describeAssumptions(activeScenario.inputs, evaluations.get(activeScenario.id), localeValue);
+
+  // Picking a point on the price–yield curve drives whichever input is active
+  const handleSelectYield = (selectedYtm) => {
+    if (solveFor === "ytm") {
+      const { cleanPrice } = computeBondPrice({ ...bondTerms, ytm: selectedYtm });
+      updateInput("quotedPrice", +cleanPrice.toFixed(2));
+    } else {
+      // The curve extends past the input limits; keep the chosen yield within them
+      updateInput("ytm", Math.min(Math.max(selectedYtm, limits.ytm.min), limits.ytm.max));
+    }
+  };
+
+  // A grid cell is a coupon/yield/maturity combination priced off a single yield
+  const handleSelectGridCell = (values) => {
+    if (Object.keys(values).some(isLocked)) return;
+    updateInput("discounting", "ytm");
+    updateInput("solveFor", "price");
+    Object.entries(values).forEach(([field, value]) => updateInput(field, value));
+  };
+
+  const couponErrId = "couponError";
+  const ytmErrId = "ytmError";
+  const priceErrId = "priceError";
+  const faceErrId = "faceValueError";
+  const frequencyErrId = "frequencyError";
+  const yearsErrId = "yearsError";
+  const sinkingPercentErrId = "sinkingFundPercentError";
+  const sinkingStartErrId = "sinkingFundStartError";
+  const settlementErrId = "settlementDateError";
+  const maturityErrId = "maturityDateError";
+
+  const chartCards = ["chart", "priceYield", "pullToPar"].filter(showCard);
+
+  return (
+    <LocaleContext.Provider value={localeValue}>
+    <ThemeContext.Provider value={embed ? embed.theme : COLORS}>
+    <div className={`${embed ? "" : "min-h-screen "}bg-gray-50 p-6 font-sans`}>
+      <main className="max-w-7xl mx-auto space-y-6">
+        {/* An embedded widget is the calculator alone, in the language its page chose */}
+        {!embed && (
+        <div className="flex flex-wrap items-center gap-2 print:hidden">
+          <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("app.mode")}>
+            {["calculator", "practice"].map((value) => (
+              <button
+                key={value}
+                onClick={() => setMode(value)}
+                className={`px-3 py-1 text-sm rounded transition-colors ${
+                  mode === value ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                }`}
+                aria-pressed={mode === value}
+              >
+                {t(`app.modes.${value}`)}
+              </button>
+            ))}
+          </div>
+          <LocaleSelector preferences={preferences} onChange={setPreferences} />
+        </div>
+        )}
+
+        {showCard("equation") && (
+          <Card title={t("app.card.equation")}>
+            {/* Practice problems are all coupon bonds, so they always use Equation 6 */}
+            <p className="mb-4 text-sm text-gray-700">{t(`equation.${equationKey(equationType)}.intro`)}</p>
+            <EquationSection bondType={equationType} />
+            {mode === "calculator" && (
+              <WorkedSolution bondTerms={bondTerms} ytm={effectiveYtm} bondCalculations={bondCalculations} />
+            )}
+          </Card>
+        )}
+
+        {/* Kept mounted while hidden so the session score survives a trip back to the calculator */}
+        {!embed && (
+          <div hidden={mode !== "practice"}>
+            <Card title={t("app.card.practice")}>
+              <PracticeSection />
+            </Card>
+          </div>
+        )}
+
+        {/* Stands in for the calculator card, which is left out of the printed report */}
+        <Card title={t("app.card.assumptions")} className="hidden print:block">
+          <dl className="grid grid-cols-2 gap-x-6 gap-y-1">
+            {assumptions.map(([label, value]) => (
+              <div key={label} className="flex justify-between gap-3 border-b border-gray-100">
+                <dt>{label}</dt>
+                <dd className="font-semibold">{typeof value === "number" ? formatDecimal(value, 6) : value}</dd>
+              </div>
+            ))}
+          </dl>
+        </Card>
+
+        {mode === "calculator" && (
+          <>
+          {bondCalculations && (showCard("results") || chartCards.length > 0) && (
+            <div className="grid grid-cols-6 gap-6">
+              {showCard("results") && (
+              <div className={`col-span-6 ${chartCards.length > 0 ? "sm:col-span-2" : ""}`}>
+                <Card
+                  title={
+                    scenarios.length > 1 ? t("app.card.resultsFor", { name: activeScenario.name }) : t("app.card.results")
+                  }
+                >
+                  <MiscSection
+                    bondCalculations={bondCalculations}
+                    bondTerms={bondTerms}
+                    ytm={effectiveYtm}
+                    yieldSolution={yieldSolution}
+                    optionAnalysis={optionAnalysis}
+                    creditAnalysis={creditAnalysis}
+                  />
+                </Card>
+              </div>
+              )}
+              {chartCards.length > 0 && (
+              <div className={`col-span-6 ${showCard("results") ? "sm:col-span-4" : ""}`}>
+                <div className="space-y-6">
+                  {showCard("chart") && (
+                  <Card title={t("app.card.cashFlows")}>
+                    <BondChart
+                      bondCalculations={bondCalculations}
+                      comparison={comparison.filter((bond) => bond.bondCalculations)}
+                      paidThrough={Math.min(pullToParStep, bondCalculations.periods)}
+                      worstCase={worstCase}
+                      credit={creditAnalysis}
+                      shocks={shockLines}
+                    />
+                    <ExportSection
+                      bondCalculations={creditAnalysis ? { ...bondCalculations, credit: creditAnalysis } : bondCalculations}
+                      assumptions={assumptions}
+                    />
+                  </Card>
+                  )}
+                  {showCard("priceYield") && (
+                  <Card title={t("app.card.priceYield")}>
+                    <PriceYieldChart
+                      bondCalculations={bondCalculations}
+                      bondTerms={bondTerms}
+                      ytm={effectiveYtm}
+                      onSelectYield={
+                        spotCurve || floating || indexed || isLocked(solveFor === "ytm" ? "quotedPrice" : "ytm") ? undefined : handleSelectYield
+                      }
+                    />
+                  </Card>
+                  )}
+                  {showCard("pullToPar") && (
+                  <Card title={t("app.card.pullToPar")}>
+                    <PullToParChart
+                      bondTerms={bondTerms}
+                      ytm={effectiveYtm}
+                      step={pullToParStep}
+                      onStepChange={setPullToParStep}
+                    />
+                  </Card>
+                  )}
+                </div>
+              </div>
+              )}
+            </div>
+          )}
+
+          {bondCalculations && showCard("horizon") && (
+            <Card title={t("app.card.horizon")}>
+              <HorizonSection bondCalculations={bondCalculations} ytm={effectiveYtm} limits={limits} />
+            </Card>
+          )}
+
+          {bondCalculations && showCard("sensitivity") && (
+            <Card title={t("app.card.sensitivity")}>
+              <SensitivitySection
+                bondTerms={bondTerms}
+                ytm={effectiveYtm}
+                useDates={useDates}
+                limits={limits}
+                onSelect={handleSelectGridCell}
+              />
+            </Card>
+          )}
+
+          {bondCalculations && showCard("shocks") && (
+            <Card title={t("app.card.shocks")}>
+              <ShockSection
+                shocks={shocks}
+                onChange={setShocks}
+                shockAnalysis={shockAnalysis}
+                errors={shockErrors}
+                overlay={shockOverlay}
+                onOverlayChange={setShockOverlay}
+                saving={!embed}
+              />
+            </Card>
+          )}
+
+          {scenarios.length > 1 && showCard("comparison") && (
+            <Card title={t("app.card.comparison")}>
+              <ComparisonTable comparison={comparison} activeId={activeScenario.id} onSelect={setActiveScenarioId} />
+            </Card>
+          )}
+
+          {showCard("calculator") && (
+          <Card title={t("app.card.calculator")} className="print:hidden">
+            <div className="mb-4 flex flex-wrap items-center gap-2" role="group" aria-label={t("app.bonds")}>
+              <span className="text-gray-700 text-sm mr-1">{t("app.editing")}</span>
+              {scenarios.map(({ id, name, color }) => (
+                <span key={id} className="inline-flex items-center">
+                  <button
+                    onClick={() => setActiveScenarioId(id)}
+                    className={`inline-flex items-center gap-2 px-3 py-1 text-sm rounded-l transition-colors ${
+                      scenarios.length === 1 ? "rounded-r" : ""
+                    } ${id === activeScenario.id ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"}`}
+                    aria-pressed={id === activeScenario.id}
+                  >
+                    <span className="inline-block w-3 h-3 rounded border border-white" style={{ backgroundColor: color }}></span>
+                    {name}
+                    {Object.keys(evaluations.get(id).inputErrors).length > 0 && <span aria-label={t("app.hasErrors")}>⚠</span>}
+                  </button>
+                  {scenarios.length > 1 && (
+                    <button
+                      onClick={() => handleRemoveScenario(id)}
+                      className="px-2 py-1 text-sm rounded-r bg-gray-200 text-gray-700 hover:bg-gray-300 border-l border-gray-300"
+                      aria-label={t("app.removeBond", { name })}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              ))}
+              {scenarios.length < SCENARIO_COLORS.length && (
+                <button
+                  onClick={handleAddScenario}
+                  className="px-3 py-1 text-sm rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+                >
+                  {t("app.addBond")}
+                </button>
+              )}
+            </div>
+
+            <div className="mb-4 p-3 bg-blue-50 rounded-lg text-sm">
+              <div className="flex flex-wrap justify-between items-center gap-x-8 gap-y-2">
+                <div className="flex items-center">
+                  <label htmlFor="faceValue" className="text-gray-700 mr-2">{t("calculator.faceValue")}</label>
+                  <input
+                    id="faceValue"
+                    type="number"
+                    step="100"
+                    min="0"
+                    value={faceValue}
+                    onChange={(e) => updateInput("faceValue", +e.target.value)}
+                    disabled={isLocked("faceValue")}
+                    className={`block w-28 rounded-md shadow-sm px-2 py-1 text-sm font-semibold ${inputErrors.faceValue ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                    aria-invalid={!!inputErrors.faceValue}
+                    aria-describedby={inputErrors.faceValue ? faceErrId : undefined}
+                  />
+                </div>
+                <div className="flex items-center">
+                  <label htmlFor="frequency" className="text-gray-700 mr-2">{t("calculator.frequency")}</label>
+                  <select
+                    id="frequency"
+                    value={frequency}
+                    onChange={(e) => updateInput("frequency", +e.target.value)}
+                    disabled={isLocked("frequency")}
+                    className={`block rounded-md shadow-sm px-2 py-1 text-sm font-semibold ${inputErrors.frequency ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                    aria-invalid={!!inputErrors.frequency}
+                    aria-describedby={inputErrors.frequency ? frequencyErrId : undefined}
+                  >
+                    {FREQUENCIES.map((value) => (
+                      <option key={value} value={value}>{frequencyLabel(value, t)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center">
+                  <label htmlFor="bondType" className="text-gray-700 mr-2">{t("calculator.bondType")}</label>
+                  <select
+                    id="bondType"
+                    value={bondType}
+                    onChange={(e) => updateInput("bondType", e.target.value)}
+                    disabled={isLocked("bondType")}
+                    className="block rounded-md shadow-sm px-2 py-1 text-sm font-semibold border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                  >
+                    {BOND_TYPES.map(({ value }) => (
+                      <option key={value} value={value}>{t(`bondType.${value}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center">
+                  <label htmlFor="profile" className="text-gray-700 mr-2">{t("calculator.profile")}</label>
+                  <select
+                    id="profile"
+                    value={activeScenario.inputs.profile}
+                    onChange={(e) => updateInput("profile", e.target.value)}
+                    disabled={isLocked("profile")}
+                    className="block rounded-md shadow-sm px-2 py-1 text-sm font-semibold border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                  >
+                    {Object.keys(VALIDATION_PROFILES).map((value) => (
+                      <option key={value} value={value}>{t(`profile.${value}`)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {inputErrors.faceValue && (
+                <p id={faceErrId} className="text-xs text-red-700 mt-2">{inputErrors.faceValue}</p>
+              )}
+              {inputErrors.frequency && (
+                <p id={frequencyErrId} className="text-xs text-red-700 mt-2">{inputErrors.frequency}</p>
+              )}
+            </div>
+
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+                {!floating && !indexed && (
+                <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("calculator.discounting")}>
+                  <span className="text-gray-700 text-sm mr-1">{t("calculator.discountWith")}</span>
+                  <button
+                    onClick={() => updateInput("discounting", "ytm")}
+                    disabled={isLocked("discounting")}
+                    className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                      discounting === "ytm" ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                    }`}
+                    aria-pressed={discounting === "ytm"}
+                  >
+                    {t("calculator.singleYtm")}
+                  </button>
+                  <button
+                    onClick={() => updateInput("discounting", "curve")}
+                    disabled={isLocked("discounting")}
+                    className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                      discounting === "curve" ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                    }`}
+                    aria-pressed={discounting === "curve"}
+                  >
+                    {t("calculator.spotCurve")}
+                  </button>
+                </div>
+                )}
+
+                {discounting === "ytm" && !floating && !indexed && (
+                  <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("calculator.solveFor")}>
+                    <span className="text-gray-700 text-sm mr-1">{t("calculator.solveForLabel")}</span>
+                    <button
+                      onClick={() => updateInput("solveFor", "price")}
+                      disabled={isLocked("solveFor")}
+                      className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                        solveFor === "price" ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                      }`}
+                      aria-pressed={solveFor === "price"}
+                    >
+                      {t("calculator.price")}
+                    </button>
+                    <button
+                      onClick={() => {
+                        // Start from the price implied by the current YTM so switching modes is seamless
+                        if (bondCalculations) updateInput("quotedPrice", +bondCalculations.cleanPrice.toFixed(2));
+                        updateInput("solveFor", "ytm");
+                      }}
+                      disabled={isLocked("solveFor")}
+                      className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                        solveFor === "ytm" ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                      }`}
+                      aria-pressed={solveFor === "ytm"}
+                    >
+                      {t("calculator.ytm")}
+                    </button>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t("calculator.maturityInput")}>
+                  <span className="text-gray-700 text-sm mr-1">{t("calculator.maturityAs")}</span>
+                  <button
+                    onClick={() => updateInput("useDates", false)}
+                    disabled={isLocked("useDates")}
+                    className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                      !useDates ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                    }`}
+                    aria-pressed={!useDates}
+                  >
+                    {t("calculator.years")}
+                  </button>
+                  <button
+                    onClick={() => updateInput("useDates", true)}
+                    disabled={isLocked("useDates")}
+                    className={`px-3 py-1 text-sm rounded transition-colors disabled:opacity-50 ${
+                      useDates ? "bg-blue-600 text-white font-semibold" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                    }`}
+                    aria-pressed={useDates}
+                  >
+                    {t("calculator.settlementDates")}
+                  </button>
+                </div>
+              </div>
+
+              <p className="text-xs text-gray-600"><span className="text-red-500 ml-1">*</span> {t("calculator.required")}</p>
+            
+              <div className="flex flex-wrap items-end gap-x-6 gap-y-4" aria-describedby="inputHelp">
+                {!floating && (
+                <div className="flex items-center gap-2">
+                  <label htmlFor="coupon" className="font-medium text-gray-700 text-sm">
+                    {t(indexed ? "calculator.realCouponRate" : "calculator.couponRate")} <span className="text-gray-500 font-normal">{t("calculator.range", { min: formatDecimal(limits.couponRate.min), max: formatDecimal(limits.couponRate.max) })}</span> <span className="text-red-500 ml-1">*</span>
+                  </label>
+                  <div className="relative w-24">
+                    <input
+                      id="coupon"
+                      type="number"
+                      step="0.1"
+                      min={limits.couponRate.min}
+                      max={limits.couponRate.max}
+                      value={bondType === "zero" ? 0 : couponRate}
+                      onChange={(e) => updateInput("couponRate", +e.target.value)}
+                      disabled={bondType === "zero" || isLocked("couponRate")}
+                      title={bondType === "zero" ? t("calculator.zeroCouponTitle") : undefined}
+                      className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm pr-6 disabled:bg-gray-100 disabled:text-gray-500 ${inputErrors.couponRate ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                      aria-required="true"
+                      aria-invalid={!!inputErrors.couponRate}
+                      aria-describedby={inputErrors.couponRate ? couponErrId : undefined}
+                    />
+                    <span className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 text-sm">%</span>
+                  </div>
+                </div>
+                )}
+                {inputErrors.couponRate && (
+                  <p id={couponErrId} className="text-xs text-red-700 w-full">{inputErrors.couponRate}</p>
+                )}
+
+                {(discounting === "curve" && !indexed) || floating ? null : solveFor === "price" || indexed ? (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="ytm" className="font-medium text-gray-700 text-sm">
+                        {t(indexed ? "calculator.nominalYield" : "calculator.ytm")} <span className="text-gray-500 font-normal">{t("calculator.range", { min: formatDecimal(limits.ytm.min), max: formatDecimal(limits.ytm.max) })}</span> <span className="text-red-500 ml-1">*</span>
+                      </label>
+                      <div className="relative w-24">
+                        <input
+                          id="ytm"
+                          type="number"
+                          step="0.1"
+                          min={limits.ytm.min}
+                          max={limits.ytm.max}
+                          value={ytm}
+                          onChange={(e) => updateInput("ytm", +e.target.value)}
+                          disabled={isLocked("ytm")}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm pr-6 ${inputErrors.ytm ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                          aria-required="true"
+                          aria-invalid={!!inputErrors.ytm}
+                          aria-describedby={inputErrors.ytm ? ytmErrId : undefined}
+                        />
+                        <span className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 text-sm">%</span>
+                      </div>
+                      {frequency !== 1 && (
+                        <span className="text-xs text-gray-600" aria-live="polite">
+                          {t("calculator.effectiveYield", { value: formatPercent(effectiveAnnualYield(ytm, frequency), 4) })}
+                        </span>
+                      )}
+                    </div>
+                    {inputErrors.ytm && (
+                      <p id={ytmErrId} className="text-xs text-red-700 w-full">{inputErrors.ytm}</p>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="quotedPrice" className="font-medium text-gray-700 text-sm">
+                        {t(useDates ? "calculator.cleanPrice" : "calculator.price")} <span className="text-gray-500 font-normal">{t("calculator.perPar", { faceValue: formatCurrency(faceValue) })}</span> <span className="text-red-500 ml-1">*</span>
+                      </label>
+                      <div className="w-24">
+                        <input
+                          id="quotedPrice"
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={quotedPrice}
+                          onChange={(e) => updateInput("quotedPrice", +e.target.value)}
+                          disabled={isLocked("quotedPrice")}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${inputErrors.quotedPrice ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                          aria-required="true"
+                          aria-invalid={!!inputErrors.quotedPrice}
+                          aria-describedby={inputErrors.quotedPrice ? priceErrId : undefined}
+                        />
+                      </div>
+                    </div>
+                    {inputErrors.quotedPrice && (
+                      <p id={priceErrId} className="text-xs text-red-700 w-full">{inputErrors.quotedPrice}</p>
+                    )}
+                  </>
+                )}
+
+                {useDates ? (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="settlementDate" className="font-medium text-gray-700 text-sm">
+                        {t("calculator.settlementDate")} <span className="text-red-500 ml-1">*</span>
+                      </label>
+                      <input
+                        id="settlementDate"
+                        type="date"
+                        value={settlementDate}
+                        onChange={(e) => updateInput("settlementDate", e.target.value)}
+                        disabled={isLocked("settlementDate")}
+                        className={`block rounded-md shadow-sm px-2 py-2 text-sm ${inputErrors.settlementDate ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                        aria-required="true"
+                        aria-invalid={!!inputErrors.settlementDate}
+                        aria-describedby={inputErrors.settlementDate ? settlementErrId : undefined}
+                      />
+                    </div>
+                    {inputErrors.settlementDate && (
+                      <p id={settlementErrId} className="text-xs text-red-700 w-full">{inputErrors.settlementDate}</p>
+                    )}
+
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="maturityDate" className="font-medium text-gray-700 text-sm">
+                        {t("calculator.maturityDate")} <span className="text-red-500 ml-1">*</span>
+                      </label>
+                      <input
+                        id="maturityDate"
+                        type="date"
+                        value={maturityDate}
+                        onChange={(e) => updateInput("maturityDate", e.target.value)}
+                        disabled={isLocked("maturityDate")}
+                        className={`block rounded-md shadow-sm px-2 py-2 text-sm ${inputErrors.maturityDate ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                        aria-required="true"
+                        aria-invalid={!!inputErrors.maturityDate}
+                        aria-describedby={inputErrors.maturityDate ? maturityErrId : undefined}
+                      />
+                    </div>
+                    {inputErrors.maturityDate && (
+                      <p id={maturityErrId} className="text-xs text-red-700 w-full">{inputErrors.maturityDate}</p>
+                    )}
+
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="dayCount" className="font-medium text-gray-700 text-sm">
+                        {t("calculator.dayCount")}
+                      </label>
+                      <select
+                        id="dayCount"
+                        value={dayCount}
+                        onChange={(e) => updateInput("dayCount", e.target.value)}
+                        disabled={isLocked("dayCount")}
+                        className="block rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-600"
+                      >
+                        {DAY_COUNTS.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="years" className="font-medium text-gray-700 text-sm">
+                      {t("calculator.yearsToMaturity")} <span className="text-gray-500 font-normal">{t("calculator.range", { min: formatDecimal(limits.years.min), max: formatDecimal(limits.years.max) })}</span> <span className="text-red-500 ml-1">*</span>
+                    </label>
+                    <div className="w-24">
+                      <input
+                        id="years"
+                        type="number"
+                        step="0.5"
+                        min={limits.years.min}
+                        max={limits.years.max}
+                        value={years}
+                        onChange={(e) => updateInput("years", +e.target.value)}
+                        disabled={isLocked("years")}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${inputErrors.years ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                        aria-required="true"
+                        aria-invalid={!!inputErrors.years}
+                        aria-describedby={inputErrors.years ? yearsErrId : undefined}
+                      />
+                    </div>
+                  </div>
+                  {inputErrors.years && (
+                    <p id={yearsErrId} className="text-xs text-red-700 w-full">{inputErrors.years}</p>
+                  )}
+                  </>
+                )}
+
+                {bondType === "sinking-fund" && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="sinkingFundPercent" className="font-medium text-gray-700 text-sm">
+                        {t("calculator.sinkingFundPercent")} <span className="text-gray-500 font-normal">{t("calculator.percentOfFace")}</span>
+                      </label>
+                      <div className="relative w-24">
+                        <input
+                          id="sinkingFundPercent"
+                          type="number"
+                          step="1"
+                          min="0"
+                          max="100"
+                          value={sinkingFundPercent}
+                          onChange={(e) => updateInput("sinkingFundPercent", +e.target.value)}
+                          disabled={isLocked("sinkingFundPercent")}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm pr-6 ${inputErrors.sinkingFundPercent ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                          aria-invalid={!!inputErrors.sinkingFundPercent}
+                          aria-describedby={inputErrors.sinkingFundPercent ? sinkingPercentErrId : undefined}
+                        />
+                        <span className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 text-sm">%</span>
+                      </div>
+                    </div>
+                    {inputErrors.sinkingFundPercent && (
+                      <p id={sinkingPercentErrId} className="text-xs text-red-700 w-full">{inputErrors.sinkingFundPercent}</p>
+                    )}
+
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="sinkingFundStart" className="font-medium text-gray-700 text-sm">
+                        {t("calculator.sinkingFundStart")} <span className="text-gray-500 font-normal">{t("calculator.inYears")}</span>
+                      </label>
+                      <div className="w-24">
+                        <input
+                          id="sinkingFundStart"
+                          type="number"
+                          step="0.5"
+                          min="0"
+                          value={sinkingFundStart}
+                          onChange={(e) => updateInput("sinkingFundStart", +e.target.value)}
+                          disabled={isLocked("sinkingFundStart")}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${inputErrors.sinkingFundStart ? "border-red-300" : "border-gray-300"} focus:border-blue-500 focus:ring-blue-600`}
+                          aria-invalid={!!inputErrors.sinkingFundStart}
+                          aria-describedby={inputErrors.sinkingFundStart ? sinkingStartErrId : undefined}
+                        />
+                      </div>
+                    </div>
+                    {inputErrors.sinkingFundStart && (
+                      <p id={sinkingStartErrId} className="text-xs text-red-700 w-full">{inputErrors.sinkingFundStart}</p>
+                    )}
+                  </>
+                )}
+
+                <p id="inputHelp" className="sr-only">{t("calculator.help")}</p>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <fieldset disabled={isLocked("callSchedule")} className="min-w-0">
+                  <ExerciseScheduleSection
+                    kind="call"
+                    entries={callSchedule}
+                    onChange={(value) => updateInput("callSchedule", value)}
+                    useDates={useDates}
+                    settlementDate={settlementDate}
+                    frequency={frequency}
+                    error={inputErrors.callSchedule}
+                  />
+                </fieldset>
+                <fieldset disabled={isLocked("putSchedule")} className="min-w-0">
+                  <ExerciseScheduleSection
+                    kind="put"
+                    entries={putSchedule}
+                    onChange={(value) => updateInput("putSchedule", value)}
+                    useDates={useDates}
+                    settlementDate={settlementDate}
+                    frequency={frequency}
+                    error={inputErrors.putSchedule}
+                  />
+                </fieldset>
+              </div>
+
+              {/* A disabled fieldset disables every control inside; locking any part of the curve locks the editor */}
+              {floating && (
+                <fieldset disabled={FLOATING_FIELDS.some(isLocked)} className="min-w-0">
+                  <FloatingRateSection
+                    key={activeScenario.id}
+                    inputs={activeScenario.inputs}
+                    onChange={updateInput}
+                    referencePath={referencePath}
+                    limits={limits}
+                    errors={inputErrors}
+                  />
+                </fieldset>
+              )}
+              {indexed && (
+                <fieldset disabled={INFLATION_FIELDS.some(isLocked)} className="min-w-0">
+                  <InflationSection
+                    key={activeScenario.id}
+                    inputs={activeScenario.inputs}
+                    onChange={updateInput}
+                    indexRatios={bondTerms.indexRatios}
+                    limits={limits}
+                    errors={inputErrors}
+                  />
+                </fieldset>
+              )}
+              {discounting === "curve" && !floating && !indexed && (
+                <fieldset disabled={["curveModel", "curvePoints", "nelsonSiegelParams"].some(isLocked)} className="min-w-0">
+                  <SpotCurveSection
+                    model={curveModel}
+                    onModelChange={(value) => updateInput("curveModel", value)}
+                    points={curvePoints}
+                    onPointsChange={(value) => updateInput("curvePoints", value)}
+                    nelsonSiegelParams={nelsonSiegelParams}
+                    onNelsonSiegelChange={(value) => updateInput("nelsonSiegelParams", value)}
+                    maxTenor={pricingYears}
+                    error={inputErrors.spotCurve}
+                  />
+                </fieldset>
+              )}
+
+              <fieldset disabled={CREDIT_FIELDS.some(isLocked)} className="min-w-0">
+                <CreditSection
+                  key={activeScenario.id}
+                  inputs={activeScenario.inputs}
+                  onChange={updateInput}
+                  creditAnalysis={creditAnalysis}
+                  errors={inputErrors}
+                />
+              </fieldset>
+
+              <ValidationMessage errors={inputErrors} />
+              <InputWarnings warnings={inputWarnings} />
+            </div>
+          </Card>
+          )}
+
+          {!embed && (
+            <Card title={t("app.card.saved")} className="print:hidden">
+              <SavedScenariosSection scenarios={scenarios} onLoad={handleLoadSaved} />
+            </Card>
+          )}
+          </>
+        )}
       </main>
     </div>
+    </ThemeContext.Provider>
+    </LocaleContext.Provider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,101 @@
+// ============================
+// EMBED ENTRY
+// ============================
+// Entry for the embeddable build (npm run build:embed). The widget renders into a shadow root so
+// the page's styles and the calculator's Tailwind styles cannot leak into each other. Two ways in:
+//
+//   BondCalculator.mount(document.querySelector("#bond"), { cards: ["calculator", "chart"] });
+//   <bond-calculator options='{"inputs": {"couponRate": 5}, "locked": ["frequency"]}'></bond-calculator>
+//
+// Either way each change is posted to the page as { source: "bond-calculator", type: "change", ... },
+// to the page's own origin unless the options name a `targetOrigin`; a sandboxed page with no origin
+// of its own posts nothing until they do. Options the element cannot read are reported as an
+// "error" event on the element, and the widget falls back to its defaults.
+import React from "react";
+import ReactDOM from "react-dom/client";
+import App from "./App.jsx";
+import styles from "./index.css?inline";
+
+// Shadow roots ignore @property rules, and Tailwind registers its --tw-* variables with them, so
+// those rules go to the page itself; they only declare the variables' types and initial values
+const registerProperties = () => {
+  if (document.querySelector("style[data-bond-calculator]")) return;
+  const style = document.createElement("style");
+  style.dataset.bondCalculator = "";
+  style.textContent = (styles.match(/@property[^{]+\{[^}]*\}/g) ?? []).join("\n");
+  document.head.append(style);
+};
+
+// One widget per element, so mounting again replaces the earlier one cleanly
+const mounted = new WeakMap();
+
+/**
+ * Renders the calculator into `element`, replacing anything already mounted there.
+ * @param {Element} element any element that can host a shadow root, e.g. a div
+ * @param {import("./widget.js").EmbedOptions & { onChange?: (message: object) => void }} [options]
+ *   onChange receives each message as well, for pages that would rather not listen for postMessage
+ * @returns {{ unmount: () => void }}
+ */
+export function mount(element, options = {}) {
+  mounted.get(element)?.unmount();
+  registerProperties();
+  const shadow = element.shadowRoot ?? element.attachShadow({ mode: "open" });
+  shadow.replaceChildren();
+  const style = document.createElement("style");
+  style.textContent = styles;
+  const container = document.createElement("div");
+  shadow.append(style, container);
+
+  // Inside an iframe the host is the parent window; otherwise the page posts to itself. The origin
+  // comes normalized from the app, which posts nowhere when there is none to post to
+  const handleChange = (message, targetOrigin) => {
+    if (targetOrigin) window.parent.postMessage(message, targetOrigin);
+    options.onChange?.(message);
+  };
+
+  const root = ReactDOM.createRoot(container);
+  root.render(
+    <React.StrictMode>
+      <App embedOptions={options} onChange={handleChange} />
+    </React.StrictMode>
+  );
+  const widget = {
+    unmount: () => {
+      if (mounted.get(element) !== widget) return;
+      mounted.delete(element);
+      root.unmount();
+    },
+  };
+  mounted.set(element, widget);
+  return widget;
+}
+
+// <bond-calculator options="{...}">: remounts with fresh inputs whenever the options change
+class BondCalculatorElement extends HTMLElement {
+  static observedAttributes = ["options"];
+
+  connectedCallback() {
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    mounted.get(this)?.unmount();
+  }
+
+  // Attributes present at start-up arrive before connectedCallback, which does the first render
+  attributeChangedCallback() {
+    if (mounted.has(this)) this.#render();
+  }
+
+  #render() {
+    let options = {};
+    try {
+      options = JSON.parse(this.getAttribute("options") || "{}");
+    } catch (error) {
+      this.dispatchEvent(new ErrorEvent("error", { message: "bond-calculator: the options attribute is not valid JSON", error }));
+    }
+    mount(this, options);
+  }
+}
+
+if (!customElements.get("bond-calculator")) customElements.define("bond-calculator", BondCalculatorElement);
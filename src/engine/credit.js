@@ -0,0 +1,122 @@
+// ============================
+// CREDIT RISK
+// ============================
+// Prices a bond whose issuer may default. In each period the issuer defaults with a conditional
+// probability (given it has survived so far), and the holder then recovers a share of the exposure:
+// the value at that date of the flows still promised, at the risk-free yield. Weighting each
+// promised flow by the chance it is paid, and each recovery by the chance of default in its period,
+// gives the expected cash flows; at the risk-free yield they price the risky bond. Its shortfall
+// from the default-free price is the credit valuation adjustment (CVA), and the yield the promised
+// flows earn at the risky price, less the risk-free yield, is the credit spread. Probabilities and
+// the recovery rate are in %, like every other rate in the engine.
+import { buildPromisedFlows } from "./pricing.js";
+import { solveYieldFromPrice } from "./yield.js";
+
+/** Ways of giving the default probability. */
+export const CREDIT_MODELS = [
+  { value: "flat", label: "Constant" },
+  { value: "term", label: "By year" },
+];
+
+/**
+ * @typedef {object} DefaultStructure
+ * @property {"flat"|"term"} model
+ * @property {number} [probability] flat: annual default probability, %
+ * @property {number[]} [probabilities] term: annual default probability for each year in turn, %; the
+ *   last carries forward
+ */
+
+/**
+ * Conditional default probability (%) for each remaining period t = 1…N. An annual probability p is
+ * spread evenly through its year, so a period of length Δ years gets 1 − (1 − p)^Δ; the first period
+ * is shortened by the fraction w already elapsed.
+ * @param {DefaultStructure} structure
+ * @param {number} periods N
+ * @param {number} frequency coupons per year
+ * @param {number} [accrualFraction=0] w
+ * @returns {number[]}
+ */
+export const buildDefaultProbabilities = ({ model, probability, probabilities = [] }, periods, frequency, accrualFraction = 0) =>
+  Array.from({ length: periods }, (_, index) => {
+    // The year the period ends in, from settlement
+    const year = Math.max(0, Math.ceil((index + 1 - accrualFraction) / frequency) - 1);
+    const annual = model === "term" ? probabilities[Math.min(year, probabilities.length - 1)] : probability;
+    const length = (index === 0 ? 1 - accrualFraction : 1) / frequency;
+    return (1 - Math.pow(1 - annual / 100, length)) * 100;
+  });
+
+/**
+ * Expected-loss valuation of a bond's promised flows.
+ *
+ * `schedule` has one row per remaining period with, in %, the probability of surviving to its end
+ * and of defaulting within it (unconditional); in money, the promised flow, the exposure and what is
+ * recovered on default, the expected loss (probability × loss given default) and the expected flow
+ * (promised × survival + recovery × default probability); and the risk-free discount factor and the
+ * present value of the expected flow. The present values sum to the risky price, which equals the
+ * default-free price less the CVA.
+ *
+ * @param {import("./pricing.js").BondTerms & { defaultProbabilities: number[], recoveryRate: number, ytm: number }} params
+ *   `ytm` is the risk-free yield
+ * @returns {{
+ *   riskFreePrice: number, riskyPrice: number, cva: number, expectedLoss: number, cumulativeDefault: number,
+ *   recoveryRate: number, riskyYield: number, creditSpread: number,
+ *   yieldSolution: ReturnType<typeof solveYieldFromPrice>,
+ *   schedule: { promised: number, survival: number, defaultProbability: number, exposure: number, recovery: number,
+ *     expectedLoss: number, expected: number, discountFactor: number, presentValue: number }[],
+ * }} `creditSpread` in percentage points
+ */
+export const analyzeCredit = ({ defaultProbabilities, recoveryRate, ytm, ...terms }) => {
+  const { frequency, accrualFraction = 0 } = terms;
+  const rate = ytm / 100 / frequency;
+  const flows = buildPromisedFlows(terms).map(({ couponPayment, principalPayment }) => couponPayment + principalPayment);
+
+  // Exposure at each payment date: that date's flow plus the rest discounted back to it
+  const exposures = [];
+  flows.reduceRight((later, promised, index) => {
+    exposures[index] = promised + later / (1 + rate);
+    return exposures[index];
+  }, 0);
+
+  let survival = 1;
+  let riskFreePrice = 0;
+  let cva = 0;
+  let expectedLoss = 0;
+  const schedule = flows.map((promised, index) => {
+    const defaultProbability = (survival * defaultProbabilities[Math.min(index, defaultProbabilities.length - 1)]) / 100;
+    survival -= defaultProbability;
+    const exposure = exposures[index];
+    const recovery = (exposure * recoveryRate) / 100;
+    const loss = (exposure - recovery) * defaultProbability;
+    const expected = promised * survival + recovery * defaultProbability;
+    const discountFactor = Math.pow(1 + rate, -(index + 1 - accrualFraction));
+    riskFreePrice += promised * discountFactor;
+    cva += loss * discountFactor;
+    expectedLoss += loss;
+    return {
+      promised,
+      survival: survival * 100,
+      defaultProbability: defaultProbability * 100,
+      exposure,
+      recovery,
+      expectedLoss: loss,
+      expected,
+      discountFactor,
+      presentValue: expected * discountFactor,
+    };
+  });
+
+  const riskyPrice = schedule.reduce((sum, row) => sum + row.presentValue, 0);
+  const yieldSolution = solveYieldFromPrice({ ...terms, price: riskyPrice, guess: ytm });
+  return {
+    riskFreePrice,
+    riskyPrice,
+    cva,
+    expectedLoss,
+    cumulativeDefault: (1 - survival) * 100,
+    recoveryRate,
+    riskyYield: yieldSolution.ytm,
+    creditSpread: yieldSolution.ytm - ytm,
+    yieldSolution,
+    schedule,
+  };
+};
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { analyzeCredit, buildDefaultProbabilities } from "./credit.js";
+import { computeBondPrice } from "./pricing.js";
+
+const terms = { faceValue: 100, couponRate: 6, years: 3, frequency: 2, bondType: "bullet" };
+
+describe("buildDefaultProbabilities", () => {
+  it("spreads a constant annual probability evenly over the periods of each year", () => {
+    const probabilities = buildDefaultProbabilities({ model: "flat", probability: 4 }, 4, 2);
+    probabilities.forEach((q) => expect(q).toBeCloseTo((1 - Math.sqrt(0.96)) * 100, 12));
+    const survival = probabilities.slice(0, 2).reduce((left, q) => left * (1 - q / 100), 1);
+    expect(survival).toBeCloseTo(0.96, 12);
+  });
+
+  it("takes each year's probability in turn and carries the last forward", () => {
+    const probabilities = buildDefaultProbabilities({ model: "term", probabilities: [1, 3] }, 6, 2);
+    expect(probabilities[1]).toBeCloseTo((1 - Math.sqrt(0.99)) * 100, 12);
+    expect(probabilities[2]).toBeCloseTo((1 - Math.sqrt(0.97)) * 100, 12);
+    expect(probabilities[5]).toBeCloseTo(probabilities[2], 12);
+  });
+
+  it("shortens the first period by the fraction already elapsed", () => {
+    const [first, second] = buildDefaultProbabilities({ model: "flat", probability: 4 }, 2, 2, 0.5);
+    expect(first).toBeCloseTo((1 - 0.96 ** 0.25) * 100, 12);
+    expect(second).toBeCloseTo((1 - Math.sqrt(0.96)) * 100, 12);
+  });
+});
+
+describe("analyzeCredit", () => {
+  it("matches the default-free price when nothing can be lost", () => {
+    const riskFree = computeBondPrice({ ...terms, ytm: 5 }).price;
+    const safe = analyzeCredit({ ...terms, ytm: 5, defaultProbabilities: [0], recoveryRate: 40 });
+    const fullRecovery = analyzeCredit({ ...terms, ytm: 5, defaultProbabilities: [3], recoveryRate: 100 });
+    for (const result of [safe, fullRecovery]) {
+      expect(result.riskFreePrice).toBeCloseTo(riskFree, 10);
+      expect(result.riskyPrice).toBeCloseTo(riskFree, 10);
+      expect(result.cva).toBeCloseTo(0, 10);
+      expect(result.creditSpread).toBeCloseTo(0, 6);
+    }
+  });
+
+  it("prices a one-period bond as survival plus discounted recovery", () => {
+    const result = analyzeCredit({ faceValue: 100, couponRate: 0, years: 1, frequency: 1, bondType: "zero", ytm: 5, defaultProbabilities: [10], recoveryRate: 40 });
+    expect(result.riskyPrice).toBeCloseTo((100 * 0.9 + 40 * 0.1) / 1.05, 10);
+    expect(result.schedule[0]).toMatchObject({ survival: 90, expected: 94 });
+    expect(result.schedule[0].expectedLoss).toBeCloseTo(6, 12);
+    expect(result.riskyYield).toBeCloseTo((100 / result.riskyPrice - 1) * 100, 6);
+  });
+
+  it("sums the risky present values to the default-free price less the CVA", () => {
+    const probabilities = buildDefaultProbabilities({ model: "term", probabilities: [1, 2, 4] }, 6, 2);
+    const result = analyzeCredit({ ...terms, ytm: 5, defaultProbabilities: probabilities, recoveryRate: 40 });
+    const sum = result.schedule.reduce((total, row) => total + row.presentValue, 0);
+    expect(result.riskyPrice).toBeCloseTo(sum, 12);
+    expect(result.riskyPrice).toBeCloseTo(result.riskFreePrice - result.cva, 10);
+    expect(result.cumulativeDefault).toBeCloseTo((1 - 0.99 * 0.98 * 0.96) * 100, 10);
+    expect(result.creditSpread).toBeGreaterThan(0);
+    expect(computeBondPrice({ ...terms, ytm: result.riskyYield }).price).toBeCloseTo(result.riskyPrice, 8);
+  });
+});
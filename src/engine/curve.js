@@ -0,0 +1,119 @@
+// ============================
+// TERM STRUCTURE
+// ============================
+// Spot rates are annual percentages compounded at the bond's coupon frequency, so a flat curve at
+// r prices a bond exactly as a YTM of r does.
+import { analyzeBond, buildPromisedFlows } from "./pricing.js";
+import { solveYieldFromPrice } from "./yield.js";
+
+/** Ways of specifying the spot curve. */
+export const CURVE_MODELS = [
+  { value: "points", label: "Tenor / rate table" },
+  { value: "nelson-siegel", label: "Nelson–Siegel" },
+];
+
+/**
+ * @typedef {object} SpotCurve
+ * @property {"points"|"nelson-siegel"} model
+ * @property {{ tenor: number, rate: number }[]} [points] tenors in years, rates in %
+ * @property {{ beta0: number, beta1: number, beta2: number, tau: number }} [params] Nelson–Siegel parameters (betas in %)
+ */
+
+/**
+ * Linear interpolation between curve points, flat beyond the shortest and longest tenors.
+ * @param {{ tenor: number, rate: number }[]} points any order
+ * @param {number} tenor years
+ * @returns {number} spot rate, %
+ */
+export const interpolateSpotRate = (points, tenor) => {
+  const sorted = [...points].sort((a, b) => a.tenor - b.tenor);
+  if (tenor <= sorted[0].tenor) return sorted[0].rate;
+  const last = sorted[sorted.length - 1];
+  if (tenor >= last.tenor) return last.rate;
+  const upper = sorted.findIndex((point) => point.tenor >= tenor);
+  const a = sorted[upper - 1];
+  const b = sorted[upper];
+  return a.rate + ((b.rate - a.rate) * (tenor - a.tenor)) / (b.tenor - a.tenor);
+};
+
+/**
+ * Nelson–Siegel spot rate: β0 + β1·(1 − e^(−m/τ))/(m/τ) + β2·[(1 − e^(−m/τ))/(m/τ) − e^(−m/τ)].
+ * β0 is the long-run level, β0 + β1 the instantaneous short rate and β2 the hump.
+ * @param {{ beta0: number, beta1: number, beta2: number, tau: number }} params
+ * @param {number} tenor years
+ * @returns {number} spot rate, %
+ */
+export const nelsonSiegelRate = ({ beta0, beta1, beta2, tau }, tenor) => {
+  if (tenor <= 0) return beta0 + beta1;
+  const x = tenor / tau;
+  const decay = Math.exp(-x);
+  const loading = (1 - decay) / x;
+  return beta0 + beta1 * loading + beta2 * (loading - decay);
+};
+
+/**
+ * @param {SpotCurve} curve
+ * @param {number} tenor years
+ * @returns {number} spot rate, %
+ */
+export const spotRateAt = (curve, tenor) =>
+  curve.model === "nelson-siegel" ? nelsonSiegelRate(curve.params, tenor) : interpolateSpotRate(curve.points, tenor);
+
+/**
+ * Discounts each promised flow at its own spot rate: DF(t) = (1 + z(t)/f)^(−t·f).
+ *
+ * @param {import("./pricing.js").BondTerms & { curve: SpotCurve }} params
+ * @returns {{
+ *   price: number, pvCoupons: number, pvFaceValue: number, accruedInterest: number, cleanPrice: number,
+ *   discounting: { spotRate: number, discountFactor: number, presentValue: number }[],
+ * }} `discounting` has one entry per remaining period
+ */
+export const priceWithSpotCurve = ({ curve, ...terms }) => {
+  const { frequency, accrualFraction = 0, accruedFraction = accrualFraction } = terms;
+  const flows = buildPromisedFlows(terms);
+  let pvCoupons = 0;
+  let pvFaceValue = 0;
+  const discounting = flows.map(({ couponPayment, principalPayment }, index) => {
+    const periodsAhead = index + 1 - accrualFraction;
+    const spotRate = spotRateAt(curve, periodsAhead / frequency);
+    const discountFactor = Math.pow(1 + spotRate / 100 / frequency, -periodsAhead);
+    pvCoupons += couponPayment * discountFactor;
+    pvFaceValue += principalPayment * discountFactor;
+    return { spotRate, discountFactor, presentValue: (couponPayment + principalPayment) * discountFactor };
+  });
+  const price = pvCoupons + pvFaceValue;
+  const accruedInterest = flows.length ? flows[0].couponPayment * accruedFraction : 0;
+  return { price, pvCoupons, pvFaceValue, accruedInterest, cleanPrice: price - accruedInterest, discounting };
+};
+
+/**
+ * Full valuation off a spot curve. The single YTM that reproduces the curve price is solved for and
+ * used for the yield-based measures (duration, convexity); each cash-flow row also carries its spot
+ * rate, discount factor and present value.
+ *
+ * @param {import("./pricing.js").BondTerms & { curve: SpotCurve, settlementDate?: string, couponDates?: string[] }} params
+ * @returns {ReturnType<typeof analyzeBond> & { yieldSolution: ReturnType<typeof solveYieldFromPrice> }}
+ */
+export const analyzeBondWithCurve = ({ curve, settlementDate, couponDates, ...terms }) => {
+  const curvePrice = priceWithSpotCurve({ ...terms, curve });
+  const yieldSolution = solveYieldFromPrice({ ...terms, price: curvePrice.price });
+  const analysis = analyzeBond({ ...terms, ytm: yieldSolution.ytm, settlementDate, couponDates });
+
+  const cashFlows = analysis.cashFlows.map((row, index) => {
+    if (index === 0) {
+      const purchase = -curvePrice.price;
+      return { ...row, principalPayment: purchase, totalCashFlow: purchase, spotRate: null, discountFactor: 1, presentValue: purchase };
+    }
+    return { ...row, ...curvePrice.discounting[index - 1] };
+  });
+
+  return {
+    ...analysis,
+    bondPrice: curvePrice.price,
+    cleanPrice: curvePrice.cleanPrice,
+    pvCoupons: curvePrice.pvCoupons,
+    pvFaceValue: curvePrice.pvFaceValue,
+    cashFlows,
+    yieldSolution,
+  };
+};
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import {
+  analyzeBondWithCurve,
+  interpolateSpotRate,
+  nelsonSiegelRate,
+  priceWithSpotCurve,
+  spotRateAt,
+} from "./curve.js";
+import { computeBondPrice } from "./pricing.js";
+
+const points = [
+  { tenor: 1, rate: 4 },
+  { tenor: 2, rate: 5 },
+  { tenor: 5, rate: 6.5 },
+];
+
+describe("interpolateSpotRate", () => {
+  it("interpolates linearly between tenors", () => {
+    expect(interpolateSpotRate(points, 1.5)).toBeCloseTo(4.5, 12);
+    expect(interpolateSpotRate(points, 3.5)).toBeCloseTo(5.75, 12);
+  });
+
+  it("extrapolates flat and accepts unsorted points", () => {
+    const shuffled = [points[2], points[0], points[1]];
+    expect(interpolateSpotRate(shuffled, 0.25)).toBe(4);
+    expect(interpolateSpotRate(shuffled, 30)).toBe(6.5);
+    expect(interpolateSpotRate(shuffled, 2)).toBe(5);
+  });
+});
+
+describe("nelsonSiegelRate", () => {
+  const params = { beta0: 6, beta1: -2, beta2: 1, tau: 2 };
+
+  it("starts at β0 + β1 and tends to β0", () => {
+    expect(nelsonSiegelRate(params, 0)).toBe(4);
+    expect(nelsonSiegelRate(params, 1e-9)).toBeCloseTo(4, 6);
+    expect(nelsonSiegelRate(params, 1e4)).toBeCloseTo(6, 3);
+  });
+
+  it("matches the closed form at a sample tenor", () => {
+    const x = 3 / 2;
+    const loading = (1 - Math.exp(-x)) / x;
+    expect(nelsonSiegelRate(params, 3)).toBeCloseTo(6 - 2 * loading + (loading - Math.exp(-x)), 12);
+  });
+});
+
+describe("priceWithSpotCurve", () => {
+  const terms = { faceValue: 100, couponRate: 5, years: 3, frequency: 1 };
+
+  it("prices off a flat curve exactly as a YTM does", () => {
+    const flat = { model: "points", points: [{ tenor: 1, rate: 6 }] };
+    expect(priceWithSpotCurve({ ...terms, curve: flat }).price).toBeCloseTo(
+      computeBondPrice({ ...terms, ytm: 6 }).price,
+      12
+    );
+  });
+
+  it("discounts each flow at its own spot rate (textbook example)", () => {
+    // 5% annual 3-year bond, spot rates 2%, 3%, 4% → 102.960
+    const curve = {
+      model: "points",
+      points: [
+        { tenor: 1, rate: 2 },
+        { tenor: 2, rate: 3 },
+        { tenor: 3, rate: 4 },
+      ],
+    };
+    const { price, discounting } = priceWithSpotCurve({ ...terms, curve });
+    expect(price).toBeCloseTo(5 / 1.02 + 5 / 1.03 ** 2 + 105 / 1.04 ** 3, 12);
+    expect(price).toBeCloseTo(102.96, 2);
+    expect(discounting.map((d) => d.spotRate)).toEqual([2, 3, 4]);
+    expect(discounting[2].discountFactor).toBeCloseTo(1 / 1.04 ** 3, 12);
+    expect(discounting.reduce((sum, d) => sum + d.presentValue, 0)).toBeCloseTo(price, 12);
+  });
+
+  it("uses fractional tenors between coupon dates", () => {
+    const curve = { model: "points", points };
+    const { discounting } = priceWithSpotCurve({ ...terms, accrualFraction: 0.5, curve });
+    expect(discounting[0].spotRate).toBe(spotRateAt(curve, 0.5));
+    expect(discounting[1].spotRate).toBeCloseTo(4.5, 12);
+    expect(discounting[1].discountFactor).toBeCloseTo(Math.pow(1.045, -1.5), 12);
+  });
+});
+
+describe("analyzeBondWithCurve", () => {
+  const terms = { faceValue: 100, couponRate: 6, years: 5, frequency: 2 };
+  const curve = { model: "nelson-siegel", params: { beta0: 6.5, beta1: -2.5, beta2: 1, tau: 2 } };
+
+  it("solves the single YTM that reproduces the curve price", () => {
+    const result = analyzeBondWithCurve({ ...terms, curve });
+    expect(result.yieldSolution.converged).toBe(true);
+    expect(computeBondPrice({ ...terms, ytm: result.yieldSolution.ytm }).price).toBeCloseTo(result.bondPrice, 8);
+    // An upward-sloping curve puts the YTM just below the final spot rate
+    expect(result.yieldSolution.ytm).toBeLessThan(spotRateAt(curve, 5));
+    expect(result.yieldSolution.ytm).toBeGreaterThan(spotRateAt(curve, 0.5));
+  });
+
+  it("annotates each cash-flow row with discounting detail", () => {
+    const result = analyzeBondWithCurve({ ...terms, curve });
+    expect(result.cashFlows[0]).toMatchObject({ spotRate: null, discountFactor: 1, totalCashFlow: -result.bondPrice });
+    const pvTotal = result.cashFlows.slice(1).reduce((sum, row) => sum + row.presentValue, 0);
+    expect(pvTotal).toBeCloseTo(result.bondPrice, 10);
+  });
+});
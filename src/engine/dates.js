@@ -0,0 +1,132 @@
+// ============================
+// DATES AND DAY COUNTS
+// ============================
+// Dates are handled as UTC midnight so day differences are exact. Public functions take and
+// return ISO "YYYY-MM-DD" strings; Date objects only appear in the lower-level helpers.
+
+/** Supported day-count conventions. */
+export const DAY_COUNTS = [
+  { value: "30/360", label: "30/360" },
+  { value: "ACT/ACT", label: "ACT/ACT" },
+  { value: "ACT/360", label: "ACT/360" },
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an ISO "YYYY-MM-DD" string into a UTC Date.
+ * @param {string} iso
+ * @returns {Date|null} null when the string is not a valid date
+ */
+export const parseISODate = (iso) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || "");
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} the UTC calendar date as "YYYY-MM-DD"
+ */
+export const toISODate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Shifts by whole months, clamping to the end of shorter months (Aug 31 − 6 months → Feb 28).
+ * @param {Date} date
+ * @param {number} months may be negative
+ * @returns {Date}
+ */
+export const addMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+};
+
+/** Actual calendar days from `start` to `end`. */
+export const actualDays = (start, end) => Math.round((end - start) / MS_PER_DAY);
+
+/** Days from `start` to `end` under US (NASD) 30/360. */
+export const days30360 = (start, end) => {
+  let d1 = start.getUTCDate();
+  let d2 = end.getUTCDate();
+  if (d1 === 31) d1 = 30;
+  if (d2 === 31 && d1 === 30) d2 = 30;
+  return (
+    360 * (end.getUTCFullYear() - start.getUTCFullYear()) +
+    30 * (end.getUTCMonth() - start.getUTCMonth()) +
+    (d2 - d1)
+  );
+};
+
+/**
+ * Rolls coupon dates back from maturity and measures how much of the current coupon period has
+ * accrued at settlement under the chosen day count. `accrualFraction` is the elapsed share of the
+ * period used to discount; `accruedFraction` is the share of a coupon owed as accrued interest.
+ *
+ * @param {object} params
+ * @param {string} params.settlementDate ISO date
+ * @param {string} params.maturityDate ISO date
+ * @param {number} params.frequency coupons per year (1, 2, 4 or 12)
+ * @param {string} params.dayCount one of DAY_COUNTS
+ * @returns {{
+ *   couponDates: string[],
+ *   previousCouponDate: string,
+ *   accruedDays: number,
+ *   periodDays: number,
+ *   accrualFraction: number,
+ *   accruedFraction: number,
+ * } | null} remaining coupon dates (the last is maturity), or null for invalid/reversed dates or a
+ *   frequency that does not split the year into whole months
+ */
+export const buildCouponSchedule = ({ settlementDate, maturityDate, frequency, dayCount }) => {
+  const settlement = parseISODate(settlementDate);
+  const maturity = parseISODate(maturityDate);
+  if (!settlement || !maturity || maturity <= settlement) return null;
+
+  // Rolling back by zero or negative months would never pass settlement
+  const monthsPerPeriod = 12 / frequency;
+  if (!Number.isInteger(monthsPerPeriod) || monthsPerPeriod < 1) return null;
+  const couponDates = [];
+  let k = 0;
+  let date = maturity;
+  while (date > settlement) {
+    couponDates.unshift(date);
+    k++;
+    date = addMonths(maturity, -k * monthsPerPeriod);
+  }
+  const previousCouponDate = date;
+  const nextCouponDate = couponDates[0];
+
+  let accruedDays;
+  let periodDays;
+  if (dayCount === "30/360") {
+    accruedDays = days30360(previousCouponDate, settlement);
+    periodDays = 360 / frequency;
+  } else if (dayCount === "ACT/360") {
+    accruedDays = actualDays(previousCouponDate, settlement);
+    periodDays = 360 / frequency;
+  } else {
+    accruedDays = actualDays(previousCouponDate, settlement);
+    periodDays = actualDays(previousCouponDate, nextCouponDate);
+  }
+
+  // ACT/360 counts actual days against a 360-day year, so late in a long period (up to 184 days for a
+  // semiannual coupon) accrued interest can pass a full coupon. Settlement still falls before the next
+  // coupon, so discounting times the period on actual days instead
+  const accruedFraction = accruedDays / periodDays;
+  const accrualFraction =
+    dayCount === "ACT/360"
+      ? actualDays(previousCouponDate, settlement) / actualDays(previousCouponDate, nextCouponDate)
+      : accruedFraction;
+
+  return {
+    couponDates: couponDates.map(toISODate),
+    previousCouponDate: toISODate(previousCouponDate),
+    accruedDays,
+    periodDays,
+    accrualFraction,
+    accruedFraction,
+  };
+};
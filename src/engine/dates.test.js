@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { actualDays, addMonths, buildCouponSchedule, days30360, parseISODate, toISODate } from "./dates.js";
+
+const d = parseISODate;
+
+describe("parseISODate / toISODate", () => {
+  it("round-trips ISO dates", () => {
+    expect(toISODate(d("2025-02-28"))).toBe("2025-02-28");
+  });
+
+  it("rejects malformed input", () => {
+    expect(d("")).toBeNull();
+    expect(d("28/02/2025")).toBeNull();
+    expect(d(undefined)).toBeNull();
+  });
+});
+
+describe("addMonths", () => {
+  it("clamps to the end of shorter months", () => {
+    expect(toISODate(addMonths(d("2025-08-31"), -6))).toBe("2025-02-28");
+    expect(toISODate(addMonths(d("2024-08-31"), -6))).toBe("2024-02-29");
+    expect(toISODate(addMonths(d("2025-01-31"), 3))).toBe("2025-04-30");
+  });
+
+  it("crosses year boundaries", () => {
+    expect(toISODate(addMonths(d("2025-11-15"), 3))).toBe("2026-02-15");
+    expect(toISODate(addMonths(d("2025-02-15"), -12))).toBe("2024-02-15");
+  });
+});
+
+describe("day counts", () => {
+  it("counts actual days across leap years", () => {
+    expect(actualDays(d("2024-02-01"), d("2024-03-01"))).toBe(29);
+    expect(actualDays(d("2025-02-14"), d("2025-06-27"))).toBe(133);
+  });
+
+  it("applies the 30/360 end-of-month rules", () => {
+    expect(days30360(d("2025-02-14"), d("2025-06-27"))).toBe(133);
+    expect(days30360(d("2025-01-31"), d("2025-03-31"))).toBe(60);
+    expect(days30360(d("2025-01-30"), d("2025-03-31"))).toBe(60);
+    expect(days30360(d("2025-01-15"), d("2025-03-31"))).toBe(76);
+  });
+});
+
+describe("buildCouponSchedule", () => {
+  const params = { settlementDate: "2025-06-27", maturityDate: "2030-02-14", frequency: 2 };
+
+  it("rolls coupon dates back from maturity", () => {
+    const schedule = buildCouponSchedule({ ...params, dayCount: "ACT/ACT" });
+    expect(schedule.couponDates).toHaveLength(10);
+    expect(schedule.couponDates[0]).toBe("2025-08-14");
+    expect(schedule.couponDates[9]).toBe("2030-02-14");
+    expect(schedule.previousCouponDate).toBe("2025-02-14");
+  });
+
+  it("measures accrual under each day count", () => {
+    const actAct = buildCouponSchedule({ ...params, dayCount: "ACT/ACT" });
+    expect(actAct.accruedDays).toBe(133);
+    expect(actAct.periodDays).toBe(181);
+    expect(actAct.accrualFraction).toBeCloseTo(133 / 181, 12);
+
+    const thirty = buildCouponSchedule({ ...params, dayCount: "30/360" });
+    expect(thirty.accrualFraction).toBeCloseTo(133 / 180, 12);
+
+    const act360 = buildCouponSchedule({ ...params, dayCount: "ACT/360" });
+    expect(act360.accruedDays).toBe(133);
+    expect(act360.periodDays).toBe(180);
+    expect(act360.accrualFraction).toBeCloseTo(133 / 181, 12);
+    expect(act360.accruedFraction).toBeCloseTo(133 / 180, 12);
+  });
+
+  it("times an ACT/360 period on actual days while accruing interest on 360", () => {
+    // 31 Jul 2024 to 31 Jan 2025 is 184 actual days; settling the day before gives 183 against 180
+    const schedule = buildCouponSchedule({ settlementDate: "2025-01-30", maturityDate: "2030-01-31", frequency: 2, dayCount: "ACT/360" });
+    expect(schedule.previousCouponDate).toBe("2024-07-31");
+    expect(schedule.accruedDays).toBe(183);
+    expect(schedule.accrualFraction).toBeCloseTo(183 / 184, 12);
+    expect(schedule.accruedFraction).toBeCloseTo(183 / 180, 12);
+  });
+
+  it("has no accrual when settling on a coupon date", () => {
+    const schedule = buildCouponSchedule({ ...params, settlementDate: "2025-08-14", dayCount: "ACT/ACT" });
+    expect(schedule.accrualFraction).toBe(0);
+    expect(schedule.couponDates[0]).toBe("2026-02-14");
+    expect(schedule.couponDates).toHaveLength(9);
+  });
+
+  it("keeps end-of-month maturities on month ends", () => {
+    const schedule = buildCouponSchedule({
+      settlementDate: "2025-03-15",
+      maturityDate: "2026-08-31",
+      frequency: 2,
+      dayCount: "30/360",
+    });
+    expect(schedule.couponDates).toEqual(["2025-08-31", "2026-02-28", "2026-08-31"]);
+    expect(schedule.previousCouponDate).toBe("2025-02-28");
+  });
+
+  it("returns null when maturity is not after settlement", () => {
+    expect(buildCouponSchedule({ ...params, maturityDate: "2025-06-27", dayCount: "30/360" })).toBeNull();
+    expect(buildCouponSchedule({ ...params, settlementDate: "", dayCount: "30/360" })).toBeNull();
+  });
+
+  it("returns null for a frequency that cannot roll back to settlement", () => {
+    expect(buildCouponSchedule({ ...params, frequency: -1, dayCount: "30/360" })).toBeNull();
+    expect(buildCouponSchedule({ ...params, frequency: 0, dayCount: "30/360" })).toBeNull();
+    expect(buildCouponSchedule({ ...params, frequency: 1e6, dayCount: "30/360" })).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+// ============================
+// FLOATING-RATE NOTES
+// ============================
+// A floating-rate note (FRN) pays the reference rate plus a fixed quoted margin (QM), reset each
+// coupon period. It is valued on a projected reference path: each period's coupon is the reference
+// rate plus QM, and each period is discounted at the reference rate plus the discount margin (DM)
+// the market requires. Margins are in percentage points here (1 = 100 bp); rates compound
+// `frequency` times a year like every other rate in the engine.
+import { analyzeBond, buildPromisedFlows } from "./pricing.js";
+import { solveYieldFromPrice } from "./yield.js";
+
+/** Ways of projecting the reference rate. */
+export const REFERENCE_MODELS = [
+  { value: "flat", label: "Flat" },
+  { value: "stepped", label: "Stepped" },
+  { value: "custom", label: "Per period" },
+];
+
+/**
+ * @typedef {object} ReferencePath
+ * @property {"flat"|"stepped"|"custom"} model
+ * @property {number} [rate] flat and stepped: the reference rate for the first period, %
+ * @property {number} [step] stepped: change in the rate at each step, percentage points
+ * @property {number} [stepYears] stepped: years between steps
+ * @property {number[]} [rates] custom: the rate for each period in turn, %; the last carries forward
+ */
+
+/**
+ * Reference rate (%) for each remaining period t = 1…N.
+ * @param {ReferencePath} path
+ * @param {number} periods N
+ * @param {number} frequency coupons per year
+ * @returns {number[]}
+ */
+export const buildReferencePath = ({ model, rate, step = 0, stepYears = 1, rates = [] }, periods, frequency) => {
+  if (model === "custom") return Array.from({ length: periods }, (_, index) => rates[Math.min(index, rates.length - 1)]);
+  if (model === "stepped") {
+    const every = Math.max(1, Math.round(stepYears * frequency));
+    return Array.from({ length: periods }, (_, index) => rate + step * Math.floor(index / every));
+  }
+  return Array.from({ length: periods }, () => rate);
+};
+
+/**
+ * Projected coupon rate for each period: the reference rate plus the quoted margin.
+ * @param {number[]} referenceRates %
+ * @param {number} quotedMargin percentage points
+ * @returns {number[]} %
+ */
+export const floatingCouponRates = (referenceRates, quotedMargin) => referenceRates.map((rate) => rate + quotedMargin);
+
+/**
+ * Discounts each flow period by period: the k-th coupon date is reached through periods 1…k, each
+ * at its own discount rate (reference + DM), then the first period is carried forward the w already
+ * elapsed.
+ * @param {{ couponPayment: number, principalPayment: number }[]} flows
+ * @param {number[]} discountRates % per period
+ * @param {number} frequency
+ * @param {number} accrualFraction w
+ * @returns {{ price: number, pvCoupons: number, pvFaceValue: number,
+ *   discounting: { discountRate: number, discountFactor: number, presentValue: number }[] }}
+ */
+export const discountFlows = (flows, discountRates, frequency, accrualFraction) => {
+  let carried = Math.pow(1 + discountRates[0] / 100 / frequency, accrualFraction);
+  let pvCoupons = 0;
+  let pvFaceValue = 0;
+  const discounting = flows.map(({ couponPayment, principalPayment }, index) => {
+    carried /= 1 + discountRates[index] / 100 / frequency;
+    pvCoupons += couponPayment * carried;
+    pvFaceValue += principalPayment * carried;
+    return { discountRate: discountRates[index], discountFactor: carried, presentValue: (couponPayment + principalPayment) * carried };
+  });
+  return { price: pvCoupons + pvFaceValue, pvCoupons, pvFaceValue, discounting };
+};
+
+/**
+ * Prices an FRN off a projected reference path. With QM = DM every coupon is exactly the rate it is
+ * discounted at, so on a reset date the note is worth par whatever path the reference rate takes.
+ *
+ * @param {import("./pricing.js").BondTerms & { referenceRates: number[], quotedMargin: number, discountMargin: number }} params
+ * @returns {{
+ *   price: number, pvCoupons: number, pvFaceValue: number, accruedInterest: number, cleanPrice: number,
+ *   couponRates: number[],
+ *   discounting: { referenceRate: number, couponRate: number, discountRate: number, discountFactor: number, presentValue: number }[],
+ * }} `discounting` has one entry per remaining period
+ */
+export const priceFloatingRateNote = ({ referenceRates, quotedMargin, discountMargin, ...terms }) => {
+  const { frequency, accrualFraction = 0, accruedFraction = accrualFraction } = terms;
+  const couponRates = floatingCouponRates(referenceRates, quotedMargin);
+  const flows = buildPromisedFlows({ ...terms, couponRates });
+  const discountRates = referenceRates.map((rate) => rate + discountMargin);
+  const { price, pvCoupons, pvFaceValue, discounting } = discountFlows(flows, discountRates, frequency, accrualFraction);
+  const accruedInterest = flows.length ? flows[0].couponPayment * accruedFraction : 0;
+  return {
+    price,
+    pvCoupons,
+    pvFaceValue,
+    accruedInterest,
+    cleanPrice: price - accruedInterest,
+    couponRates,
+    discounting: discounting.map((row, index) => ({ referenceRate: referenceRates[index], couponRate: couponRates[index], ...row })),
+  };
+};
+
+/**
+ * Full valuation of an FRN. As with a spot curve, the single yield that reproduces the price is solved
+ * for and drives the yield-based measures; each cash-flow row carries its reference, coupon and
+ * discount rates. `floating` adds two durations (years, effective, from ±1 bp bumps):
+ *  - rateDuration: the reference path moves and so do the coupons, except the current one, which was
+ *    fixed at the last reset, so the price is exposed only until the next reset;
+ *  - spreadDuration: DM moves while the coupons stay put, so the exposure runs to maturity.
+ *
+ * @param {import("./pricing.js").BondTerms & { referenceRates: number[], quotedMargin: number,
+ *   discountMargin: number, settlementDate?: string, couponDates?: string[] }} params
+ * @returns {ReturnType<typeof analyzeBond> & { yieldSolution: ReturnType<typeof solveYieldFromPrice>,
+ *   floating: { quotedMargin: number, discountMargin: number, rateDuration: number, spreadDuration: number } }}
+ */
+export const analyzeFloatingRateNote = ({ referenceRates, quotedMargin, discountMargin, settlementDate, couponDates, ...terms }) => {
+  const { frequency, accrualFraction = 0 } = terms;
+  const note = priceFloatingRateNote({ ...terms, referenceRates, quotedMargin, discountMargin });
+  const couponTerms = { ...terms, couponRates: note.couponRates };
+  const yieldSolution = solveYieldFromPrice({ ...couponTerms, price: note.price, guess: note.couponRates[0] });
+  const analysis = analyzeBond({ ...couponTerms, ytm: yieldSolution.ytm, settlementDate, couponDates });
+
+  const bump = 0.01;
+  const priceAfter = (shift, marginShift) => {
+    const couponRates = note.couponRates.map((rate, index) => (index === 0 ? rate : rate + shift));
+    const discountRates = referenceRates.map((rate) => rate + shift + discountMargin + marginShift);
+    return discountFlows(buildPromisedFlows({ ...terms, couponRates }), discountRates, frequency, accrualFraction).price;
+  };
+  const effectiveDuration = (down, up) => (down - up) / (2 * note.price * (bump / 100));
+
+  const cashFlows = analysis.cashFlows.map((row, index) => {
+    if (index === 0) {
+      const purchase = -note.price;
+      return {
+        ...row,
+        principalPayment: purchase,
+        totalCashFlow: purchase,
+        referenceRate: null,
+        couponRate: null,
+        discountRate: null,
+        discountFactor: 1,
+        presentValue: purchase,
+      };
+    }
+    return { ...row, ...note.discounting[index - 1] };
+  });
+
+  return {
+    ...analysis,
+    bondPrice: note.price,
+    cleanPrice: note.cleanPrice,
+    pvCoupons: note.pvCoupons,
+    pvFaceValue: note.pvFaceValue,
+    cashFlows,
+    yieldSolution,
+    floating: {
+      quotedMargin,
+      discountMargin,
+      rateDuration: effectiveDuration(priceAfter(-bump, 0), priceAfter(bump, 0)),
+      spreadDuration: effectiveDuration(priceAfter(0, -bump), priceAfter(0, bump)),
+    },
+  };
+};
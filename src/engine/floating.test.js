@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+  analyzeFloatingRateNote,
+  buildReferencePath,
+  floatingCouponRates,
+  priceFloatingRateNote,
+} from "./floating.js";
+import { computeBondPrice } from "./pricing.js";
+
+const terms = { faceValue: 100, couponRate: 0, years: 3, frequency: 2, bondType: "floating-rate" };
+
+describe("buildReferencePath", () => {
+  it("holds a flat rate and steps a stepped one every stepYears", () => {
+    expect(buildReferencePath({ model: "flat", rate: 4 }, 3, 2)).toEqual([4, 4, 4]);
+    expect(buildReferencePath({ model: "stepped", rate: 4, step: 0.5, stepYears: 1 }, 5, 2)).toEqual([4, 4, 4.5, 4.5, 5]);
+  });
+
+  it("carries the last entered rate forward", () => {
+    expect(buildReferencePath({ model: "custom", rates: [3, 3.5] }, 4, 2)).toEqual([3, 3.5, 3.5, 3.5]);
+  });
+
+  it("adds the quoted margin to each reference rate", () => {
+    expect(floatingCouponRates([3, 3.5], 1.25)).toEqual([4.25, 4.75]);
+  });
+});
+
+describe("priceFloatingRateNote", () => {
+  const paths = {
+    flat: [4, 4, 4, 4, 4, 4],
+    stepped: buildReferencePath({ model: "stepped", rate: 3, step: 0.75, stepYears: 1 }, 6, 2),
+    custom: [5, 2.5, 6, 1, 4.25, 3],
+  };
+
+  it.each(Object.entries(paths))("prices at par on a reset date when QM = DM (%s path)", (_, referenceRates) => {
+    const { price, accruedInterest } = priceFloatingRateNote({ ...terms, referenceRates, quotedMargin: 0.8, discountMargin: 0.8 });
+    expect(price).toBeCloseTo(100, 10);
+    expect(accruedInterest).toBe(0);
+  });
+
+  it("trades above par when QM > DM and below when QM < DM", () => {
+    const at = (discountMargin) =>
+      priceFloatingRateNote({ ...terms, referenceRates: paths.custom, quotedMargin: 1, discountMargin }).price;
+    expect(at(0.5)).toBeGreaterThan(100);
+    expect(at(1.5)).toBeLessThan(100);
+  });
+
+  it("matches a fixed-rate bond when the reference path is flat", () => {
+    const note = priceFloatingRateNote({ ...terms, referenceRates: paths.flat, quotedMargin: 1, discountMargin: 1.5, accrualFraction: 0.3 });
+    const fixed = computeBondPrice({ ...terms, bondType: "bullet", couponRate: 5, ytm: 5.5, accrualFraction: 0.3 });
+    expect(note.price).toBeCloseTo(fixed.price, 10);
+    expect(note.accruedInterest).toBeCloseTo(fixed.accruedInterest, 12);
+    expect(note.discounting.reduce((sum, row) => sum + row.presentValue, 0)).toBeCloseTo(note.price, 10);
+  });
+
+  it("compounds each period at its own reference rate plus DM", () => {
+    const { discounting } = priceFloatingRateNote({ ...terms, referenceRates: paths.custom, quotedMargin: 1, discountMargin: 1 });
+    expect(discounting[1]).toMatchObject({ referenceRate: 2.5, couponRate: 3.5, discountRate: 3.5 });
+    expect(discounting[1].discountFactor).toBeCloseTo(1 / (1.03 * 1.0175), 12);
+  });
+});
+
+describe("analyzeFloatingRateNote", () => {
+  const referenceRates = [3, 3.5, 4, 4.5, 5, 5.5];
+
+  it("projects varying coupons and solves the equivalent yield", () => {
+    const result = analyzeFloatingRateNote({ ...terms, referenceRates, quotedMargin: 1, discountMargin: 1 });
+    expect(result.bondPrice).toBeCloseTo(100, 10);
+    expect(result.cashFlows.slice(1).map((row) => row.couponPayment)).toEqual(
+      referenceRates.map((rate) => expect.closeTo((rate + 1) / 2, 12))
+    );
+    expect(result.cashFlows[0]).toMatchObject({ referenceRate: null, discountFactor: 1, totalCashFlow: -result.bondPrice });
+    expect(result.yieldSolution.converged).toBe(true);
+  });
+
+  it("is exposed to the reference rate only until the next reset, but to the margin until maturity", () => {
+    const { floating } = analyzeFloatingRateNote({ ...terms, referenceRates, quotedMargin: 1, discountMargin: 1 });
+    expect(floating.rateDuration).toBeCloseTo(0.5 / 1.02, 4);
+    expect(floating.spreadDuration).toBeGreaterThan(2.5);
+    expect(floating).toMatchObject({ quotedMargin: 1, discountMargin: 1 });
+  });
+});
@@ -0,0 +1,71 @@
+// ============================
+// HORIZON RETURN
+// ============================
+// Holding-period analysis on a cash-flow schedule: flows received before the horizon are
+// reinvested to it, flows after it are sold at the exit yield. Rates are annual % compounded
+// `frequency` times a year, like the YTM, and time is counted in periods from settlement.
+
+/**
+ * @param {object} params
+ * @param {import("./pricing.js").CashFlowRow[]} params.cashFlows row 0 is the purchase and is skipped
+ * @param {number} params.price full price paid at settlement
+ * @param {number} params.frequency periods per year
+ * @param {number} params.horizonYears holding period; may run past maturity
+ * @param {number} params.reinvestmentRate annual %, for flows received before the horizon
+ * @param {number} params.exitYield annual %, the yield the remaining flows are sold at
+ * @returns {{
+ *   horizonPeriods: number,
+ *   couponIncome: number,
+ *   principalReceived: number,
+ *   interestOnInterest: number,
+ *   reinvestedValue: number,
+ *   salePrice: number,
+ *   flowsSold: number,
+ *   capitalGain: number,
+ *   totalValue: number,
+ *   totalReturn: number,
+ *   horizonYield: number,
+ * }} totalReturn and horizonYield are %; horizonYield is annualized like the YTM
+ */
+export const analyzeHorizonReturn = ({ cashFlows, price, frequency, horizonYears, reinvestmentRate, exitYield }) => {
+  const horizonPeriods = horizonYears * frequency;
+  const reinvestPerPeriod = reinvestmentRate / 100 / frequency;
+  const exitPerPeriod = exitYield / 100 / frequency;
+
+  let couponIncome = 0;
+  let principalReceived = 0;
+  let reinvestedValue = 0;
+  let salePrice = 0;
+  let flowsSold = 0;
+  cashFlows.forEach(({ period, couponPayment, principalPayment, totalCashFlow }) => {
+    if (period === 0) return;
+    // A flow falling exactly on the horizon is received, not sold
+    if (period <= horizonPeriods + 1e-9) {
+      couponIncome += couponPayment;
+      principalReceived += principalPayment;
+      reinvestedValue += totalCashFlow * Math.pow(1 + reinvestPerPeriod, horizonPeriods - period);
+    } else {
+      salePrice += totalCashFlow / Math.pow(1 + exitPerPeriod, period - horizonPeriods);
+      flowsSold += 1;
+    }
+  });
+
+  const totalValue = reinvestedValue + salePrice;
+  const interestOnInterest = reinvestedValue - couponIncome - principalReceived;
+  // Principal repaid before the horizon counts towards the gain or loss on the price paid
+  const capitalGain = salePrice + principalReceived - price;
+
+  return {
+    horizonPeriods,
+    couponIncome,
+    principalReceived,
+    interestOnInterest,
+    reinvestedValue,
+    salePrice,
+    flowsSold,
+    capitalGain,
+    totalValue,
+    totalReturn: (totalValue / price - 1) * 100,
+    horizonYield: (Math.pow(totalValue / price, 1 / horizonPeriods) - 1) * frequency * 100,
+  };
+};
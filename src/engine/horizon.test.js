@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { buildCouponSchedule } from "./dates.js";
+import { analyzeHorizonReturn } from "./horizon.js";
+import { analyzeBond } from "./pricing.js";
+
+const bond = analyzeBond({ faceValue: 100, couponRate: 8.6, ytm: 6.5, years: 5, frequency: 2 });
+const horizon = (overrides) =>
+  analyzeHorizonReturn({
+    cashFlows: bond.cashFlows,
+    price: bond.bondPrice,
+    frequency: 2,
+    horizonYears: 3,
+    reinvestmentRate: 6.5,
+    exitYield: 6.5,
+    ...overrides,
+  });
+
+describe("analyzeHorizonReturn", () => {
+  it("earns the YTM when coupons are reinvested and the bond sold at the YTM", () => {
+    const result = horizon();
+    expect(result.horizonYield).toBeCloseTo(6.5, 10);
+    expect(result.couponIncome).toBeCloseTo(6 * 4.3, 10);
+    expect(result.flowsSold).toBe(4);
+  });
+
+  it("adds up coupon income, interest on interest and capital gain", () => {
+    const result = horizon({ reinvestmentRate: 4, exitYield: 8 });
+    expect(result.couponIncome + result.interestOnInterest + result.capitalGain).toBeCloseTo(
+      result.totalValue - bond.bondPrice,
+      10
+    );
+    expect(result.capitalGain).toBeLessThan(0);
+    expect(result.interestOnInterest).toBeGreaterThan(0);
+  });
+
+  it("reinvests everything when the horizon is at or past maturity", () => {
+    const atMaturity = horizon({ horizonYears: 5, exitYield: 20 });
+    expect(atMaturity.salePrice).toBe(0);
+    expect(atMaturity.principalReceived).toBe(100);
+    expect(atMaturity.horizonYield).toBeCloseTo(6.5, 10);
+  });
+
+  it("counts the first coupon of a dated ACT/360 bond settled the day before it", () => {
+    const schedule = buildCouponSchedule({ settlementDate: "2025-01-30", maturityDate: "2030-01-31", frequency: 2, dayCount: "ACT/360" });
+    const dated = analyzeBond({
+      faceValue: 100,
+      couponRate: 8.6,
+      ytm: 6.5,
+      years: schedule.couponDates.length / 2,
+      frequency: 2,
+      accrualFraction: schedule.accrualFraction,
+      accruedFraction: schedule.accruedFraction,
+    });
+    expect(dated.accruedInterest).toBeCloseTo((4.3 * 183) / 180, 10);
+    expect(dated.cashFlows[1].period).toBeGreaterThan(0);
+    const result = horizon({ cashFlows: dated.cashFlows, price: dated.bondPrice });
+    expect(result.couponIncome).toBeCloseTo(6 * 4.3, 10);
+    expect(result.horizonYield).toBeCloseTo(6.5, 10);
+  });
+
+  it("is immunized against a small shift at the Macaulay duration", () => {
+    const durationHorizon = { horizonYears: bond.riskMeasures.macaulayDuration };
+    const up = horizon({ ...durationHorizon, reinvestmentRate: 7.5, exitYield: 7.5 });
+    const down = horizon({ ...durationHorizon, reinvestmentRate: 5.5, exitYield: 5.5 });
+    expect(up.horizonYield).toBeCloseTo(6.5, 1);
+    expect(down.horizonYield).toBeCloseTo(6.5, 1);
+  });
+});
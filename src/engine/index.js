@@ -0,0 +1,43 @@
+// Framework-free bond valuation engine. The React app imports everything from here.
+export {
+  BOND_TYPES,
+  buildPromisedFlows,
+  computeBondPrice,
+  effectiveAnnualYield,
+  priceEquationSteps,
+  buildCashFlows,
+  buildPriceTrajectory,
+  analyzeBond,
+} from "./pricing.js";
+export { computePriceSlope, solveYieldFromPrice } from "./yield.js";
+export { computeRiskMeasures } from "./risk.js";
+export { analyzeHorizonReturn } from "./horizon.js";
+export { analyzeRedemptions } from "./options.js";
+export {
+  CURVE_MODELS,
+  interpolateSpotRate,
+  nelsonSiegelRate,
+  spotRateAt,
+  priceWithSpotCurve,
+  analyzeBondWithCurve,
+} from "./curve.js";
+export {
+  REFERENCE_MODELS,
+  buildReferencePath,
+  floatingCouponRates,
+  priceFloatingRateNote,
+  analyzeFloatingRateNote,
+} from "./floating.js";
+export { CREDIT_MODELS, buildDefaultProbabilities, analyzeCredit } from "./credit.js";
+export { INFLATION_MODELS, buildIndexRatios, breakevenInflation, analyzeInflationLinkedBond } from "./inflation.js";
+export { centeredSteps, buildPriceGrid } from "./sensitivity.js";
+export { SHOCK_KINDS, KEY_TENORS, shockShift, priceUnderShock, analyzeShocks } from "./shocks.js";
+export {
+  DAY_COUNTS,
+  parseISODate,
+  toISODate,
+  addMonths,
+  actualDays,
+  days30360,
+  buildCouponSchedule,
+} from "./dates.js";
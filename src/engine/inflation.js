@@ -0,0 +1,124 @@
+// ============================
+// INFLATION-LINKED BONDS
+// ============================
+// A capital-indexed bond (the TIPS design) fixes its coupon rate and principal in real terms; each
+// payment is the real amount scaled by the index ratio, CPI at the payment date over CPI at
+// settlement. Real flows discounted at a real yield and indexed flows discounted at a nominal yield
+// give the same price when inflation follows the path the two yields imply.
+import { analyzeBond, buildPromisedFlows, computeBondPrice } from "./pricing.js";
+import { solveYieldFromPrice } from "./yield.js";
+
+/** Ways of projecting the inflation index. */
+export const INFLATION_MODELS = [
+  { value: "flat", label: "Constant inflation" },
+  { value: "cpi", label: "CPI series" },
+];
+
+/**
+ * @typedef {object} InflationPath
+ * @property {"flat"|"cpi"} model
+ * @property {number} [rate] flat: annual inflation, %
+ * @property {number} [baseCpi] cpi: index level at settlement
+ * @property {number[]} [cpi] cpi: index level at each coupon date in turn; the last carries forward
+ */
+
+/**
+ * Index ratio at each remaining payment t = 1…N, measured from settlement, so payment t is
+ * (t − w)/f years of inflation away.
+ * @param {InflationPath} path
+ * @param {number} periods N
+ * @param {number} frequency coupons per year
+ * @param {number} [accrualFraction=0] w
+ * @returns {number[]}
+ */
+export const buildIndexRatios = ({ model, rate, baseCpi, cpi = [] }, periods, frequency, accrualFraction = 0) => {
+  if (model === "cpi") return Array.from({ length: periods }, (_, index) => cpi[Math.min(index, cpi.length - 1)] / baseCpi);
+  return Array.from({ length: periods }, (_, index) => Math.pow(1 + rate / 100, (index + 1 - accrualFraction) / frequency));
+};
+
+/**
+ * Fisher breakeven: the annual inflation rate (%) at which a nominal and a real yield, both
+ * compounded `frequency` times a year, give the same return: (1 + n/f)^f = (1 + r/f)^f × (1 + π).
+ * @param {number} nominalYield annual %
+ * @param {number} realYield annual %
+ * @param {number} frequency
+ * @returns {number} %
+ */
+export const breakevenInflation = (nominalYield, realYield, frequency) =>
+  (Math.pow((1 + nominalYield / 100 / frequency) / (1 + realYield / 100 / frequency), frequency) - 1) * 100;
+
+/**
+ * Full valuation of a capital-indexed bond, priced off the real yield (real flows) or the nominal
+ * yield (indexed flows) as `yieldBasis` says. The other yield is solved from that price, and the
+ * nominal one drives the yield-based measures, since the cash-flow rows are the indexed payments.
+ * Each row also carries its index ratio and real amounts.
+ *
+ * `inflation` reports the bond's own real and nominal yields, the inflation its projected path
+ * implies (the breakeven between those two yields), the market breakeven between the two input
+ * yields, and the price on each basis. The prices differ by as much as the path strays from the
+ * market breakeven.
+ *
+ * @param {import("./pricing.js").BondTerms & { indexRatios: number[], realYield: number, nominalYield: number,
+ *   yieldBasis: "real"|"nominal", settlementDate?: string, couponDates?: string[] }} params
+ * @returns {ReturnType<typeof analyzeBond> & { yieldSolution: ReturnType<typeof solveYieldFromPrice>,
+ *   inflation: { yieldBasis: string, realYield: number, nominalYield: number, pathInflation: number,
+ *   breakeven: number, indexRatio: number, priceAtReal: number, priceAtNominal: number } }}
+ */
+export const analyzeInflationLinkedBond = ({
+  indexRatios,
+  realYield,
+  nominalYield,
+  yieldBasis,
+  settlementDate,
+  couponDates,
+  ...terms
+}) => {
+  const { frequency, accrualFraction = 0, accruedFraction = accrualFraction } = terms;
+  const indexedTerms = { ...terms, indexRatios };
+  const atReal = computeBondPrice({ ...terms, ytm: realYield });
+  const atNominal = computeBondPrice({ ...indexedTerms, ytm: nominalYield });
+  const { price } = yieldBasis === "real" ? atReal : atNominal;
+
+  // The yield on the other basis is the output, solved like a curve's equivalent yield
+  const yieldSolution =
+    yieldBasis === "real"
+      ? solveYieldFromPrice({ ...indexedTerms, price, guess: nominalYield })
+      : solveYieldFromPrice({ ...terms, price, guess: realYield });
+  const bondNominalYield = yieldBasis === "real" ? yieldSolution.ytm : nominalYield;
+  const bondRealYield = yieldBasis === "real" ? realYield : yieldSolution.ytm;
+  const analysis = analyzeBond({ ...indexedTerms, ytm: bondNominalYield, settlementDate, couponDates });
+
+  // Settlement is the index base, so interest accrued so far is the real coupon's share
+  const realFlows = buildPromisedFlows(terms);
+  const accruedInterest = realFlows.length ? realFlows[0].couponPayment * accruedFraction : 0;
+  const cashFlows = analysis.cashFlows.map((row, index) => {
+    if (index === 0) return { ...row, indexRatio: 1, realCoupon: 0, realPrincipal: row.principalPayment, realTotal: row.totalCashFlow };
+    const { couponPayment, principalPayment } = realFlows[index - 1];
+    return {
+      ...row,
+      indexRatio: indexRatios[Math.min(index, indexRatios.length) - 1],
+      realCoupon: couponPayment,
+      realPrincipal: principalPayment,
+      realTotal: couponPayment + principalPayment,
+    };
+  });
+  const periods = cashFlows.length - 1;
+
+  return {
+    ...analysis,
+    accruedInterest,
+    cleanPrice: analysis.bondPrice - accruedInterest,
+    cashFlows,
+    yieldSolution,
+    inflation: {
+      yieldBasis,
+      realYield: bondRealYield,
+      nominalYield: bondNominalYield,
+      pathInflation: breakevenInflation(bondNominalYield, bondRealYield, frequency),
+      breakeven: breakevenInflation(nominalYield, realYield, frequency),
+      indexRatio: cashFlows[periods].indexRatio,
+      priceAtReal: atReal.price,
+      priceAtNominal: atNominal.price,
+    },
+  };
+};
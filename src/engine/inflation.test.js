@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { analyzeInflationLinkedBond, breakevenInflation, buildIndexRatios } from "./inflation.js";
+import { buildPromisedFlows, computeBondPrice } from "./pricing.js";
+
+const terms = { faceValue: 100, couponRate: 2, years: 3, frequency: 2, bondType: "inflation-linked" };
+
+describe("buildIndexRatios", () => {
+  it("compounds a constant annual rate from settlement", () => {
+    const ratios = buildIndexRatios({ model: "flat", rate: 3 }, 4, 2);
+    expect(ratios[1]).toBeCloseTo(1.03, 12);
+    expect(ratios[3]).toBeCloseTo(1.03 ** 2, 12);
+    expect(buildIndexRatios({ model: "flat", rate: 3 }, 2, 2, 0.5)[0]).toBeCloseTo(1.03 ** 0.25, 12);
+  });
+
+  it("divides a CPI series by the base and carries the last level forward", () => {
+    expect(buildIndexRatios({ model: "cpi", baseCpi: 200, cpi: [202, 205] }, 3, 2)).toEqual([1.01, 1.025, 1.025]);
+  });
+});
+
+describe("breakevenInflation", () => {
+  it("is the Fisher rate linking the two yields", () => {
+    expect(breakevenInflation(5, 2, 1)).toBeCloseTo((1.05 / 1.02 - 1) * 100, 12);
+    const pi = breakevenInflation(5, 2, 2);
+    expect((1 + 0.05 / 2) ** 2).toBeCloseTo((1 + 0.02 / 2) ** 2 * (1 + pi / 100), 12);
+  });
+});
+
+describe("indexed promised flows", () => {
+  it("scales the coupons, principal and balance by each index ratio", () => {
+    const flows = buildPromisedFlows({ ...terms, indexRatios: [1.01, 1.02, 1.05] });
+    expect(flows[0].couponPayment).toBeCloseTo(1.01, 12);
+    expect(flows[1]).toMatchObject({ principalPayment: 0 });
+    expect(flows[1].outstanding).toBeCloseTo(102, 12);
+    expect(flows[5].principalPayment).toBeCloseTo(105, 12);
+  });
+});
+
+describe("analyzeInflationLinkedBond", () => {
+  const indexRatios = buildIndexRatios({ model: "flat", rate: 2.5 }, 6, 2);
+
+  it("prices the real flows at the real yield and solves the nominal yield", () => {
+    const result = analyzeInflationLinkedBond({ ...terms, indexRatios, realYield: 1.5, nominalYield: 4, yieldBasis: "real" });
+    expect(result.bondPrice).toBeCloseTo(computeBondPrice({ ...terms, ytm: 1.5 }).price, 8);
+    // A constant path makes the bond's own breakeven exactly that inflation rate
+    expect(result.inflation.pathInflation).toBeCloseTo(2.5, 6);
+    expect(result.inflation.nominalYield).toBeCloseTo(result.yieldSolution.ytm, 12);
+    expect(result.inflation.breakeven).toBeCloseTo(breakevenInflation(4, 1.5, 2), 12);
+  });
+
+  it("gives the same price on either basis when the path matches the breakeven", () => {
+    const nominalYield = 2 * (Math.sqrt((1 + 0.015 / 2) ** 2 * 1.025) - 1) * 100;
+    const real = analyzeInflationLinkedBond({ ...terms, indexRatios, realYield: 1.5, nominalYield, yieldBasis: "real" });
+    const nominal = analyzeInflationLinkedBond({ ...terms, indexRatios, realYield: 1.5, nominalYield, yieldBasis: "nominal" });
+    expect(nominal.bondPrice).toBeCloseTo(real.bondPrice, 8);
+    expect(nominal.inflation.realYield).toBeCloseTo(1.5, 8);
+    expect(real.inflation.priceAtNominal).toBeCloseTo(real.inflation.priceAtReal, 8);
+  });
+
+  it("lists indexed and real amounts on every row", () => {
+    const result = analyzeInflationLinkedBond({ ...terms, indexRatios, realYield: 1.5, nominalYield: 4, yieldBasis: "nominal" });
+    const last = result.cashFlows[6];
+    expect(last.realTotal).toBeCloseTo(101, 12);
+    expect(last.totalCashFlow).toBeCloseTo(101 * indexRatios[5], 10);
+    expect(result.cashFlows[0]).toMatchObject({ indexRatio: 1, realTotal: -result.bondPrice });
+    expect(result.inflation.indexRatio).toBe(indexRatios[5]);
+  });
+
+  it("accrues the real coupon between coupon dates", () => {
+    const ratios = buildIndexRatios({ model: "flat", rate: 2.5 }, 6, 2, 0.4);
+    const result = analyzeInflationLinkedBond({ ...terms, accrualFraction: 0.4, indexRatios: ratios, realYield: 1.5, nominalYield: 4, yieldBasis: "real" });
+    expect(result.accruedInterest).toBeCloseTo(0.4, 12);
+    expect(result.cleanPrice).toBeCloseTo(result.bondPrice - 0.4, 12);
+  });
+});
@@ -0,0 +1,55 @@
+// ============================
+// CALLABLE AND PUTABLE BONDS
+// ============================
+// Each call or put date is a possible early redemption. Its yield is the one that equates the
+// price paid to the flows truncated at that date, with the principal repaid at the exercise price.
+import { solveYieldFromPrice } from "./yield.js";
+
+/**
+ * An exercise date expressed as the coupon period it falls at the end of.
+ * @typedef {{ period: number, price: number }} ExerciseDate price is % of the principal outstanding
+ */
+
+/**
+ * @typedef {object} RedemptionScenario
+ * @property {"maturity"|"call"|"put"} kind
+ * @property {number} period coupon period the bond is redeemed at
+ * @property {number} redemptionPrice % of principal outstanding
+ * @property {number} ytm yield to this redemption, annual %; NaN when the price cannot be matched
+ */
+
+/**
+ * Yield to maturity, to every call and to every put, and the yield-to-worst. Calls are the
+ * issuer's choice, so the worst case for the holder is the lowest of the yield to maturity and
+ * the yields to call; puts are the holder's choice and are reported but never "worst".
+ *
+ * @param {import("./pricing.js").BondTerms & { price: number, calls?: ExerciseDate[], puts?: ExerciseDate[] }} params
+ *   `price` is the full price paid
+ * @returns {{ scenarios: RedemptionScenario[], worst: RedemptionScenario }} scenarios are in date order
+ */
+export const analyzeRedemptions = ({ price, calls = [], puts = [], ...terms }) => {
+  const periods = Math.round(terms.years * terms.frequency);
+  const solve = (redemption) => solveYieldFromPrice({ ...terms, redemption, price }).ytm;
+
+  const early = (kind, dates) =>
+    dates
+      .filter(({ period }) => period >= 1 && period < periods)
+      .map(({ period, price: redemptionPrice }) => ({
+        kind,
+        period,
+        redemptionPrice,
+        ytm: solve({ period, price: redemptionPrice }),
+      }));
+
+  const scenarios = [
+    ...early("call", calls),
+    ...early("put", puts),
+    { kind: "maturity", period: periods, redemptionPrice: 100, ytm: solve(null) },
+  ].sort((a, b) => a.period - b.period || a.kind.localeCompare(b.kind));
+
+  const worst = scenarios
+    .filter(({ kind, ytm }) => kind !== "put" && Number.isFinite(ytm))
+    .reduce((lowest, scenario) => (lowest === null || scenario.ytm < lowest.ytm ? scenario : lowest), null);
+
+  return { scenarios, worst: worst ?? scenarios.find(({ kind }) => kind === "maturity") };
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { analyzeRedemptions } from "./options.js";
+import { buildPromisedFlows, computeBondPrice } from "./pricing.js";
+
+const bond = { faceValue: 100, couponRate: 8, years: 5, frequency: 2 };
+
+describe("early redemption flows", () => {
+  it("truncates the schedule and repays the balance at the exercise price", () => {
+    const flows = buildPromisedFlows({ ...bond, redemption: { period: 6, price: 102 } });
+    expect(flows).toHaveLength(6);
+    expect(flows[5].principalPayment).toBeCloseTo(102, 12);
+    expect(flows[5].couponPayment).toBeCloseTo(4, 12);
+    expect(flows[5].outstanding).toBe(0);
+  });
+
+  it("redeems only the outstanding balance of an amortizing bond", () => {
+    const flows = buildPromisedFlows({ ...bond, bondType: "amortizing-equal", redemption: { period: 5, price: 100 } });
+    expect(flows[4].principalPayment).toBeCloseTo(60, 10);
+  });
+});
+
+describe("analyzeRedemptions", () => {
+  it("finds a lower yield to call than to maturity for a premium bond callable at par", () => {
+    const price = computeBondPrice({ ...bond, ytm: 6 }).price;
+    const { scenarios, worst } = analyzeRedemptions({ ...bond, price, calls: [{ period: 4, price: 100 }] });
+    const maturity = scenarios.find(({ kind }) => kind === "maturity");
+    expect(maturity.ytm).toBeCloseTo(6, 8);
+    expect(worst.kind).toBe("call");
+    expect(worst.ytm).toBeLessThan(6);
+    expect(computeBondPrice({ ...bond, ytm: worst.ytm, redemption: { period: 4, price: 100 } }).price).toBeCloseTo(price, 8);
+  });
+
+  it("keeps maturity as the worst case for a discount bond", () => {
+    const price = computeBondPrice({ ...bond, ytm: 10 }).price;
+    const { worst } = analyzeRedemptions({ ...bond, price, calls: [{ period: 6, price: 101 }] });
+    expect(worst.kind).toBe("maturity");
+  });
+
+  it("reports puts without treating them as the worst case", () => {
+    const price = computeBondPrice({ ...bond, ytm: 10 }).price;
+    const { scenarios, worst } = analyzeRedemptions({ ...bond, price, puts: [{ period: 4, price: 100 }] });
+    const put = scenarios.find(({ kind }) => kind === "put");
+    expect(put.ytm).toBeGreaterThan(10);
+    expect(worst.kind).toBe("maturity");
+  });
+
+  it("ignores exercise dates at or after maturity and orders scenarios by date", () => {
+    const price = computeBondPrice({ ...bond, ytm: 8 }).price;
+    const { scenarios } = analyzeRedemptions({
+      ...bond,
+      price,
+      calls: [{ period: 8, price: 100 }, { period: 10, price: 100 }, { period: 4, price: 101 }],
+    });
+    expect(scenarios.map(({ kind, period }) => `${kind}@${period}`)).toEqual(["call@4", "call@8", "maturity@10"]);
+  });
+});
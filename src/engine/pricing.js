@@ -0,0 +1,281 @@
+// ============================
+// BOND PRICING
+// ============================
+// Rates are annual percentages (6.5 means 6.5%) quoted with `frequency` compounding periods a
+// year, matching the calculator inputs. `years × frequency` is the number of remaining coupons.
+import { computeRiskMeasures } from "./risk.js";
+
+/** Supported principal repayment structures. */
+export const BOND_TYPES = [
+  { value: "bullet", label: "Bullet (coupon bond)" },
+  { value: "zero", label: "Zero-coupon" },
+  { value: "amortizing-level", label: "Amortizing – level payment" },
+  { value: "amortizing-equal", label: "Amortizing – equal principal" },
+  { value: "sinking-fund", label: "Sinking fund" },
+  { value: "floating-rate", label: "Floating-rate note" },
+  { value: "inflation-linked", label: "Inflation-linked (capital-indexed)" },
+];
+
+/**
+ * @typedef {object} BondTerms
+ * @property {number} faceValue original principal
+ * @property {number} couponRate annual coupon rate, %; ignored for zero-coupon bonds
+ * @property {number[]} [couponRates] projected annual coupon rate (%) for each period t = 1…N, in place
+ *   of couponRate when coupons reset, as for a floating-rate note; the last rate carries forward
+ * @property {number[]} [indexRatios] inflation index ratio at each payment t = 1…N for a capital-indexed
+ *   bond: coupons, principal and the balance are the real amounts scaled by it; the last ratio carries forward
+ * @property {number} years years to maturity; `years × frequency` must be a whole number
+ * @property {number} frequency coupons per year
+ * @property {number} [accrualFraction=0] share of the current coupon period elapsed at settlement
+ * @property {number} [accruedFraction] share of the current coupon owed as accrued interest at settlement;
+ *   defaults to accrualFraction, and differs from it only under ACT/360
+ * @property {string} [bondType="bullet"] one of BOND_TYPES
+ * @property {number} [sinkingFundPercent=0] sinking fund: % of original principal redeemed per year
+ * @property {number} [sinkingFundStart=0] sinking fund: years before the first redemption
+ * @property {{ period: number, price: number }|null} [redemption=null] early redemption (call or put)
+ *   at the end of coupon period `period`, paying `price`% of the principal then outstanding
+ */
+
+/**
+ * Promised payments for each remaining period t = 1…N. Coupons accrue on the principal outstanding
+ * at the start of the period; `outstanding` is the balance left after that period's payment.
+ * With `indexRatios` every amount is indexed to inflation at its payment date.
+ * An early `redemption` cuts the schedule short and repays the whole balance at its price.
+ *
+ * @param {BondTerms} terms
+ * @returns {{ couponPayment: number, principalPayment: number, outstanding: number }[]}
+ */
+export const buildPromisedFlows = ({
+  faceValue,
+  couponRate,
+  couponRates = null,
+  indexRatios = null,
+  years,
+  frequency,
+  bondType = "bullet",
+  sinkingFundPercent = 0,
+  sinkingFundStart = 0,
+  redemption = null,
+}) => {
+  const periods = Math.round(years * frequency);
+  const periodicCouponRate = bondType === "zero" ? 0 : couponRate / 100 / frequency;
+  const periodicRateAt = (t) =>
+    couponRates?.length ? couponRates[Math.min(t, couponRates.length) - 1] / 100 / frequency : periodicCouponRate;
+
+  // Level payment: the annuity that retires the principal over N periods at the coupon rate
+  const levelPayment =
+    periodicCouponRate === 0
+      ? faceValue / periods
+      : (faceValue * periodicCouponRate) / (1 - Math.pow(1 + periodicCouponRate, -periods));
+  const sinkingPayment = (faceValue * sinkingFundPercent) / 100 / frequency;
+  const firstSinkingPeriod = Math.round(sinkingFundStart * frequency) + 1;
+
+  const flows = [];
+  let outstanding = faceValue;
+  for (let t = 1; t <= periods; t++) {
+    const couponPayment = outstanding * periodicRateAt(t);
+    let principalPayment;
+    if (t === periods) principalPayment = outstanding;
+    else if (bondType === "amortizing-level") principalPayment = levelPayment - couponPayment;
+    else if (bondType === "amortizing-equal") principalPayment = faceValue / periods;
+    else if (bondType === "sinking-fund" && t >= firstSinkingPeriod) principalPayment = Math.min(sinkingPayment, outstanding);
+    else principalPayment = 0;
+    outstanding -= principalPayment;
+    // Snap floating-point dust so fully retired bonds show a zero balance
+    if (Math.abs(outstanding) < 1e-9 * faceValue) outstanding = 0;
+    const ratio = indexRatios?.length ? indexRatios[Math.min(t, indexRatios.length) - 1] : 1;
+    flows.push({ couponPayment: couponPayment * ratio, principalPayment: principalPayment * ratio, outstanding: outstanding * ratio });
+  }
+  if (redemption && redemption.period < periods) {
+    const exercised = flows.slice(0, redemption.period);
+    const last = exercised[exercised.length - 1];
+    const balance = last.outstanding + last.principalPayment;
+    exercised[exercised.length - 1] = { ...last, principalPayment: (balance * redemption.price) / 100, outstanding: 0 };
+    return exercised;
+  }
+  return flows;
+};
+
+/**
+ * Prices a bond off a single yield. Between coupon dates each flow is discounted over t − w
+ * periods, so `price` is the full (dirty) price and `cleanPrice` is net of accrued interest.
+ * `pvFaceValue` is the PV of all principal repayments (just the face value for a bullet bond).
+ *
+ * @param {BondTerms & { ytm: number }} params
+ * @returns {{ price: number, pvCoupons: number, pvFaceValue: number, accruedInterest: number, cleanPrice: number }}
+ */
+export const computeBondPrice = ({ ytm, ...terms }) => {
+  const { frequency, accrualFraction = 0, accruedFraction = accrualFraction } = terms;
+  const periodicYield = ytm / 100 / frequency;
+  const flows = buildPromisedFlows(terms);
+  let pvCoupons = 0;
+  let pvFaceValue = 0;
+  flows.forEach(({ couponPayment, principalPayment }, index) => {
+    const discountFactor = Math.pow(1 + periodicYield, index + 1 - accrualFraction);
+    pvCoupons += couponPayment / discountFactor;
+    pvFaceValue += principalPayment / discountFactor;
+  });
+  const price = pvCoupons + pvFaceValue;
+  const accruedInterest = flows.length ? flows[0].couponPayment * accruedFraction : 0;
+  return { price, pvCoupons, pvFaceValue, accruedInterest, cleanPrice: price - accruedInterest };
+};
+
+/**
+ * Effective annual yield (%) for a quoted YTM compounded `frequency` times a year.
+ * @param {number} ytm annual %, nominal
+ * @param {number} frequency
+ */
+export const effectiveAnnualYield = (ytm, frequency) => (Math.pow(1 + ytm / 100 / frequency, frequency) - 1) * 100;
+
+/**
+ * Intermediate values of Equation 6 for a bullet or zero-coupon bond, in the order a student
+ * works them by hand. Equation 6 prices on a coupon date; between dates the result is carried
+ * forward w periods to settlement, which reproduces the full price from computeBondPrice.
+ *
+ * @param {BondTerms & { ytm: number }} params
+ * @returns {{ periodicRate: number, periods: number, payment: number, annuityFactor: number,
+ *   pvCoupons: number, discountFactor: number, pvFaceValue: number, priceOnCouponDate: number,
+ *   settlementFactor: number, price: number }}
+ */
+export const priceEquationSteps = ({ ytm, faceValue, couponRate, years, frequency, accrualFraction = 0, bondType = "bullet" }) => {
+  const periodicRate = ytm / 100 / frequency;
+  const periods = Math.round(years * frequency);
+  const payment = bondType === "zero" ? 0 : (faceValue * couponRate) / 100 / frequency;
+  const discountFactor = Math.pow(1 + periodicRate, -periods);
+  // At a zero yield the annuity factor's limit is simply the number of payments
+  const annuityFactor = periodicRate === 0 ? periods : (1 - discountFactor) / periodicRate;
+  const pvCoupons = payment * annuityFactor;
+  const pvFaceValue = faceValue * discountFactor;
+  const priceOnCouponDate = pvCoupons + pvFaceValue;
+  const settlementFactor = Math.pow(1 + periodicRate, accrualFraction);
+  return {
+    periodicRate,
+    periods,
+    payment,
+    annuityFactor,
+    pvCoupons,
+    discountFactor,
+    pvFaceValue,
+    priceOnCouponDate,
+    settlementFactor,
+    price: priceOnCouponDate * settlementFactor,
+  };
+};
+
+/**
+ * @typedef {object} CashFlowRow
+ * @property {number} period periods from settlement (fractional between coupon dates); 0 is the purchase
+ * @property {number} yearLabel years from settlement, rounded for display
+ * @property {string|null} dateLabel payment date when the bond is priced off dates
+ * @property {number} couponPayment
+ * @property {number} principalPayment negative for the purchase at period 0
+ * @property {number} totalCashFlow
+ * @property {number} outstanding principal still owed after the payment
+ */
+
+/**
+ * Builds the cash-flow schedule: the purchase at the full price, then one row per remaining coupon.
+ * Time is measured from settlement, so the first coupon period is the fractional 1 − w.
+ *
+ * @param {BondTerms & { price: number, settlementDate?: string, couponDates?: string[] }} params
+ * @returns {CashFlowRow[]}
+ */
+export const buildCashFlows = ({ price, settlementDate = null, couponDates = null, ...terms }) => {
+  const { faceValue, frequency, accrualFraction = 0 } = terms;
+
+  const cashFlows = [
+    {
+      period: 0,
+      yearLabel: 0,
+      dateLabel: couponDates ? settlementDate : null,
+      couponPayment: 0,
+      principalPayment: -price,
+      totalCashFlow: -price,
+      outstanding: faceValue,
+    },
+  ];
+
+  buildPromisedFlows(terms).forEach(({ couponPayment, principalPayment, outstanding }, index) => {
+    const t = index + 1;
+    cashFlows.push({
+      period: t - accrualFraction,
+      yearLabel: +((t - accrualFraction) / frequency).toFixed(3),
+      dateLabel: couponDates ? couponDates[index] : null,
+      couponPayment,
+      principalPayment,
+      totalCashFlow: couponPayment + principalPayment,
+      outstanding,
+    });
+  });
+  return cashFlows;
+};
+
+/**
+ * Carrying value of the bond as it ages at a constant yield ("pull to par"). Step 0 is settlement
+ * at the clean price; step k is just after the k-th remaining coupon, valued on the flows still to
+ * come. At the last step the bond is valued at its redemption amount, which for a bullet bond is
+ * par. `par` is the principal still owed at each step, the level the price converges to.
+ *
+ * @param {BondTerms & { ytm: number }} params
+ * @returns {{ step: number, years: number, price: number, par: number, remaining: number }[]}
+ */
+export const buildPriceTrajectory = ({ ytm, ...terms }) => {
+  const { faceValue, frequency, accrualFraction = 0 } = terms;
+  const periodicYield = ytm / 100 / frequency;
+  const flows = buildPromisedFlows(terms);
+  const periods = flows.length;
+  const { cleanPrice } = computeBondPrice({ ...terms, ytm });
+
+  const trajectory = [{ step: 0, years: 0, price: cleanPrice, par: faceValue, remaining: periods }];
+  for (let k = 1; k <= periods; k++) {
+    let price = 0;
+    for (let t = k + 1; t <= periods; t++) {
+      const { couponPayment, principalPayment } = flows[t - 1];
+      price += (couponPayment + principalPayment) / Math.pow(1 + periodicYield, t - k);
+    }
+    const redemption = flows[periods - 1].principalPayment;
+    trajectory.push({
+      step: k,
+      years: +((k - accrualFraction) / frequency).toFixed(3),
+      price: k === periods ? redemption : price,
+      par: k === periods ? redemption : flows[k - 1].outstanding,
+      remaining: periods - k,
+    });
+  }
+  return trajectory;
+};
+
+/**
+ * Full valuation used by the calculator: prices, cash-flow schedule and risk measures in one pass.
+ *
+ * @param {BondTerms & { ytm: number, settlementDate?: string, couponDates?: string[] }} params
+ */
+export const analyzeBond = ({ settlementDate, couponDates, ...terms }) => {
+  const { faceValue, ytm, frequency, accrualFraction = 0, bondType = "bullet" } = terms;
+  const periodicYield = ytm / 100 / frequency;
+
+  const { price: bondPrice, pvCoupons, pvFaceValue, accruedInterest, cleanPrice } = computeBondPrice(terms);
+  const cashFlows = buildCashFlows({ ...terms, price: bondPrice, settlementDate, couponDates });
+  // Counted from the schedule so an early redemption shortens it
+  const periods = cashFlows.length - 1;
+  // First-period coupon; for amortizing structures later coupons shrink with the balance
+  const periodicCoupon = cashFlows.length > 1 ? cashFlows[1].couponPayment : 0;
+  const riskMeasures = computeRiskMeasures({ cashFlows, periodicYield, frequency, price: bondPrice });
+
+  return {
+    bondPrice,
+    cleanPrice,
+    accruedInterest,
+    accrualFraction,
+    bondType,
+    faceValue,
+    frequency,
+    periodicCoupon,
+    periodicYield,
+    periods,
+    cashFlows,
+    pvCoupons,
+    pvFaceValue,
+    riskMeasures,
+  };
+};
@@ -0,0 +1,271 @@
+import { describe, expect, it } from "vitest";
+import {
+  analyzeBond,
+  buildCashFlows,
+  buildPriceTrajectory,
+  buildPromisedFlows,
+  computeBondPrice,
+  effectiveAnnualYield,
+  priceEquationSteps,
+} from "./pricing.js";
+
+const bond = (overrides) => ({ faceValue: 100, couponRate: 8.6, ytm: 6.5, years: 5, frequency: 2, ...overrides });
+
+describe("computeBondPrice", () => {
+  it("matches textbook prices", () => {
+    // 3-year 4% annual coupon at 5%
+    expect(computeBondPrice(bond({ couponRate: 4, ytm: 5, years: 3, frequency: 1 })).price).toBeCloseTo(97.2768, 4);
+    // 10-year 8% semi-annual coupon at 10%
+    expect(computeBondPrice(bond({ couponRate: 8, ytm: 10, years: 10 })).price).toBeCloseTo(87.5378, 4);
+    // 20-year 9% semi-annual coupon at 12%
+    expect(computeBondPrice(bond({ couponRate: 9, ytm: 12, years: 20 })).price).toBeCloseTo(77.4306, 4);
+  });
+
+  it("agrees with the closed-form annuity formula (Equation 6)", () => {
+    const r = 0.065 / 2;
+    const T = 10;
+    const expected = (4.3 / r) * (1 - 1 / Math.pow(1 + r, T)) + 100 / Math.pow(1 + r, T);
+    expect(computeBondPrice(bond()).price).toBeCloseTo(expected, 10);
+  });
+
+  it("prices at par when the coupon equals the yield", () => {
+    for (const frequency of [1, 2, 4, 12]) {
+      expect(computeBondPrice(bond({ couponRate: 6, ytm: 6, frequency })).price).toBeCloseTo(100, 10);
+    }
+  });
+
+  it("prices premium and discount bonds either side of par", () => {
+    expect(computeBondPrice(bond({ couponRate: 8, ytm: 6 })).price).toBeGreaterThan(100);
+    expect(computeBondPrice(bond({ couponRate: 4, ytm: 6 })).price).toBeLessThan(100);
+  });
+
+  it("splits the price into PV of coupons and PV of face value", () => {
+    const { price, pvCoupons, pvFaceValue } = computeBondPrice(bond());
+    expect(pvCoupons + pvFaceValue).toBeCloseTo(price, 12);
+    expect(pvFaceValue).toBeCloseTo(100 / Math.pow(1.0325, 10), 12);
+  });
+
+  it("values a zero-coupon bond as the discounted face value", () => {
+    const { price, pvCoupons } = computeBondPrice(bond({ couponRate: 0, ytm: 6, years: 10 }));
+    expect(pvCoupons).toBe(0);
+    expect(price).toBeCloseTo(55.3676, 4);
+  });
+
+  it("sums the undiscounted cash flows at a zero yield", () => {
+    expect(computeBondPrice(bond({ ytm: 0 })).price).toBeCloseTo(100 + 10 * 4.3, 10);
+  });
+
+  it("handles negative yields", () => {
+    expect(computeBondPrice(bond({ couponRate: 0, ytm: -0.5, years: 2, frequency: 1 })).price).toBeCloseTo(
+      100 / Math.pow(0.995, 2),
+      10
+    );
+  });
+
+  it("approaches the perpetuity value for very long maturities", () => {
+    expect(computeBondPrice(bond({ couponRate: 5, ytm: 10, years: 1000, frequency: 1 })).price).toBeCloseTo(50, 8);
+    expect(computeBondPrice(bond({ couponRate: 5, ytm: 5, years: 100, frequency: 12 })).price).toBeCloseTo(100, 8);
+  });
+
+  it("scales linearly with face value", () => {
+    const base = computeBondPrice(bond()).price;
+    expect(computeBondPrice(bond({ faceValue: 1000 })).price).toBeCloseTo(base * 10, 10);
+  });
+
+  it("prices fractional years as a whole number of coupon periods", () => {
+    // 2.5 years semi-annual = 5 coupons; 1.25 years quarterly = 5 coupons
+    const semi = computeBondPrice(bond({ years: 2.5 })).price;
+    const r = 0.0325;
+    const expected = (4.3 / r) * (1 - Math.pow(1 + r, -5)) + 100 * Math.pow(1 + r, -5);
+    expect(semi).toBeCloseTo(expected, 10);
+    expect(computeBondPrice(bond({ years: 1.25, frequency: 4, couponRate: 6, ytm: 6 })).price).toBeCloseTo(100, 10);
+  });
+
+  describe("between coupon dates", () => {
+    // 5% semi-annual bond, 133 of 181 days accrued (ACT/ACT), 10 coupons remaining, priced at 5%
+    const terms = bond({ couponRate: 5, ytm: 5, years: 5, accrualFraction: 133 / 181 });
+
+    it("grows the price at the previous coupon date by (1 + r)^(t/T) to get the full price", () => {
+      const atPreviousCoupon = computeBondPrice({ ...terms, accrualFraction: 0 }).price;
+      const { price } = computeBondPrice(terms);
+      expect(price).toBeCloseTo(atPreviousCoupon * Math.pow(1.025, 133 / 181), 10);
+      expect(price).toBeCloseTo(101.831, 3);
+    });
+
+    it("separates accrued interest from the flat price", () => {
+      const { price, accruedInterest, cleanPrice } = computeBondPrice(terms);
+      expect(accruedInterest).toBeCloseTo(2.5 * (133 / 181), 12);
+      expect(cleanPrice).toBeCloseTo(price - accruedInterest, 12);
+      expect(cleanPrice).toBeCloseTo(99.994, 3);
+    });
+
+    it("has no accrued interest on a coupon date", () => {
+      const { price, cleanPrice, accruedInterest } = computeBondPrice({ ...terms, accrualFraction: 0 });
+      expect(accruedInterest).toBe(0);
+      expect(cleanPrice).toBe(price);
+    });
+  });
+});
+
+describe("bond types", () => {
+  const sum = (flows, key) => flows.reduce((total, flow) => total + flow[key], 0);
+
+  it("ignores the coupon rate for zero-coupon bonds", () => {
+    const flows = buildPromisedFlows(bond({ bondType: "zero" }));
+    expect(sum(flows, "couponPayment")).toBe(0);
+    expect(flows[9].principalPayment).toBe(100);
+    expect(computeBondPrice(bond({ bondType: "zero", ytm: 6, years: 10 })).price).toBeCloseTo(55.3676, 4);
+  });
+
+  it("pays a constant annuity on a level-payment amortizing bond", () => {
+    // 5-year 6% annual mortgage-style loan of 100: payment = 100 × 0.06 / (1 − 1.06^−5) = 23.7396
+    const flows = buildPromisedFlows(bond({ bondType: "amortizing-level", couponRate: 6, frequency: 1 }));
+    flows.forEach(({ couponPayment, principalPayment }) => {
+      expect(couponPayment + principalPayment).toBeCloseTo(23.7396, 4);
+    });
+    expect(flows[0].couponPayment).toBeCloseTo(6, 12);
+    expect(sum(flows, "principalPayment")).toBeCloseTo(100, 10);
+    expect(flows[4].outstanding).toBe(0);
+  });
+
+  it("repays equal principal with interest on the declining balance", () => {
+    const flows = buildPromisedFlows(bond({ bondType: "amortizing-equal", couponRate: 6, frequency: 1 }));
+    expect(flows.map((flow) => flow.principalPayment)).toEqual([20, 20, 20, 20, 20]);
+    expect(flows.map((flow) => +flow.couponPayment.toFixed(10))).toEqual([6, 4.8, 3.6, 2.4, 1.2]);
+  });
+
+  it("retires a sinking fund on schedule and pays the balloon at maturity", () => {
+    const flows = buildPromisedFlows(
+      bond({ bondType: "sinking-fund", couponRate: 6, frequency: 1, sinkingFundPercent: 10, sinkingFundStart: 2 })
+    );
+    expect(flows.map((flow) => flow.principalPayment)).toEqual([0, 0, 10, 10, 80]);
+    expect(flows[3].couponPayment).toBeCloseTo(5.4, 12);
+    expect(sum(flows, "principalPayment")).toBeCloseTo(100, 10);
+  });
+
+  it("never redeems more than the outstanding balance", () => {
+    const flows = buildPromisedFlows(bond({ bondType: "sinking-fund", frequency: 1, sinkingFundPercent: 60 }));
+    expect(flows.map((flow) => flow.principalPayment)).toEqual([60, 40, 0, 0, 0]);
+  });
+
+  it("prices every structure at par when the yield equals the coupon rate", () => {
+    for (const bondType of ["amortizing-level", "amortizing-equal", "sinking-fund"]) {
+      const terms = bond({ bondType, couponRate: 7, ytm: 7, sinkingFundPercent: 15, sinkingFundStart: 1 });
+      expect(computeBondPrice(terms).price).toBeCloseTo(100, 10);
+    }
+  });
+
+  it("shortens duration as principal is returned earlier", () => {
+    const duration = (bondType) => analyzeBond(bond({ bondType })).riskMeasures.macaulayDuration;
+    expect(duration("zero")).toBeGreaterThan(duration("bullet"));
+    expect(duration("bullet")).toBeGreaterThan(duration("amortizing-level"));
+  });
+
+  it("handles a zero coupon rate on an amortizing bond", () => {
+    const flows = buildPromisedFlows(bond({ bondType: "amortizing-level", couponRate: 0, frequency: 1 }));
+    expect(flows.map((flow) => flow.principalPayment)).toEqual([20, 20, 20, 20, 20]);
+  });
+});
+
+describe("effectiveAnnualYield", () => {
+  it("compounds the periodic rate over a year", () => {
+    expect(effectiveAnnualYield(6, 1)).toBeCloseTo(6, 12);
+    expect(effectiveAnnualYield(6, 2)).toBeCloseTo(6.09, 12);
+    expect(effectiveAnnualYield(6, 12)).toBeCloseTo((Math.pow(1.005, 12) - 1) * 100, 12);
+  });
+});
+
+describe("priceEquationSteps", () => {
+  it("works Equation 6 to the same price as the cash-flow sum", () => {
+    const steps = priceEquationSteps(bond());
+    expect(steps.periodicRate).toBeCloseTo(0.0325, 12);
+    expect(steps.periods).toBe(10);
+    expect(steps.payment).toBeCloseTo(4.3, 12);
+    expect(steps.annuityFactor).toBeCloseTo(8.4224, 4);
+    expect(steps.pvCoupons + steps.pvFaceValue).toBeCloseTo(steps.priceOnCouponDate, 12);
+    expect(steps.price).toBeCloseTo(computeBondPrice(bond()).price, 10);
+  });
+
+  it("carries the coupon-date price forward to settlement", () => {
+    const dated = bond({ accrualFraction: 0.4 });
+    const steps = priceEquationSteps(dated);
+    expect(steps.settlementFactor).toBeCloseTo(Math.pow(1.0325, 0.4), 12);
+    expect(steps.price).toBeCloseTo(computeBondPrice(dated).price, 10);
+  });
+
+  it("handles zero coupons and a zero yield", () => {
+    expect(priceEquationSteps(bond({ bondType: "zero" })).pvCoupons).toBe(0);
+    const flat = priceEquationSteps(bond({ ytm: 0 }));
+    expect(flat.annuityFactor).toBe(10);
+    expect(flat.price).toBeCloseTo(143, 10);
+  });
+});
+
+describe("buildCashFlows", () => {
+  it("starts with the purchase and repays principal with the last coupon", () => {
+    const rows = buildCashFlows({ ...bond(), price: 108.84 });
+    expect(rows).toHaveLength(11);
+    expect(rows[0]).toMatchObject({ period: 0, principalPayment: -108.84, totalCashFlow: -108.84 });
+    expect(rows.slice(1).every((row) => row.couponPayment === 4.3)).toBe(true);
+    expect(rows[10]).toMatchObject({ period: 10, yearLabel: 5, principalPayment: 100, totalCashFlow: 104.3, outstanding: 0 });
+    expect(rows.slice(1, 10).every((row) => row.principalPayment === 0)).toBe(true);
+  });
+
+  it("labels periods in years for any frequency", () => {
+    const rows = buildCashFlows({ ...bond({ years: 1, frequency: 12 }), price: 100 });
+    expect(rows.map((row) => row.yearLabel).slice(1, 4)).toEqual([0.083, 0.167, 0.25]);
+  });
+
+  it("shifts periods by the accrued fraction and carries payment dates", () => {
+    const rows = buildCashFlows({
+      ...bond({ years: 1, accrualFraction: 0.25 }),
+      price: 100,
+      settlementDate: "2025-05-15",
+      couponDates: ["2025-08-15", "2026-02-15"],
+    });
+    expect(rows.map((row) => row.period)).toEqual([0, 0.75, 1.75]);
+    expect(rows.map((row) => row.dateLabel)).toEqual(["2025-05-15", "2025-08-15", "2026-02-15"]);
+  });
+});
+
+describe("buildPriceTrajectory", () => {
+  it("pulls a premium bond down to par at a constant yield", () => {
+    const trajectory = buildPriceTrajectory(bond());
+    expect(trajectory).toHaveLength(11);
+    expect(trajectory[0].price).toBeCloseTo(computeBondPrice(bond()).price, 10);
+    trajectory.slice(1).forEach(({ price }, k) => expect(price).toBeLessThan(trajectory[k].price));
+    expect(trajectory[10].price).toBeCloseTo(100, 12);
+    expect(trajectory[10].remaining).toBe(0);
+  });
+
+  it("matches repricing the shorter bond at each coupon date", () => {
+    const trajectory = buildPriceTrajectory(bond({ ytm: 10 }));
+    expect(trajectory[4].price).toBeCloseTo(computeBondPrice(bond({ ytm: 10, years: 3 })).price, 10);
+    expect(trajectory[4].years).toBe(2);
+  });
+
+  it("measures steps from settlement between coupon dates", () => {
+    const trajectory = buildPriceTrajectory(bond({ accrualFraction: 0.5 }));
+    expect(trajectory[0].price).toBeCloseTo(computeBondPrice(bond({ accrualFraction: 0.5 })).cleanPrice, 10);
+    expect(trajectory[1].years).toBe(0.25);
+  });
+
+  it("tracks the outstanding balance of an amortizing bond", () => {
+    const trajectory = buildPriceTrajectory(bond({ bondType: "amortizing-equal" }));
+    expect(trajectory[5].par).toBeCloseTo(50, 10);
+    expect(trajectory[10].par).toBeCloseTo(10, 10);
+  });
+});
+
+describe("analyzeBond", () => {
+  it("bundles price, schedule and risk measures consistently", () => {
+    const result = analyzeBond(bond());
+    expect(result.bondPrice).toBeCloseTo(computeBondPrice(bond()).price, 12);
+    expect(result.cleanPrice).toBe(result.bondPrice);
+    expect(result.periods).toBe(10);
+    expect(result.periodicCoupon).toBeCloseTo(4.3, 12);
+    expect(result.periodicYield).toBeCloseTo(0.0325, 12);
+    expect(result.cashFlows[0].totalCashFlow).toBe(-result.bondPrice);
+    expect(result.riskMeasures.modifiedDuration).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,36 @@
+// ============================
+// INTEREST-RATE RISK
+// ============================
+
+/**
+ * Duration and convexity from a cash-flow schedule (period 0 is the purchase and is skipped).
+ * Durations are in years; convexity is annualized so both plug straight into Δy in decimal form:
+ * %ΔP ≈ −ModDur × Δy + ½ × Convexity × Δy².
+ *
+ * @param {object} params
+ * @param {import("./pricing.js").CashFlowRow[]} params.cashFlows
+ * @param {number} params.periodicYield yield per period, decimal
+ * @param {number} params.frequency periods per year
+ * @param {number} params.price full price the flows are measured against
+ * @returns {{ macaulayDuration: number, modifiedDuration: number, moneyDuration: number, pvbp: number, convexity: number }}
+ */
+export const computeRiskMeasures = ({ cashFlows, periodicYield, frequency, price }) => {
+  let weightedTime = 0;
+  let convexitySum = 0;
+  cashFlows.forEach(({ period: t, totalCashFlow }) => {
+    if (t === 0) return;
+    const pv = totalCashFlow / Math.pow(1 + periodicYield, t);
+    weightedTime += t * pv;
+    convexitySum += (t * (t + 1) * totalCashFlow) / Math.pow(1 + periodicYield, t + 2);
+  });
+  const macaulayDuration = weightedTime / price / frequency;
+  const modifiedDuration = macaulayDuration / (1 + periodicYield);
+  const moneyDuration = modifiedDuration * price;
+  return {
+    macaulayDuration,
+    modifiedDuration,
+    moneyDuration,
+    pvbp: moneyDuration * 0.0001,
+    convexity: convexitySum / price / (frequency * frequency),
+  };
+};
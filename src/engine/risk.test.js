@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { analyzeBond, computeBondPrice } from "./pricing.js";
+
+const riskOf = (terms) => analyzeBond(terms).riskMeasures;
+
+describe("computeRiskMeasures", () => {
+  it("matches textbook values for a 3-year 10% annual bond at 10%", () => {
+    const risk = riskOf({ faceValue: 100, couponRate: 10, ytm: 10, years: 3, frequency: 1 });
+    expect(risk.macaulayDuration).toBeCloseTo(2.7355, 4);
+    expect(risk.modifiedDuration).toBeCloseTo(2.4869, 4);
+    expect(risk.convexity).toBeCloseTo(8.7562, 4);
+    expect(risk.moneyDuration).toBeCloseTo(248.6852, 4);
+    expect(risk.pvbp).toBeCloseTo(0.024869, 6);
+  });
+
+  it("gives a zero-coupon bond a Macaulay duration equal to its maturity", () => {
+    const risk = riskOf({ faceValue: 100, couponRate: 0, ytm: 6, years: 7, frequency: 2 });
+    expect(risk.macaulayDuration).toBeCloseTo(7, 10);
+    expect(risk.modifiedDuration).toBeCloseTo(7 / 1.03, 10);
+  });
+
+  it("agrees with finite-difference duration and convexity", () => {
+    const terms = { faceValue: 100, couponRate: 8.6, years: 5, frequency: 2 };
+    const price = (ytm) => computeBondPrice({ ...terms, ytm }).price;
+    const p0 = price(6.5);
+    const up = price(6.51);
+    const down = price(6.49);
+    const risk = riskOf({ ...terms, ytm: 6.5 });
+    expect(risk.modifiedDuration).toBeCloseTo((down - up) / (2 * p0 * 0.0001), 5);
+    expect(risk.convexity).toBeCloseTo((down + up - 2 * p0) / (p0 * 0.0001 * 0.0001), 2);
+  });
+
+  it("shortens the Macaulay duration as the settlement date moves through the coupon period", () => {
+    const terms = { faceValue: 100, couponRate: 5, ytm: 5, years: 5, frequency: 2 };
+    const onCoupon = riskOf(terms).macaulayDuration;
+    const midPeriod = riskOf({ ...terms, accrualFraction: 0.5 }).macaulayDuration;
+    expect(midPeriod).toBeCloseTo(onCoupon - 0.25, 10);
+  });
+
+  it("uses flat cash flows at a zero yield", () => {
+    const risk = riskOf({ faceValue: 100, couponRate: 0, ytm: 0, years: 3, frequency: 1 });
+    expect(risk.macaulayDuration).toBe(3);
+    expect(risk.modifiedDuration).toBe(3);
+  });
+});
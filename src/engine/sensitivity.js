@@ -0,0 +1,47 @@
+// ============================
+// SENSITIVITY GRIDS
+// ============================
+import { computeBondPrice } from "./pricing.js";
+
+/**
+ * `count` evenly spaced values centred on `center` (so the current input is always a grid point),
+ * shifted rather than truncated when they would cross `min` or `max`.
+ *
+ * @param {object} params
+ * @param {number} params.center
+ * @param {number} params.step
+ * @param {number} params.count odd counts put `center` in the middle
+ * @param {number} [params.min=-Infinity]
+ * @param {number} [params.max=Infinity]
+ * @returns {number[]} ascending; `center` is included whenever it lies within [min, max]
+ */
+export const centeredSteps = ({ center, step, count, min = -Infinity, max = Infinity }) => {
+  // Offsets from the centre, in steps, that stay within the limits
+  const lowest = -Math.floor((center - min) / step + 1e-9);
+  const highest = Math.floor((max - center) / step + 1e-9);
+  let first = -Math.floor((count - 1) / 2);
+  if (first + count - 1 > highest) first = highest - count + 1;
+  if (first < lowest) first = lowest;
+  const last = Math.min(first + count - 1, highest);
+  return Array.from({ length: last - first + 1 }, (_, i) => +(center + (first + i) * step).toFixed(10));
+};
+
+/**
+ * Prices the bond at every combination of two inputs, holding the rest of the terms fixed.
+ * `premiumPercent` compares the clean price with the face value.
+ *
+ * @param {import("./pricing.js").BondTerms & {
+ *   ytm: number,
+ *   rows: { field: string, values: number[] },
+ *   columns: { field: string, values: number[] },
+ * }} params
+ * @returns {{ value: number, cells: { value: number, price: number, cleanPrice: number, premiumPercent: number }[] }[]}
+ */
+export const buildPriceGrid = ({ rows, columns, ...bond }) =>
+  rows.values.map((rowValue) => ({
+    value: rowValue,
+    cells: columns.values.map((columnValue) => {
+      const { price, cleanPrice } = computeBondPrice({ ...bond, [rows.field]: rowValue, [columns.field]: columnValue });
+      return { value: columnValue, price, cleanPrice, premiumPercent: (cleanPrice / bond.faceValue - 1) * 100 };
+    }),
+  }));
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { computeBondPrice } from "./pricing.js";
+import { buildPriceGrid, centeredSteps } from "./sensitivity.js";
+
+describe("centeredSteps", () => {
+  it("centres the grid on the current value", () => {
+    expect(centeredSteps({ center: 6.5, step: 0.5, count: 5 })).toEqual([5.5, 6, 6.5, 7, 7.5]);
+  });
+
+  it("slides the window inside the limits without dropping the centre", () => {
+    expect(centeredSteps({ center: 0.25, step: 0.5, count: 5, min: 0, max: 10 })).toEqual([0.25, 0.75, 1.25, 1.75, 2.25]);
+    expect(centeredSteps({ center: 9.5, step: 1, count: 5, min: 0, max: 10 })).toEqual([5.5, 6.5, 7.5, 8.5, 9.5]);
+  });
+
+  it("returns fewer values when the limits are narrower than the grid", () => {
+    expect(centeredSteps({ center: 3, step: 1, count: 7, min: 1, max: 5 })).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe("buildPriceGrid", () => {
+  const bond = { faceValue: 100, couponRate: 8.6, ytm: 6.5, years: 5, frequency: 2 };
+
+  it("prices every combination of the two axes", () => {
+    const grid = buildPriceGrid({
+      ...bond,
+      rows: { field: "couponRate", values: [6, 8.6] },
+      columns: { field: "ytm", values: [6, 6.5, 7] },
+    });
+    expect(grid).toHaveLength(2);
+    expect(grid[1].cells[1].price).toBeCloseTo(computeBondPrice(bond).price, 12);
+    expect(grid[0].cells[0].premiumPercent).toBeCloseTo(0, 10);
+    expect(grid[0].cells[2].premiumPercent).toBeLessThan(0);
+  });
+
+  it("varies maturity along an axis", () => {
+    const grid = buildPriceGrid({ ...bond, rows: { field: "ytm", values: [6.5] }, columns: { field: "years", values: [1, 3] } });
+    expect(grid[0].cells[1].cleanPrice).toBeCloseTo(computeBondPrice({ ...bond, years: 3 }).cleanPrice, 12);
+  });
+});
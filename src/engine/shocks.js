@@ -0,0 +1,111 @@
+// ============================
+// YIELD-CURVE SHOCKS
+// ============================
+// A shock moves the rates a bond is discounted at by a number of basis points that may depend on the
+// tenor of each flow: the same everywhere (parallel), rotating from a short tenor to a long one
+// (twist: a steepener lowers the short end and raises the long end, a flattener the reverse), or
+// interpolated between shifts given at key tenors. Repricing under each shock shows how much of the
+// price is at stake in each part of the curve, which a single yield change cannot.
+import { buildPromisedFlows } from "./pricing.js";
+import { interpolateSpotRate, spotRateAt } from "./curve.js";
+import { discountFlows, floatingCouponRates } from "./floating.js";
+
+/** Shapes of shock. */
+export const SHOCK_KINDS = [
+  { value: "parallel", label: "Parallel" },
+  { value: "twist", label: "Twist" },
+  { value: "custom", label: "Per tenor" },
+];
+
+/** Tenors (years) at which a per-tenor shock is given. */
+export const KEY_TENORS = [1, 2, 3, 5, 7, 10, 20, 30];
+
+/**
+ * @typedef {object} Shock
+ * @property {"parallel"|"twist"|"custom"} kind
+ * @property {number} [shift] parallel: bp at every tenor
+ * @property {number} [shortTenor] twist: years
+ * @property {number} [shortShift] twist: bp at and before the short tenor
+ * @property {number} [longTenor] twist: years
+ * @property {number} [longShift] twist: bp at and beyond the long tenor
+ * @property {{ tenor: number, shift: number }[]} [points] custom: bp at each tenor, linear in between
+ *   and flat beyond
+ */
+
+/**
+ * Shift (bp) a shock applies at a tenor; zero for no shock.
+ * @param {Shock|null} shock
+ * @param {number} tenor years
+ * @returns {number}
+ */
+export const shockShift = (shock, tenor) => {
+  if (!shock) return 0;
+  if (shock.kind === "twist") {
+    const { shortTenor, shortShift, longTenor, longShift } = shock;
+    return interpolateSpotRate([{ tenor: shortTenor, rate: shortShift }, { tenor: longTenor, rate: longShift }], tenor);
+  }
+  if (shock.kind === "custom") {
+    if (shock.points.length === 0) return 0;
+    return interpolateSpotRate(shock.points.map(({ tenor: at, shift }) => ({ tenor: at, rate: shift })), tenor);
+  }
+  return shock.shift;
+};
+
+/**
+ * @typedef {object} ShockBasis how the bond is discounted before it is shocked: one of
+ * @property {number} [ytm] a single yield, %
+ * @property {import("./curve.js").SpotCurve|null} [curve] a spot curve
+ * @property {{ referenceRates: number[], quotedMargin: number, discountMargin: number }|null} [floating]
+ *   a floating-rate note's reference path (%) and margins (percentage points); the shock moves the
+ *   path, so the coupons after the current one reset with it while the margins stay put
+ */
+
+/**
+ * Prices the promised flows with every rate moved by the shock at the tenor of each flow.
+ * @param {import("./pricing.js").BondTerms & ShockBasis & { shock: Shock|null }} params
+ * @returns {{ price: number, presentValues: number[] }} one present value per remaining period
+ */
+export const priceUnderShock = ({ shock, ytm, curve = null, floating = null, ...terms }) => {
+  const { frequency, accrualFraction = 0 } = terms;
+  const tenor = (index) => (index + 1 - accrualFraction) / frequency;
+
+  if (floating) {
+    const { referenceRates, quotedMargin, discountMargin } = floating;
+    const shocked = referenceRates.map((rate, index) => rate + shockShift(shock, tenor(index)) / 100);
+    // The current coupon was fixed at the last reset; the later ones reset onto the shocked path
+    const couponRates = floatingCouponRates(shocked.map((rate, index) => (index === 0 ? referenceRates[0] : rate)), quotedMargin);
+    const { price, discounting } = discountFlows(
+      buildPromisedFlows({ ...terms, couponRates }),
+      shocked.map((rate) => rate + discountMargin),
+      frequency,
+      accrualFraction
+    );
+    return { price, presentValues: discounting.map(({ presentValue }) => presentValue) };
+  }
+
+  const presentValues = buildPromisedFlows(terms).map(({ couponPayment, principalPayment }, index) => {
+    const rate = (curve ? spotRateAt(curve, tenor(index)) : ytm) + shockShift(shock, tenor(index)) / 100;
+    return (couponPayment + principalPayment) * Math.pow(1 + rate / 100 / frequency, -tenor(index) * frequency);
+  });
+  return { price: presentValues.reduce((sum, value) => sum + value, 0), presentValues };
+};
+
+/**
+ * Reprices a bond under each shock against its unshocked price.
+ * @param {import("./pricing.js").BondTerms & ShockBasis & { shocks: Shock[] }} params
+ * @returns {{
+ *   basePrice: number, basePresentValues: number[],
+ *   scenarios: { price: number, change: number, percentChange: number, presentValues: number[] }[],
+ * }} `scenarios` in the order of `shocks`; `percentChange` in %
+ */
+export const analyzeShocks = ({ shocks, ...basis }) => {
+  const base = priceUnderShock({ ...basis, shock: null });
+  return {
+    basePrice: base.price,
+    basePresentValues: base.presentValues,
+    scenarios: shocks.map((shock) => {
+      const { price, presentValues } = priceUnderShock({ ...basis, shock });
+      return { price, change: price - base.price, percentChange: (price / base.price - 1) * 100, presentValues };
+    }),
+  };
+};
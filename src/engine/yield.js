@@ -0,0 +1,84 @@
+// ============================
+// YIELD SOLVER
+// ============================
+import { buildPromisedFlows, computeBondPrice } from "./pricing.js";
+
+/**
+ * Derivative of the full price with respect to the annual YTM (in percent), used by the Newton step.
+ * @param {import("./pricing.js").BondTerms & { ytm: number }} params
+ * @returns {number} dP/dy per 1 percentage point of yield
+ */
+export const computePriceSlope = ({ ytm, ...terms }) => {
+  const { frequency, accrualFraction = 0 } = terms;
+  const periodicYield = ytm / 100 / frequency;
+  let slope = 0;
+  buildPromisedFlows(terms).forEach(({ couponPayment, principalPayment }, index) => {
+    const exponent = index + 1 - accrualFraction;
+    slope -= (exponent * (couponPayment + principalPayment)) / Math.pow(1 + periodicYield, exponent + 1);
+  });
+  return slope / (100 * frequency);
+};
+
+/**
+ * Solves for the YTM (annual %, nominal) that reproduces a full (dirty) price.
+ * Newton's method inside a bracket: any step that leaves the bracket, or fails to
+ * shrink fast enough, falls back to bisection, so the search always converges.
+ *
+ * @param {import("./pricing.js").BondTerms & {
+ *   price: number,
+ *   guess?: number,
+ *   tolerance?: number,
+ *   maxIterations?: number,
+ * }} params
+ * @returns {{ ytm: number, iterations: number, converged: boolean, newtonSteps: number, bisectionSteps: number }}
+ *   `ytm` is NaN when no yield can reproduce the price (e.g. a non-positive price)
+ */
+export const solveYieldFromPrice = ({ price, guess, tolerance = 1e-10, maxIterations = 200, ...bond }) => {
+  const { frequency } = bond;
+  const f = (y) => computeBondPrice({ ...bond, ytm: y }).price - price;
+
+  // Price falls monotonically from +∞ (periodic yield → −100%) towards 0 as the yield rises
+  let lo = -99 * frequency;
+  let hi = 100;
+  while (f(hi) > 0 && hi < 1e6) hi *= 2;
+  if (!(price > 0) || f(lo) < 0 || f(hi) > 0) {
+    return { ytm: NaN, iterations: 0, converged: false, newtonSteps: 0, bisectionSteps: 0 };
+  }
+
+  // Start from the guess, else the coupon rate, else a typical yield; the bracket makes any start converge
+  const start = [guess, bond.couponRate].find(Number.isFinite) ?? 5;
+  let y = Math.min(Math.max(start, lo), hi);
+  let newtonSteps = 0;
+  let bisectionSteps = 0;
+  let step = hi - lo;
+  let previousStep = step;
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const fy = f(y);
+    if (Math.abs(fy) < tolerance) {
+      return { ytm: y, iterations: i, converged: true, newtonSteps, bisectionSteps };
+    }
+    if (fy > 0) lo = y;
+    else hi = y;
+
+    // Reject the Newton step if it leaves the bracket or is not at least halving the step size
+    const slope = computePriceSlope({ ...bond, ytm: y });
+    const newtonStep = fy / slope;
+    const newtonY = y - newtonStep;
+    previousStep = step;
+    if (!Number.isFinite(newtonY) || newtonY <= lo || newtonY >= hi || Math.abs(2 * newtonStep) > Math.abs(previousStep)) {
+      step = (hi - lo) / 2;
+      y = lo + step;
+      bisectionSteps++;
+    } else {
+      step = newtonStep;
+      y = newtonY;
+      newtonSteps++;
+    }
+
+    if (Math.abs(step) < 1e-12) {
+      return { ytm: y, iterations: i, converged: true, newtonSteps, bisectionSteps };
+    }
+  }
+  return { ytm: y, iterations: maxIterations, converged: false, newtonSteps, bisectionSteps };
+};
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { computeBondPrice } from "./pricing.js";
+import { computePriceSlope, solveYieldFromPrice } from "./yield.js";
+
+const terms = { faceValue: 100, couponRate: 8.6, years: 5, frequency: 2 };
+
+describe("computePriceSlope", () => {
+  it("matches a central finite difference", () => {
+    const h = 1e-5;
+    const up = computeBondPrice({ ...terms, ytm: 6.5 + h }).price;
+    const down = computeBondPrice({ ...terms, ytm: 6.5 - h }).price;
+    expect(computePriceSlope({ ...terms, ytm: 6.5 })).toBeCloseTo((up - down) / (2 * h), 6);
+  });
+
+  it("accounts for the accrued fraction", () => {
+    const withAccrual = { ...terms, accrualFraction: 0.4 };
+    const h = 1e-5;
+    const up = computeBondPrice({ ...withAccrual, ytm: 6.5 + h }).price;
+    const down = computeBondPrice({ ...withAccrual, ytm: 6.5 - h }).price;
+    expect(computePriceSlope({ ...withAccrual, ytm: 6.5 })).toBeCloseTo((up - down) / (2 * h), 6);
+  });
+});
+
+describe("solveYieldFromPrice", () => {
+  it("recovers the yield that produced a price", () => {
+    for (const ytm of [0, 2.5, 6.5, 10, 25]) {
+      const { price } = computeBondPrice({ ...terms, ytm });
+      const result = solveYieldFromPrice({ ...terms, price });
+      expect(result.converged).toBe(true);
+      expect(result.ytm).toBeCloseTo(ytm, 8);
+    }
+  });
+
+  it("returns the coupon rate for a par bond", () => {
+    expect(solveYieldFromPrice({ ...terms, price: 100 }).ytm).toBeCloseTo(8.6, 8);
+  });
+
+  it("solves zero-coupon bonds", () => {
+    const result = solveYieldFromPrice({ ...terms, couponRate: 0, years: 10, price: 55.3676 });
+    expect(result.converged).toBe(true);
+    expect(result.ytm).toBeCloseTo(6, 3);
+  });
+
+  it("finds negative yields for prices above the undiscounted cash flows", () => {
+    const result = solveYieldFromPrice({ ...terms, price: 150 });
+    expect(result.converged).toBe(true);
+    expect(result.ytm).toBeLessThan(0);
+    expect(computeBondPrice({ ...terms, ytm: result.ytm }).price).toBeCloseTo(150, 8);
+  });
+
+  it("converges from a poor starting guess by falling back to bisection", () => {
+    const result = solveYieldFromPrice({ ...terms, price: 5, guess: -150 });
+    expect(result.converged).toBe(true);
+    expect(result.bisectionSteps).toBeGreaterThan(0);
+    expect(computeBondPrice({ ...terms, ytm: result.ytm }).price).toBeCloseTo(5, 8);
+  });
+
+  it("starts from a finite yield when given neither a guess nor a coupon rate", () => {
+    const zero = { faceValue: 100, years: 10, frequency: 2, bondType: "zero" };
+    const result = solveYieldFromPrice({ ...zero, price: 55.3676 });
+    expect(result.converged).toBe(true);
+    expect(result.ytm).toBeCloseTo(6, 3);
+  });
+
+  it("solves between coupon dates against the full price", () => {
+    const withAccrual = { ...terms, accrualFraction: 133 / 181 };
+    const { price } = computeBondPrice({ ...withAccrual, ytm: 5.25 });
+    expect(solveYieldFromPrice({ ...withAccrual, price }).ytm).toBeCloseTo(5.25, 8);
+  });
+
+  it("solves amortizing and sinking-fund structures", () => {
+    for (const bondType of ["amortizing-level", "amortizing-equal", "sinking-fund"]) {
+      const structured = { ...terms, bondType, sinkingFundPercent: 10, sinkingFundStart: 1 };
+      const { price } = computeBondPrice({ ...structured, ytm: 7.75 });
+      expect(solveYieldFromPrice({ ...structured, price }).ytm).toBeCloseTo(7.75, 8);
+    }
+  });
+
+  it("handles long maturities", () => {
+    const long = { ...terms, years: 100, frequency: 12 };
+    const { price } = computeBondPrice({ ...long, ytm: 4 });
+    expect(solveYieldFromPrice({ ...long, price }).ytm).toBeCloseTo(4, 8);
+  });
+
+  it("reports failure for a non-positive price", () => {
+    const result = solveYieldFromPrice({ ...terms, price: 0 });
+    expect(result.converged).toBe(false);
+    expect(result.ytm).toBeNaN();
+  });
+});
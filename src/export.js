@@ -0,0 +1,277 @@
+// ============================
+// CASH-FLOW EXPORT
+// ============================
+// A report is a list of rows, each a list of cells (string, number or null). Numbers stay raw
+// so spreadsheets can reuse them; the same rows feed both the CSV and the XLSX writer. Labels
+// are translated, so a report downloaded in French reads in French.
+import { createTranslator } from "./i18n/index.js";
+
+/**
+ * Lays out assumptions, headline results and the period-by-period schedule as report rows.
+ * @param {object} bondCalculations result of analyzeBond / analyzeBondWithCurve / analyzeFloatingRateNote /
+ *   analyzeInflationLinkedBond, with the analyzeCredit result as `credit` when default risk is allowed for
+ * @param {[string, string|number][]} assumptions label/value pairs describing the inputs
+ * @param {(key: string) => string} [t] translator for the labels; English by default
+ * @returns {(string|number|null)[][]}
+ */
+export const buildReportRows = (bondCalculations, assumptions, t = createTranslator("en-US")) => {
+  const { cashFlows, riskMeasures, spotCurve, floating, inflation, credit } = bondCalculations;
+  const dated = cashFlows.some((row) => row.dateLabel);
+  const discounted = Boolean(spotCurve);
+  const projected = Boolean(floating);
+  const indexed = Boolean(inflation);
+  // Survival, default probability, exposure, expected loss, expected flow and its present value; the
+  // credit schedule has no row for the purchase, which is made at the risky price
+  const creditCells = (index) => {
+    if (index === 0) return [100, null, null, null, -credit.riskyPrice, -credit.riskyPrice];
+    const { survival, defaultProbability, exposure, expectedLoss, expected, presentValue } = credit.schedule[index - 1];
+    return [survival, defaultProbability, exposure, expectedLoss, expected, presentValue];
+  };
+  const creditSum = (column) => cashFlows.reduce((total, row, index) => total + creditCells(index)[column], 0);
+
+  const header = [
+    t("report.period"),
+    t("report.years"),
+    ...(dated ? [t("report.date")] : []),
+    t("report.coupon"),
+    t("report.principal"),
+    t("report.total"),
+    t("report.outstanding"),
+    ...(discounted ? [t("report.spotRate"), t("report.discountFactor"), t("report.presentValue")] : []),
+    ...(projected
+      ? [t("report.referenceRate"), t("report.couponRate"), t("report.discountRate"), t("report.discountFactor"), t("report.presentValue")]
+      : []),
+    ...(indexed ? [t("report.indexRatio"), t("report.realCoupon"), t("report.realPrincipal"), t("report.realTotal")] : []),
+    ...(credit
+      ? [
+          t("report.survival"),
+          t("report.defaultProbability"),
+          t("report.exposure"),
+          t("report.expectedLoss"),
+          t("report.expectedCashFlow"),
+          t("report.riskyPresentValue"),
+        ]
+      : []),
+  ];
+
+  const rows = cashFlows.map((row, index) => [
+    row.period,
+    row.yearLabel,
+    ...(dated ? [row.dateLabel ?? null] : []),
+    row.couponPayment,
+    row.principalPayment,
+    row.totalCashFlow,
+    row.outstanding ?? null,
+    ...(discounted ? [row.spotRate, row.discountFactor, row.presentValue] : []),
+    ...(projected ? [row.referenceRate, row.couponRate, row.discountRate, row.discountFactor, row.presentValue] : []),
+    ...(indexed ? [row.indexRatio, row.realCoupon, row.realPrincipal, row.realTotal] : []),
+    ...(credit ? creditCells(index) : []),
+  ]);
+
+  const sum = (field) => cashFlows.reduce((total, row) => total + row[field], 0);
+  const totals = [
+    t("report.totalRow"),
+    null,
+    ...(dated ? [null] : []),
+    sum("couponPayment"),
+    sum("principalPayment"),
+    sum("totalCashFlow"),
+    null,
+    ...(discounted ? [null, null, sum("presentValue")] : []),
+    ...(projected ? [null, null, null, null, sum("presentValue")] : []),
+    ...(indexed ? [null, sum("realCoupon"), sum("realPrincipal"), sum("realTotal")] : []),
+    ...(credit ? [null, null, null, credit.expectedLoss, creditSum(4), creditSum(5)] : []),
+  ];
+
+  return [
+    [t("report.title")],
+    [],
+    [t("report.assumptions")],
+    ...assumptions,
+    [],
+    [t("report.results")],
+    [t("report.fullPrice"), bondCalculations.bondPrice],
+    [t("report.accruedInterest"), bondCalculations.accruedInterest],
+    [t("report.cleanPrice"), bondCalculations.cleanPrice],
+    [t("report.pvCoupons"), bondCalculations.pvCoupons],
+    [t("report.pvPrincipal"), bondCalculations.pvFaceValue],
+    [t("report.macaulay"), riskMeasures.macaulayDuration],
+    [t("report.modified"), riskMeasures.modifiedDuration],
+    [t("report.money"), riskMeasures.moneyDuration],
+    [t("report.pvbp"), riskMeasures.pvbp],
+    [t("report.convexity"), riskMeasures.convexity],
+    ...(projected
+      ? [
+          [t("report.rateDuration"), floating.rateDuration],
+          [t("report.spreadDuration"), floating.spreadDuration],
+        ]
+      : []),
+    ...(indexed
+      ? [
+          [t("report.realYield"), inflation.realYield],
+          [t("report.nominalYield"), inflation.nominalYield],
+          [t("report.breakeven"), inflation.breakeven],
+          [t("report.pathInflation"), inflation.pathInflation],
+        ]
+      : []),
+    ...(credit
+      ? [
+          [t("report.riskyPrice"), credit.riskyPrice],
+          [t("report.cva"), credit.cva],
+          [t("report.riskyYield"), credit.riskyYield],
+          [t("report.creditSpread"), credit.creditSpread * 100],
+        ]
+      : []),
+    [],
+    [t("report.cashFlows")],
+    header,
+    ...rows,
+    totals,
+  ];
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {(string|number|null)[][]} rows
+ * @returns {string} RFC 4180 CSV with CRLF line endings
+ */
+export const toCSV = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// ---- XLSX: a single-sheet SpreadsheetML workbook in an uncompressed zip ----
+
+const escapeXml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Column letters for a zero-based index: 0 → A, 25 → Z, 26 → AA
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const sheetXml = (rows) => {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          const ref = `${columnName(c)}${r + 1}`;
+          if (value === null || value === undefined || value === "") return "";
+          if (typeof value === "number") return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : "";
+          return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+};
+
+const workbookFiles = (rows, sheetName) => ({
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+  "xl/worksheets/sheet1.xml": sheetXml(rows),
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Packs files into a zip archive using the "stored" (no compression) method
+const zipStored = (files) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, 0, true); // modification time
+    local.setUint16(12, 0x21, true); // modification date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  parts.reduce((position, part) => {
+    archive.set(part, position);
+    return position + part.length;
+  }, 0);
+  return archive;
+};
+
+/**
+ * @param {(string|number|null)[][]} rows
+ * @param {string} [sheetName]
+ * @returns {Uint8Array} the bytes of an .xlsx workbook with one sheet
+ */
+export const toXLSX = (rows, sheetName = "Cash flows") => zipStored(workbookFiles(rows, sheetName));
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { analyzeBond, analyzeCredit, analyzeFloatingRateNote, analyzeInflationLinkedBond } from "./engine/index.js";
+import { buildReportRows, toCSV, toXLSX } from "./export.js";
+
+const bondCalculations = analyzeBond({ faceValue: 100, couponRate: 10, years: 3, frequency: 1, ytm: 12 });
+const rows = buildReportRows(bondCalculations, [["Coupon rate (%)", 10]]);
+
+describe("buildReportRows", () => {
+  it("keeps raw numbers for the schedule and totals", () => {
+    const headerIndex = rows.findIndex((row) => row[0] === "Period");
+    expect(rows[headerIndex + 1][0]).toBe(0);
+    expect(rows[headerIndex + 1][4]).toBeCloseTo(-95.1963, 4);
+    const totals = rows[rows.length - 1];
+    expect(totals[0]).toBe("Total");
+    expect(totals[2]).toBeCloseTo(30, 10);
+    expect(totals[4]).toBeCloseTo(130 - bondCalculations.bondPrice, 10);
+  });
+
+  it("includes the assumptions and headline results", () => {
+    expect(rows).toContainEqual(["Coupon rate (%)", 10]);
+    expect(rows).toContainEqual(["Full (dirty) price", bondCalculations.bondPrice]);
+  });
+
+  it("adds each period's projected rates for a floating-rate note", () => {
+    const note = analyzeFloatingRateNote({
+      faceValue: 100,
+      couponRate: 5,
+      years: 2,
+      frequency: 1,
+      bondType: "floating-rate",
+      referenceRates: [4, 5],
+      quotedMargin: 1,
+      discountMargin: 1,
+    });
+    const report = buildReportRows(note, []);
+    const header = report.find((row) => row[0] === "Period");
+    expect(header.slice(-5)).toEqual(["Reference rate (%)", "Coupon rate (%)", "Discount rate (%)", "Discount factor", "Present value"]);
+    expect(report[report.indexOf(header) + 2].slice(-5, -2)).toEqual([4, 5, 5]);
+    expect(report).toContainEqual(["Spread duration (years)", note.floating.spreadDuration]);
+  });
+
+  it("adds the index ratio and real amounts for an inflation-linked bond", () => {
+    const linker = analyzeInflationLinkedBond({
+      faceValue: 100,
+      couponRate: 2,
+      years: 2,
+      frequency: 1,
+      bondType: "inflation-linked",
+      indexRatios: [1.03, 1.06],
+      realYield: 1,
+      nominalYield: 4,
+      yieldBasis: "real",
+    });
+    const report = buildReportRows(linker, []);
+    const header = report.find((row) => row[0] === "Period");
+    expect(header.slice(-4)).toEqual(["Index ratio", "Real coupon", "Real principal", "Real total"]);
+    const last = report[report.indexOf(header) + 3];
+    expect(last.slice(-4)).toEqual([1.06, 2, 100, 102]);
+    expect(last[4]).toBeCloseTo(102 * 1.06, 10);
+    expect(report).toContainEqual(["Breakeven inflation (%)", linker.inflation.breakeven]);
+  });
+
+  it("adds the credit schedule and the risky price when default risk is allowed for", () => {
+    const terms = { faceValue: 100, couponRate: 6, years: 2, frequency: 1, bondType: "bullet" };
+    const credit = analyzeCredit({ ...terms, ytm: 5, defaultProbabilities: [2], recoveryRate: 40 });
+    const report = buildReportRows({ ...analyzeBond({ ...terms, ytm: 5 }), credit }, []);
+    const header = report.find((row) => row[0] === "Period");
+    expect(header.slice(-2)).toEqual(["Expected cash flow", "Risky present value"]);
+    const purchase = report[report.indexOf(header) + 1];
+    expect(purchase.slice(-6)).toEqual([100, null, null, null, -credit.riskyPrice, -credit.riskyPrice]);
+    const totals = report[report.indexOf(header) + 4];
+    expect(totals.at(-1)).toBeCloseTo(0, 10);
+    expect(totals.at(-3)).toBeCloseTo(credit.expectedLoss, 12);
+    expect(report).toContainEqual(["Implied credit spread (bp)", credit.creditSpread * 100]);
+  });
+});
+
+describe("toCSV", () => {
+  it("quotes cells that contain separators and leaves blanks empty", () => {
+    expect(toCSV([["a,b", 1.5, null], ['say "hi"']])).toBe('"a,b",1.5,\r\n"say ""hi"""\r\n');
+  });
+});
+
+describe("toXLSX", () => {
+  it("writes a zip holding the sheet with numeric and inline string cells", () => {
+    const bytes = toXLSX([["Price", 97.5]]);
+    expect([...bytes.slice(0, 4)]).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    const text = new TextDecoder().decode(bytes);
+    expect(text).toContain('<c r="A1" t="inlineStr"><is><t>Price</t></is></c><c r="B1"><v>97.5</v></c>');
+    expect(text).toContain("xl/worksheets/sheet1.xml");
+  });
+});
@@ -0,0 +1,1010 @@
+// English messages: the reference catalog. Every other catalog mirrors these keys.
+export default {
+  frequency: {
+    1: "Annual",
+    2: "Semi-annual",
+    4: "Quarterly",
+    12: "Monthly",
+    other: "{count}× per year",
+  },
+  status: {
+    premium: "Premium",
+    par: "Par",
+    discount: "Discount",
+  },
+  bondType: {
+    bullet: "Bullet (coupon bond)",
+    zero: "Zero-coupon",
+    "amortizing-level": "Amortizing – level payment",
+    "amortizing-equal": "Amortizing – equal principal",
+    "sinking-fund": "Sinking fund",
+    "floating-rate": "Floating-rate note",
+    "inflation-linked": "Inflation-linked (capital-indexed)",
+  },
+  curveModel: {
+    points: "Tenor / rate table",
+    "nelson-siegel": "Nelson–Siegel",
+  },
+  referenceModel: {
+    flat: "Flat",
+    stepped: "Stepped",
+    custom: "Per period",
+  },
+  inflationModel: {
+    flat: "Constant inflation",
+    cpi: "CPI series",
+  },
+  defaultModel: {
+    flat: "Constant",
+    term: "By year",
+  },
+  shockKind: {
+    parallel: "Parallel",
+    twist: "Twist",
+    custom: "Per tenor",
+  },
+  profile: {
+    exam: "Exam exercise",
+    professional: "Professional",
+  },
+  validation: {
+    heading: "Please correct the following:",
+    couponRate: "Coupon rate must be between {min} and {max}",
+    ytm: "Yield-to-maturity must be between {min} and {max}",
+    quotedPrice: "Price must be greater than 0",
+    noYield: "No yield reproduces this price",
+    settlementDate: "Enter a valid settlement date",
+    maturityDate: "Enter a valid maturity date",
+    maturityAfterSettlement: "Maturity date must be after the settlement date",
+    maturityWithin: {
+      one: "Maturity date must be within {max} year of settlement",
+      other: "Maturity date must be within {max} years of settlement",
+    },
+    years: "Years-to-maturity must be between {min} and {max}",
+    wholePeriods: "Years-to-maturity must be a whole number of {frequency} periods",
+    faceValue: "Face value must be greater than 0",
+    frequency: "Choose an annual, semiannual, quarterly or monthly coupon frequency",
+    spotCurveEmpty: "Enter at least one spot rate",
+    spotCurvePoints: "Spot curve tenors must be positive and every tenor needs a rate",
+    spotCurveDuplicate: "Spot curve tenors must be different",
+    nelsonSiegel: "Nelson–Siegel parameters must be numbers and τ must be positive",
+    sinkingFundPercent: "Sinking fund redemption must be between 0% and 100% a year",
+    sinkingFundStart: "Sinking fund must start before maturity",
+    referenceRatesEmpty: "Enter a reference rate for at least the first period",
+    referenceStepYears: "Years between reference-rate steps must be greater than 0",
+    referenceRate: "Every projected reference rate must be between {min} and {max}",
+    quotedMargin: "Quoted margin must be between {min} and {max} bp",
+    discountMargin: "Discount margin must be between {min} and {max} bp",
+    realYield: "The real yield must be between {min} and {max}",
+    inflationRate: "Inflation must be between {min} and {max} a year",
+    baseCpi: "The base CPI must be greater than zero",
+    cpiSeriesEmpty: "Enter a CPI level for at least the first coupon date",
+    cpiSeries: "Every CPI level must be a number greater than zero",
+    defaultProbability: "The annual default probability must be at least 0% and below 100%",
+    defaultProbabilitiesEmpty: "Enter a default probability for at least the first year",
+    defaultProbabilities: "Every default probability must be at least 0% and below 100%",
+    recoveryRate: "The recovery rate must be between 0% and 100%",
+    shockTenors: "The short tenor must be above 0 and below the long tenor",
+    shockShift: "Each shift must be within ±{limit} bp",
+    call: {
+      price: "Call prices must be greater than 0",
+      dates: "Call dates must be after settlement and before maturity",
+      couponDate: "Call dates must fall on a coupon date before maturity",
+    },
+    put: {
+      price: "Put prices must be greater than 0",
+      dates: "Put dates must be after settlement and before maturity",
+      couponDate: "Put dates must fall on a coupon date before maturity",
+    },
+    warning: {
+      heading: "Worth a second look:",
+      price: "The clean price is {percent} of face value; check the coupon rate and yield",
+      negativeYield: "The yield is negative: buyers are paying to lend to the issuer",
+      callBelowPar: "A call price below 100 lets the issuer redeem the bond at a discount",
+      putAbovePar: "A put price above 100 lets holders redeem the bond at a premium",
+      sinkingFund: {
+        one: "The sinking fund retires the whole issue after {years} year, before maturity",
+        other: "The sinking fund retires the whole issue after {years} years, before maturity",
+      },
+      negativeCoupon: "The projected coupon is negative in some periods; most floating-rate notes floor the coupon at zero",
+      deflation:
+        "The projected index ends at {ratio} of its base, so the principal repaid is less than face value; TIPS would repay at least par",
+    },
+  },
+  equation: {
+    subscript: {
+      bullet: "coupon bond",
+      zero: "zero",
+      amortizing: "amortizing",
+      sinkingFund: "sinking fund",
+      floating: "FRN",
+      indexed: "linker",
+    },
+    amortizingNote: "{balance} is the principal outstanding at the start of period t and c the periodic coupon rate.",
+    sinkingFundNote:
+      "{balance} is the principal outstanding at the start of period t and c the periodic coupon rate; Sₜ is the scheduled redemption, with the remaining balance repaid at T.",
+    floatingNote:
+      "Rₜ is the reference rate for period t, and QM and DM the quoted and discount margins, all per period. When QM = DM each coupon rate equals the rate it is discounted at, and the price is FV on every reset date.",
+    indexedNote:
+      "c is the real coupon rate per period and Iₜ the index ratio at payment t (CPI then over CPI at settlement), so each payment is a real amount scaled up to money of the day, discounted at the nominal yield r. Priced off the real yield instead, Iₜ drops out and r is the real yield; the two prices agree when inflation runs at the breakeven rate.",
+    bullet: {
+      intro: "Equation 6 shows the price of a coupon bond expressed as:",
+      description:
+        "Bond valuation equation: Present value of a coupon bond equals the coupon payment divided by the rate, multiplied by one minus one divided by the quantity one plus the rate raised to the power T, plus the face value divided by the quantity one plus the rate raised to the power T.",
+    },
+    zero: {
+      intro: "A zero-coupon bond makes a single payment at maturity, so its price is:",
+      description:
+        "Zero-coupon bond valuation equation: Present value equals the face value divided by the quantity one plus the rate raised to the power T.",
+    },
+    "amortizing-level": {
+      intro: "A level-payment amortizing bond pays the same amount A every period, so its price is an annuity:",
+      description:
+        "Level-payment amortizing bond valuation equation: Present value equals the level payment A divided by the rate, multiplied by one minus one divided by the quantity one plus the rate raised to the power T, where A equals the face value times the periodic coupon rate c, divided by one minus the quantity one plus c raised to the power negative T.",
+    },
+    "amortizing-equal": {
+      intro: "An equal-principal amortizing bond repays FV/T each period plus interest on the remaining balance:",
+      description:
+        "Equal-principal amortizing bond valuation equation: Present value equals the sum over periods t from 1 to T of the face value divided by T plus the periodic coupon rate c times the balance outstanding at the start of the period, all divided by the quantity one plus the rate raised to the power t.",
+    },
+    "sinking-fund": {
+      intro: "A sinking-fund bond redeems part of the principal on a schedule, with the balance repaid at maturity:",
+      description:
+        "Sinking-fund bond valuation equation: Present value equals the sum over periods t from 1 to T of the periodic coupon rate c times the balance outstanding at the start of the period, plus the scheduled redemption S t, all divided by the quantity one plus the rate raised to the power t.",
+    },
+    "floating-rate": {
+      intro:
+        "A floating-rate note pays the reference rate plus a quoted margin each period, and each period is discounted at the reference rate plus the discount margin:",
+      description:
+        "Floating-rate note valuation equation: Present value equals the sum over periods t from 1 to T of the reference rate R t plus the quoted margin, times the face value, divided by the product over periods k from 1 to t of one plus R k plus the discount margin; plus the face value divided by the product over all T periods of one plus R k plus the discount margin.",
+    },
+    "inflation-linked": {
+      intro:
+        "An inflation-linked bond scales each real coupon and its principal by the index ratio, and the indexed payments are discounted at the nominal yield:",
+      description:
+        "Inflation-linked bond valuation equation: Present value equals the sum over periods t from 1 to T of the real coupon rate c times the face value times the index ratio I t, divided by the quantity one plus the rate raised to the power t, plus the face value times the final index ratio I T, divided by the quantity one plus the rate raised to the power T.",
+    },
+  },
+  working: {
+    show: "Show working",
+    hide: "Hide working",
+    heading: "Equation 6 with the current inputs",
+    invalidInputs: "Correct the inputs below to see the working.",
+    notApplicableCurve:
+      "With a spot curve each cash flow has its own discount rate, so Equation 6 does not apply. The table view of the cash flows lists each payment's spot rate, discount factor and present value.",
+    notApplicableType:
+      "Equation 6 covers bullet and zero-coupon bonds. For this bond the price is the sum of each payment discounted at the yield; the table view of the cash flows lists every payment.",
+    notApplicableFloating:
+      "A floating-rate note's coupon and discount rates change every period, so Equation 6 does not apply. The table view of the cash flows lists each period's reference, coupon and discount rates with its present value.",
+    rounding:
+      "Intermediate values are rounded for display; the price matches the result card, which is calculated at full precision.",
+    periodicRate: {
+      label: "Periodic rate",
+      text: "The periodic rate r is the yield-to-maturity of {ytm} divided by {frequency} payments a year, which is {periodicRate}.",
+    },
+    periods: {
+      label: "Number of periods",
+      formula: "T = {years} years × {frequency} = {periods}",
+      text: "The number of periods T is {years} years times {frequency}, which is {periods}.",
+    },
+    periodsDated: {
+      label: "Number of periods",
+      formula: "T = {periods} coupons remaining after settlement",
+      text: "The number of periods T is the {periods} coupons remaining after settlement.",
+    },
+    payment: {
+      label: "Coupon payment",
+      text: "The coupon payment PMT is the face value of {faceValue} times the {couponRate} coupon rate divided by {frequency}, which is {payment}.",
+    },
+    annuityFactor: {
+      label: "Annuity factor",
+      text: "The annuity factor is one minus one over {growth} to the power {periods}, divided by {periodicRate}, which is {annuityFactor}.",
+    },
+    annuityFactorZero: {
+      label: "Annuity factor",
+      formula: "annuity factor = T = {annuityFactor}",
+      text: "At a zero yield nothing is discounted, so the annuity factor is the limit of the formula: the {periods} periods themselves.",
+    },
+    pvCoupons: {
+      label: "PV of coupons",
+      text: "The present value of the coupons is {payment} times {annuityFactor}, which is {pvCoupons}.",
+    },
+    pvFaceValue: {
+      label: "PV of face value",
+      text: "The present value of the face value is {faceValue} divided by {growth} to the power {periods}, which is {pvFaceValue}.",
+    },
+    priceZero: {
+      label: "Price",
+      text: "With no coupons, the price is the present value of the face value, {priceOnCouponDate}.",
+    },
+    price: {
+      label: "Price (sum)",
+      text: "The price is the sum of {pvCoupons} and {pvFaceValue}, which is {priceOnCouponDate}.",
+    },
+    carry: {
+      label: "Carry to settlement",
+      formula: "{priceOnCouponDate} × {growth}^{fraction} = {fullPrice} (full price)",
+      text: "Equation 6 prices the bond on the last coupon date. Growing that price for the {fraction} of a period since then, {priceOnCouponDate} times {growth} to the power {fraction}, gives the full price of {fullPrice}.",
+    },
+    flatPrice: {
+      label: "Flat price",
+      formula: "{fullPrice} − {accrued} accrued = {flatPrice}",
+      text: "Subtracting accrued interest of {accrued} gives the flat price of {flatPrice}.",
+    },
+  },
+  common: {
+    notAvailable: "n/a",
+    noPayment: "No payment",
+    total: "Total",
+    remove: "Remove",
+    years: { one: "{value} year", other: "{value} years" },
+    labelValue: "{label}: {value}",
+  },
+  results: {
+    impliedYtm: "Yield-to-Maturity Implied by Spot Curve",
+    solvedYtm: "Solved Yield-to-Maturity",
+    effectiveYield: "Effective annual yield: {value} ({compounding} compounding)",
+    converged: {
+      one: "Converged in {count} iteration ({newton} Newton, {bisection} bisection)",
+      other: "Converged in {count} iterations ({newton} Newton, {bisection} bisection)",
+    },
+    notConverged: {
+      one: "Did not converge in {count} iteration ({newton} Newton, {bisection} bisection)",
+      other: "Did not converge in {count} iterations ({newton} Newton, {bisection} bisection)",
+    },
+    impliedYtmNote: "The single discount rate that gives the same price as discounting each cash flow at its own spot rate.",
+    equivalentYtm: "Equivalent Fixed-Rate Yield",
+    equivalentYtmNote:
+      "The single yield that gives the same price for the projected coupons. It drives the duration and convexity below, which treat those coupons as fixed.",
+    indexedYtm: "Nominal Yield of the Indexed Cash Flows",
+    indexedYtmNote:
+      "The yield that gives the indexed payments the same price as the real payments discounted at the real yield. It drives the duration and convexity below.",
+    price: "PV Bond Price",
+    perPar: "per {faceValue} par",
+    fullPrice: "Full (dirty) price",
+    accruedInterest: "Accrued interest",
+    flatPrice: "Flat (clean) price",
+    accruedDays: "{accrued} of {period} days accrued since {date} ({dayCount})",
+    premiumDiscount: "Premium–Discount Analysis",
+    statusBond: {
+      premium: "Premium bond",
+      par: "Par bond",
+      discount: "Discount bond",
+    },
+    atPar: "Trading at par. Coupon rate ≈ YTM ({ytm})",
+    abovePar: "Trading {amount} above par. Coupon ({coupon}) > YTM ({ytm})",
+    belowPar: "Trading {amount} below par. YTM ({ytm}) > coupon ({coupon})",
+    pvCoupons: "PV coupons: {amount}",
+    pvFace: "PV face: {amount}",
+    pvPrincipal: "PV principal: {amount}",
+  },
+  options: {
+    heading: "Yield-to-Worst",
+    worstCase: "Worst case: redeemed at {scenario}",
+    caption: "Yield for each redemption scenario; the yield-to-worst scenario is marked",
+    scenario: "Scenario",
+    price: "Price",
+    yield: "Yield",
+    worst: "worst",
+    kind: {
+      maturity: "Yield-to-maturity",
+      call: "Yield-to-call",
+      put: "Yield-to-put",
+    },
+    note: "The issuer calls when it suits the issuer, so the lowest of the yield-to-maturity and the yields-to-call is the yield-to-worst. Puts are the holder's choice and are shown for reference.",
+    label: {
+      maturity: "maturity",
+      callYears: "call at year {years}",
+      putYears: "put at year {years}",
+      callDate: "call on {date}",
+      putDate: "put on {date}",
+    },
+  },
+  risk: {
+    heading: "Interest-Rate Risk",
+    macaulay: "Macaulay duration",
+    years: "{value} yrs",
+    modified: "Modified duration",
+    money: "Money duration",
+    pvbp: "PVBP / DV01",
+    convexity: "Convexity",
+    shock: "Yield shock",
+    bp: "bp",
+    caption: {
+      one: "Estimated percentage price change for a {count} basis point change in yield",
+      other: "Estimated percentage price change for a {count} basis point change in yield",
+    },
+    method: "Method",
+    change: "% change",
+    durationOnly: "Duration only",
+    durationConvexity: "Duration + convexity",
+    exact: "Exact repricing",
+  },
+  cashFlows: {
+    title: "Bond cash flows",
+    chartActive: "Chart view active",
+    tableActive: "Table view active",
+    tooltipDate: "Date: {date} ({years})",
+    tooltipPeriod: "Period: {years}",
+    tooltipFloating: "Coupon rate {coupon} (reference {reference}), discounted at {discount}",
+    tooltipIndexed: "Index ratio {ratio}",
+    tooltipCredit: "Survival {survival}, default in period {probability}",
+    description:
+      "Stacked bars display coupon payments and the final principal repayment over time. The initial purchase appears as a negative bar at period 0.",
+    comparisonDescription:
+      "Grouped bars compare the total cash flow of {bonds} at each payment time. Each purchase appears as a negative bar at year 0.",
+    worstDescription: "The flows stop at the {scenario}, the yield-to-worst scenario.",
+    shocksDescription: "Lines over the bars trace the present value of each payment unshocked and under each scenario: {scenarios}.",
+    purchase: "Initial purchase",
+    coupon: "Coupon payment",
+    principal: "Principal repayment",
+    real: "Real cash flow (settlement money)",
+    expected: "Expected cash flow (after default)",
+    basePresentValue: "Present value (unshocked)",
+    shockedPresentValue: "Present value: {name}",
+    fadedBars: {
+      one: "Faded bars: {count} payment already made at the pull-to-par step",
+      other: "Faded bars: {count} payments already made at the pull-to-par step",
+    },
+    skipToTable: "Skip to data table",
+    redemptionScenario: "Redemption scenario",
+    toMaturity: "To maturity",
+    toWorst: "To worst ({scenario})",
+    displayOptions: "Bond cash flow display options",
+    showChart: "Show Chart",
+    showChartLabel: "Show bond cash flows as a chart",
+    showTable: "Show Table",
+    showTableLabel: "Show bond cash flows as a table",
+    yearsAxis: "Years",
+    dateAxis: "Payment date",
+    comparisonCaption:
+      "Table comparing the total cash flow of {bonds} at each payment time. Values in parentheses indicate cash outflows.",
+    comparisonNote:
+      "Note: Values in parentheses indicate negative cash flows (outflows). Times are measured in years from purchase.",
+    captionPurchase: "Table showing bond cash flows: Initial purchase of {price} at year 0,",
+    captionPurchaseDated: "Table showing bond cash flows: Initial purchase of {price} on settlement, {date},",
+    captionZero: "followed by a single repayment of {faceValue} at maturity with no coupons.",
+    captionFloating: {
+      one: "followed by {count} {frequency} coupon of {first} projected from the reference rate plus the quoted margin, plus principal repayment of {principal} at maturity.",
+      other: "followed by {count} {frequency} coupons projected from the reference rate plus the quoted margin, from {first} to {last}, plus principal repayment of {principal} at maturity.",
+    },
+    captionIndexed: {
+      one: "followed by {count} {frequency} coupon of {coupon} in real terms, scaled by the index ratio, plus indexed principal repayment of {principal} at maturity.",
+      other: "followed by {count} {frequency} coupons of {coupon} each in real terms, scaled by the index ratio, plus indexed principal repayment of {principal} at maturity.",
+    },
+    captionBullet: {
+      one: "followed by {count} {frequency} coupon payment of {coupon}, plus principal repayment of {principal} at maturity.",
+      other: "followed by {count} {frequency} coupon payments of {coupon} each, plus principal repayment of {principal} at maturity.",
+    },
+    captionBulletRedeemed: {
+      one: "followed by {count} {frequency} coupon payment of {coupon}, plus principal repayment of {principal} on redemption.",
+      other: "followed by {count} {frequency} coupon payments of {coupon} each, plus principal repayment of {principal} on redemption.",
+    },
+    captionAmortizing: {
+      one: "followed by {count} {frequency} payment of interest on the outstanding balance plus scheduled principal repayments totalling {faceValue}.",
+      other: "followed by {count} {frequency} payments of interest on the outstanding balance plus scheduled principal repayments totalling {faceValue}.",
+    },
+    captionWorst: "The bond is shown redeemed early at the {scenario}, its yield-to-worst scenario.",
+    captionCredit:
+      "Each promised flow is followed by its expected value allowing for default, and the purchase by the risky price of {price}.",
+    captionShocks: "The last columns give the present value of each payment unshocked and under each scenario shock.",
+    captionOutflows: "Values in parentheses indicate cash outflows.",
+    periodColumn: "Period (Years)",
+    dateColumn: "Date (Years)",
+    couponColumn: "Coupon Payment",
+    principalColumn: "Principal Payment",
+    totalColumn: "Total Cash Flow",
+    outstandingColumn: "Outstanding Principal",
+    referenceRateColumn: "Reference Rate",
+    couponRateColumn: "Coupon Rate",
+    discountRateColumn: "Discount Rate",
+    indexRatioColumn: "Index Ratio",
+    realCouponColumn: "Real Coupon",
+    realPrincipalColumn: "Real Principal",
+    realTotalColumn: "Real Total",
+    spotRateColumn: "Spot Rate",
+    discountFactorColumn: "Discount Factor",
+    presentValueColumn: "Present Value",
+    survivalColumn: "Survival",
+    defaultProbabilityColumn: "Default in Period",
+    exposureColumn: "Exposure at Default",
+    expectedLossColumn: "Expected Loss",
+    expectedColumn: "Expected Cash Flow",
+    riskyPresentValueColumn: "Risky Present Value",
+    notDiscounted: "Not discounted",
+    noDefault: "No default at purchase",
+    note: "Note: Values in parentheses indicate negative cash flows (outflows).",
+    indexedNote:
+      "Coupon, principal and total are the indexed amounts actually paid; the real columns divide them by the index ratio, in money of the settlement date.",
+    creditNote:
+      "Survival is the chance the issuer has not defaulted by the end of each period. The expected cash flow is the promised flow times that chance plus the amount recovered times the chance of default in the period; discounted at the risk-free yield, the expected flows sum to the risky price.",
+    shocksNote:
+      "Present values under a shock discount the promised flows with every rate moved by the shock at the tenor of the payment.",
+    fractionalPeriod: "The first period is fractional: {fraction} of a coupon period remains until {date}.",
+    explore: {
+      roleDescription: "interactive chart",
+      instructions:
+        "Focus the chart and use the left and right arrow keys to move from payment to payment, Home and End for the first and last, and Escape to leave the bars.",
+      purchase: "{when}: purchase of {amount}. Bar {position} of {count}.",
+      payment: "{when}: coupon {coupon}, principal {principal}, total {total}. Bar {position} of {count}.",
+      expected: "Expected after default: {amount}.",
+      comparison: "{when}: {flows}. Bar {position} of {count}.",
+    },
+    sound: {
+      label: "Cash flows as sound",
+      play: "Play as sound",
+      stop: "Stop sound",
+      onExplore: "Tone on each bar",
+    },
+  },
+  export: {
+    label: "Export cash flows",
+    heading: "Export:",
+    excel: "Excel (.xlsx)",
+    print: "Print / Save as PDF",
+    note: "Files hold raw numbers with the input assumptions and totals.",
+  },
+  report: {
+    sheetName: "Cash flows",
+    title: "Bond cash flow schedule",
+    assumptions: "Inputs and assumptions",
+    results: "Results",
+    fullPrice: "Full (dirty) price",
+    accruedInterest: "Accrued interest",
+    cleanPrice: "Flat (clean) price",
+    pvCoupons: "PV of coupons",
+    pvPrincipal: "PV of principal",
+    macaulay: "Macaulay duration (years)",
+    modified: "Modified duration",
+    money: "Money duration",
+    pvbp: "PVBP / DV01",
+    convexity: "Convexity",
+    cashFlows: "Cash flows (purchase shown as a negative flow at period 0)",
+    period: "Period",
+    years: "Years",
+    date: "Date",
+    coupon: "Coupon payment",
+    principal: "Principal payment",
+    total: "Total cash flow",
+    outstanding: "Outstanding principal",
+    spotRate: "Spot rate (%)",
+    discountFactor: "Discount factor",
+    presentValue: "Present value",
+    referenceRate: "Reference rate (%)",
+    couponRate: "Coupon rate (%)",
+    discountRate: "Discount rate (%)",
+    rateDuration: "Reference-rate duration (years)",
+    spreadDuration: "Spread duration (years)",
+    indexRatio: "Index ratio",
+    realCoupon: "Real coupon",
+    realPrincipal: "Real principal",
+    realTotal: "Real total",
+    realYield: "Real yield (%)",
+    nominalYield: "Nominal yield (%)",
+    breakeven: "Breakeven inflation (%)",
+    pathInflation: "Inflation on the projected path (%)",
+    survival: "Survival (%)",
+    defaultProbability: "Default in period (%)",
+    exposure: "Exposure at default",
+    expectedLoss: "Expected loss",
+    expectedCashFlow: "Expected cash flow",
+    riskyPresentValue: "Risky present value",
+    riskyPrice: "Risky price",
+    cva: "Credit valuation adjustment",
+    riskyYield: "Yield at the risky price (%)",
+    creditSpread: "Implied credit spread (bp)",
+    totalRow: "Total",
+  },
+  pullToPar: {
+    intro:
+      "Holding the yield constant, the price is recalculated after each coupon. Premium and discount prices both converge to the principal still owed, reaching it at maturity.",
+    case: {
+      current: "This bond (YTM {ytm})",
+      premium: "Premium case (YTM {ytm})",
+      par: "Par case (YTM {ytm})",
+      discount: "Discount case (YTM {ytm})",
+    },
+    play: "Play",
+    pause: "Pause",
+    replay: "Replay",
+    couponsPaid: "Coupons paid:",
+    stepValue: {
+      one: "{step} of {count} coupon paid",
+      other: "{step} of {count} coupons paid",
+    },
+    chartLabel: "Line chart of the bond price over its remaining life converging to par",
+    yearsAxis: "Years from settlement",
+    outstanding: "Principal outstanding",
+    atSettlement: "At settlement this bond is priced at {price} (clean) against {par} par.",
+    afterCoupons: {
+      one: "After {step} of {periods} coupons ({years}), this bond is valued at {price} against {par} principal outstanding; {count} payment remains.",
+      other:
+        "After {step} of {periods} coupons ({years}), this bond is valued at {price} against {par} principal outstanding; {count} payments remain.",
+    },
+  },
+  horizon: {
+    errors: {
+      horizon: "Horizon must be more than 0 and at most {max} years",
+      reinvestment: "Reinvestment rate must be between {min} and {max}",
+      exit: "Exit yield must be between {min} and {max}",
+    },
+    couponIncome: "Coupon income",
+    interestOnInterest: "Interest on interest",
+    capitalGain: "Capital gain",
+    capitalLoss: "Capital loss",
+    horizon: "Horizon",
+    yearsUnit: "years",
+    reinvestmentRate: "Reinvestment rate",
+    exitYield: "Exit yield",
+    useYtm: "Use current YTM ({ytm})",
+    durationNote:
+      "With both rates equal to the YTM, the horizon yield equals the YTM. At a horizon equal to the Macaulay duration ({duration} years) a small parallel shift leaves it almost unchanged.",
+    pricePaid: "Price paid (full)",
+    reinvested: "Reinvested flows at horizon",
+    salePrice: "Sale price at horizon",
+    notApplicable: "Not applicable",
+    heldToMaturity: "— (held to maturity)",
+    totalValue: "Total value at horizon",
+    totalReturn: "Total return",
+    horizonYield: "Annualized horizon yield",
+    compounding: "Compounded {compounding} like the YTM of {ytm}.",
+    principalBefore: "Includes {amount} of principal repaid before the horizon.",
+    sources: "Sources of return",
+    sourcesCaption: "Breakdown of the return in money terms over the horizon",
+    totalDollarReturn: "Total return in money terms",
+  },
+  sensitivity: {
+    unavailable:
+      "A zero-coupon bond priced off settlement dates has only one input to vary. Switch to years to maturity to see a grid.",
+    unavailableFloating:
+      "The grid varies a fixed coupon rate and a single yield; a floating-rate note's coupons and discount rates follow its reference path instead.",
+    unavailableIndexed:
+      "The grid varies a coupon rate, a single yield and the term; an inflation-linked bond's index ratios are tied to its payment dates, and it is priced on a real or a nominal basis instead.",
+    field: {
+      couponRate: "Coupon rate",
+      ytm: "YTM",
+      years: "Years to maturity",
+    },
+    yearsShort: "{value}y",
+    axes: "Grid axes",
+    vary: "Vary:",
+    layout: {
+      "coupon-ytm": "Coupon rate × YTM",
+      "ytm-maturity": "YTM × maturity",
+    },
+    cellValues: "Cell values",
+    show: "Show:",
+    cleanPrice: "Clean price",
+    premium: "% premium / discount",
+    captionPrice:
+      "Clean price by {rows} (rows) and {columns} (columns). The current inputs are marked. Select a cell to load it into the calculator.",
+    captionPremium:
+      "Percentage premium or discount to par by {rows} (rows) and {columns} (columns). The current inputs are marked. Select a cell to load it into the calculator.",
+    cell: "{row}, {column}: clean price {price}, {status}. Load into the calculator",
+    cellCurrent: "{row}, {column}: clean price {price}, {status}, current inputs",
+    currentInputs: "Current inputs",
+  },
+  shocks: {
+    intro:
+      "Each shock moves the rates the bond is discounted at by a number of basis points: the same at every tenor (parallel), rotating between a short and a long tenor (twist), or interpolated between key tenors (per tenor).",
+    label: {
+      parallel: "Parallel {shift} bp",
+      steepener: "Steepener {short}–{long} ({shortShift}/{longShift} bp)",
+      flattener: "Flattener {short}–{long} ({shortShift}/{longShift} bp)",
+      custom: "Per-tenor shift",
+    },
+    nameLabel: "Name of shock {number}",
+    kindLabel: "Shape of {name}",
+    shift: "Shift",
+    years: "(years)",
+    shortTenor: "Short tenor",
+    longTenor: "Long tenor",
+    shiftThere: "shift",
+    pointsLabel: "Shift at each key tenor for {name}",
+    pointLabel: { one: "Shift at {tenor} year in basis points", other: "Shift at {tenor} years in basis points" },
+    pointsHelp: "bp; linear between tenors, flat beyond",
+    remove: "Remove",
+    removeLabel: "Remove {name}",
+    add: "Add shock",
+    restore: "Restore standard shocks",
+    overlay: "Overlay on cash-flow chart",
+    caption: "Price of the bond unshocked and under each shock, with the change in price and in percent",
+    scenarioColumn: "Scenario",
+    priceColumn: "Price",
+    changeColumn: "Change",
+    percentColumn: "% Change",
+    base: "Unshocked",
+    notPriced: "Not priced",
+    note:
+      "Prices include accrued interest. Shocks reprice the promised flows to maturity: calls, puts and default are not re-evaluated, a floating-rate note's current coupon stays fixed while later ones reset, and an inflation-linked bond keeps its index ratios.",
+    saveAs: "Save this stress set as:",
+    defaultName: "Stress set {number}",
+    saved: "Saved “{name}”; apply it to any bond from the list below.",
+    applied: "Applied “{name}”.",
+    storageFailed: "This browser would not store the stress sets.",
+    empty: "No saved stress sets yet. Saved stress sets stay in this browser.",
+    summary: { one: "{count} shock · saved {date}", other: "{count} shocks · saved {date}" },
+    apply: "Apply",
+    applyLabel: "Apply {name}",
+  },
+  priceYield: {
+    title: "Price–yield curve",
+    description:
+      "The curve plots bond price against yield-to-maturity from {from} to {to}. The current yield of {ytm} gives a price of {price}.",
+    tangentDescription:
+      "The dashed tangent line is the modified duration estimate of {value}; it lies below the curve on both sides because of convexity.",
+    tooltipYtm: "YTM: {value}",
+    tooltipPrice: "Price: {value}",
+    tooltipEstimate: "Duration estimate: {value}",
+    clickHint: "Click to use this yield",
+    bondPrice: "Bond price",
+    tangent: "Duration tangent",
+    showTangent: "Show duration tangent",
+    xAxis: "Yield-to-maturity",
+  },
+  comparison: {
+    caption:
+      "Side-by-side comparison of price, premium or discount status, present value split and risk measures for {names}",
+    measure: "Measure",
+    edit: "Edit {name}",
+    yearsShort: "{value} yrs",
+    invalidNote: "Dashes mark a bond whose inputs need correcting.",
+    row: {
+      bondType: "Bond type",
+      couponRate: "Coupon rate",
+      ytm: "Yield-to-maturity",
+      years: "Years to maturity",
+      fullPrice: "Full price",
+      cleanPrice: "Clean price",
+      status: "Status",
+      pvCoupons: "PV coupons",
+      pvPrincipal: "PV principal",
+      couponShare: "Coupons share of price",
+      macaulay: "Macaulay duration",
+      modified: "Modified duration",
+      money: "Money duration",
+      pvbp: "PVBP / DV01",
+      convexity: "Convexity",
+    },
+  },
+  practice: {
+    question: {
+      price: "What is the price of this bond?",
+      status: "Is this bond trading at a premium, at par or at a discount?",
+      pvFace: "What is the present value of the face value?",
+      pvCoupons: "What is the present value of the coupon payments?",
+    },
+    chooseStatus: "Choose premium, par or discount.",
+    enterNumber: "Enter a number, for example {example}.",
+    invalidSeed: "A problem set number is a whole number such as 4821.",
+    set: "Problem set {seed}",
+    progress: "question {current} of {count}",
+    score: "Session score: {score}",
+    openSet: "Open set #",
+    open: "Open",
+    newSet: "New set",
+    complete: "Set #{seed} complete.",
+    shareNote: "Share the set number to let someone else attempt the same questions, or start a new set.",
+    startNew: "Start a new set",
+    faceValue: "Face value",
+    couponRate: "Coupon rate",
+    ytm: "Yield-to-maturity",
+    years: "Years to maturity",
+    coupons: "Coupons",
+    yourAnswer: "Your answer",
+    tolerance: "Accepted within ±{value}",
+    check: "Check answer",
+    next: "Next question",
+    finish: "Finish set",
+    correct: "Correct. The answer is {answer}.",
+    incorrect: "Not quite. The answer is {answer}.",
+    workedSolution: "Worked solution",
+    statusExplanation:
+      "Compare the price with the face value of {faceValue}: equivalently, a coupon rate above the yield means a premium and below it a discount.",
+  },
+  saved: {
+    storageFailed: "This browser would not store the scenarios; export them to keep a copy.",
+    defaultName: "Scenario {number}",
+    saved: "Saved “{name}”.",
+    nameRequired: "A scenario needs a name.",
+    renamed: "Renamed to “{name}”.",
+    deleted: "Deleted “{name}”.",
+    linkCopied: "Link copied: it reopens the calculator with these inputs.",
+    clipboardBlocked: "Copy the address bar to share these inputs; the browser blocked clipboard access.",
+    imported: { one: "Imported {count} scenario.", other: "Imported {count} scenarios." },
+    importFailed: "Import failed: {message}.",
+    importError: {
+      invalidJson: "The file is not valid JSON",
+      noList: "The file does not contain a list of scenarios",
+      noScenarios: "No valid scenarios were found in the file",
+    },
+    saveAs: "Save current inputs as:",
+    save: "Save",
+    copyLink: "Copy link",
+    exportJson: "Export JSON",
+    importJson: "Import JSON",
+    importLabel: "Import scenarios from a JSON file",
+    empty: "No saved scenarios yet. Saved scenarios stay in this browser.",
+    newNameFor: "New name for {name}",
+    saveName: "Save name",
+    cancel: "Cancel",
+    summary: { one: "{count} bond · saved {date}", other: "{count} bonds · saved {date}" },
+    load: "Load",
+    loadLabel: "Load {name}",
+    rename: "Rename",
+    renameLabel: "Rename {name}",
+    delete: "Delete",
+    deleteLabel: "Delete {name}",
+  },
+  spotCurve: {
+    title: "Spot curve",
+    specifyAs: "Specify as:",
+    caption: "Spot rates by tenor, linearly interpolated between tenors",
+    tenor: "Tenor (years)",
+    rate: "Spot rate (%)",
+    tenorLabel: "Tenor {number} in years",
+    rateLabel: "Spot rate {number} in percent",
+    removeLabel: { one: "Remove tenor {value} year", other: "Remove tenor {value} years" },
+    add: "Add tenor",
+    interpolationNote: "Rates are interpolated linearly between tenors and held flat beyond the ends.",
+    nelsonSiegel: {
+      beta0: "β₀ (level, %)",
+      beta1: "β₁ (slope, %)",
+      beta2: "β₂ (curvature, %)",
+      tau: "τ (decay, years)",
+    },
+    previewLabel: "Spot curve preview: spot rate by tenor",
+    spotRate: "Spot rate",
+  },
+  floating: {
+    title: "Floating-rate note",
+    projectAs: "Reference rate:",
+    rate: "Reference rate",
+    startRate: "Starting reference rate",
+    step: "Step",
+    percentagePoints: "(percentage points)",
+    stepYears: "Every",
+    ratesLabel: "Reference rate for each period (%)",
+    ratesHelp: "One rate per coupon period, separated by spaces or new lines; the last rate carries on to maturity.",
+    quotedMargin: "Quoted margin",
+    discountMargin: "Discount margin",
+    marginNote:
+      "The quoted margin is fixed in the note's terms and added to the reference rate to set each coupon. The discount margin is the spread over the reference rate that the market requires today.",
+    previewLabel: "Projected reference, coupon and discount rates by period",
+    referenceRate: "Reference rate",
+    couponRate: "Coupon rate",
+    discountRate: "Discount rate",
+    basisPoints: "{value} bp",
+    analysis: {
+      heading: "Floating-Rate Note",
+      currentReference: "Current reference rate",
+      currentCoupon: "Current coupon rate",
+      currentDiscount: "Current discount rate",
+      rateDuration: "Reference-rate duration",
+      spreadDuration: "Spread duration",
+      par:
+        "The quoted margin ({quotedMargin}) equals the discount margin ({discountMargin}), so every coupon is paid at exactly the rate it is discounted at. At the last reset, par plus the final coupon discounted one period at that same rate is worth par; working back one period at a time, the note is worth par on every reset date, whatever path the reference rate takes.",
+      premium:
+        "The quoted margin ({quotedMargin}) is {difference} above the discount margin ({discountMargin}): every coupon pays more over the reference rate than the market now requires, so the note trades above par. The premium is the present value of that extra margin until maturity.",
+      discount:
+        "The quoted margin ({quotedMargin}) is {difference} below the discount margin ({discountMargin}): every coupon pays less over the reference rate than the market now requires, so the note trades below par. The discount is the present value of that shortfall until maturity.",
+      betweenResets:
+        "Settlement falls between reset dates, so the full price also carries the interest accrued since the last reset, and the price can drift from par until the next one.",
+      durations:
+        "The current coupon was fixed at the last reset, so a move in the reference rate affects the price only until the next reset (reference-rate duration). A change in the discount margin is not offset by the coupons, so the note stays exposed to it until maturity (spread duration).",
+    },
+  },
+  inflation: {
+    title: "Inflation-linked bond",
+    projectAs: "Inflation index:",
+    rate: "Inflation",
+    baseCpi: "Base CPI (at settlement)",
+    cpiLabel: "CPI level at each coupon date",
+    cpiHelp: "One level per coupon date, separated by spaces or new lines; the last level carries on to maturity.",
+    realYield: "Real yield",
+    basis: "Pricing basis",
+    priceOff: "Price off:",
+    realBasis: "Real yield",
+    nominalBasis: "Nominal yield",
+    basisNote: {
+      real: "The real coupons and principal are discounted at the real yield; the nominal yield of the indexed payments is solved from that price.",
+      nominal:
+        "The indexed coupons and principal are discounted at the nominal yield; the real yield of the real payments is solved from that price.",
+    },
+    previewLabel: "Projected index ratio by payment date",
+    indexRatio: "Index ratio",
+    ratioTooltip: "{ratio} ({change} cumulative inflation)",
+    analysis: {
+      heading: "Breakeven Inflation",
+      breakeven: "Breakeven inflation (market yields)",
+      pathInflation: "Inflation on the projected path",
+      realYield: "Real yield",
+      nominalYield: "Nominal yield",
+      indexRatio: "Index ratio at maturity",
+      priceAtReal: "Price at the real yield",
+      priceAtNominal: "Price at the nominal yield",
+      explanation:
+        "Breakeven inflation ({breakeven} a year) is the rate at which the real yield plus inflation matches the nominal yield. If inflation runs above it the linker outperforms a nominal bond at that yield; below it, the nominal bond does better.",
+      matches:
+        "The projected path assumes inflation of {path} a year, in line with the breakeven, so the bond is worth the same on either basis: {priceAtReal} at the real yield and {priceAtNominal} at the nominal yield.",
+      above:
+        "The projected path assumes inflation of {path} a year, more than the breakeven, so the indexed payments are worth more at the nominal yield ({priceAtNominal}) than the real payments at the real yield ({priceAtReal}).",
+      below:
+        "The projected path assumes inflation of {path} a year, less than the breakeven, so the indexed payments are worth less at the nominal yield ({priceAtNominal}) than the real payments at the real yield ({priceAtReal}).",
+      basis: {
+        real: "The price shown uses the real yield, so it does not depend on the inflation path; the path only sets the amounts paid.",
+        nominal: "The price shown uses the nominal yield, so it rises and falls with the inflation the path assumes.",
+      },
+    },
+  },
+  credit: {
+    title: "Credit risk",
+    enable: "Allow for default",
+    defaultAs: "Default probability:",
+    probability: "Default probability",
+    perYear: "(% a year)",
+    probabilitiesLabel: "Annual default probability for each year (%)",
+    probabilitiesHelp: "One probability per year, separated by spaces or new lines; the last carries on to maturity.",
+    recoveryRate: "Recovery rate",
+    ofExposure: "(% of exposure)",
+    note:
+      "Each probability is the chance of default within the year for an issuer that has survived so far. On default, holders recover that share of the exposure: the value of the flows still promised, at the risk-free yield.",
+    previewLabel: "Probability the issuer survives to each payment date",
+    survival: "Survival",
+    analysis: {
+      heading: "Credit Risk",
+      riskFreePrice: "Default-free price",
+      riskyPrice: "Risky price",
+      cva: "Credit valuation adjustment",
+      expectedLoss: "Expected loss (undiscounted)",
+      cumulativeDefault: "Chance of default by maturity",
+      recoveryRate: "Recovery rate",
+      riskyYield: "Yield at the risky price",
+      creditSpread: "Implied credit spread",
+      explanation:
+        "Weighting each promised flow by the chance it is paid, and each recovery by the chance of default, gives the expected cash flows. At the risk-free yield ({riskFreeYield}) they are worth {riskyPrice}, {cva} less than the {riskFreePrice} the promised flows would be worth if default were impossible.",
+      spread:
+        "At {riskyPrice} the promised flows yield {riskyYield}, a credit spread of {spread} over the risk-free yield: the extra return holders need to be paid for the losses they expect.",
+    },
+  },
+  exercise: {
+    date: "Date",
+    year: "Year",
+    price: "Price (%)",
+    datesNote: "Dates move forward to the next coupon date.",
+    yearsNote: "Years must fall on a coupon date.",
+    call: {
+      title: "Call schedule",
+      caption: "Call dates and prices as a percentage of principal outstanding",
+      dateLabel: "Call date {number}",
+      yearsLabel: "Call date {number} in years",
+      priceLabel: "Call price {number} in percent of principal",
+      removeLabel: "Remove call date {number}",
+      add: "Add call date",
+      note: "The issuer may redeem the bond early at the call price.",
+    },
+    put: {
+      title: "Put schedule",
+      caption: "Put dates and prices as a percentage of principal outstanding",
+      dateLabel: "Put date {number}",
+      yearsLabel: "Put date {number} in years",
+      priceLabel: "Put price {number} in percent of principal",
+      removeLabel: "Remove put date {number}",
+      add: "Add put date",
+      note: "The holder may sell the bond back early at the put price.",
+    },
+  },
+  scenario: {
+    defaultName: "Bond {letter}",
+  },
+  assumptions: {
+    profile: "Input limits",
+    bondType: "Bond type",
+    faceValue: "Face value",
+    couponRate: "Coupon rate (%)",
+    frequency: "Payments per year",
+    discounting: "Discounting",
+    spotCurve: "Spot curve",
+    singleYield: "Single yield-to-maturity",
+    impliedYtm: "Implied yield-to-maturity (%)",
+    ytm: "Yield-to-maturity (%)",
+    years: "Years to maturity",
+    quotedPrice: "Quoted clean price",
+    settlementDate: "Settlement date",
+    maturityDate: "Maturity date",
+    dayCount: "Day count",
+    sinkingFundPercent: "Sinking fund redemption (% of face a year)",
+    sinkingFundStart: "Sinking fund start (years)",
+    callPriceDate: "Call price on {date} (%)",
+    callPriceYears: "Call price at year {years} (%)",
+    putPriceDate: "Put price on {date} (%)",
+    putPriceYears: "Put price at year {years} (%)",
+    spotRate: "Spot rate at {tenor} years (%)",
+    nelsonSiegel: "Nelson–Siegel {parameter}",
+    referencePlusMargin: "Reference rate + discount margin",
+    quotedMargin: "Quoted margin (bp)",
+    discountMargin: "Discount margin (bp)",
+    referenceRate: "Reference rate, period {period} (%)",
+    realCouponRate: "Real coupon rate (%)",
+    nominalYield: "Nominal yield (%)",
+    realYield: "Real yield (%)",
+    marketNominalYield: "Market nominal yield (%)",
+    realBasis: "Real coupons and principal at the real yield",
+    nominalBasis: "Indexed coupons and principal at the nominal yield",
+    inflationRate: "Inflation (% a year)",
+    baseCpi: "Base CPI",
+    cpiLevel: "CPI, coupon date {period}",
+    defaultProbability: "Annual default probability (%)",
+    defaultProbabilityYear: "Default probability, year {year} (%)",
+    recoveryRate: "Recovery rate (%)",
+  },
+  locale: {
+    label: "Language and currency",
+    language: "Language:",
+    currency: "Currency:",
+  },
+  app: {
+    mode: "Mode",
+    modes: {
+      calculator: "Calculator",
+      practice: "Practice",
+    },
+    card: {
+      equation: "Bond Valuation Equation",
+      practice: "Practice",
+      assumptions: "Inputs and Assumptions",
+      results: "Results and Analysis",
+      resultsFor: "Results and Analysis: {name}",
+      cashFlows: "Bond Cash Flows",
+      priceYield: "Price–Yield Relationship",
+      pullToPar: "Pull to Par",
+      horizon: "Horizon Return and Reinvestment",
+      sensitivity: "Sensitivity Grid",
+      shocks: "Scenario Analysis",
+      comparison: "Bond Comparison",
+      calculator: "Bond Cash Flow Calculator",
+      saved: "Saved Scenarios",
+    },
+    bonds: "Bonds",
+    editing: "Editing:",
+    hasErrors: "has input errors",
+    removeBond: "Remove {name}",
+    addBond: "Add bond to compare",
+  },
+  calculator: {
+    faceValue: "Face value:",
+    profile: "Input limits:",
+    frequency: "Payment frequency:",
+    bondType: "Bond type:",
+    discounting: "Discounting",
+    discountWith: "Discount with:",
+    singleYtm: "Single YTM",
+    spotCurve: "Spot curve",
+    solveFor: "Solve for",
+    solveForLabel: "Solve for:",
+    price: "Price",
+    cleanPrice: "Clean price",
+    ytm: "Yield-to-maturity",
+    nominalYield: "Nominal yield",
+    maturityInput: "Maturity input",
+    maturityAs: "Maturity as:",
+    years: "Years",
+    settlementDates: "Settlement dates",
+    required: "Required fields",
+    couponRate: "Coupon rate",
+    realCouponRate: "Real coupon rate",
+    range: "({min} - {max})",
+    zeroCouponTitle: "Zero-coupon bonds pay no coupon",
+    effectiveYield: "Effective annual yield: {value}",
+    perPar: "(per {faceValue} par)",
+    settlementDate: "Settlement date",
+    maturityDate: "Maturity date",
+    dayCount: "Day count",
+    yearsToMaturity: "Years-to-maturity",
+    sinkingFundPercent: "Redeemed per year",
+    percentOfFace: "(% of face)",
+    sinkingFundStart: "First redemption after",
+    inYears: "(years)",
+    help: "Enter values and the calculator updates results and the chart automatically.",
+  },
+};
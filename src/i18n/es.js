@@ -0,0 +1,1011 @@
+// Spanish messages; keys mirror en.js. Spanish locales write negative amounts with a minus sign
+// rather than parentheses, so the notes about outflows say so.
+export default {
+  frequency: {
+    1: "Anual",
+    2: "Semestral",
+    4: "Trimestral",
+    12: "Mensual",
+    other: "{count} veces al año",
+  },
+  status: {
+    premium: "Prima",
+    par: "A la par",
+    discount: "Descuento",
+  },
+  bondType: {
+    bullet: "Bullet (bono con cupón)",
+    zero: "Cupón cero",
+    "amortizing-level": "Amortizable – cuota constante",
+    "amortizing-equal": "Amortizable – principal constante",
+    "sinking-fund": "Fondo de amortización",
+    "floating-rate": "Bono de tipo variable (FRN)",
+    "inflation-linked": "Ligado a la inflación (capital indexado)",
+  },
+  curveModel: {
+    points: "Tabla de plazos y tipos",
+    "nelson-siegel": "Nelson–Siegel",
+  },
+  referenceModel: {
+    flat: "Constante",
+    stepped: "Escalonado",
+    custom: "Por periodo",
+  },
+  inflationModel: {
+    flat: "Inflación constante",
+    cpi: "Serie del IPC",
+  },
+  defaultModel: {
+    flat: "Constante",
+    term: "Por año",
+  },
+  shockKind: {
+    parallel: "Paralelo",
+    twist: "Giro",
+    custom: "Por plazo",
+  },
+  profile: {
+    exam: "Ejercicio de examen",
+    professional: "Profesional",
+  },
+  validation: {
+    heading: "Corrija lo siguiente:",
+    couponRate: "El tipo del cupón debe estar entre {min} y {max}",
+    ytm: "La rentabilidad al vencimiento debe estar entre {min} y {max}",
+    quotedPrice: "El precio debe ser mayor que 0",
+    noYield: "Ningún rendimiento reproduce este precio",
+    settlementDate: "Introduzca una fecha de liquidación válida",
+    maturityDate: "Introduzca una fecha de vencimiento válida",
+    maturityAfterSettlement: "La fecha de vencimiento debe ser posterior a la de liquidación",
+    maturityWithin: {
+      one: "La fecha de vencimiento debe estar a {max} año o menos de la liquidación",
+      other: "La fecha de vencimiento debe estar a {max} años o menos de la liquidación",
+    },
+    years: "Los años al vencimiento deben estar entre {min} y {max}",
+    wholePeriods: "Los años al vencimiento deben ser un número entero de periodos ({frequency})",
+    faceValue: "El valor nominal debe ser mayor que 0",
+    frequency: "Elige una frecuencia de cupón anual, semestral, trimestral o mensual",
+    spotCurveEmpty: "Introduzca al menos un tipo al contado",
+    spotCurvePoints: "Los plazos de la curva deben ser positivos y cada plazo necesita un tipo",
+    spotCurveDuplicate: "Los plazos de la curva deben ser distintos",
+    nelsonSiegel: "Los parámetros de Nelson–Siegel deben ser números y τ debe ser positivo",
+    sinkingFundPercent: "La amortización del fondo debe estar entre el 0 % y el 100 % anual",
+    sinkingFundStart: "El fondo de amortización debe empezar antes del vencimiento",
+    referenceRatesEmpty: "Introduzca un tipo de referencia al menos para el primer periodo",
+    referenceStepYears: "Los años entre escalones del tipo de referencia deben ser mayores que 0",
+    referenceRate: "Todos los tipos de referencia proyectados deben estar entre {min} y {max}",
+    quotedMargin: "El margen cotizado debe estar entre {min} y {max} pb",
+    discountMargin: "El margen de descuento debe estar entre {min} y {max} pb",
+    realYield: "La rentabilidad real debe estar entre {min} y {max}",
+    inflationRate: "La inflación debe estar entre {min} y {max} anual",
+    baseCpi: "El IPC base debe ser mayor que cero",
+    cpiSeriesEmpty: "Introduzca un nivel del IPC al menos para la primera fecha de cupón",
+    cpiSeries: "Cada nivel del IPC debe ser un número mayor que cero",
+    defaultProbability: "La probabilidad anual de impago debe ser de al menos el 0 % e inferior al 100 %",
+    defaultProbabilitiesEmpty: "Introduzca una probabilidad de impago al menos para el primer año",
+    defaultProbabilities: "Cada probabilidad de impago debe ser de al menos el 0 % e inferior al 100 %",
+    recoveryRate: "La tasa de recuperación debe estar entre el 0 % y el 100 %",
+    shockTenors: "El plazo corto debe ser mayor que 0 y menor que el plazo largo",
+    shockShift: "Cada desplazamiento debe estar dentro de ±{limit} pb",
+    call: {
+      price: "Los precios de amortización anticipada (call) deben ser mayores que 0",
+      dates: "Las fechas call deben ser posteriores a la liquidación y anteriores al vencimiento",
+      couponDate: "Las fechas call deben coincidir con una fecha de cupón anterior al vencimiento",
+    },
+    put: {
+      price: "Los precios de venta anticipada (put) deben ser mayores que 0",
+      dates: "Las fechas put deben ser posteriores a la liquidación y anteriores al vencimiento",
+      couponDate: "Las fechas put deben coincidir con una fecha de cupón anterior al vencimiento",
+    },
+    warning: {
+      heading: "Conviene revisar:",
+      price: "El precio limpio es el {percent} del valor nominal; compruebe el tipo del cupón y la rentabilidad",
+      negativeYield: "La rentabilidad es negativa: los compradores pagan por prestar al emisor",
+      callBelowPar: "Un precio de amortización anticipada inferior a 100 permite al emisor amortizar el bono con descuento",
+      putAbovePar: "Un precio de venta anticipada superior a 100 permite a los tenedores amortizar el bono con prima",
+      sinkingFund: {
+        one: "El fondo de amortización retira toda la emisión tras {years} año, antes del vencimiento",
+        other: "El fondo de amortización retira toda la emisión tras {years} años, antes del vencimiento",
+      },
+      negativeCoupon: "El cupón proyectado es negativo en algunos periodos; la mayoría de los bonos de tipo variable limitan el cupón a un mínimo de cero",
+      deflation:
+        "El índice proyectado termina en {ratio} de su base, así que el principal devuelto es menor que el nominal; un TIPS devolvería al menos la par",
+    },
+  },
+  equation: {
+    subscript: {
+      bullet: "bono con cupón",
+      zero: "cupón cero",
+      amortizing: "amortizable",
+      sinkingFund: "fondo de amortización",
+      floating: "FRN",
+      indexed: "indexado",
+    },
+    amortizingNote: "{balance} es el principal pendiente al inicio del periodo t y c el tipo de cupón periódico.",
+    sinkingFundNote:
+      "{balance} es el principal pendiente al inicio del periodo t y c el tipo de cupón periódico; Sₜ es la amortización programada y el saldo restante se reembolsa en T.",
+    floatingNote:
+      "Rₜ es el tipo de referencia del periodo t, y QM y DM son los márgenes cotizado y de descuento, todos por periodo. Cuando QM = DM cada tipo del cupón coincide con el tipo al que se descuenta y el precio es FV en cada fecha de revisión.",
+    indexedNote:
+      "c es el tipo del cupón real por periodo e Iₜ el coeficiente de indexación en el pago t (el IPC entonces sobre el IPC en la liquidación), de modo que cada pago es un importe real llevado a dinero de su fecha y descontado a la rentabilidad nominal r. Si se valora con la rentabilidad real, Iₜ desaparece y r es la rentabilidad real; los dos precios coinciden cuando la inflación es igual a la de equilibrio.",
+    bullet: {
+      intro: "La ecuación 6 expresa el precio de un bono con cupón como:",
+      description:
+        "Ecuación de valoración del bono: el valor actual de un bono con cupón es igual al pago del cupón dividido por el tipo, multiplicado por uno menos uno dividido por la cantidad uno más el tipo elevada a T, más el valor nominal dividido por la cantidad uno más el tipo elevada a T.",
+    },
+    zero: {
+      intro: "Un bono cupón cero hace un único pago al vencimiento, así que su precio es:",
+      description:
+        "Ecuación de valoración del bono cupón cero: el valor actual es igual al valor nominal dividido por la cantidad uno más el tipo elevada a T.",
+    },
+    "amortizing-level": {
+      intro: "Un bono amortizable de cuota constante paga el mismo importe A cada periodo, así que su precio es una renta:",
+      description:
+        "Ecuación de valoración del bono amortizable de cuota constante: el valor actual es igual a la cuota A dividida por el tipo, multiplicada por uno menos uno dividido por la cantidad uno más el tipo elevada a T, donde A es el valor nominal por el tipo de cupón periódico c, dividido por uno menos la cantidad uno más c elevada a menos T.",
+    },
+    "amortizing-equal": {
+      intro: "Un bono amortizable de principal constante devuelve FV/T cada periodo más los intereses sobre el saldo pendiente:",
+      description:
+        "Ecuación de valoración del bono amortizable de principal constante: el valor actual es la suma para los periodos t de 1 a T del valor nominal dividido por T más el tipo de cupón periódico c por el saldo pendiente al inicio del periodo, todo dividido por la cantidad uno más el tipo elevada a t.",
+    },
+    "sinking-fund": {
+      intro: "Un bono con fondo de amortización amortiza parte del principal según un calendario y devuelve el saldo al vencimiento:",
+      description:
+        "Ecuación de valoración del bono con fondo de amortización: el valor actual es la suma para los periodos t de 1 a T del tipo de cupón periódico c por el saldo pendiente al inicio del periodo, más la amortización programada S t, todo dividido por la cantidad uno más el tipo elevada a t.",
+    },
+    "floating-rate": {
+      intro:
+        "Un bono de tipo variable paga cada periodo el tipo de referencia más un margen cotizado, y cada periodo se descuenta al tipo de referencia más el margen de descuento:",
+      description:
+        "Ecuación de valoración de un bono de tipo variable: el valor actual es igual a la suma, para los periodos t de 1 a T, del tipo de referencia R t más el margen cotizado, por el valor nominal, dividido entre el producto, para los periodos k de 1 a t, de uno más R k más el margen de descuento; más el valor nominal dividido entre el producto, para los T periodos, de uno más R k más el margen de descuento.",
+    },
+    "inflation-linked": {
+      intro:
+        "Un bono ligado a la inflación multiplica cada cupón real y su principal por el coeficiente de indexación, y los pagos indexados se descuentan a la rentabilidad nominal:",
+      description:
+        "Ecuación de valoración de un bono ligado a la inflación: el valor actual es igual a la suma, para los periodos t de 1 a T, del tipo del cupón real c por el valor nominal por el coeficiente de indexación I t, dividido entre uno más el tipo elevado a t, más el valor nominal por el coeficiente final I T, dividido entre uno más el tipo elevado a T.",
+    },
+  },
+  working: {
+    show: "Mostrar desarrollo",
+    hide: "Ocultar desarrollo",
+    heading: "Ecuación 6 con los datos actuales",
+    invalidInputs: "Corrija los datos de abajo para ver el desarrollo.",
+    notApplicableCurve:
+      "Con una curva al contado cada flujo tiene su propio tipo de descuento, así que la ecuación 6 no se aplica. La vista de tabla de los flujos muestra el tipo al contado, el factor de descuento y el valor actual de cada pago.",
+    notApplicableType:
+      "La ecuación 6 cubre los bonos bullet y cupón cero. Para este bono el precio es la suma de cada pago descontado a la rentabilidad; la vista de tabla de los flujos muestra todos los pagos.",
+    notApplicableFloating:
+      "Los tipos del cupón y de descuento de un bono de tipo variable cambian cada periodo, así que la ecuación 6 no se aplica. La vista de tabla de los flujos muestra los tipos de referencia, del cupón y de descuento de cada periodo con su valor actual.",
+    rounding:
+      "Los valores intermedios se redondean para mostrarlos; el precio coincide con la tarjeta de resultados, que se calcula con precisión completa.",
+    periodicRate: {
+      label: "Tipo periódico",
+      text: "El tipo periódico r es la rentabilidad al vencimiento del {ytm} dividida entre {frequency} pagos al año, es decir, {periodicRate}.",
+    },
+    periods: {
+      label: "Número de periodos",
+      formula: "T = {years} años × {frequency} = {periods}",
+      text: "El número de periodos T es {years} años por {frequency}, es decir, {periods}.",
+    },
+    periodsDated: {
+      label: "Número de periodos",
+      formula: "T = {periods} cupones pendientes tras la liquidación",
+      text: "El número de periodos T son los {periods} cupones pendientes tras la liquidación.",
+    },
+    payment: {
+      label: "Pago del cupón",
+      text: "El pago del cupón PMT es el valor nominal de {faceValue} por el tipo de cupón del {couponRate} dividido entre {frequency}, es decir, {payment}.",
+    },
+    annuityFactor: {
+      label: "Factor de renta",
+      text: "El factor de renta es uno menos uno entre {growth} elevado a {periods}, dividido entre {periodicRate}, es decir, {annuityFactor}.",
+    },
+    annuityFactorZero: {
+      label: "Factor de renta",
+      formula: "factor de renta = T = {annuityFactor}",
+      text: "Con un rendimiento cero no se descuenta nada, así que el factor de renta es el límite de la fórmula: los {periods} periodos.",
+    },
+    pvCoupons: {
+      label: "VA de los cupones",
+      text: "El valor actual de los cupones es {payment} por {annuityFactor}, es decir, {pvCoupons}.",
+    },
+    pvFaceValue: {
+      label: "VA del nominal",
+      text: "El valor actual del nominal es {faceValue} dividido entre {growth} elevado a {periods}, es decir, {pvFaceValue}.",
+    },
+    priceZero: {
+      label: "Precio",
+      text: "Sin cupones, el precio es el valor actual del nominal, {priceOnCouponDate}.",
+    },
+    price: {
+      label: "Precio (suma)",
+      text: "El precio es la suma de {pvCoupons} y {pvFaceValue}, es decir, {priceOnCouponDate}.",
+    },
+    carry: {
+      label: "Capitalización hasta la liquidación",
+      formula: "{priceOnCouponDate} × {growth}^{fraction} = {fullPrice} (precio sucio)",
+      text: "La ecuación 6 valora el bono en la última fecha de cupón. Capitalizando ese precio durante la fracción {fraction} de periodo transcurrida, {priceOnCouponDate} por {growth} elevado a {fraction}, se obtiene el precio sucio de {fullPrice}.",
+    },
+    flatPrice: {
+      label: "Precio limpio",
+      formula: "{fullPrice} − {accrued} cupón corrido = {flatPrice}",
+      text: "Restando el cupón corrido de {accrued} se obtiene el precio limpio de {flatPrice}.",
+    },
+  },
+  common: {
+    notAvailable: "n/d",
+    noPayment: "Sin pago",
+    total: "Total",
+    remove: "Quitar",
+    years: { one: "{value} año", other: "{value} años" },
+    labelValue: "{label}: {value}",
+  },
+  results: {
+    impliedYtm: "Rentabilidad al vencimiento implícita en la curva",
+    solvedYtm: "Rentabilidad al vencimiento calculada",
+    effectiveYield: "Rentabilidad anual efectiva: {value} (capitalización {compounding})",
+    converged: {
+      one: "Convergió en {count} iteración ({newton} de Newton, {bisection} de bisección)",
+      other: "Convergió en {count} iteraciones ({newton} de Newton, {bisection} de bisección)",
+    },
+    notConverged: {
+      one: "No convergió en {count} iteración ({newton} de Newton, {bisection} de bisección)",
+      other: "No convergió en {count} iteraciones ({newton} de Newton, {bisection} de bisección)",
+    },
+    impliedYtmNote: "El tipo de descuento único que da el mismo precio que descontar cada flujo a su propio tipo al contado.",
+    equivalentYtm: "Rentabilidad fija equivalente",
+    equivalentYtmNote:
+      "La rentabilidad única que da el mismo precio para los cupones proyectados. Es la base de la duración y la convexidad de abajo, que tratan esos cupones como fijos.",
+    indexedYtm: "Rentabilidad nominal de los flujos indexados",
+    indexedYtmNote:
+      "La rentabilidad que da a los pagos indexados el mismo precio que los pagos reales descontados a la rentabilidad real. Es la que usan la duración y la convexidad de abajo.",
+    price: "Precio del bono (VA)",
+    perPar: "por {faceValue} de nominal",
+    fullPrice: "Precio sucio",
+    accruedInterest: "Cupón corrido",
+    flatPrice: "Precio limpio",
+    accruedDays: "{accrued} de {period} días devengados desde el {date} ({dayCount})",
+    premiumDiscount: "Análisis de prima y descuento",
+    statusBond: {
+      premium: "Bono con prima",
+      par: "Bono a la par",
+      discount: "Bono con descuento",
+    },
+    atPar: "Cotiza a la par. Tipo del cupón ≈ TIR ({ytm})",
+    abovePar: "Cotiza {amount} por encima de la par. Cupón ({coupon}) > TIR ({ytm})",
+    belowPar: "Cotiza {amount} por debajo de la par. TIR ({ytm}) > cupón ({coupon})",
+    pvCoupons: "VA de los cupones: {amount}",
+    pvFace: "VA del nominal: {amount}",
+    pvPrincipal: "VA del principal: {amount}",
+  },
+  options: {
+    heading: "Rentabilidad en el peor caso",
+    worstCase: "Peor caso: amortizado en {scenario}",
+    caption: "Rentabilidad de cada escenario de amortización; se marca el escenario del peor caso",
+    scenario: "Escenario",
+    price: "Precio",
+    yield: "Rentabilidad",
+    worst: "peor",
+    kind: {
+      maturity: "Rentabilidad al vencimiento",
+      call: "Rentabilidad a la amortización anticipada (call)",
+      put: "Rentabilidad a la venta anticipada (put)",
+    },
+    note: "El emisor ejerce el call cuando le conviene, así que la menor entre la rentabilidad al vencimiento y las rentabilidades a los calls es la del peor caso. Los puts los elige el tenedor y se muestran como referencia.",
+    label: {
+      maturity: "vencimiento",
+      callYears: "call en el año {years}",
+      putYears: "put en el año {years}",
+      callDate: "call el {date}",
+      putDate: "put el {date}",
+    },
+  },
+  risk: {
+    heading: "Riesgo de tipo de interés",
+    macaulay: "Duración de Macaulay",
+    years: "{value} años",
+    modified: "Duración modificada",
+    money: "Duración monetaria",
+    pvbp: "PVBP / DV01",
+    convexity: "Convexidad",
+    shock: "Variación de la rentabilidad",
+    bp: "pb",
+    caption: {
+      one: "Variación porcentual estimada del precio ante un cambio de {count} punto básico en la rentabilidad",
+      other: "Variación porcentual estimada del precio ante un cambio de {count} puntos básicos en la rentabilidad",
+    },
+    method: "Método",
+    change: "% de variación",
+    durationOnly: "Solo duración",
+    durationConvexity: "Duración + convexidad",
+    exact: "Revaloración exacta",
+  },
+  cashFlows: {
+    title: "Flujos de caja del bono",
+    chartActive: "Vista de gráfico activa",
+    tableActive: "Vista de tabla activa",
+    tooltipDate: "Fecha: {date} ({years})",
+    tooltipPeriod: "Periodo: {years}",
+    tooltipFloating: "Tipo del cupón {coupon} (referencia {reference}), descontado al {discount}",
+    tooltipIndexed: "Coeficiente de indexación {ratio}",
+    tooltipCredit: "Supervivencia {survival}, impago en el periodo {probability}",
+    description:
+      "Las barras apiladas muestran los pagos de cupón y el reembolso final del principal a lo largo del tiempo. La compra inicial aparece como una barra negativa en el periodo 0.",
+    comparisonDescription:
+      "Las barras agrupadas comparan el flujo total de {bonds} en cada fecha de pago. Cada compra aparece como una barra negativa en el año 0.",
+    worstDescription: "Los flujos se detienen en el {scenario}, el escenario del peor caso.",
+    shocksDescription: "Las líneas sobre las barras muestran el valor actual de cada pago sin choque y en cada escenario: {scenarios}.",
+    purchase: "Compra inicial",
+    coupon: "Pago del cupón",
+    principal: "Reembolso del principal",
+    real: "Flujo real (dinero de la liquidación)",
+    expected: "Flujo esperado (con impago)",
+    basePresentValue: "Valor actual (sin choque)",
+    shockedPresentValue: "Valor actual: {name}",
+    fadedBars: {
+      one: "Barras atenuadas: {count} pago ya realizado en el paso de convergencia a la par",
+      other: "Barras atenuadas: {count} pagos ya realizados en el paso de convergencia a la par",
+    },
+    skipToTable: "Saltar a la tabla de datos",
+    redemptionScenario: "Escenario de amortización",
+    toMaturity: "Al vencimiento",
+    toWorst: "Peor caso ({scenario})",
+    displayOptions: "Opciones de visualización de los flujos del bono",
+    showChart: "Ver gráfico",
+    showChartLabel: "Mostrar los flujos del bono como gráfico",
+    showTable: "Ver tabla",
+    showTableLabel: "Mostrar los flujos del bono como tabla",
+    yearsAxis: "Años",
+    dateAxis: "Fecha de pago",
+    comparisonCaption:
+      "Tabla que compara el flujo total de {bonds} en cada fecha de pago. Los valores con signo menos son salidas de caja.",
+    comparisonNote:
+      "Nota: los valores con signo menos son flujos negativos (salidas). Los plazos se miden en años desde la compra.",
+    captionPurchase: "Tabla de flujos del bono: compra inicial de {price} en el año 0,",
+    captionPurchaseDated: "Tabla de flujos del bono: compra inicial de {price} en la liquidación, el {date},",
+    captionZero: "seguida de un único reembolso de {faceValue} al vencimiento, sin cupones.",
+    captionFloating: {
+      one: "seguida de {count} cupón {frequency} de {first} proyectado con el tipo de referencia más el margen cotizado, más la devolución del principal de {principal} al vencimiento.",
+      other: "seguida de {count} cupones {frequency} proyectados con el tipo de referencia más el margen cotizado, de {first} a {last}, más la devolución del principal de {principal} al vencimiento.",
+    },
+    captionIndexed: {
+      one: "seguida de {count} cupón {frequency} de {coupon} en términos reales, multiplicado por el coeficiente de indexación, más la devolución del principal indexado de {principal} al vencimiento.",
+      other: "seguida de {count} cupones {frequency} de {coupon} cada uno en términos reales, multiplicados por el coeficiente de indexación, más la devolución del principal indexado de {principal} al vencimiento.",
+    },
+    captionBullet: {
+      one: "seguida de {count} pago de cupón {frequency} de {coupon}, más el reembolso del principal de {principal} al vencimiento.",
+      other: "seguida de {count} pagos de cupón {frequency} de {coupon} cada uno, más el reembolso del principal de {principal} al vencimiento.",
+    },
+    captionBulletRedeemed: {
+      one: "seguida de {count} pago de cupón {frequency} de {coupon}, más el reembolso del principal de {principal} en la amortización.",
+      other: "seguida de {count} pagos de cupón {frequency} de {coupon} cada uno, más el reembolso del principal de {principal} en la amortización.",
+    },
+    captionAmortizing: {
+      one: "seguida de {count} pago {frequency} de intereses sobre el saldo pendiente más las amortizaciones programadas del principal, que suman {faceValue}.",
+      other: "seguida de {count} pagos {frequency} de intereses sobre el saldo pendiente más las amortizaciones programadas del principal, que suman {faceValue}.",
+    },
+    captionWorst: "El bono se muestra amortizado anticipadamente en el {scenario}, su escenario del peor caso.",
+    captionCredit:
+      "Cada flujo prometido va seguido de su valor esperado teniendo en cuenta el impago, y la compra del precio con riesgo de {price}.",
+    captionShocks: "Las últimas columnas dan el valor actual de cada pago sin choque y en cada escenario de choque.",
+    captionOutflows: "Los valores con signo menos son salidas de caja.",
+    periodColumn: "Periodo (años)",
+    dateColumn: "Fecha (años)",
+    couponColumn: "Pago del cupón",
+    principalColumn: "Pago del principal",
+    totalColumn: "Flujo total",
+    outstandingColumn: "Principal pendiente",
+    referenceRateColumn: "Tipo de referencia",
+    couponRateColumn: "Tipo del cupón",
+    discountRateColumn: "Tipo de descuento",
+    indexRatioColumn: "Coeficiente de indexación",
+    realCouponColumn: "Cupón real",
+    realPrincipalColumn: "Principal real",
+    realTotalColumn: "Total real",
+    spotRateColumn: "Tipo al contado",
+    discountFactorColumn: "Factor de descuento",
+    presentValueColumn: "Valor actual",
+    survivalColumn: "Supervivencia",
+    defaultProbabilityColumn: "Impago en el Periodo",
+    exposureColumn: "Exposición al Impago",
+    expectedLossColumn: "Pérdida Esperada",
+    expectedColumn: "Flujo Esperado",
+    riskyPresentValueColumn: "Valor Actual con Riesgo",
+    notDiscounted: "Sin descontar",
+    noDefault: "Sin impago en la compra",
+    note: "Nota: los valores con signo menos son flujos negativos (salidas).",
+    indexedNote:
+      "Cupón, principal y total son los importes indexados que se pagan; las columnas reales los dividen entre el coeficiente de indexación, en dinero de la fecha de liquidación.",
+    creditNote:
+      "La supervivencia es la probabilidad de que el emisor no haya incurrido en impago al final de cada periodo. El flujo esperado es el flujo prometido por esa probabilidad más lo recuperado por la probabilidad de impago en el periodo; descontados al rendimiento sin riesgo, los flujos esperados suman el precio con riesgo.",
+    shocksNote:
+      "Los valores actuales con choque descuentan los flujos prometidos con cada tipo desplazado según el choque en el plazo del pago.",
+    fractionalPeriod: "El primer periodo es fraccionario: queda {fraction} de un periodo de cupón hasta el {date}.",
+    explore: {
+      roleDescription: "gráfico interactivo",
+      instructions:
+        "Ponga el foco en el gráfico y use las flechas izquierda y derecha para pasar de un pago a otro, Inicio y Fin para el primero y el último, y Escape para salir de las barras.",
+      purchase: "{when}: compra por {amount}. Barra {position} de {count}.",
+      payment: "{when}: cupón {coupon}, principal {principal}, total {total}. Barra {position} de {count}.",
+      expected: "Esperado con impago: {amount}.",
+      comparison: "{when}: {flows}. Barra {position} de {count}.",
+    },
+    sound: {
+      label: "Flujos como sonido",
+      play: "Reproducir como sonido",
+      stop: "Detener el sonido",
+      onExplore: "Tono en cada barra",
+    },
+  },
+  export: {
+    label: "Exportar flujos de caja",
+    heading: "Exportar:",
+    excel: "Excel (.xlsx)",
+    print: "Imprimir / Guardar como PDF",
+    note: "Los archivos contienen los números sin formato, con los supuestos y los totales.",
+  },
+  report: {
+    sheetName: "Flujos de caja",
+    title: "Calendario de flujos del bono",
+    assumptions: "Datos y supuestos",
+    results: "Resultados",
+    fullPrice: "Precio sucio",
+    accruedInterest: "Cupón corrido",
+    cleanPrice: "Precio limpio",
+    pvCoupons: "VA de los cupones",
+    pvPrincipal: "VA del principal",
+    macaulay: "Duración de Macaulay (años)",
+    modified: "Duración modificada",
+    money: "Duración monetaria",
+    pvbp: "PVBP / DV01",
+    convexity: "Convexidad",
+    cashFlows: "Flujos de caja (la compra aparece como flujo negativo en el periodo 0)",
+    period: "Periodo",
+    years: "Años",
+    date: "Fecha",
+    coupon: "Pago del cupón",
+    principal: "Pago del principal",
+    total: "Flujo total",
+    outstanding: "Principal pendiente",
+    spotRate: "Tipo al contado (%)",
+    discountFactor: "Factor de descuento",
+    presentValue: "Valor actual",
+    referenceRate: "Tipo de referencia (%)",
+    couponRate: "Tipo del cupón (%)",
+    discountRate: "Tipo de descuento (%)",
+    rateDuration: "Duración al tipo de referencia (años)",
+    spreadDuration: "Duración al diferencial (años)",
+    indexRatio: "Coeficiente de indexación",
+    realCoupon: "Cupón real",
+    realPrincipal: "Principal real",
+    realTotal: "Total real",
+    realYield: "Rentabilidad real (%)",
+    nominalYield: "Rentabilidad nominal (%)",
+    breakeven: "Inflación de equilibrio (%)",
+    pathInflation: "Inflación de la trayectoria proyectada (%)",
+    survival: "Supervivencia (%)",
+    defaultProbability: "Impago en el periodo (%)",
+    exposure: "Exposición al impago",
+    expectedLoss: "Pérdida esperada",
+    expectedCashFlow: "Flujo esperado",
+    riskyPresentValue: "Valor actual con riesgo",
+    riskyPrice: "Precio con riesgo",
+    cva: "Ajuste de valoración por crédito",
+    riskyYield: "Rendimiento al precio con riesgo (%)",
+    creditSpread: "Diferencial de crédito implícito (pb)",
+    totalRow: "Total",
+  },
+  pullToPar: {
+    intro:
+      "Manteniendo constante la rentabilidad, el precio se recalcula tras cada cupón. Los precios con prima y con descuento convergen al principal aún adeudado y lo alcanzan al vencimiento.",
+    case: {
+      current: "Este bono (TIR {ytm})",
+      premium: "Caso con prima (TIR {ytm})",
+      par: "Caso a la par (TIR {ytm})",
+      discount: "Caso con descuento (TIR {ytm})",
+    },
+    play: "Reproducir",
+    pause: "Pausa",
+    replay: "Repetir",
+    couponsPaid: "Cupones pagados:",
+    stepValue: {
+      one: "{step} de {count} cupón pagado",
+      other: "{step} de {count} cupones pagados",
+    },
+    chartLabel: "Gráfico de líneas del precio del bono durante su vida restante, convergiendo a la par",
+    yearsAxis: "Años desde la liquidación",
+    outstanding: "Principal pendiente",
+    atSettlement: "En la liquidación este bono vale {price} (limpio) frente a un nominal de {par}.",
+    afterCoupons: {
+      one: "Tras {step} de {periods} cupones ({years}), este bono vale {price} frente a {par} de principal pendiente; queda {count} pago.",
+      other:
+        "Tras {step} de {periods} cupones ({years}), este bono vale {price} frente a {par} de principal pendiente; quedan {count} pagos.",
+    },
+  },
+  horizon: {
+    errors: {
+      horizon: "El horizonte debe ser mayor que 0 y de {max} años como máximo",
+      reinvestment: "El tipo de reinversión debe estar entre {min} y {max}",
+      exit: "La rentabilidad de salida debe estar entre {min} y {max}",
+    },
+    couponIncome: "Ingresos por cupones",
+    interestOnInterest: "Intereses de los intereses",
+    capitalGain: "Plusvalía",
+    capitalLoss: "Minusvalía",
+    horizon: "Horizonte",
+    yearsUnit: "años",
+    reinvestmentRate: "Tipo de reinversión",
+    exitYield: "Rentabilidad de salida",
+    useYtm: "Usar la TIR actual ({ytm})",
+    durationNote:
+      "Con ambos tipos iguales a la TIR, la rentabilidad al horizonte es igual a la TIR. Con un horizonte igual a la duración de Macaulay ({duration} años), un pequeño desplazamiento paralelo apenas la cambia.",
+    pricePaid: "Precio pagado (sucio)",
+    reinvested: "Flujos reinvertidos al horizonte",
+    salePrice: "Precio de venta al horizonte",
+    notApplicable: "No aplicable",
+    heldToMaturity: "— (mantenido hasta el vencimiento)",
+    totalValue: "Valor total al horizonte",
+    totalReturn: "Rentabilidad total",
+    horizonYield: "Rentabilidad anualizada al horizonte",
+    compounding: "Con capitalización {compounding}, como la TIR del {ytm}.",
+    principalBefore: "Incluye {amount} de principal reembolsado antes del horizonte.",
+    sources: "Fuentes de rentabilidad",
+    sourcesCaption: "Desglose de la rentabilidad en términos monetarios durante el horizonte",
+    totalDollarReturn: "Rentabilidad total en términos monetarios",
+  },
+  sensitivity: {
+    unavailable:
+      "Un bono cupón cero valorado con fechas de liquidación solo tiene un dato que variar. Cambie a años al vencimiento para ver una cuadrícula.",
+    unavailableFloating:
+      "La cuadrícula varía un tipo del cupón fijo y una rentabilidad única; los cupones y los tipos de descuento de un bono de tipo variable siguen en cambio su trayectoria de referencia.",
+    unavailableIndexed:
+      "La cuadrícula varía el tipo del cupón, una única rentabilidad y el plazo; los coeficientes de indexación de un bono ligado a la inflación van unidos a sus fechas de pago, y se valora con una base real o nominal.",
+    field: {
+      couponRate: "Tipo del cupón",
+      ytm: "TIR",
+      years: "Años al vencimiento",
+    },
+    yearsShort: "{value} a",
+    axes: "Ejes de la cuadrícula",
+    vary: "Variar:",
+    layout: {
+      "coupon-ytm": "Tipo del cupón × TIR",
+      "ytm-maturity": "TIR × vencimiento",
+    },
+    cellValues: "Valores de las celdas",
+    show: "Mostrar:",
+    cleanPrice: "Precio limpio",
+    premium: "% prima / descuento",
+    captionPrice:
+      "Precio limpio por {rows} (filas) y {columns} (columnas). Los datos actuales están marcados. Seleccione una celda para cargarla en la calculadora.",
+    captionPremium:
+      "Prima o descuento porcentual sobre la par por {rows} (filas) y {columns} (columnas). Los datos actuales están marcados. Seleccione una celda para cargarla en la calculadora.",
+    cell: "{row}, {column}: precio limpio {price}, {status}. Cargar en la calculadora",
+    cellCurrent: "{row}, {column}: precio limpio {price}, {status}, datos actuales",
+    currentInputs: "Datos actuales",
+  },
+  shocks: {
+    intro:
+      "Cada choque desplaza los tipos a los que se descuenta el bono en un número de puntos básicos: igual en todos los plazos (paralelo), girando entre un plazo corto y uno largo (giro) o interpolado entre plazos clave (por plazo).",
+    label: {
+      parallel: "Paralelo {shift} pb",
+      steepener: "Positivización {short}–{long} ({shortShift}/{longShift} pb)",
+      flattener: "Aplanamiento {short}–{long} ({shortShift}/{longShift} pb)",
+      custom: "Desplazamiento por plazo",
+    },
+    nameLabel: "Nombre del choque {number}",
+    kindLabel: "Forma de {name}",
+    shift: "Desplazamiento",
+    years: "(años)",
+    shortTenor: "Plazo corto",
+    longTenor: "Plazo largo",
+    shiftThere: "desplazamiento",
+    pointsLabel: "Desplazamiento en cada plazo clave de {name}",
+    pointLabel: { one: "Desplazamiento a {tenor} año en puntos básicos", other: "Desplazamiento a {tenor} años en puntos básicos" },
+    pointsHelp: "pb; lineal entre plazos, constante fuera de ellos",
+    remove: "Quitar",
+    removeLabel: "Quitar {name}",
+    add: "Añadir choque",
+    restore: "Restablecer los choques estándar",
+    overlay: "Superponer en el gráfico de flujos",
+    caption: "Precio del bono sin choque y con cada choque, con la variación del precio y en porcentaje",
+    scenarioColumn: "Escenario",
+    priceColumn: "Precio",
+    changeColumn: "Variación",
+    percentColumn: "% Variación",
+    base: "Sin choque",
+    notPriced: "Sin precio",
+    note:
+      "Los precios incluyen el cupón corrido. Los choques revalorizan los flujos prometidos hasta el vencimiento: no se vuelven a evaluar las opciones de compra y de venta ni el impago, el cupón vigente de un bono de tipo variable se mantiene mientras los siguientes se revisan, y un bono ligado a la inflación conserva sus coeficientes de indexación.",
+    saveAs: "Guardar este conjunto de choques como:",
+    defaultName: "Conjunto de choques {number}",
+    saved: "Guardado «{name}»; aplíquelo a cualquier bono desde la lista de abajo.",
+    applied: "Aplicado «{name}».",
+    storageFailed: "Este navegador no ha guardado los conjuntos de choques.",
+    empty: "Aún no hay conjuntos de choques guardados. Los conjuntos guardados se quedan en este navegador.",
+    summary: { one: "{count} choque · guardado el {date}", other: "{count} choques · guardado el {date}" },
+    apply: "Aplicar",
+    applyLabel: "Aplicar {name}",
+  },
+  priceYield: {
+    title: "Curva precio–rentabilidad",
+    description:
+      "La curva representa el precio del bono frente a la rentabilidad al vencimiento entre {from} y {to}. La rentabilidad actual del {ytm} da un precio de {price}.",
+    tangentDescription:
+      "La tangente discontinua es la estimación con la duración modificada de {value}; queda por debajo de la curva a ambos lados por la convexidad.",
+    tooltipYtm: "TIR: {value}",
+    tooltipPrice: "Precio: {value}",
+    tooltipEstimate: "Estimación por duración: {value}",
+    clickHint: "Haga clic para usar esta rentabilidad",
+    bondPrice: "Precio del bono",
+    tangent: "Tangente de duración",
+    showTangent: "Mostrar la tangente de duración",
+    xAxis: "Rentabilidad al vencimiento",
+  },
+  comparison: {
+    caption:
+      "Comparación lado a lado del precio, la situación de prima o descuento, el reparto del valor actual y las medidas de riesgo de {names}",
+    measure: "Medida",
+    edit: "Editar {name}",
+    yearsShort: "{value} años",
+    invalidNote: "Los guiones marcan un bono cuyos datos hay que corregir.",
+    row: {
+      bondType: "Tipo de bono",
+      couponRate: "Tipo del cupón",
+      ytm: "Rentabilidad al vencimiento",
+      years: "Años al vencimiento",
+      fullPrice: "Precio sucio",
+      cleanPrice: "Precio limpio",
+      status: "Situación",
+      pvCoupons: "VA de los cupones",
+      pvPrincipal: "VA del principal",
+      couponShare: "Peso de los cupones en el precio",
+      macaulay: "Duración de Macaulay",
+      modified: "Duración modificada",
+      money: "Duración monetaria",
+      pvbp: "PVBP / DV01",
+      convexity: "Convexidad",
+    },
+  },
+  practice: {
+    question: {
+      price: "¿Cuál es el precio de este bono?",
+      status: "¿Este bono cotiza con prima, a la par o con descuento?",
+      pvFace: "¿Cuál es el valor actual del nominal?",
+      pvCoupons: "¿Cuál es el valor actual de los pagos de cupón?",
+    },
+    chooseStatus: "Elija prima, a la par o descuento.",
+    enterNumber: "Introduzca un número, por ejemplo {example}.",
+    invalidSeed: "El número de una serie de problemas es un entero, como 4821.",
+    set: "Serie de problemas {seed}",
+    progress: "pregunta {current} de {count}",
+    score: "Puntuación de la sesión: {score}",
+    openSet: "Abrir serie n.º",
+    open: "Abrir",
+    newSet: "Nueva serie",
+    complete: "Serie n.º {seed} completada.",
+    shareNote: "Comparta el número de serie para que otra persona intente las mismas preguntas, o empiece una serie nueva.",
+    startNew: "Empezar una serie nueva",
+    faceValue: "Valor nominal",
+    couponRate: "Tipo del cupón",
+    ytm: "Rentabilidad al vencimiento",
+    years: "Años al vencimiento",
+    coupons: "Cupones",
+    yourAnswer: "Su respuesta",
+    tolerance: "Se acepta con un margen de ±{value}",
+    check: "Comprobar",
+    next: "Siguiente pregunta",
+    finish: "Terminar la serie",
+    correct: "Correcto. La respuesta es {answer}.",
+    incorrect: "No exactamente. La respuesta es {answer}.",
+    workedSolution: "Solución desarrollada",
+    statusExplanation:
+      "Compare el precio con el valor nominal de {faceValue}: de forma equivalente, un cupón por encima de la rentabilidad implica prima y por debajo, descuento.",
+  },
+  saved: {
+    storageFailed: "Este navegador no ha guardado los escenarios; expórtelos para conservar una copia.",
+    defaultName: "Escenario {number}",
+    saved: "Guardado «{name}».",
+    nameRequired: "Un escenario necesita un nombre.",
+    renamed: "Renombrado a «{name}».",
+    deleted: "Eliminado «{name}».",
+    linkCopied: "Enlace copiado: abre la calculadora con estos datos.",
+    clipboardBlocked: "Copie la barra de direcciones para compartir estos datos; el navegador bloqueó el portapapeles.",
+    imported: { one: "Importado {count} escenario.", other: "Importados {count} escenarios." },
+    importFailed: "Error al importar: {message}.",
+    importError: {
+      invalidJson: "El archivo no es JSON válido",
+      noList: "El archivo no contiene una lista de escenarios",
+      noScenarios: "No se encontró ningún escenario válido en el archivo",
+    },
+    saveAs: "Guardar los datos actuales como:",
+    save: "Guardar",
+    copyLink: "Copiar enlace",
+    exportJson: "Exportar JSON",
+    importJson: "Importar JSON",
+    importLabel: "Importar escenarios desde un archivo JSON",
+    empty: "Aún no hay escenarios guardados. Los escenarios guardados se quedan en este navegador.",
+    newNameFor: "Nuevo nombre para {name}",
+    saveName: "Guardar nombre",
+    cancel: "Cancelar",
+    summary: { one: "{count} bono · guardado el {date}", other: "{count} bonos · guardado el {date}" },
+    load: "Cargar",
+    loadLabel: "Cargar {name}",
+    rename: "Renombrar",
+    renameLabel: "Renombrar {name}",
+    delete: "Eliminar",
+    deleteLabel: "Eliminar {name}",
+  },
+  spotCurve: {
+    title: "Curva al contado",
+    specifyAs: "Definir como:",
+    caption: "Tipos al contado por plazo, interpolados linealmente entre plazos",
+    tenor: "Plazo (años)",
+    rate: "Tipo al contado (%)",
+    tenorLabel: "Plazo {number} en años",
+    rateLabel: "Tipo al contado {number} en porcentaje",
+    removeLabel: { one: "Quitar el plazo de {value} año", other: "Quitar el plazo de {value} años" },
+    add: "Añadir plazo",
+    interpolationNote: "Los tipos se interpolan linealmente entre plazos y se mantienen constantes más allá de los extremos.",
+    nelsonSiegel: {
+      beta0: "β₀ (nivel, %)",
+      beta1: "β₁ (pendiente, %)",
+      beta2: "β₂ (curvatura, %)",
+      tau: "τ (decaimiento, años)",
+    },
+    previewLabel: "Vista previa de la curva al contado: tipo al contado por plazo",
+    spotRate: "Tipo al contado",
+  },
+  floating: {
+    title: "Bono de tipo variable",
+    projectAs: "Tipo de referencia:",
+    rate: "Tipo de referencia",
+    startRate: "Tipo de referencia inicial",
+    step: "Escalón",
+    percentagePoints: "(puntos porcentuales)",
+    stepYears: "Cada",
+    ratesLabel: "Tipo de referencia de cada periodo (%)",
+    ratesHelp: "Un tipo por periodo de cupón, separados por espacios o saltos de línea; el último tipo se mantiene hasta el vencimiento.",
+    quotedMargin: "Margen cotizado",
+    discountMargin: "Margen de descuento",
+    marginNote:
+      "El margen cotizado está fijado en las condiciones del bono y se suma al tipo de referencia para fijar cada cupón. El margen de descuento es el diferencial sobre el tipo de referencia que exige hoy el mercado.",
+    previewLabel: "Tipos de referencia, del cupón y de descuento proyectados por periodo",
+    referenceRate: "Tipo de referencia",
+    couponRate: "Tipo del cupón",
+    discountRate: "Tipo de descuento",
+    basisPoints: "{value} pb",
+    analysis: {
+      heading: "Bono de tipo variable",
+      currentReference: "Tipo de referencia actual",
+      currentCoupon: "Tipo del cupón actual",
+      currentDiscount: "Tipo de descuento actual",
+      rateDuration: "Duración al tipo de referencia",
+      spreadDuration: "Duración al diferencial",
+      par:
+        "El margen cotizado ({quotedMargin}) es igual al margen de descuento ({discountMargin}), así que cada cupón se paga exactamente al tipo al que se descuenta. En la última revisión, la par más el último cupón descontados un periodo a ese mismo tipo valen la par; retrocediendo periodo a periodo, el bono vale la par en cada fecha de revisión, sea cual sea la trayectoria del tipo de referencia.",
+      premium:
+        "El margen cotizado ({quotedMargin}) supera en {difference} al margen de descuento ({discountMargin}): cada cupón paga sobre el tipo de referencia más de lo que hoy exige el mercado, así que el bono cotiza por encima de la par. La prima es el valor actual de ese margen adicional hasta el vencimiento.",
+      discount:
+        "El margen cotizado ({quotedMargin}) queda {difference} por debajo del margen de descuento ({discountMargin}): cada cupón paga sobre el tipo de referencia menos de lo que hoy exige el mercado, así que el bono cotiza por debajo de la par. El descuento es el valor actual de esa diferencia hasta el vencimiento.",
+      betweenResets:
+        "La liquidación cae entre dos fechas de revisión, así que el precio total incluye también el interés devengado desde la última revisión, y el precio puede alejarse de la par hasta la siguiente.",
+      durations:
+        "El cupón actual se fijó en la última revisión, así que un movimiento del tipo de referencia solo afecta al precio hasta la próxima revisión (duración al tipo de referencia). Un cambio en el margen de descuento no lo compensan los cupones, así que el bono sigue expuesto a él hasta el vencimiento (duración al diferencial).",
+    },
+  },
+  inflation: {
+    title: "Bono ligado a la inflación",
+    projectAs: "Índice de inflación:",
+    rate: "Inflación",
+    baseCpi: "IPC base (en la liquidación)",
+    cpiLabel: "Nivel del IPC en cada fecha de cupón",
+    cpiHelp: "Un nivel por fecha de cupón, separados por espacios o saltos de línea; el último nivel se mantiene hasta el vencimiento.",
+    realYield: "Rentabilidad real",
+    basis: "Base de valoración",
+    priceOff: "Valorar con:",
+    realBasis: "Rentabilidad real",
+    nominalBasis: "Rentabilidad nominal",
+    basisNote: {
+      real: "Los cupones y el principal reales se descuentan a la rentabilidad real; la rentabilidad nominal de los pagos indexados se obtiene de ese precio.",
+      nominal:
+        "Los cupones y el principal indexados se descuentan a la rentabilidad nominal; la rentabilidad real de los pagos reales se obtiene de ese precio.",
+    },
+    previewLabel: "Coeficiente de indexación proyectado por fecha de pago",
+    indexRatio: "Coeficiente de indexación",
+    ratioTooltip: "{ratio} ({change} de inflación acumulada)",
+    analysis: {
+      heading: "Inflación de equilibrio",
+      breakeven: "Inflación de equilibrio (rentabilidades de mercado)",
+      pathInflation: "Inflación de la trayectoria proyectada",
+      realYield: "Rentabilidad real",
+      nominalYield: "Rentabilidad nominal",
+      indexRatio: "Coeficiente de indexación al vencimiento",
+      priceAtReal: "Precio a la rentabilidad real",
+      priceAtNominal: "Precio a la rentabilidad nominal",
+      explanation:
+        "La inflación de equilibrio ({breakeven} anual) es la tasa con la que la rentabilidad real más la inflación igualan la rentabilidad nominal. Si la inflación la supera, el bono indexado rinde más que un bono nominal a esa rentabilidad; si queda por debajo, rinde más el bono nominal.",
+      matches:
+        "La trayectoria proyectada supone una inflación del {path} anual, en línea con la de equilibrio, así que el bono vale lo mismo en ambas bases: {priceAtReal} a la rentabilidad real y {priceAtNominal} a la rentabilidad nominal.",
+      above:
+        "La trayectoria proyectada supone una inflación del {path} anual, superior a la de equilibrio, así que los pagos indexados valen más a la rentabilidad nominal ({priceAtNominal}) que los pagos reales a la rentabilidad real ({priceAtReal}).",
+      below:
+        "La trayectoria proyectada supone una inflación del {path} anual, inferior a la de equilibrio, así que los pagos indexados valen menos a la rentabilidad nominal ({priceAtNominal}) que los pagos reales a la rentabilidad real ({priceAtReal}).",
+      basis: {
+        real: "El precio mostrado usa la rentabilidad real, así que no depende de la trayectoria de la inflación; la trayectoria solo fija los importes pagados.",
+        nominal: "El precio mostrado usa la rentabilidad nominal, así que sube y baja con la inflación que supone la trayectoria.",
+      },
+    },
+  },
+  credit: {
+    title: "Riesgo de crédito",
+    enable: "Tener en cuenta el impago",
+    defaultAs: "Probabilidad de impago:",
+    probability: "Probabilidad de impago",
+    perYear: "(% anual)",
+    probabilitiesLabel: "Probabilidad anual de impago de cada año (%)",
+    probabilitiesHelp: "Una probabilidad por año, separadas por espacios o saltos de línea; la última se mantiene hasta el vencimiento.",
+    recoveryRate: "Tasa de recuperación",
+    ofExposure: "(% de la exposición)",
+    note:
+      "Cada probabilidad es la de impago dentro del año para un emisor que ha sobrevivido hasta entonces. Si hay impago, los tenedores recuperan esa parte de la exposición: el valor de los flujos aún prometidos, al rendimiento sin riesgo.",
+    previewLabel: "Probabilidad de que el emisor sobreviva hasta cada fecha de pago",
+    survival: "Supervivencia",
+    analysis: {
+      heading: "Riesgo de Crédito",
+      riskFreePrice: "Precio sin riesgo de impago",
+      riskyPrice: "Precio con riesgo",
+      cva: "Ajuste de valoración por crédito",
+      expectedLoss: "Pérdida esperada (sin descontar)",
+      cumulativeDefault: "Probabilidad de impago hasta el vencimiento",
+      recoveryRate: "Tasa de recuperación",
+      riskyYield: "Rendimiento al precio con riesgo",
+      creditSpread: "Diferencial de crédito implícito",
+      explanation:
+        "Ponderar cada flujo prometido por la probabilidad de que se pague, y cada recuperación por la probabilidad de impago, da los flujos esperados. Al rendimiento sin riesgo ({riskFreeYield}) valen {riskyPrice}, {cva} menos que los {riskFreePrice} que valdrían los flujos prometidos si el impago fuera imposible.",
+      spread:
+        "A {riskyPrice} los flujos prometidos rinden un {riskyYield}, un diferencial de crédito de {spread} sobre el rendimiento sin riesgo: la rentabilidad adicional que los tenedores exigen por las pérdidas que esperan.",
+    },
+  },
+  exercise: {
+    date: "Fecha",
+    year: "Año",
+    price: "Precio (%)",
+    datesNote: "Las fechas se trasladan a la siguiente fecha de cupón.",
+    yearsNote: "Los años deben coincidir con una fecha de cupón.",
+    call: {
+      title: "Calendario de amortización anticipada (call)",
+      caption: "Fechas y precios call como porcentaje del principal pendiente",
+      dateLabel: "Fecha call {number}",
+      yearsLabel: "Fecha call {number} en años",
+      priceLabel: "Precio call {number} en porcentaje del principal",
+      removeLabel: "Quitar la fecha call {number}",
+      add: "Añadir fecha call",
+      note: "El emisor puede amortizar el bono anticipadamente al precio call.",
+    },
+    put: {
+      title: "Calendario de venta anticipada (put)",
+      caption: "Fechas y precios put como porcentaje del principal pendiente",
+      dateLabel: "Fecha put {number}",
+      yearsLabel: "Fecha put {number} en años",
+      priceLabel: "Precio put {number} en porcentaje del principal",
+      removeLabel: "Quitar la fecha put {number}",
+      add: "Añadir fecha put",
+      note: "El tenedor puede revender el bono anticipadamente al precio put.",
+    },
+  },
+  scenario: {
+    defaultName: "Bono {letter}",
+  },
+  assumptions: {
+    profile: "Límites de entrada",
+    bondType: "Tipo de bono",
+    faceValue: "Valor nominal",
+    couponRate: "Tipo del cupón (%)",
+    frequency: "Pagos al año",
+    discounting: "Descuento",
+    spotCurve: "Curva al contado",
+    singleYield: "Rentabilidad al vencimiento única",
+    impliedYtm: "Rentabilidad al vencimiento implícita (%)",
+    ytm: "Rentabilidad al vencimiento (%)",
+    years: "Años al vencimiento",
+    quotedPrice: "Precio limpio cotizado",
+    settlementDate: "Fecha de liquidación",
+    maturityDate: "Fecha de vencimiento",
+    dayCount: "Base de cálculo",
+    sinkingFundPercent: "Amortización del fondo (% del nominal al año)",
+    sinkingFundStart: "Inicio del fondo de amortización (años)",
+    callPriceDate: "Precio call el {date} (%)",
+    callPriceYears: "Precio call en el año {years} (%)",
+    putPriceDate: "Precio put el {date} (%)",
+    putPriceYears: "Precio put en el año {years} (%)",
+    spotRate: "Tipo al contado a {tenor} años (%)",
+    nelsonSiegel: "Nelson–Siegel {parameter}",
+    referencePlusMargin: "Tipo de referencia + margen de descuento",
+    quotedMargin: "Margen cotizado (pb)",
+    discountMargin: "Margen de descuento (pb)",
+    referenceRate: "Tipo de referencia, periodo {period} (%)",
+    realCouponRate: "Tipo del cupón real (%)",
+    nominalYield: "Rentabilidad nominal (%)",
+    realYield: "Rentabilidad real (%)",
+    marketNominalYield: "Rentabilidad nominal de mercado (%)",
+    realBasis: "Cupones y principal reales a la rentabilidad real",
+    nominalBasis: "Cupones y principal indexados a la rentabilidad nominal",
+    inflationRate: "Inflación (% anual)",
+    baseCpi: "IPC base",
+    cpiLevel: "IPC, fecha de cupón {period}",
+    defaultProbability: "Probabilidad anual de impago (%)",
+    defaultProbabilityYear: "Probabilidad de impago, año {year} (%)",
+    recoveryRate: "Tasa de recuperación (%)",
+  },
+  locale: {
+    label: "Idioma y moneda",
+    language: "Idioma:",
+    currency: "Moneda:",
+  },
+  app: {
+    mode: "Modo",
+    modes: {
+      calculator: "Calculadora",
+      practice: "Práctica",
+    },
+    card: {
+      equation: "Ecuación de valoración del bono",
+      practice: "Práctica",
+      assumptions: "Datos y supuestos",
+      results: "Resultados y análisis",
+      resultsFor: "Resultados y análisis: {name}",
+      cashFlows: "Flujos de caja del bono",
+      priceYield: "Relación precio–rentabilidad",
+      pullToPar: "Convergencia a la par",
+      horizon: "Rentabilidad al horizonte y reinversión",
+      sensitivity: "Cuadrícula de sensibilidad",
+      shocks: "Análisis de escenarios",
+      comparison: "Comparación de bonos",
+      calculator: "Calculadora de flujos del bono",
+      saved: "Escenarios guardados",
+    },
+    bonds: "Bonos",
+    editing: "Editando:",
+    hasErrors: "tiene datos con errores",
+    removeBond: "Quitar {name}",
+    addBond: "Añadir un bono para comparar",
+  },
+  calculator: {
+    faceValue: "Valor nominal:",
+    profile: "Límites de entrada:",
+    frequency: "Frecuencia de pago:",
+    bondType: "Tipo de bono:",
+    discounting: "Descuento",
+    discountWith: "Descontar con:",
+    singleYtm: "TIR única",
+    spotCurve: "Curva al contado",
+    solveFor: "Calcular",
+    solveForLabel: "Calcular:",
+    price: "Precio",
+    cleanPrice: "Precio limpio",
+    ytm: "Rentabilidad al vencimiento",
+    nominalYield: "Rentabilidad nominal",
+    maturityInput: "Dato de vencimiento",
+    maturityAs: "Vencimiento como:",
+    years: "Años",
+    settlementDates: "Fechas de liquidación",
+    required: "Campos obligatorios",
+    couponRate: "Tipo del cupón",
+    realCouponRate: "Tipo del cupón real",
+    range: "({min} - {max})",
+    zeroCouponTitle: "Los bonos cupón cero no pagan cupón",
+    effectiveYield: "Rentabilidad anual efectiva: {value}",
+    perPar: "(por {faceValue} de nominal)",
+    settlementDate: "Fecha de liquidación",
+    maturityDate: "Fecha de vencimiento",
+    dayCount: "Base de cálculo",
+    yearsToMaturity: "Años al vencimiento",
+    sinkingFundPercent: "Amortizado por año",
+    percentOfFace: "(% del nominal)",
+    sinkingFundStart: "Primera amortización tras",
+    inYears: "(años)",
+    help: "Introduzca valores y la calculadora actualizará los resultados y el gráfico automáticamente.",
+  },
+};
@@ -0,0 +1,79 @@
+// ============================
+// LOCALE-AWARE FORMATTING
+// ============================
+// Every number the calculator shows goes through one of these formatters so decimal and group
+// separators, percent spacing, currency placement and the sign of negative amounts all follow
+// the chosen locale. Formatters are cached per option set because Intl constructors are slow.
+import { parseISODate } from "../engine/index.js";
+
+/**
+ * @typedef {object} Formatter
+ * @property {string} locale BCP 47 tag, e.g. "fr-FR"
+ * @property {string} currency ISO 4217 code, e.g. "EUR"
+ * @property {(amount: number, showNegativeAsParens?: boolean) => string} formatCurrency always two decimals;
+ *   the accounting style shows negatives the way the locale writes outflows (parentheses in en-US)
+ * @property {(value: number, digits?: number) => string} formatNumber fixed number of decimals
+ * @property {(value: number, maxDigits?: number) => string} formatDecimal up to `maxDigits` decimals, trailing zeros dropped
+ * @property {(value: number, digits?: number, signed?: boolean) => string} formatPercent `value` is already in percent
+ * @property {(isoDate: string) => string} formatDate a YYYY-MM-DD date in the locale's medium style
+ * @property {(items: string[]) => string} formatList "A, B and C" in the locale's words
+ */
+
+/**
+ * @param {string} locale
+ * @param {string} currency
+ * @returns {Formatter}
+ */
+export const createFormatter = (locale, currency) => {
+  const cache = new Map();
+  const numberFormat = (options) => {
+    const key = JSON.stringify(options);
+    if (!cache.has(key)) cache.set(key, new Intl.NumberFormat(locale, options));
+    return cache.get(key);
+  };
+  const fixed = (digits) => ({ minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeZone: "UTC" });
+  const listFormat = new Intl.ListFormat(locale, { type: "conjunction" });
+
+  return {
+    locale,
+    currency,
+    formatCurrency: (amount, showNegativeAsParens = false) =>
+      numberFormat({ style: "currency", currency, currencySign: showNegativeAsParens ? "accounting" : "standard", ...fixed(2) }).format(
+        Number.isNaN(amount) ? 0 : amount
+      ),
+    formatNumber: (value, digits = 2) => numberFormat(fixed(digits)).format(value),
+    formatDecimal: (value, maxDigits = 4) => numberFormat({ maximumFractionDigits: maxDigits }).format(value),
+    formatPercent: (value, digits = 2, signed = false) =>
+      numberFormat({ style: "percent", signDisplay: signed ? "exceptZero" : "auto", ...fixed(digits) }).format(value / 100),
+    formatDate: (isoDate) => {
+      const date = parseISODate(isoDate);
+      return date ? dateFormat.format(date) : isoDate;
+    },
+    formatList: (items) => listFormat.format(items),
+  };
+};
+
+/**
+ * Reads a typed number written with the locale's separators ("1.234,56" in de-DE), or with plain
+ * digits and a single full stop as the decimal point. Currency symbols and spaces are ignored.
+ * @param {string} text
+ * @param {string} locale
+ * @returns {number} NaN when the text is blank or not a number
+ */
+export const parseLocaleNumber = (text, locale) => {
+  const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+  const group = parts.find(({ type }) => type === "group")?.value ?? ",";
+  const decimal = parts.find(({ type }) => type === "decimal")?.value ?? ".";
+  // Spaces go first: several locales group digits with a (narrow) no-break space
+  let cleaned = String(text ?? "")
+    .replace(/\s/g, "")
+    .replace(/\p{Sc}/gu, "")
+    .replace("−", "-");
+  const typedPlainDecimal = decimal !== "." && !cleaned.includes(decimal) && cleaned.split(".").length === 2;
+  if (!typedPlainDecimal) {
+    if (!/\s/.test(group)) cleaned = cleaned.split(group).join("");
+    cleaned = cleaned.replace(decimal, ".");
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? Number(cleaned) : NaN;
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { createFormatter, parseLocaleNumber } from "./format.js";
+
+// Intl separates French digit groups and units with no-break spaces; compare on plain spaces
+const plain = (text) => text.replace(/[\u00a0\u202f]/g, " ");
+
+describe("createFormatter", () => {
+  it("writes negative amounts the way the locale writes outflows", () => {
+    expect(createFormatter("en-US", "USD").formatCurrency(-1234.5, true)).toBe("($1,234.50)");
+    expect(plain(createFormatter("fr-FR", "EUR").formatCurrency(-1234.5, true))).toBe("(1 234,50 €)");
+    expect(plain(createFormatter("es-ES", "EUR").formatCurrency(-1234.5, true))).toBe("-1234,50 €");
+    expect(createFormatter("en-US", "USD").formatCurrency(-1234.5)).toBe("-$1,234.50");
+  });
+
+  it("keeps the chosen currency whatever the locale", () => {
+    expect(createFormatter("en-GB", "CHF").formatCurrency(97.28)).toMatch(/CHF\s?97\.28/);
+    expect(createFormatter("en-US", "USD").formatCurrency(NaN)).toBe("$0.00");
+  });
+
+  it("formats percentages from values already in percent", () => {
+    expect(createFormatter("en-US", "USD").formatPercent(6.5)).toBe("6.50%");
+    expect(plain(createFormatter("fr-FR", "EUR").formatPercent(6.5, 1))).toBe("6,5 %");
+    expect(createFormatter("en-US", "USD").formatPercent(1.25, 2, true)).toBe("+1.25%");
+  });
+
+  it("drops trailing zeros in decimals and formats dates in UTC", () => {
+    const { formatDecimal, formatNumber, formatDate } = createFormatter("es-ES", "EUR");
+    expect(formatDecimal(2.5)).toBe("2,5");
+    expect(formatNumber(0.123456, 4)).toBe("0,1235");
+    expect(formatDate("2027-03-01")).toBe("1 mar 2027");
+    expect(formatDate("not a date")).toBe("not a date");
+  });
+});
+
+describe("parseLocaleNumber", () => {
+  it("reads the locale's separators and ignores currency symbols", () => {
+    expect(parseLocaleNumber("$1,972.80", "en-US")).toBe(1972.8);
+    expect(parseLocaleNumber("1 972,80 €", "fr-FR")).toBe(1972.8);
+    expect(parseLocaleNumber("1.972,80", "es-ES")).toBe(1972.8);
+    expect(parseLocaleNumber("−97,28", "fr-FR")).toBe(-97.28);
+  });
+
+  it("accepts a plain full stop as the decimal point", () => {
+    expect(parseLocaleNumber("97.28", "fr-FR")).toBe(97.28);
+  });
+
+  it("rejects text that is not a number", () => {
+    expect(parseLocaleNumber("", "en-US")).toBeNaN();
+    expect(parseLocaleNumber("about 97", "en-US")).toBeNaN();
+    expect(parseLocaleNumber("9,7,2", "fr-FR")).toBeNaN();
+  });
+});
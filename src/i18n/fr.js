@@ -0,0 +1,1011 @@
+// French messages; keys mirror en.js.
+export default {
+  frequency: {
+    1: "Annuel",
+    2: "Semestriel",
+    4: "Trimestriel",
+    12: "Mensuel",
+    other: "{count} fois par an",
+  },
+  status: {
+    premium: "Prime",
+    par: "Au pair",
+    discount: "Décote",
+  },
+  bondType: {
+    bullet: "In fine (obligation à coupons)",
+    zero: "Zéro-coupon",
+    "amortizing-level": "Amortissable – annuités constantes",
+    "amortizing-equal": "Amortissable – amortissement constant",
+    "sinking-fund": "Fonds d’amortissement",
+    "floating-rate": "Obligation à taux variable (FRN)",
+    "inflation-linked": "Indexée sur l’inflation (capital indexé)",
+  },
+  curveModel: {
+    points: "Tableau maturités / taux",
+    "nelson-siegel": "Nelson–Siegel",
+  },
+  referenceModel: {
+    flat: "Constant",
+    stepped: "Par paliers",
+    custom: "Par période",
+  },
+  inflationModel: {
+    flat: "Inflation constante",
+    cpi: "Série d’IPC",
+  },
+  defaultModel: {
+    flat: "Constante",
+    term: "Par année",
+  },
+  shockKind: {
+    parallel: "Parallèle",
+    twist: "Rotation",
+    custom: "Par échéance",
+  },
+  profile: {
+    exam: "Exercice d’examen",
+    professional: "Professionnel",
+  },
+  validation: {
+    heading: "Veuillez corriger les points suivants :",
+    couponRate: "Le taux du coupon doit être compris entre {min} et {max}",
+    ytm: "Le rendement à l’échéance doit être compris entre {min} et {max}",
+    quotedPrice: "Le prix doit être supérieur à 0",
+    noYield: "Aucun rendement ne reproduit ce prix",
+    settlementDate: "Saisissez une date de règlement valide",
+    maturityDate: "Saisissez une date d’échéance valide",
+    maturityAfterSettlement: "La date d’échéance doit être postérieure à la date de règlement",
+    maturityWithin: {
+      one: "La date d’échéance doit se situer dans un délai de {max} an après le règlement",
+      other: "La date d’échéance doit se situer dans un délai de {max} ans après le règlement",
+    },
+    years: "Le nombre d’années jusqu’à l’échéance doit être compris entre {min} et {max}",
+    wholePeriods: "Le nombre d’années jusqu’à l’échéance doit correspondre à un nombre entier de périodes ({frequency})",
+    faceValue: "La valeur nominale doit être supérieure à 0",
+    frequency: "Choisissez une fréquence de coupon annuelle, semestrielle, trimestrielle ou mensuelle",
+    spotCurveEmpty: "Saisissez au moins un taux zéro-coupon",
+    spotCurvePoints: "Les maturités de la courbe doivent être positives et chaque maturité doit avoir un taux",
+    spotCurveDuplicate: "Les maturités de la courbe doivent être différentes",
+    nelsonSiegel: "Les paramètres de Nelson–Siegel doivent être des nombres et τ doit être positif",
+    sinkingFundPercent: "Le remboursement du fonds d’amortissement doit être compris entre 0 % et 100 % par an",
+    sinkingFundStart: "Le fonds d’amortissement doit commencer avant l’échéance",
+    referenceRatesEmpty: "Saisissez un taux de référence au moins pour la première période",
+    referenceStepYears: "Le nombre d’années entre deux paliers du taux de référence doit être supérieur à 0",
+    referenceRate: "Chaque taux de référence projeté doit être compris entre {min} et {max}",
+    quotedMargin: "La marge faciale doit être comprise entre {min} et {max} pb",
+    discountMargin: "La marge actuarielle doit être comprise entre {min} et {max} pb",
+    realYield: "Le rendement réel doit être compris entre {min} et {max}",
+    inflationRate: "L’inflation doit être comprise entre {min} et {max} par an",
+    baseCpi: "L’IPC de base doit être supérieur à zéro",
+    cpiSeriesEmpty: "Saisissez un niveau d’IPC au moins pour la première date de coupon",
+    cpiSeries: "Chaque niveau d’IPC doit être un nombre supérieur à zéro",
+    defaultProbability: "La probabilité annuelle de défaut doit être d’au moins 0 % et inférieure à 100 %",
+    defaultProbabilitiesEmpty: "Saisissez une probabilité de défaut au moins pour la première année",
+    defaultProbabilities: "Chaque probabilité de défaut doit être d’au moins 0 % et inférieure à 100 %",
+    recoveryRate: "Le taux de recouvrement doit être compris entre 0 % et 100 %",
+    shockTenors: "L’échéance courte doit être supérieure à 0 et inférieure à l’échéance longue",
+    shockShift: "Chaque déplacement doit rester dans ±{limit} pb",
+    call: {
+      price: "Les prix de remboursement anticipé (call) doivent être supérieurs à 0",
+      dates: "Les dates de call doivent être postérieures au règlement et antérieures à l’échéance",
+      couponDate: "Les dates de call doivent tomber sur une date de coupon avant l’échéance",
+    },
+    put: {
+      price: "Les prix de revente anticipée (put) doivent être supérieurs à 0",
+      dates: "Les dates de put doivent être postérieures au règlement et antérieures à l’échéance",
+      couponDate: "Les dates de put doivent tomber sur une date de coupon avant l’échéance",
+    },
+    warning: {
+      heading: "Points à vérifier :",
+      price: "Le prix pied de coupon représente {percent} de la valeur nominale ; vérifiez le taux du coupon et le rendement",
+      negativeYield: "Le rendement est négatif : les acheteurs paient pour prêter à l’émetteur",
+      callBelowPar: "Un prix de remboursement anticipé inférieur à 100 permet à l’émetteur de rembourser l’obligation avec une décote",
+      putAbovePar: "Un prix de revente anticipée supérieur à 100 permet aux porteurs de se faire rembourser avec une prime",
+      sinkingFund: {
+        one: "Le fonds d’amortissement rembourse toute l’émission après {years} an, avant l’échéance",
+        other: "Le fonds d’amortissement rembourse toute l’émission après {years} ans, avant l’échéance",
+      },
+      negativeCoupon: "Le coupon projeté est négatif sur certaines périodes ; la plupart des obligations à taux variable plafonnent le coupon à zéro par le bas",
+      deflation:
+        "L’indice projeté finit à {ratio} de sa base : le principal remboursé est donc inférieur au nominal ; une OATi ou un TIPS rembourserait au moins le pair",
+    },
+  },
+  equation: {
+    subscript: {
+      bullet: "obligation à coupons",
+      zero: "zéro-coupon",
+      amortizing: "amortissable",
+      sinkingFund: "fonds d’amortissement",
+      floating: "FRN",
+      indexed: "indexée",
+    },
+    amortizingNote: "{balance} est le capital restant dû au début de la période t et c le taux de coupon périodique.",
+    sinkingFundNote:
+      "{balance} est le capital restant dû au début de la période t et c le taux de coupon périodique ; Sₜ est le remboursement prévu, le solde étant remboursé en T.",
+    floatingNote:
+      "Rₜ est le taux de référence de la période t, QM et DM les marges faciale et actuarielle, tous par période. Lorsque QM = DM, chaque taux de coupon est égal au taux auquel il est actualisé, et le prix vaut FV à chaque date de révision.",
+    indexedNote:
+      "c est le taux du coupon réel par période et Iₜ le coefficient d’indexation au paiement t (l’IPC à cette date sur l’IPC au règlement) : chaque paiement est un montant réel porté en monnaie du jour, actualisé au rendement nominal r. Valorisé au rendement réel, Iₜ disparaît et r est le rendement réel ; les deux prix coïncident lorsque l’inflation suit le point mort.",
+    bullet: {
+      intro: "L’équation 6 exprime le prix d’une obligation à coupons ainsi :",
+      description:
+        "Équation d’évaluation de l’obligation : la valeur actuelle d’une obligation à coupons est égale au coupon divisé par le taux, multiplié par un moins un divisé par la quantité un plus le taux élevée à la puissance T, plus la valeur nominale divisée par la quantité un plus le taux élevée à la puissance T.",
+    },
+    zero: {
+      intro: "Une obligation zéro-coupon effectue un seul paiement à l’échéance ; son prix est donc :",
+      description:
+        "Équation d’évaluation de l’obligation zéro-coupon : la valeur actuelle est égale à la valeur nominale divisée par la quantité un plus le taux élevée à la puissance T.",
+    },
+    "amortizing-level": {
+      intro: "Une obligation amortissable à annuités constantes verse le même montant A à chaque période ; son prix est donc celui d’une rente :",
+      description:
+        "Équation d’évaluation de l’obligation à annuités constantes : la valeur actuelle est égale à l’annuité A divisée par le taux, multipliée par un moins un divisé par la quantité un plus le taux élevée à la puissance T, où A est la valeur nominale multipliée par le taux de coupon périodique c, divisée par un moins la quantité un plus c élevée à la puissance moins T.",
+    },
+    "amortizing-equal": {
+      intro: "Une obligation à amortissement constant rembourse FV/T à chaque période, plus les intérêts sur le capital restant dû :",
+      description:
+        "Équation d’évaluation de l’obligation à amortissement constant : la valeur actuelle est la somme, pour les périodes t de 1 à T, de la valeur nominale divisée par T plus le taux de coupon périodique c multiplié par le capital restant dû au début de la période, le tout divisé par la quantité un plus le taux élevée à la puissance t.",
+    },
+    "sinking-fund": {
+      intro: "Une obligation à fonds d’amortissement rembourse une partie du capital selon un échéancier, le solde étant remboursé à l’échéance :",
+      description:
+        "Équation d’évaluation de l’obligation à fonds d’amortissement : la valeur actuelle est la somme, pour les périodes t de 1 à T, du taux de coupon périodique c multiplié par le capital restant dû au début de la période, plus le remboursement prévu S t, le tout divisé par la quantité un plus le taux élevée à la puissance t.",
+    },
+    "floating-rate": {
+      intro:
+        "Une obligation à taux variable verse à chaque période le taux de référence plus une marge faciale, et chaque période est actualisée au taux de référence plus la marge actuarielle :",
+      description:
+        "Équation d’évaluation d’une obligation à taux variable : la valeur actuelle est égale à la somme, pour les périodes t de 1 à T, du taux de référence R t plus la marge faciale, multiplié par la valeur nominale, divisé par le produit, pour les périodes k de 1 à t, de un plus R k plus la marge actuarielle ; plus la valeur nominale divisée par le produit, sur les T périodes, de un plus R k plus la marge actuarielle.",
+    },
+    "inflation-linked": {
+      intro:
+        "Une obligation indexée sur l’inflation multiplie chaque coupon réel et son principal par le coefficient d’indexation, et les paiements indexés sont actualisés au rendement nominal :",
+      description:
+        "Équation d’évaluation d’une obligation indexée sur l’inflation : la valeur actuelle est égale à la somme, pour les périodes t de 1 à T, du taux du coupon réel c multiplié par la valeur nominale et par le coefficient d’indexation I t, divisé par un plus le taux élevé à la puissance t, plus la valeur nominale multipliée par le coefficient final I T, divisée par un plus le taux élevé à la puissance T.",
+    },
+  },
+  working: {
+    show: "Afficher le calcul",
+    hide: "Masquer le calcul",
+    heading: "Équation 6 avec les données actuelles",
+    invalidInputs: "Corrigez les données ci-dessous pour voir le calcul.",
+    notApplicableCurve:
+      "Avec une courbe zéro-coupon, chaque flux a son propre taux d’actualisation ; l’équation 6 ne s’applique donc pas. La vue en tableau des flux indique le taux zéro-coupon, le facteur d’actualisation et la valeur actuelle de chaque paiement.",
+    notApplicableType:
+      "L’équation 6 couvre les obligations in fine et zéro-coupon. Pour cette obligation, le prix est la somme de chaque paiement actualisé au rendement ; la vue en tableau des flux présente tous les paiements.",
+    notApplicableFloating:
+      "Les taux de coupon et d’actualisation d’une obligation à taux variable changent à chaque période ; l’équation 6 ne s’applique donc pas. La vue en tableau des flux indique les taux de référence, de coupon et d’actualisation de chaque période avec sa valeur actuelle.",
+    rounding:
+      "Les valeurs intermédiaires sont arrondies à l’affichage ; le prix correspond à la carte des résultats, calculée en pleine précision.",
+    periodicRate: {
+      label: "Taux périodique",
+      text: "Le taux périodique r est le rendement à l’échéance de {ytm} divisé par {frequency} paiements par an, soit {periodicRate}.",
+    },
+    periods: {
+      label: "Nombre de périodes",
+      formula: "T = {years} ans × {frequency} = {periods}",
+      text: "Le nombre de périodes T est {years} ans multiplié par {frequency}, soit {periods}.",
+    },
+    periodsDated: {
+      label: "Nombre de périodes",
+      formula: "T = {periods} coupons restants après le règlement",
+      text: "Le nombre de périodes T correspond aux {periods} coupons restants après le règlement.",
+    },
+    payment: {
+      label: "Montant du coupon",
+      text: "Le coupon PMT est la valeur nominale de {faceValue} multipliée par le taux de coupon de {couponRate} divisé par {frequency}, soit {payment}.",
+    },
+    annuityFactor: {
+      label: "Facteur d’annuité",
+      text: "Le facteur d’annuité est un moins un sur {growth} à la puissance {periods}, divisé par {periodicRate}, soit {annuityFactor}.",
+    },
+    annuityFactorZero: {
+      label: "Facteur d’annuité",
+      formula: "facteur d’annuité = T = {annuityFactor}",
+      text: "À un rendement nul, rien n’est actualisé : le facteur d’annuité est la limite de la formule, soit les {periods} périodes elles-mêmes.",
+    },
+    pvCoupons: {
+      label: "VA des coupons",
+      text: "La valeur actuelle des coupons est {payment} multiplié par {annuityFactor}, soit {pvCoupons}.",
+    },
+    pvFaceValue: {
+      label: "VA du nominal",
+      text: "La valeur actuelle du nominal est {faceValue} divisé par {growth} à la puissance {periods}, soit {pvFaceValue}.",
+    },
+    priceZero: {
+      label: "Prix",
+      text: "Sans coupon, le prix est la valeur actuelle du nominal, {priceOnCouponDate}.",
+    },
+    price: {
+      label: "Prix (somme)",
+      text: "Le prix est la somme de {pvCoupons} et {pvFaceValue}, soit {priceOnCouponDate}.",
+    },
+    carry: {
+      label: "Report jusqu’au règlement",
+      formula: "{priceOnCouponDate} × {growth}^{fraction} = {fullPrice} (prix plein coupon)",
+      text: "L’équation 6 évalue l’obligation à la dernière date de coupon. En capitalisant ce prix sur la fraction {fraction} de période écoulée depuis, {priceOnCouponDate} multiplié par {growth} à la puissance {fraction}, on obtient le prix plein coupon de {fullPrice}.",
+    },
+    flatPrice: {
+      label: "Prix pied de coupon",
+      formula: "{fullPrice} − {accrued} de coupon couru = {flatPrice}",
+      text: "En retranchant le coupon couru de {accrued}, on obtient le prix pied de coupon de {flatPrice}.",
+    },
+  },
+  common: {
+    notAvailable: "n.d.",
+    noPayment: "Aucun paiement",
+    total: "Total",
+    remove: "Supprimer",
+    years: { one: "{value} an", other: "{value} ans" },
+    labelValue: "{label} : {value}",
+  },
+  results: {
+    impliedYtm: "Rendement à l’échéance implicite de la courbe",
+    solvedYtm: "Rendement à l’échéance calculé",
+    effectiveYield: "Rendement annuel effectif : {value} (capitalisation {compounding})",
+    converged: {
+      one: "Convergence en {count} itération ({newton} Newton, {bisection} dichotomie)",
+      other: "Convergence en {count} itérations ({newton} Newton, {bisection} dichotomie)",
+    },
+    notConverged: {
+      one: "Pas de convergence en {count} itération ({newton} Newton, {bisection} dichotomie)",
+      other: "Pas de convergence en {count} itérations ({newton} Newton, {bisection} dichotomie)",
+    },
+    impliedYtmNote:
+      "Le taux d’actualisation unique qui donne le même prix que l’actualisation de chaque flux à son propre taux zéro-coupon.",
+    equivalentYtm: "Rendement fixe équivalent",
+    equivalentYtmNote:
+      "Le rendement unique qui donne le même prix pour les coupons projetés. Il sert à la duration et à la convexité ci-dessous, qui traitent ces coupons comme fixes.",
+    indexedYtm: "Rendement nominal des flux indexés",
+    indexedYtmNote:
+      "Le rendement qui donne aux paiements indexés le même prix que les paiements réels actualisés au rendement réel. Il sert à la duration et à la convexité ci-dessous.",
+    price: "Prix de l’obligation (VA)",
+    perPar: "pour {faceValue} de nominal",
+    fullPrice: "Prix plein coupon",
+    accruedInterest: "Coupon couru",
+    flatPrice: "Prix pied de coupon",
+    accruedDays: "{accrued} jours courus sur {period} depuis le {date} ({dayCount})",
+    premiumDiscount: "Analyse de la prime et de la décote",
+    statusBond: {
+      premium: "Obligation avec prime",
+      par: "Obligation au pair",
+      discount: "Obligation avec décote",
+    },
+    atPar: "Cote au pair. Taux du coupon ≈ rendement ({ytm})",
+    abovePar: "Cote {amount} au-dessus du pair. Coupon ({coupon}) > rendement ({ytm})",
+    belowPar: "Cote {amount} au-dessous du pair. Rendement ({ytm}) > coupon ({coupon})",
+    pvCoupons: "VA des coupons : {amount}",
+    pvFace: "VA du nominal : {amount}",
+    pvPrincipal: "VA du capital : {amount}",
+  },
+  options: {
+    heading: "Rendement le plus défavorable",
+    worstCase: "Cas le plus défavorable : remboursement, {scenario}",
+    caption: "Rendement de chaque scénario de remboursement ; le scénario le plus défavorable est signalé",
+    scenario: "Scénario",
+    price: "Prix",
+    yield: "Rendement",
+    worst: "plus défavorable",
+    kind: {
+      maturity: "Rendement à l’échéance",
+      call: "Rendement au call",
+      put: "Rendement au put",
+    },
+    note: "L’émetteur exerce le call quand cela l’arrange ; le plus bas du rendement à l’échéance et des rendements au call est donc le rendement le plus défavorable. Les puts sont au choix du porteur et sont donnés pour information.",
+    label: {
+      maturity: "à l’échéance",
+      callYears: "call de l’année {years}",
+      putYears: "put de l’année {years}",
+      callDate: "call du {date}",
+      putDate: "put du {date}",
+    },
+  },
+  risk: {
+    heading: "Risque de taux",
+    macaulay: "Duration de Macaulay",
+    years: "{value} ans",
+    modified: "Duration modifiée",
+    money: "Duration monétaire",
+    pvbp: "PVBP / DV01",
+    convexity: "Convexité",
+    shock: "Choc de rendement",
+    bp: "pb",
+    caption: {
+      one: "Variation de prix estimée en pourcentage pour une variation de rendement de {count} point de base",
+      other: "Variation de prix estimée en pourcentage pour une variation de rendement de {count} points de base",
+    },
+    method: "Méthode",
+    change: "Variation en %",
+    durationOnly: "Duration seule",
+    durationConvexity: "Duration + convexité",
+    exact: "Réévaluation exacte",
+  },
+  cashFlows: {
+    title: "Flux de trésorerie de l’obligation",
+    chartActive: "Vue graphique active",
+    tableActive: "Vue tableau active",
+    tooltipDate: "Date : {date} ({years})",
+    tooltipPeriod: "Période : {years}",
+    tooltipFloating: "Taux de coupon {coupon} (référence {reference}), actualisé à {discount}",
+    tooltipIndexed: "Coefficient d’indexation {ratio}",
+    tooltipCredit: "Survie {survival}, défaut sur la période {probability}",
+    description:
+      "Les barres empilées montrent les coupons et le remboursement final du capital dans le temps. L’achat initial apparaît comme une barre négative à la période 0.",
+    comparisonDescription:
+      "Les barres groupées comparent le flux total de {bonds} à chaque date de paiement. Chaque achat apparaît comme une barre négative à l’année 0.",
+    worstDescription: "Les flux s’arrêtent au {scenario}, le scénario le plus défavorable.",
+    shocksDescription: "Les lignes au-dessus des barres suivent la valeur actuelle de chaque paiement sans choc et dans chaque scénario : {scenarios}.",
+    purchase: "Achat initial",
+    coupon: "Paiement du coupon",
+    principal: "Remboursement du capital",
+    real: "Flux réel (monnaie du règlement)",
+    expected: "Flux espéré (compte tenu du défaut)",
+    basePresentValue: "Valeur actuelle (sans choc)",
+    shockedPresentValue: "Valeur actuelle : {name}",
+    fadedBars: {
+      one: "Barres estompées : {count} paiement déjà effectué à l’étape de convergence vers le pair",
+      other: "Barres estompées : {count} paiements déjà effectués à l’étape de convergence vers le pair",
+    },
+    skipToTable: "Aller au tableau de données",
+    redemptionScenario: "Scénario de remboursement",
+    toMaturity: "À l’échéance",
+    toWorst: "Le plus défavorable ({scenario})",
+    displayOptions: "Options d’affichage des flux de l’obligation",
+    showChart: "Graphique",
+    showChartLabel: "Afficher les flux de l’obligation sous forme de graphique",
+    showTable: "Tableau",
+    showTableLabel: "Afficher les flux de l’obligation sous forme de tableau",
+    yearsAxis: "Années",
+    dateAxis: "Date de paiement",
+    comparisonCaption:
+      "Tableau comparant le flux total de {bonds} à chaque date de paiement. Les valeurs entre parenthèses sont des sorties de trésorerie.",
+    comparisonNote:
+      "Remarque : les valeurs entre parenthèses sont des flux négatifs (sorties). Les durées sont mesurées en années depuis l’achat.",
+    captionPurchase: "Tableau des flux de l’obligation : achat initial de {price} à l’année 0,",
+    captionPurchaseDated: "Tableau des flux de l’obligation : achat initial de {price} au règlement, le {date},",
+    captionZero: "suivi d’un remboursement unique de {faceValue} à l’échéance, sans coupon.",
+    captionFloating: {
+      one: "suivi de {count} coupon {frequency} de {first} projeté à partir du taux de référence plus la marge faciale, plus le remboursement du principal de {principal} à l’échéance.",
+      other: "suivi de {count} coupons {frequency} projetés à partir du taux de référence plus la marge faciale, de {first} à {last}, plus le remboursement du principal de {principal} à l’échéance.",
+    },
+    captionIndexed: {
+      one: "suivi de {count} coupon {frequency} de {coupon} en termes réels, multiplié par le coefficient d’indexation, plus le remboursement du principal indexé de {principal} à l’échéance.",
+      other: "suivi de {count} coupons {frequency} de {coupon} chacun en termes réels, multipliés par le coefficient d’indexation, plus le remboursement du principal indexé de {principal} à l’échéance.",
+    },
+    captionBullet: {
+      one: "suivi de {count} coupon {frequency} de {coupon}, plus le remboursement du capital de {principal} à l’échéance.",
+      other: "suivi de {count} coupons {frequency} de {coupon} chacun, plus le remboursement du capital de {principal} à l’échéance.",
+    },
+    captionBulletRedeemed: {
+      one: "suivi de {count} coupon {frequency} de {coupon}, plus le remboursement du capital de {principal} au remboursement anticipé.",
+      other: "suivi de {count} coupons {frequency} de {coupon} chacun, plus le remboursement du capital de {principal} au remboursement anticipé.",
+    },
+    captionAmortizing: {
+      one: "suivi de {count} paiement {frequency} d’intérêts sur le capital restant dû, plus des remboursements prévus du capital totalisant {faceValue}.",
+      other: "suivi de {count} paiements {frequency} d’intérêts sur le capital restant dû, plus des remboursements prévus du capital totalisant {faceValue}.",
+    },
+    captionWorst: "L’obligation est présentée remboursée par anticipation au {scenario}, son scénario le plus défavorable.",
+    captionCredit:
+      "Chaque flux promis est suivi de sa valeur espérée compte tenu du défaut, et l’achat du prix risqué de {price}.",
+    captionShocks: "Les dernières colonnes donnent la valeur actuelle de chaque paiement sans choc et dans chaque scénario de choc.",
+    captionOutflows: "Les valeurs entre parenthèses sont des sorties de trésorerie.",
+    periodColumn: "Période (années)",
+    dateColumn: "Date (années)",
+    couponColumn: "Coupon",
+    principalColumn: "Capital",
+    totalColumn: "Flux total",
+    outstandingColumn: "Capital restant dû",
+    referenceRateColumn: "Taux de référence",
+    couponRateColumn: "Taux de coupon",
+    discountRateColumn: "Taux d’actualisation",
+    indexRatioColumn: "Coefficient d’indexation",
+    realCouponColumn: "Coupon réel",
+    realPrincipalColumn: "Principal réel",
+    realTotalColumn: "Total réel",
+    spotRateColumn: "Taux zéro-coupon",
+    discountFactorColumn: "Facteur d’actualisation",
+    presentValueColumn: "Valeur actuelle",
+    survivalColumn: "Survie",
+    defaultProbabilityColumn: "Défaut sur la Période",
+    exposureColumn: "Exposition au Défaut",
+    expectedLossColumn: "Perte Attendue",
+    expectedColumn: "Flux Espéré",
+    riskyPresentValueColumn: "Valeur Actuelle Risquée",
+    notDiscounted: "Non actualisé",
+    noDefault: "Aucun défaut à l’achat",
+    note: "Remarque : les valeurs entre parenthèses sont des flux négatifs (sorties).",
+    indexedNote:
+      "Coupon, principal et total sont les montants indexés effectivement versés ; les colonnes réelles les divisent par le coefficient d’indexation, en monnaie de la date de règlement.",
+    creditNote:
+      "La survie est la probabilité que l’émetteur n’ait pas fait défaut à la fin de chaque période. Le flux espéré est le flux promis multiplié par cette probabilité, plus le montant recouvré multiplié par la probabilité de défaut sur la période ; actualisés au rendement sans risque, les flux espérés ont pour somme le prix risqué.",
+    shocksNote:
+      "Les valeurs actuelles sous un choc actualisent les flux promis avec chaque taux déplacé du choc à l’échéance du paiement.",
+    fractionalPeriod: "La première période est fractionnaire : il reste {fraction} de période de coupon jusqu’au {date}.",
+    explore: {
+      roleDescription: "graphique interactif",
+      instructions:
+        "Placez le focus sur le graphique et utilisez les flèches gauche et droite pour passer d’un paiement à l’autre, Début et Fin pour le premier et le dernier, et Échap pour quitter les barres.",
+      purchase: "{when} : achat de {amount}. Barre {position} sur {count}.",
+      payment: "{when} : coupon {coupon}, principal {principal}, total {total}. Barre {position} sur {count}.",
+      expected: "Espéré compte tenu du défaut : {amount}.",
+      comparison: "{when} : {flows}. Barre {position} sur {count}.",
+    },
+    sound: {
+      label: "Flux sous forme de son",
+      play: "Écouter",
+      stop: "Arrêter le son",
+      onExplore: "Son à chaque barre",
+    },
+  },
+  export: {
+    label: "Exporter les flux",
+    heading: "Exporter :",
+    excel: "Excel (.xlsx)",
+    print: "Imprimer / Enregistrer en PDF",
+    note: "Les fichiers contiennent les nombres bruts avec les hypothèses et les totaux.",
+  },
+  report: {
+    sheetName: "Flux",
+    title: "Échéancier des flux de l’obligation",
+    assumptions: "Données et hypothèses",
+    results: "Résultats",
+    fullPrice: "Prix plein coupon",
+    accruedInterest: "Coupon couru",
+    cleanPrice: "Prix pied de coupon",
+    pvCoupons: "VA des coupons",
+    pvPrincipal: "VA du capital",
+    macaulay: "Duration de Macaulay (années)",
+    modified: "Duration modifiée",
+    money: "Duration monétaire",
+    pvbp: "PVBP / DV01",
+    convexity: "Convexité",
+    cashFlows: "Flux (l’achat apparaît comme un flux négatif à la période 0)",
+    period: "Période",
+    years: "Années",
+    date: "Date",
+    coupon: "Coupon",
+    principal: "Capital",
+    total: "Flux total",
+    outstanding: "Capital restant dû",
+    spotRate: "Taux zéro-coupon (%)",
+    discountFactor: "Facteur d’actualisation",
+    presentValue: "Valeur actuelle",
+    referenceRate: "Taux de référence (%)",
+    couponRate: "Taux de coupon (%)",
+    discountRate: "Taux d’actualisation (%)",
+    rateDuration: "Duration au taux de référence (années)",
+    spreadDuration: "Duration de spread (années)",
+    indexRatio: "Coefficient d’indexation",
+    realCoupon: "Coupon réel",
+    realPrincipal: "Principal réel",
+    realTotal: "Total réel",
+    realYield: "Rendement réel (%)",
+    nominalYield: "Rendement nominal (%)",
+    breakeven: "Inflation point mort (%)",
+    pathInflation: "Inflation de la trajectoire projetée (%)",
+    survival: "Survie (%)",
+    defaultProbability: "Défaut sur la période (%)",
+    exposure: "Exposition au défaut",
+    expectedLoss: "Perte attendue",
+    expectedCashFlow: "Flux espéré",
+    riskyPresentValue: "Valeur actuelle risquée",
+    riskyPrice: "Prix risqué",
+    cva: "Ajustement de valeur pour risque de crédit",
+    riskyYield: "Rendement au prix risqué (%)",
+    creditSpread: "Spread de crédit implicite (pb)",
+    totalRow: "Total",
+  },
+  pullToPar: {
+    intro:
+      "À rendement constant, le prix est recalculé après chaque coupon. Les prix avec prime comme avec décote convergent vers le capital encore dû et l’atteignent à l’échéance.",
+    case: {
+      current: "Cette obligation (rendement {ytm})",
+      premium: "Cas avec prime (rendement {ytm})",
+      par: "Cas au pair (rendement {ytm})",
+      discount: "Cas avec décote (rendement {ytm})",
+    },
+    play: "Lecture",
+    pause: "Pause",
+    replay: "Rejouer",
+    couponsPaid: "Coupons versés :",
+    stepValue: {
+      one: "{step} coupon versé sur {count}",
+      other: "{step} coupons versés sur {count}",
+    },
+    chartLabel: "Graphique linéaire du prix de l’obligation sur sa durée restante, convergeant vers le pair",
+    yearsAxis: "Années depuis le règlement",
+    outstanding: "Capital restant dû",
+    atSettlement: "Au règlement, cette obligation vaut {price} (pied de coupon) pour {par} de nominal.",
+    afterCoupons: {
+      one: "Après {step} coupons sur {periods} ({years}), cette obligation vaut {price} pour {par} de capital restant dû ; il reste {count} paiement.",
+      other:
+        "Après {step} coupons sur {periods} ({years}), cette obligation vaut {price} pour {par} de capital restant dû ; il reste {count} paiements.",
+    },
+  },
+  horizon: {
+    errors: {
+      horizon: "L’horizon doit être supérieur à 0 et d’au plus {max} ans",
+      reinvestment: "Le taux de réinvestissement doit être compris entre {min} et {max}",
+      exit: "Le rendement de sortie doit être compris entre {min} et {max}",
+    },
+    couponIncome: "Revenus des coupons",
+    interestOnInterest: "Intérêts sur intérêts",
+    capitalGain: "Plus-value",
+    capitalLoss: "Moins-value",
+    horizon: "Horizon",
+    yearsUnit: "ans",
+    reinvestmentRate: "Taux de réinvestissement",
+    exitYield: "Rendement de sortie",
+    useYtm: "Utiliser le rendement actuel ({ytm})",
+    durationNote:
+      "Si les deux taux sont égaux au rendement à l’échéance, le rendement à l’horizon lui est égal. Pour un horizon égal à la duration de Macaulay ({duration} ans), un petit déplacement parallèle le laisse presque inchangé.",
+    pricePaid: "Prix payé (plein coupon)",
+    reinvested: "Flux réinvestis à l’horizon",
+    salePrice: "Prix de vente à l’horizon",
+    notApplicable: "Sans objet",
+    heldToMaturity: "— (détenue jusqu’à l’échéance)",
+    totalValue: "Valeur totale à l’horizon",
+    totalReturn: "Rendement total",
+    horizonYield: "Rendement annualisé à l’horizon",
+    compounding: "Capitalisation {compounding}, comme le rendement à l’échéance de {ytm}.",
+    principalBefore: "Comprend {amount} de capital remboursé avant l’horizon.",
+    sources: "Sources du rendement",
+    sourcesCaption: "Décomposition du rendement en valeur monétaire sur l’horizon",
+    totalDollarReturn: "Rendement total en valeur monétaire",
+  },
+  sensitivity: {
+    unavailable:
+      "Une obligation zéro-coupon évaluée à partir de dates de règlement n’a qu’une donnée à faire varier. Passez aux années jusqu’à l’échéance pour afficher une grille.",
+    unavailableFloating:
+      "La grille fait varier un taux de coupon fixe et un rendement unique ; les coupons et les taux d’actualisation d’une obligation à taux variable suivent plutôt sa trajectoire de référence.",
+    unavailableIndexed:
+      "La grille fait varier le taux du coupon, un rendement unique et la durée ; les coefficients d’indexation d’une obligation indexée sont liés à ses dates de paiement, et elle est valorisée sur une base réelle ou nominale.",
+    field: {
+      couponRate: "Taux du coupon",
+      ytm: "Rendement",
+      years: "Années jusqu’à l’échéance",
+    },
+    yearsShort: "{value} a",
+    axes: "Axes de la grille",
+    vary: "Faire varier :",
+    layout: {
+      "coupon-ytm": "Taux du coupon × rendement",
+      "ytm-maturity": "Rendement × échéance",
+    },
+    cellValues: "Valeurs des cellules",
+    show: "Afficher :",
+    cleanPrice: "Prix pied de coupon",
+    premium: "% prime / décote",
+    captionPrice:
+      "Prix pied de coupon par {rows} (lignes) et {columns} (colonnes). Les données actuelles sont signalées. Sélectionnez une cellule pour la charger dans le calculateur.",
+    captionPremium:
+      "Prime ou décote en pourcentage du pair par {rows} (lignes) et {columns} (colonnes). Les données actuelles sont signalées. Sélectionnez une cellule pour la charger dans le calculateur.",
+    cell: "{row}, {column} : prix pied de coupon {price}, {status}. Charger dans le calculateur",
+    cellCurrent: "{row}, {column} : prix pied de coupon {price}, {status}, données actuelles",
+    currentInputs: "Données actuelles",
+  },
+  shocks: {
+    intro:
+      "Chaque choc déplace les taux d’actualisation de l’obligation d’un nombre de points de base : le même à toutes les échéances (parallèle), en rotation entre une échéance courte et une longue (rotation), ou interpolé entre des échéances clés (par échéance).",
+    label: {
+      parallel: "Parallèle {shift} pb",
+      steepener: "Pentification {short}–{long} ({shortShift}/{longShift} pb)",
+      flattener: "Aplatissement {short}–{long} ({shortShift}/{longShift} pb)",
+      custom: "Déplacement par échéance",
+    },
+    nameLabel: "Nom du choc {number}",
+    kindLabel: "Forme de {name}",
+    shift: "Déplacement",
+    years: "(années)",
+    shortTenor: "Échéance courte",
+    longTenor: "Échéance longue",
+    shiftThere: "déplacement",
+    pointsLabel: "Déplacement à chaque échéance clé de {name}",
+    pointLabel: { one: "Déplacement à {tenor} an en points de base", other: "Déplacement à {tenor} ans en points de base" },
+    pointsHelp: "pb ; linéaire entre les échéances, constant au-delà",
+    remove: "Retirer",
+    removeLabel: "Retirer {name}",
+    add: "Ajouter un choc",
+    restore: "Rétablir les chocs standard",
+    overlay: "Superposer au graphique des flux",
+    caption: "Prix de l’obligation sans choc et sous chaque choc, avec la variation du prix et en pourcentage",
+    scenarioColumn: "Scénario",
+    priceColumn: "Prix",
+    changeColumn: "Variation",
+    percentColumn: "% Variation",
+    base: "Sans choc",
+    notPriced: "Non valorisé",
+    note:
+      "Les prix incluent le coupon couru. Les chocs revalorisent les flux promis jusqu’à l’échéance : les options de remboursement et de vente et le défaut ne sont pas réévalués, le coupon en cours d’une obligation à taux variable reste fixé tandis que les suivants sont révisés, et une obligation indexée garde ses coefficients d’indexation.",
+    saveAs: "Enregistrer ce jeu de chocs sous :",
+    defaultName: "Jeu de chocs {number}",
+    saved: "« {name} » enregistré ; appliquez-le à n’importe quelle obligation depuis la liste ci-dessous.",
+    applied: "« {name} » appliqué.",
+    storageFailed: "Ce navigateur n’a pas enregistré les jeux de chocs.",
+    empty: "Aucun jeu de chocs enregistré pour l’instant. Les jeux enregistrés restent dans ce navigateur.",
+    summary: { one: "{count} choc · enregistré le {date}", other: "{count} chocs · enregistré le {date}" },
+    apply: "Appliquer",
+    applyLabel: "Appliquer {name}",
+  },
+  priceYield: {
+    title: "Courbe prix–rendement",
+    description:
+      "La courbe représente le prix de l’obligation en fonction du rendement à l’échéance de {from} à {to}. Le rendement actuel de {ytm} donne un prix de {price}.",
+    tangentDescription:
+      "La tangente en pointillés est l’estimation par la duration modifiée de {value} ; elle reste sous la courbe des deux côtés en raison de la convexité.",
+    tooltipYtm: "Rendement : {value}",
+    tooltipPrice: "Prix : {value}",
+    tooltipEstimate: "Estimation par la duration : {value}",
+    clickHint: "Cliquez pour utiliser ce rendement",
+    bondPrice: "Prix de l’obligation",
+    tangent: "Tangente de duration",
+    showTangent: "Afficher la tangente de duration",
+    xAxis: "Rendement à l’échéance",
+  },
+  comparison: {
+    caption:
+      "Comparaison côte à côte du prix, de la situation de prime ou de décote, de la répartition de la valeur actuelle et des mesures de risque de {names}",
+    measure: "Mesure",
+    edit: "Modifier {name}",
+    yearsShort: "{value} ans",
+    invalidNote: "Les tirets signalent une obligation dont les données sont à corriger.",
+    row: {
+      bondType: "Type d’obligation",
+      couponRate: "Taux du coupon",
+      ytm: "Rendement à l’échéance",
+      years: "Années jusqu’à l’échéance",
+      fullPrice: "Prix plein coupon",
+      cleanPrice: "Prix pied de coupon",
+      status: "Situation",
+      pvCoupons: "VA des coupons",
+      pvPrincipal: "VA du capital",
+      couponShare: "Part des coupons dans le prix",
+      macaulay: "Duration de Macaulay",
+      modified: "Duration modifiée",
+      money: "Duration monétaire",
+      pvbp: "PVBP / DV01",
+      convexity: "Convexité",
+    },
+  },
+  practice: {
+    question: {
+      price: "Quel est le prix de cette obligation ?",
+      status: "Cette obligation cote-t-elle avec une prime, au pair ou avec une décote ?",
+      pvFace: "Quelle est la valeur actuelle du nominal ?",
+      pvCoupons: "Quelle est la valeur actuelle des coupons ?",
+    },
+    chooseStatus: "Choisissez prime, au pair ou décote.",
+    enterNumber: "Saisissez un nombre, par exemple {example}.",
+    invalidSeed: "Le numéro d’une série est un nombre entier, par exemple 4821.",
+    set: "Série {seed}",
+    progress: "question {current} sur {count}",
+    score: "Score de la session : {score}",
+    openSet: "Ouvrir la série n°",
+    open: "Ouvrir",
+    newSet: "Nouvelle série",
+    complete: "Série n° {seed} terminée.",
+    shareNote: "Partagez le numéro de série pour qu’une autre personne tente les mêmes questions, ou commencez une nouvelle série.",
+    startNew: "Commencer une nouvelle série",
+    faceValue: "Valeur nominale",
+    couponRate: "Taux du coupon",
+    ytm: "Rendement à l’échéance",
+    years: "Années jusqu’à l’échéance",
+    coupons: "Coupons",
+    yourAnswer: "Votre réponse",
+    tolerance: "Accepté à ±{value} près",
+    check: "Vérifier",
+    next: "Question suivante",
+    finish: "Terminer la série",
+    correct: "Exact. La réponse est {answer}.",
+    incorrect: "Pas tout à fait. La réponse est {answer}.",
+    workedSolution: "Solution détaillée",
+    statusExplanation:
+      "Comparez le prix à la valeur nominale de {faceValue} : de façon équivalente, un coupon supérieur au rendement signifie une prime et inférieur, une décote.",
+  },
+  saved: {
+    storageFailed: "Ce navigateur n’a pas enregistré les scénarios ; exportez-les pour en garder une copie.",
+    defaultName: "Scénario {number}",
+    saved: "« {name} » enregistré.",
+    nameRequired: "Un scénario doit avoir un nom.",
+    renamed: "Renommé en « {name} ».",
+    deleted: "« {name} » supprimé.",
+    linkCopied: "Lien copié : il rouvre le calculateur avec ces données.",
+    clipboardBlocked: "Copiez la barre d’adresse pour partager ces données ; le navigateur a bloqué le presse-papiers.",
+    imported: { one: "{count} scénario importé.", other: "{count} scénarios importés." },
+    importFailed: "Échec de l’import : {message}.",
+    importError: {
+      invalidJson: "Le fichier n’est pas un JSON valide",
+      noList: "Le fichier ne contient pas de liste de scénarios",
+      noScenarios: "Aucun scénario valide n’a été trouvé dans le fichier",
+    },
+    saveAs: "Enregistrer les données actuelles sous :",
+    save: "Enregistrer",
+    copyLink: "Copier le lien",
+    exportJson: "Exporter en JSON",
+    importJson: "Importer un JSON",
+    importLabel: "Importer des scénarios depuis un fichier JSON",
+    empty: "Aucun scénario enregistré pour l’instant. Les scénarios enregistrés restent dans ce navigateur.",
+    newNameFor: "Nouveau nom pour {name}",
+    saveName: "Enregistrer le nom",
+    cancel: "Annuler",
+    summary: { one: "{count} obligation · enregistré le {date}", other: "{count} obligations · enregistré le {date}" },
+    load: "Charger",
+    loadLabel: "Charger {name}",
+    rename: "Renommer",
+    renameLabel: "Renommer {name}",
+    delete: "Supprimer",
+    deleteLabel: "Supprimer {name}",
+  },
+  spotCurve: {
+    title: "Courbe zéro-coupon",
+    specifyAs: "Définir par :",
+    caption: "Taux zéro-coupon par maturité, interpolés linéairement entre les maturités",
+    tenor: "Maturité (années)",
+    rate: "Taux zéro-coupon (%)",
+    tenorLabel: "Maturité {number} en années",
+    rateLabel: "Taux zéro-coupon {number} en pourcentage",
+    removeLabel: { one: "Supprimer la maturité {value} an", other: "Supprimer la maturité {value} ans" },
+    add: "Ajouter une maturité",
+    interpolationNote: "Les taux sont interpolés linéairement entre les maturités et maintenus constants au-delà des extrémités.",
+    nelsonSiegel: {
+      beta0: "β₀ (niveau, %)",
+      beta1: "β₁ (pente, %)",
+      beta2: "β₂ (courbure, %)",
+      tau: "τ (décroissance, années)",
+    },
+    previewLabel: "Aperçu de la courbe zéro-coupon : taux par maturité",
+    spotRate: "Taux zéro-coupon",
+  },
+  floating: {
+    title: "Obligation à taux variable",
+    projectAs: "Taux de référence :",
+    rate: "Taux de référence",
+    startRate: "Taux de référence initial",
+    step: "Palier",
+    percentagePoints: "(points de pourcentage)",
+    stepYears: "Tous les",
+    ratesLabel: "Taux de référence de chaque période (%)",
+    ratesHelp: "Un taux par période de coupon, séparés par des espaces ou des retours à la ligne ; le dernier taux est conservé jusqu’à l’échéance.",
+    quotedMargin: "Marge faciale",
+    discountMargin: "Marge actuarielle",
+    marginNote:
+      "La marge faciale est fixée dans les conditions de l’obligation et s’ajoute au taux de référence pour fixer chaque coupon. La marge actuarielle est l’écart au-dessus du taux de référence que le marché exige aujourd’hui.",
+    previewLabel: "Taux de référence, de coupon et d’actualisation projetés par période",
+    referenceRate: "Taux de référence",
+    couponRate: "Taux de coupon",
+    discountRate: "Taux d’actualisation",
+    basisPoints: "{value} pb",
+    analysis: {
+      heading: "Obligation à taux variable",
+      currentReference: "Taux de référence actuel",
+      currentCoupon: "Taux de coupon actuel",
+      currentDiscount: "Taux d’actualisation actuel",
+      rateDuration: "Duration au taux de référence",
+      spreadDuration: "Duration de spread",
+      par:
+        "La marge faciale ({quotedMargin}) est égale à la marge actuarielle ({discountMargin}) : chaque coupon est donc versé exactement au taux auquel il est actualisé. À la dernière révision, le pair plus le dernier coupon actualisés sur une période à ce même taux valent le pair ; en remontant période par période, l’obligation vaut le pair à chaque date de révision, quelle que soit la trajectoire du taux de référence.",
+      premium:
+        "La marge faciale ({quotedMargin}) dépasse de {difference} la marge actuarielle ({discountMargin}) : chaque coupon verse au-dessus du taux de référence plus que ce qu’exige aujourd’hui le marché, et l’obligation cote donc au-dessus du pair. La prime est la valeur actuelle de cette marge supplémentaire jusqu’à l’échéance.",
+      discount:
+        "La marge faciale ({quotedMargin}) est inférieure de {difference} à la marge actuarielle ({discountMargin}) : chaque coupon verse au-dessus du taux de référence moins que ce qu’exige aujourd’hui le marché, et l’obligation cote donc au-dessous du pair. La décote est la valeur actuelle de cet écart jusqu’à l’échéance.",
+      betweenResets:
+        "Le règlement tombe entre deux dates de révision : le prix plein comprend donc aussi les intérêts courus depuis la dernière révision, et le prix peut s’écarter du pair jusqu’à la suivante.",
+      durations:
+        "Le coupon en cours a été fixé à la dernière révision : une variation du taux de référence n’affecte donc le prix que jusqu’à la prochaine révision (duration au taux de référence). Une variation de la marge actuarielle n’est pas compensée par les coupons : l’obligation y reste exposée jusqu’à l’échéance (duration de spread).",
+    },
+  },
+  inflation: {
+    title: "Obligation indexée sur l’inflation",
+    projectAs: "Indice d’inflation :",
+    rate: "Inflation",
+    baseCpi: "IPC de base (au règlement)",
+    cpiLabel: "Niveau de l’IPC à chaque date de coupon",
+    cpiHelp: "Un niveau par date de coupon, séparés par des espaces ou des retours à la ligne ; le dernier niveau est conservé jusqu’à l’échéance.",
+    realYield: "Rendement réel",
+    basis: "Base de valorisation",
+    priceOff: "Valoriser au :",
+    realBasis: "Rendement réel",
+    nominalBasis: "Rendement nominal",
+    basisNote: {
+      real: "Les coupons et le principal réels sont actualisés au rendement réel ; le rendement nominal des paiements indexés est déduit de ce prix.",
+      nominal:
+        "Les coupons et le principal indexés sont actualisés au rendement nominal ; le rendement réel des paiements réels est déduit de ce prix.",
+    },
+    previewLabel: "Coefficient d’indexation projeté par date de paiement",
+    indexRatio: "Coefficient d’indexation",
+    ratioTooltip: "{ratio} ({change} d’inflation cumulée)",
+    analysis: {
+      heading: "Inflation point mort",
+      breakeven: "Inflation point mort (rendements de marché)",
+      pathInflation: "Inflation de la trajectoire projetée",
+      realYield: "Rendement réel",
+      nominalYield: "Rendement nominal",
+      indexRatio: "Coefficient d’indexation à l’échéance",
+      priceAtReal: "Prix au rendement réel",
+      priceAtNominal: "Prix au rendement nominal",
+      explanation:
+        "L’inflation point mort ({breakeven} par an) est le taux auquel le rendement réel augmenté de l’inflation égale le rendement nominal. Si l’inflation la dépasse, l’obligation indexée fait mieux qu’une obligation nominale à ce rendement ; en dessous, c’est l’obligation nominale qui l’emporte.",
+      matches:
+        "La trajectoire projetée suppose une inflation de {path} par an, conforme au point mort : l’obligation vaut donc la même chose sur les deux bases, {priceAtReal} au rendement réel et {priceAtNominal} au rendement nominal.",
+      above:
+        "La trajectoire projetée suppose une inflation de {path} par an, supérieure au point mort : les paiements indexés valent donc plus au rendement nominal ({priceAtNominal}) que les paiements réels au rendement réel ({priceAtReal}).",
+      below:
+        "La trajectoire projetée suppose une inflation de {path} par an, inférieure au point mort : les paiements indexés valent donc moins au rendement nominal ({priceAtNominal}) que les paiements réels au rendement réel ({priceAtReal}).",
+      basis: {
+        real: "Le prix affiché utilise le rendement réel : il ne dépend donc pas de la trajectoire de l’inflation, qui ne fixe que les montants versés.",
+        nominal: "Le prix affiché utilise le rendement nominal : il monte et baisse donc avec l’inflation que suppose la trajectoire.",
+      },
+    },
+  },
+  credit: {
+    title: "Risque de crédit",
+    enable: "Tenir compte du défaut",
+    defaultAs: "Probabilité de défaut :",
+    probability: "Probabilité de défaut",
+    perYear: "(% par an)",
+    probabilitiesLabel: "Probabilité annuelle de défaut pour chaque année (%)",
+    probabilitiesHelp: "Une probabilité par année, séparées par des espaces ou des retours à la ligne ; la dernière est conservée jusqu’à l’échéance.",
+    recoveryRate: "Taux de recouvrement",
+    ofExposure: "(% de l’exposition)",
+    note:
+      "Chaque probabilité est celle d’un défaut dans l’année pour un émetteur qui a survécu jusque-là. En cas de défaut, les porteurs recouvrent cette part de l’exposition : la valeur des flux encore promis, au rendement sans risque.",
+    previewLabel: "Probabilité que l’émetteur survive jusqu’à chaque date de paiement",
+    survival: "Survie",
+    analysis: {
+      heading: "Risque de Crédit",
+      riskFreePrice: "Prix sans risque de défaut",
+      riskyPrice: "Prix risqué",
+      cva: "Ajustement de valeur pour risque de crédit",
+      expectedLoss: "Perte attendue (non actualisée)",
+      cumulativeDefault: "Probabilité de défaut d’ici l’échéance",
+      recoveryRate: "Taux de recouvrement",
+      riskyYield: "Rendement au prix risqué",
+      creditSpread: "Spread de crédit implicite",
+      explanation:
+        "Pondérer chaque flux promis par la probabilité qu’il soit payé, et chaque recouvrement par la probabilité de défaut, donne les flux espérés. Au rendement sans risque ({riskFreeYield}), ils valent {riskyPrice}, soit {cva} de moins que les {riskFreePrice} que vaudraient les flux promis si le défaut était impossible.",
+      spread:
+        "À {riskyPrice}, les flux promis rapportent {riskyYield}, soit un spread de crédit de {spread} au-dessus du rendement sans risque : le supplément de rendement que les porteurs exigent pour les pertes qu’ils anticipent.",
+    },
+  },
+  exercise: {
+    date: "Date",
+    year: "Année",
+    price: "Prix (%)",
+    datesNote: "Les dates sont reportées à la date de coupon suivante.",
+    yearsNote: "Les années doivent tomber sur une date de coupon.",
+    call: {
+      title: "Échéancier de call",
+      caption: "Dates et prix de call en pourcentage du capital restant dû",
+      dateLabel: "Date de call {number}",
+      yearsLabel: "Date de call {number} en années",
+      priceLabel: "Prix de call {number} en pourcentage du capital",
+      removeLabel: "Supprimer la date de call {number}",
+      add: "Ajouter une date de call",
+      note: "L’émetteur peut rembourser l’obligation par anticipation au prix de call.",
+    },
+    put: {
+      title: "Échéancier de put",
+      caption: "Dates et prix de put en pourcentage du capital restant dû",
+      dateLabel: "Date de put {number}",
+      yearsLabel: "Date de put {number} en années",
+      priceLabel: "Prix de put {number} en pourcentage du capital",
+      removeLabel: "Supprimer la date de put {number}",
+      add: "Ajouter une date de put",
+      note: "Le porteur peut revendre l’obligation par anticipation au prix de put.",
+    },
+  },
+  scenario: {
+    defaultName: "Obligation {letter}",
+  },
+  assumptions: {
+    profile: "Limites de saisie",
+    bondType: "Type d’obligation",
+    faceValue: "Valeur nominale",
+    couponRate: "Taux du coupon (%)",
+    frequency: "Paiements par an",
+    discounting: "Actualisation",
+    spotCurve: "Courbe zéro-coupon",
+    singleYield: "Rendement à l’échéance unique",
+    impliedYtm: "Rendement à l’échéance implicite (%)",
+    ytm: "Rendement à l’échéance (%)",
+    years: "Années jusqu’à l’échéance",
+    quotedPrice: "Prix pied de coupon coté",
+    settlementDate: "Date de règlement",
+    maturityDate: "Date d’échéance",
+    dayCount: "Base de calcul",
+    sinkingFundPercent: "Remboursement du fonds (% du nominal par an)",
+    sinkingFundStart: "Début du fonds d’amortissement (années)",
+    callPriceDate: "Prix de call du {date} (%)",
+    callPriceYears: "Prix de call de l’année {years} (%)",
+    putPriceDate: "Prix de put du {date} (%)",
+    putPriceYears: "Prix de put de l’année {years} (%)",
+    spotRate: "Taux zéro-coupon à {tenor} ans (%)",
+    nelsonSiegel: "Nelson–Siegel {parameter}",
+    referencePlusMargin: "Taux de référence + marge actuarielle",
+    quotedMargin: "Marge faciale (pb)",
+    discountMargin: "Marge actuarielle (pb)",
+    referenceRate: "Taux de référence, période {period} (%)",
+    realCouponRate: "Taux du coupon réel (%)",
+    nominalYield: "Rendement nominal (%)",
+    realYield: "Rendement réel (%)",
+    marketNominalYield: "Rendement nominal de marché (%)",
+    realBasis: "Coupons et principal réels au rendement réel",
+    nominalBasis: "Coupons et principal indexés au rendement nominal",
+    inflationRate: "Inflation (% par an)",
+    baseCpi: "IPC de base",
+    cpiLevel: "IPC, date de coupon {period}",
+    defaultProbability: "Probabilité annuelle de défaut (%)",
+    defaultProbabilityYear: "Probabilité de défaut, année {year} (%)",
+    recoveryRate: "Taux de recouvrement (%)",
+  },
+  locale: {
+    label: "Langue et devise",
+    language: "Langue :",
+    currency: "Devise :",
+  },
+  app: {
+    mode: "Mode",
+    modes: {
+      calculator: "Calculateur",
+      practice: "Entraînement",
+    },
+    card: {
+      equation: "Équation d’évaluation de l’obligation",
+      practice: "Entraînement",
+      assumptions: "Données et hypothèses",
+      results: "Résultats et analyse",
+      resultsFor: "Résultats et analyse : {name}",
+      cashFlows: "Flux de l’obligation",
+      priceYield: "Relation prix–rendement",
+      pullToPar: "Convergence vers le pair",
+      horizon: "Rendement à l’horizon et réinvestissement",
+      sensitivity: "Grille de sensibilité",
+      shocks: "Analyse de scénarios",
+      comparison: "Comparaison d’obligations",
+      calculator: "Calculateur de flux obligataires",
+      saved: "Scénarios enregistrés",
+    },
+    bonds: "Obligations",
+    editing: "Modification :",
+    hasErrors: "contient des erreurs de saisie",
+    removeBond: "Supprimer {name}",
+    addBond: "Ajouter une obligation à comparer",
+  },
+  calculator: {
+    faceValue: "Valeur nominale :",
+    profile: "Limites de saisie :",
+    frequency: "Fréquence de paiement :",
+    bondType: "Type d’obligation :",
+    discounting: "Actualisation",
+    discountWith: "Actualiser avec :",
+    singleYtm: "Rendement unique",
+    spotCurve: "Courbe zéro-coupon",
+    solveFor: "Calculer",
+    solveForLabel: "Calculer :",
+    price: "Prix",
+    cleanPrice: "Prix pied de coupon",
+    ytm: "Rendement à l’échéance",
+    nominalYield: "Rendement nominal",
+    maturityInput: "Saisie de l’échéance",
+    maturityAs: "Échéance en :",
+    years: "Années",
+    settlementDates: "Dates de règlement",
+    required: "Champs obligatoires",
+    couponRate: "Taux du coupon",
+    realCouponRate: "Taux du coupon réel",
+    range: "({min} - {max})",
+    zeroCouponTitle: "Les obligations zéro-coupon ne versent pas de coupon",
+    effectiveYield: "Rendement annuel effectif : {value}",
+    perPar: "(pour {faceValue} de nominal)",
+    settlementDate: "Date de règlement",
+    maturityDate: "Date d’échéance",
+    dayCount: "Base de calcul",
+    yearsToMaturity: "Années jusqu’à l’échéance",
+    sinkingFundPercent: "Remboursé par an",
+    percentOfFace: "(% du nominal)",
+    sinkingFundStart: "Premier remboursement après",
+    inYears: "(années)",
+    help: "Saisissez des valeurs : le calculateur met à jour les résultats et le graphique automatiquement.",
+  },
+};
@@ -0,0 +1,15 @@
+// Translations and locale-aware formatting. Framework-free like the engine; the app reads both
+// through one object per locale/currency pair.
+import { createFormatter } from "./format.js";
+import { createTranslator } from "./messages.js";
+
+export { createFormatter, parseLocaleNumber } from "./format.js";
+export { CATALOGS, CURRENCIES, DEFAULT_LOCALE, LOCALES, createTranslator, frequencyLabel, matchLocale } from "./messages.js";
+
+/**
+ * Translator and formatters for a locale and currency.
+ * @param {string} locale
+ * @param {string} currency
+ * @returns {import("./format.js").Formatter & { t: (key: string, params?: object) => string }}
+ */
+export const createLocale = (locale, currency) => ({ t: createTranslator(locale), ...createFormatter(locale, currency) });
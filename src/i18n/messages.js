@@ -0,0 +1,71 @@
+// ============================
+// MESSAGE CATALOGS
+// ============================
+// One catalog per language, nested by screen area. A message is a string with {name}
+// placeholders, or an object of plural forms ({ one, other }) chosen by the `count` parameter.
+// Keys missing from a catalog fall back to English so a partial translation still renders.
+import en from "./en.js";
+import es from "./es.js";
+import fr from "./fr.js";
+
+export const CATALOGS = { en, es, fr };
+
+/** Locales offered in the selector; each brings its usual currency. */
+export const LOCALES = [
+  { value: "en-US", label: "English (United States)", currency: "USD" },
+  { value: "en-GB", label: "English (United Kingdom)", currency: "GBP" },
+  { value: "es-ES", label: "Español (España)", currency: "EUR" },
+  { value: "es-MX", label: "Español (México)", currency: "MXN" },
+  { value: "fr-FR", label: "Français (France)", currency: "EUR" },
+  { value: "fr-CA", label: "Français (Canada)", currency: "CAD" },
+];
+
+/** ISO 4217 codes offered in the currency selector. */
+export const CURRENCIES = ["USD", "EUR", "GBP", "CHF", "CAD", "MXN", "JPY"];
+
+export const DEFAULT_LOCALE = "en-US";
+
+/**
+ * Picks the supported locale closest to the browser's preferences: an exact match first,
+ * then the first locale in the same language.
+ * @param {readonly string[]} preferred e.g. navigator.languages
+ * @returns {string}
+ */
+export const matchLocale = (preferred = []) => {
+  for (const tag of preferred) {
+    const exact = LOCALES.find(({ value }) => value.toLowerCase() === tag.toLowerCase());
+    if (exact) return exact.value;
+    const sameLanguage = LOCALES.find(({ value }) => value.split("-")[0] === tag.split("-")[0].toLowerCase());
+    if (sameLanguage) return sameLanguage.value;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) => key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * @param {string} locale
+ * @returns {(key: string, params?: object) => string} unknown keys come back as the key itself;
+ *   placeholders without a parameter are left in place so the caller can substitute elements
+ */
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale.split("-")[0]] ?? en;
+  const plurals = new Intl.PluralRules(locale);
+  return (key, params = {}) => {
+    let message = lookup(catalog, key) ?? lookup(en, key);
+    if (message && typeof message === "object") message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    if (typeof message !== "string") return key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+  };
+};
+
+/**
+ * @param {number} frequency coupons per year
+ * @param {(key: string, params?: object) => string} t
+ * @returns {string} "Semi-annual" for the frequencies the catalogs name, "3× per year" otherwise
+ */
+export const frequencyLabel = (frequency, t) => {
+  const key = `frequency.${frequency}`;
+  const label = t(key);
+  return label === key ? t("frequency.other", { count: frequency }) : label;
+};
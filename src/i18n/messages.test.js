@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { CATALOGS, LOCALES, createTranslator, matchLocale } from "./messages.js";
+
+// Every message path, including plural forms, so a catalog cannot silently drop a key
+const keyPaths = (catalog, prefix = "") =>
+  Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === "object" ? keyPaths(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+
+const placeholders = (catalog) =>
+  Object.fromEntries(
+    keyPaths(catalog).map((path) => {
+      const message = path.split(".").reduce((node, key) => node[key], catalog);
+      return [path, [...message.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort()];
+    })
+  );
+
+describe("message catalogs", () => {
+  it.each(["es", "fr"])("%s translates every English message with the same placeholders", (language) => {
+    expect(keyPaths(CATALOGS[language]).sort()).toEqual(keyPaths(CATALOGS.en).sort());
+    expect(placeholders(CATALOGS[language])).toEqual(placeholders(CATALOGS.en));
+  });
+
+  it("has a catalog for every offered locale", () => {
+    LOCALES.forEach(({ value }) => expect(CATALOGS[value.split("-")[0]]).toBeDefined());
+  });
+});
+
+describe("createTranslator", () => {
+  it("fills placeholders and picks plural forms by count", () => {
+    const t = createTranslator("en-US");
+    expect(t("common.years", { count: 1, value: "1" })).toBe("1 year");
+    expect(t("common.years", { count: 2.5, value: "2.5" })).toBe("2.5 years");
+    expect(t("saved.imported", { count: 1 })).toBe("Imported 1 scenario.");
+  });
+
+  it("uses the locale's plural rules", () => {
+    // French treats 0 as singular
+    expect(createTranslator("fr-FR")("saved.imported", { count: 0 })).toBe("0 scénario importé.");
+    expect(createTranslator("es-ES")("saved.imported", { count: 0 })).toBe("Importados 0 escenarios.");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(createTranslator("de-DE")("app.modes.practice")).toBe("Practice");
+    expect(createTranslator("fr-FR")("no.such.key")).toBe("no.such.key");
+    expect(createTranslator("en-US")("saved.saved")).toBe("Saved “{name}”.");
+  });
+});
+
+describe("matchLocale", () => {
+  it("prefers an exact match, then the same language, then English", () => {
+    expect(matchLocale(["fr-CA", "en-US"])).toBe("fr-CA");
+    expect(matchLocale(["es-AR"])).toBe("es-ES");
+    expect(matchLocale(["de-DE", "fr"])).toBe("fr-FR");
+    expect(matchLocale(["ja-JP"])).toBe("en-US");
+  });
+});
@@ -0,0 +1,312 @@
+// ============================
+// URL STATE, SAVED SCENARIOS AND STRESS SETS
+// ============================
+// Inputs are plain objects keyed like the calculator's default inputs. Every helper takes those
+// defaults so new inputs are shared and saved without touching this module: the type of each
+// default value decides how a query parameter or imported field is read back.
+
+const STORAGE_KEY = "bondCalculator.savedScenarios";
+const PREFERENCES_KEY = "bondCalculator.preferences";
+const STRESS_SETS_KEY = "bondCalculator.stressSets";
+const FILE_VERSION = 1;
+export const MAX_BONDS = 4;
+
+/**
+ * Names for entries saved without one. The app passes them in the reader's language; these are
+ * only the fallback when it does not.
+ * @typedef {object} FallbackNames
+ * @property {(number: number) => string} scenario
+ * @property {(letter: string) => string} bond
+ * @property {(number: number) => string} stressSet
+ */
+const FALLBACK_NAMES = {
+  scenario: (number) => `Scenario ${number}`,
+  bond: (letter) => `Bond ${letter}`,
+  stressSet: (number) => `Stress set ${number}`,
+};
+
+// Later bonds in a comparison carry a prefix: b2_couponRate, b3_ytm, ...
+const bondPrefix = (index) => (index === 0 ? "" : `b${index + 1}_`);
+
+const encodeValue = (value) => (typeof value === "object" ? JSON.stringify(value) : String(value));
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// A list entry must look like the list's first default entry: a number, or an object with every
+// number field present. A list that starts empty takes numbers or flat objects of numbers and strings
+const matchesEntry = (entry, template) => {
+  if (template === undefined)
+    return isFiniteNumber(entry) || (isPlainObject(entry) && Object.values(entry).every((value) => isFiniteNumber(value) || typeof value === "string"));
+  if (typeof template === "number") return isFiniteNumber(entry);
+  if (isPlainObject(template))
+    return isPlainObject(entry) && Object.keys(template).every((key) => typeof template[key] !== "number" || isFiniteNumber(entry[key]));
+  return typeof entry === typeof template;
+};
+
+// Checks a parsed list or object against its default, entry by entry and field by field, so a
+// malformed element in a link or file never reaches the calculator
+const coerceStructure = (value, fallback) => {
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) return fallback;
+    const [template] = fallback;
+    return value
+      .filter((entry) => matchesEntry(entry, template))
+      .map((entry) => (isPlainObject(template) ? coerceStructure(entry, template) : entry));
+  }
+  if (!isPlainObject(value)) return fallback;
+  return Object.fromEntries(
+    Object.entries(fallback).map(([key, field]) => [
+      key,
+      typeof field === "object" && field !== null
+        ? coerceStructure(value[key], field)
+        : typeof value[key] === typeof field && (typeof field !== "number" || Number.isFinite(value[key]))
+        ? value[key]
+        : field,
+    ])
+  );
+};
+
+const decodeValue = (text, fallback) => {
+  if (typeof fallback === "number") {
+    const number = Number(text);
+    return text.trim() !== "" && Number.isFinite(number) ? number : fallback;
+  }
+  if (typeof fallback === "boolean") return text === "true";
+  if (typeof fallback === "object") {
+    try {
+      return coerceStructure(JSON.parse(text), fallback);
+    } catch {
+      return fallback;
+    }
+  }
+  return text;
+};
+
+/**
+ * Keeps only known inputs, coercing each to the type of its default.
+ * @param {object} raw untrusted inputs (from a file or storage)
+ * @param {object} defaults
+ * @returns {object} a complete inputs object
+ */
+export const coerceInputs = (raw, defaults) => {
+  const inputs = { ...defaults };
+  if (!raw || typeof raw !== "object") return inputs;
+  Object.keys(defaults).forEach((key) => {
+    if (raw[key] === undefined) return;
+    const text = typeof raw[key] === "string" ? raw[key] : encodeValue(raw[key]);
+    inputs[key] = decodeValue(text, defaults[key]);
+  });
+  return inputs;
+};
+
+/**
+ * Encodes every bond's inputs as query parameters, omitting values equal to the defaults.
+ * Dates are always written for dated bonds because their defaults move with the calendar.
+ * @param {object[]} bondInputs one inputs object per compared bond
+ * @param {object} defaults
+ * @returns {string} query string without the leading "?"
+ */
+export const scenariosToQuery = (bondInputs, defaults) => {
+  const params = new URLSearchParams();
+  if (bondInputs.length > 1) params.set("bonds", String(bondInputs.length));
+  bondInputs.forEach((inputs, index) => {
+    Object.keys(defaults).forEach((key) => {
+      const encoded = encodeValue(inputs[key]);
+      const dated = inputs.useDates && (key === "settlementDate" || key === "maturityDate");
+      if (dated || encoded !== encodeValue(defaults[key])) params.set(`${bondPrefix(index)}${key}`, encoded);
+    });
+  });
+  return params.toString();
+};
+
+/**
+ * Reads bonds back from a query string written by {@link scenariosToQuery}.
+ * @param {string} search e.g. window.location.search
+ * @param {object} defaults
+ * @returns {object[]|null} one inputs object per bond, or null when the URL holds no inputs
+ */
+export const scenariosFromQuery = (search, defaults) => {
+  const params = new URLSearchParams(search);
+  const count = Math.min(Math.max(Math.floor(Number(params.get("bonds"))) || 1, 1), MAX_BONDS);
+  const bonds = Array.from({ length: count }, (_, index) => {
+    const inputs = { ...defaults };
+    Object.keys(defaults).forEach((key) => {
+      const text = params.get(`${bondPrefix(index)}${key}`);
+      if (text !== null) inputs[key] = decodeValue(text, defaults[key]);
+    });
+    return inputs;
+  });
+  const hasInputs = [...params.keys()].some((name) => name !== "bonds");
+  return hasInputs || count > 1 ? bonds : null;
+};
+
+/**
+ * A saved scenario is a named set of compared bonds.
+ * @typedef {Object} SavedScenario
+ * @property {string} id
+ * @property {string} name
+ * @property {string} savedAt ISO timestamp
+ * @property {{ name: string, inputs: object }[]} bonds
+ */
+
+const normalizeSaved = (entry, defaults, index, names) => {
+  if (!entry || typeof entry !== "object" || !Array.isArray(entry.bonds) || entry.bonds.length === 0) return null;
+  return {
+    id: typeof entry.id === "string" && entry.id ? entry.id : `imported-${Date.now()}-${index}`,
+    name: typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : names.scenario(index + 1),
+    savedAt: typeof entry.savedAt === "string" ? entry.savedAt : new Date().toISOString(),
+    bonds: entry.bonds.slice(0, MAX_BONDS).map((bond, bondIndex) => ({
+      name: typeof bond?.name === "string" && bond.name ? bond.name : names.bond(String.fromCharCode(65 + bondIndex)),
+      inputs: coerceInputs(bond?.inputs, defaults),
+    })),
+  };
+};
+
+/**
+ * @param {object} defaults
+ * @param {Storage} [storage]
+ * @param {FallbackNames} [names]
+ * @returns {SavedScenario[]} an empty list when storage is unavailable or corrupt
+ */
+export const readSavedScenarios = (defaults, storage = globalThis.localStorage, names = FALLBACK_NAMES) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(parsed) ? parsed.map((entry, i) => normalizeSaved(entry, defaults, i, names)).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * @param {SavedScenario[]} scenarios
+ * @param {Storage} [storage]
+ * @returns {boolean} false when the browser refused the write (private mode, quota)
+ */
+export const writeSavedScenarios = (scenarios, storage = globalThis.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A saved stress set is a named list of yield-curve shocks; it belongs to no bond, so the same set can
+ * be applied to each bond in turn.
+ * @typedef {Object} StressSet
+ * @property {string} id
+ * @property {string} name
+ * @property {string} savedAt ISO timestamp
+ * @property {object[]} shocks
+ */
+
+const normalizeStressSet = (entry, defaults, index, names) => {
+  if (!entry || typeof entry !== "object" || !Array.isArray(entry.shocks) || entry.shocks.length === 0) return null;
+  return {
+    id: typeof entry.id === "string" && entry.id ? entry.id : `imported-${Date.now()}-${index}`,
+    name: typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : names.stressSet(index + 1),
+    savedAt: typeof entry.savedAt === "string" ? entry.savedAt : new Date().toISOString(),
+    shocks: entry.shocks.map((shock) => coerceInputs(shock, defaults)),
+  };
+};
+
+/**
+ * @param {object} defaults a complete shock, whose values fill in and type each saved one
+ * @param {Storage} [storage]
+ * @param {FallbackNames} [names]
+ * @returns {StressSet[]} an empty list when storage is unavailable or corrupt
+ */
+export const readStressSets = (defaults, storage = globalThis.localStorage, names = FALLBACK_NAMES) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(STRESS_SETS_KEY) ?? "[]");
+    return Array.isArray(parsed) ? parsed.map((entry, i) => normalizeStressSet(entry, defaults, i, names)).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * @param {StressSet[]} sets
+ * @param {Storage} [storage]
+ * @returns {boolean} false when the browser refused the write
+ */
+export const writeStressSets = (sets, storage = globalThis.localStorage) => {
+  try {
+    storage.setItem(STRESS_SETS_KEY, JSON.stringify(sets));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Display preferences such as the locale and currency, kept apart from the shared inputs.
+ * @param {Storage} [storage]
+ * @returns {object} an empty object when nothing usable is stored
+ */
+export const readPreferences = (storage = globalThis.localStorage) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(PREFERENCES_KEY) ?? "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * @param {object} preferences
+ * @param {Storage} [storage]
+ * @returns {boolean} false when the browser refused the write
+ */
+export const writePreferences = (preferences, storage = globalThis.localStorage) => {
+  try {
+    storage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * @param {SavedScenario[]} scenarios
+ * @returns {string} pretty-printed JSON for download
+ */
+export const exportScenarioFile = (scenarios) =>
+  JSON.stringify({ version: FILE_VERSION, scenarios }, null, 2);
+
+/**
+ * Why a scenario file was rejected. `code` is one of "invalidJson", "noList" or "noScenarios", for
+ * the app to put into words in the reader's language.
+ */
+export class ScenarioFileError extends Error {
+  /** @param {"invalidJson"|"noList"|"noScenarios"} code */
+  constructor(code) {
+    super(`Scenario file rejected: ${code}`);
+    this.name = "ScenarioFileError";
+    this.code = code;
+  }
+}
+
+/**
+ * Parses an exported file (or a bare array of scenarios).
+ * @param {string} text
+ * @param {object} defaults
+ * @param {FallbackNames} [names]
+ * @returns {SavedScenario[]}
+ * @throws {ScenarioFileError} when the file is not JSON or holds no scenarios
+ */
+export const parseScenarioFile = (text, defaults, names = FALLBACK_NAMES) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new ScenarioFileError("invalidJson");
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.scenarios;
+  if (!Array.isArray(entries)) throw new ScenarioFileError("noList");
+  const scenarios = entries.map((entry, i) => normalizeSaved(entry, defaults, i, names)).filter(Boolean);
+  if (scenarios.length === 0) throw new ScenarioFileError("noScenarios");
+  return scenarios;
+};
@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest";
+import {
+  coerceInputs,
+  exportScenarioFile,
+  parseScenarioFile,
+  readPreferences,
+  readSavedScenarios,
+  readStressSets,
+  ScenarioFileError,
+  scenariosFromQuery,
+  scenariosToQuery,
+  writePreferences,
+  writeSavedScenarios,
+  writeStressSets,
+} from "./persistence.js";
+
+const defaults = {
+  couponRate: 8.6,
+  ytm: 6.5,
+  years: 5,
+  useDates: false,
+  settlementDate: "2026-01-15",
+  bondType: "bullet",
+  curvePoints: [{ tenor: 1, rate: 4 }],
+  nelsonSiegelParams: { beta0: 6.5, tau: 2 },
+  callSchedule: [],
+  referenceRates: [],
+};
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+};
+
+describe("URL query state", () => {
+  it("writes only inputs that differ from the defaults", () => {
+    expect(scenariosToQuery([{ ...defaults, couponRate: 5 }], defaults)).toBe("couponRate=5");
+    expect(scenariosToQuery([defaults], defaults)).toBe("");
+  });
+
+  it("round-trips several bonds with typed values", () => {
+    const bonds = [
+      { ...defaults, ytm: 7.25, bondType: "zero" },
+      { ...defaults, years: 3, useDates: true, curvePoints: [{ tenor: 2, rate: 5.5 }] },
+    ];
+    const query = scenariosToQuery(bonds, defaults);
+    expect(query).toContain("bonds=2");
+    expect(query).toContain("b2_settlementDate=2026-01-15");
+    expect(scenariosFromQuery(`?${query}`, defaults)).toEqual(bonds);
+  });
+
+  it("returns null without inputs and ignores unreadable numbers", () => {
+    expect(scenariosFromQuery("", defaults)).toBeNull();
+    expect(scenariosFromQuery("?ytm=abc&years=4", defaults)).toEqual([{ ...defaults, years: 4 }]);
+  });
+});
+
+describe("saved scenarios", () => {
+  const saved = [{ id: "a", name: "Premium vs discount", savedAt: "2026-01-01T00:00:00.000Z", bonds: [{ name: "Bond A", inputs: { ytm: 9 } }] }];
+
+  it("stores and reads back a list, filling missing inputs from the defaults", () => {
+    const storage = memoryStorage();
+    expect(writeSavedScenarios(saved, storage)).toBe(true);
+    const [scenario] = readSavedScenarios(defaults, storage);
+    expect(scenario.name).toBe("Premium vs discount");
+    expect(scenario.bonds[0].inputs).toEqual({ ...defaults, ytm: 9 });
+  });
+
+  it("treats corrupt storage as empty", () => {
+    const storage = memoryStorage();
+    storage.setItem("bondCalculator.savedScenarios", "{not json");
+    expect(readSavedScenarios(defaults, storage)).toEqual([]);
+  });
+
+  it("imports its own export and coerces field types", () => {
+    const imported = parseScenarioFile(exportScenarioFile(saved), defaults);
+    expect(imported[0].bonds[0].inputs.ytm).toBe(9);
+    expect(coerceInputs({ years: "3", useDates: true, unknown: 1 }, defaults)).toEqual({ ...defaults, years: 3, useDates: true });
+  });
+
+  it("drops list entries and object fields that do not match their defaults", () => {
+    const query = `?callSchedule=${encodeURIComponent("[null,\"x\",{\"years\":2,\"price\":101}]")}&curvePoints=${encodeURIComponent(
+      '[null,{"tenor":2},{"tenor":"x","rate":5},{"tenor":3,"rate":5.5}]'
+    )}`;
+    const [fromUrl] = scenariosFromQuery(query, defaults);
+    expect(fromUrl.callSchedule).toEqual([{ years: 2, price: 101 }]);
+    expect(fromUrl.curvePoints).toEqual([{ tenor: 3, rate: 5.5 }]);
+    const file = JSON.stringify([
+      { bonds: [{ inputs: { callSchedule: [null, [1]], referenceRates: [4, null, "5"], nelsonSiegelParams: { beta0: null, tau: 3 } } }] },
+    ]);
+    const [{ bonds }] = parseScenarioFile(file, defaults);
+    expect(bonds[0].inputs.callSchedule).toEqual([]);
+    expect(bonds[0].inputs.referenceRates).toEqual([4]);
+    expect(bonds[0].inputs.nelsonSiegelParams).toEqual({ beta0: 6.5, tau: 3 });
+  });
+
+  it("rejects files without scenarios with a code to translate", () => {
+    const codeOf = (text) => {
+      try {
+        parseScenarioFile(text, defaults);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ScenarioFileError);
+        return error.code;
+      }
+      return null;
+    };
+    expect(codeOf("nope")).toBe("invalidJson");
+    expect(codeOf('{"version":1}')).toBe("noList");
+    expect(codeOf("[{}]")).toBe("noScenarios");
+  });
+
+  it("names unnamed entries with the names passed in", () => {
+    const names = { scenario: (number) => `Escenario ${number}`, bond: (letter) => `Bono ${letter}`, stressSet: (number) => `Conjunto ${number}` };
+    const [scenario] = parseScenarioFile('[{"bonds":[{"inputs":{}}]}]', defaults, names);
+    expect(scenario.name).toBe("Escenario 1");
+    expect(scenario.bonds[0].name).toBe("Bono A");
+    const storage = memoryStorage();
+    storage.setItem("bondCalculator.stressSets", JSON.stringify([{ shocks: [{}] }]));
+    expect(readStressSets({ shift: 100 }, storage, names)[0].name).toBe("Conjunto 1");
+  });
+});
+
+describe("stress sets", () => {
+  const shockDefaults = { name: "", kind: "parallel", shift: 100, points: [{ tenor: 1, shift: 0 }] };
+
+  it("stores named shock lists and fills each shock from the defaults", () => {
+    const storage = memoryStorage();
+    const sets = [{ id: "s", name: "Rates up", savedAt: "2026-01-01T00:00:00.000Z", shocks: [{ name: "+200 bp", shift: "200" }] }];
+    expect(writeStressSets(sets, storage)).toBe(true);
+    const [set] = readStressSets(shockDefaults, storage);
+    expect(set.name).toBe("Rates up");
+    expect(set.shocks).toEqual([{ ...shockDefaults, name: "+200 bp", shift: 200 }]);
+  });
+
+  it("drops entries without shocks and survives corrupt storage", () => {
+    const storage = memoryStorage();
+    storage.setItem("bondCalculator.stressSets", JSON.stringify([{ name: "Empty", shocks: [] }, { shocks: [{}] }]));
+    const sets = readStressSets(shockDefaults, storage);
+    expect(sets).toHaveLength(1);
+    expect(sets[0].name).toBe("Stress set 2");
+    storage.setItem("bondCalculator.stressSets", "{");
+    expect(readStressSets(shockDefaults, storage)).toEqual([]);
+  });
+});
+
+describe("preferences", () => {
+  it("round-trips and ignores unusable values", () => {
+    const storage = memoryStorage();
+    expect(readPreferences(storage)).toEqual({});
+    expect(writePreferences({ locale: "fr-FR", currency: "CHF" }, storage)).toBe(true);
+    expect(readPreferences(storage)).toEqual({ locale: "fr-FR", currency: "CHF" });
+    storage.setItem("bondCalculator.preferences", "[1]");
+    expect(readPreferences(storage)).toEqual({});
+  });
+});
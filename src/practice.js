@@ -0,0 +1,101 @@
+// ============================
+// PRACTICE PROBLEMS
+// ============================
+// Problems are generated from a seed so a set can be shared and reproduced exactly. Inputs stay
+// inside the calculator's exam-exercise limits: coupon and yield 0–10%, 1–5 whole years.
+import { computeBondPrice } from "./engine/index.js";
+import { DEFAULT_LOCALE, parseLocaleNumber } from "./i18n/index.js";
+
+/** Question types asked in practice mode. */
+export const QUESTION_KINDS = [
+  { value: "price", prompt: "What is the price of this bond?" },
+  { value: "status", prompt: "Is this bond trading at a premium, at par or at a discount?" },
+  { value: "pvFace", prompt: "What is the present value of the face value?" },
+  { value: "pvCoupons", prompt: "What is the present value of the coupon payments?" },
+];
+
+/** Answer choices for the premium/par/discount question. */
+export const STATUS_CHOICES = ["Premium", "Par", "Discount"];
+
+const FREQUENCY_CHOICES = [1, 2, 4];
+const FACE_VALUE_CHOICES = [100, 1000];
+
+/**
+ * Small, fast seeded generator (mulberry32).
+ * @param {number} seed any integer
+ * @returns {() => number} uniform values in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, choices) => choices[Math.floor(random() * choices.length)];
+
+/**
+ * A currency answer is accepted within one cent per 100 of face value.
+ * @param {number} faceValue
+ */
+export const answerTolerance = (faceValue) => faceValue / 10000;
+
+/**
+ * @typedef {object} PracticeProblem
+ * @property {{ faceValue: number, couponRate: number, ytm: number, years: number, frequency: number }} bond
+ * @property {string} kind one of QUESTION_KINDS
+ * @property {string} prompt
+ * @property {number|string} answer a currency amount, or one of STATUS_CHOICES
+ */
+
+/**
+ * @param {() => number} random
+ * @returns {PracticeProblem}
+ */
+const generateProblem = (random) => {
+  const bond = {
+    faceValue: pick(random, FACE_VALUE_CHOICES),
+    frequency: pick(random, FREQUENCY_CHOICES),
+    years: 1 + Math.floor(random() * 5),
+    couponRate: Math.round(random() * 40) / 4,
+    ytm: Math.round((1 + random() * 9) * 20) / 20,
+  };
+  const { value: kind, prompt } = pick(random, QUESTION_KINDS);
+  const { price, pvCoupons, pvFaceValue } = computeBondPrice(bond);
+  const status = Math.abs(price - bond.faceValue) < 0.01 ? "Par" : price > bond.faceValue ? "Premium" : "Discount";
+  const answer = { price, status, pvFace: pvFaceValue, pvCoupons }[kind];
+  return { bond, kind, prompt, answer };
+};
+
+/**
+ * @param {number} seed
+ * @param {number} [count]
+ * @returns {PracticeProblem[]} the same problems for the same seed
+ */
+export const generateProblemSet = (seed, count = 10) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => generateProblem(random));
+};
+
+/**
+ * Grades a typed answer. Currency answers may include a currency symbol and are read with the
+ * locale's decimal and grouping separators.
+ * @param {PracticeProblem} problem
+ * @param {string} response
+ * @param {string} [locale] BCP 47 tag
+ * @returns {{ correct: boolean, answered: boolean }} answered is false when the response is blank or unreadable
+ */
+export const gradeAnswer = (problem, response, locale = DEFAULT_LOCALE) => {
+  const text = String(response ?? "").trim();
+  if (problem.kind === "status") {
+    const answered = STATUS_CHOICES.some((choice) => choice.toLowerCase() === text.toLowerCase());
+    return { answered, correct: answered && text.toLowerCase() === problem.answer.toLowerCase() };
+  }
+  const value = parseLocaleNumber(text, locale);
+  if (text === "" || !Number.isFinite(value)) return { answered: false, correct: false };
+  return { answered: true, correct: Math.abs(value - problem.answer) <= answerTolerance(problem.bond.faceValue) };
+};
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { computeBondPrice } from "./engine/index.js";
+import { createRandom, generateProblemSet, gradeAnswer } from "./practice.js";
+
+describe("createRandom", () => {
+  it("repeats its sequence for a seed and stays in [0, 1)", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = Array.from({ length: 100 }, () => a());
+    expect(values).toEqual(Array.from({ length: 100 }, () => b()));
+    expect(values.every((value) => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe("generateProblemSet", () => {
+  it("reproduces a set from its seed", () => {
+    expect(generateProblemSet(2024)).toEqual(generateProblemSet(2024));
+    expect(generateProblemSet(2024)).not.toEqual(generateProblemSet(2025));
+  });
+
+  it("keeps inputs within the calculator's limits", () => {
+    generateProblemSet(7, 200).forEach(({ bond }) => {
+      expect(bond.couponRate).toBeGreaterThanOrEqual(0);
+      expect(bond.couponRate).toBeLessThanOrEqual(10);
+      expect(bond.ytm).toBeGreaterThanOrEqual(0);
+      expect(bond.ytm).toBeLessThanOrEqual(10);
+      expect(Number.isInteger(bond.years) && bond.years >= 1 && bond.years <= 5).toBe(true);
+    });
+  });
+
+  it("answers with the engine's values", () => {
+    const problem = generateProblemSet(11, 50).find(({ kind }) => kind === "price");
+    expect(problem.answer).toBeCloseTo(computeBondPrice(problem.bond).price, 12);
+  });
+});
+
+describe("gradeAnswer", () => {
+  const priceProblem = { bond: { faceValue: 100 }, kind: "price", answer: 97.2768 };
+  const statusProblem = { bond: { faceValue: 100 }, kind: "status", answer: "Discount" };
+
+  it("accepts currency answers within a cent per 100 of face", () => {
+    expect(gradeAnswer(priceProblem, "97.28")).toEqual({ answered: true, correct: true });
+    expect(gradeAnswer(priceProblem, "$97.29")).toEqual({ answered: true, correct: false });
+    expect(gradeAnswer({ ...priceProblem, bond: { faceValue: 1000 }, answer: 1972.768 }, "1,972.80")).toEqual({
+      answered: true,
+      correct: true,
+    });
+  });
+
+  it("reads answers with the locale's separators", () => {
+    expect(gradeAnswer(priceProblem, "97,28", "fr-FR")).toEqual({ answered: true, correct: true });
+    expect(gradeAnswer(priceProblem, "97,28 €", "es-ES")).toEqual({ answered: true, correct: true });
+    expect(gradeAnswer({ ...priceProblem, bond: { faceValue: 1000 }, answer: 1972.768 }, "1.972,80", "es-ES").correct).toBe(
+      true
+    );
+  });
+
+  it("flags blank or unreadable answers without grading them", () => {
+    expect(gradeAnswer(priceProblem, "").answered).toBe(false);
+    expect(gradeAnswer(priceProblem, "about 97").answered).toBe(false);
+    expect(gradeAnswer(statusProblem, "cheap").answered).toBe(false);
+  });
+
+  it("matches status answers regardless of case", () => {
+    expect(gradeAnswer(statusProblem, "discount").correct).toBe(true);
+    expect(gradeAnswer(statusProblem, "Premium").correct).toBe(false);
+  });
+});
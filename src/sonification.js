@@ -0,0 +1,75 @@
+// ============================
+// CASH-FLOW SONIFICATION
+// ============================
+// Plays a cash-flow series as a run of tones so its shape can be heard as well as seen: pitch rises
+// with the size of each flow, outflows (the purchase) use a softer triangle wave, and a period with
+// no payment is a rest. The tones are planned as plain data so the timing can be tested; only
+// playTones touches the Web Audio API.
+
+/** Lowest and highest tone, Hz: two octaves from A3 to A5. */
+export const TONE_RANGE = { low: 220, high: 880 };
+
+/**
+ * Pitch for a cash flow, linear in its size so a coupon and the final principal sound far apart.
+ * @param {number} amount
+ * @param {number} largest the largest absolute flow in the series
+ * @returns {number} Hz
+ */
+export const toneFrequency = (amount, largest) =>
+  TONE_RANGE.low + (TONE_RANGE.high - TONE_RANGE.low) * (largest > 0 ? Math.min(Math.abs(amount) / largest, 1) : 0);
+
+/**
+ * @typedef {object} Tone
+ * @property {number} index position of the flow in the series
+ * @property {number} start seconds from the start of playback
+ * @property {number} duration seconds
+ * @property {number} frequency Hz
+ * @property {"sine"|"triangle"} wave triangle for an outflow
+ */
+
+/**
+ * One tone per non-zero flow, each followed by a short gap; zero flows keep their slot as a rest.
+ * @param {number[]} amounts
+ * @param {{ noteSeconds?: number, gapSeconds?: number }} [timing]
+ * @returns {Tone[]}
+ */
+export const planTones = (amounts, { noteSeconds = 0.25, gapSeconds = 0.08 } = {}) => {
+  const largest = Math.max(0, ...amounts.map(Math.abs));
+  return amounts.flatMap((amount, index) =>
+    Math.abs(amount) < 0.005
+      ? []
+      : [
+          {
+            index,
+            start: index * (noteSeconds + gapSeconds),
+            duration: noteSeconds,
+            frequency: toneFrequency(amount, largest),
+            wave: amount < 0 ? "triangle" : "sine",
+          },
+        ]
+  );
+};
+
+/**
+ * Schedules the tones on an AudioContext, each faded in and out so it does not click.
+ * @param {Tone[]} tones
+ * @param {AudioContext} context
+ * @returns {() => void} stops any tone still playing
+ */
+export const playTones = (tones, context) => {
+  const now = context.currentTime;
+  const oscillators = tones.map(({ start, duration, frequency, wave }) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = wave;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0, now + start);
+    gain.gain.linearRampToValueAtTime(0.2, now + start + 0.02);
+    gain.gain.linearRampToValueAtTime(0, now + start + duration);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(now + start);
+    oscillator.stop(now + start + duration);
+    return oscillator;
+  });
+  return () => oscillators.forEach((oscillator) => oscillator.stop());
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { TONE_RANGE, planTones, playTones, toneFrequency } from "./sonification.js";
+
+describe("toneFrequency", () => {
+  it("scales linearly from the lowest tone to the highest with the size of the flow", () => {
+    expect(toneFrequency(104.3, 104.3)).toBe(TONE_RANGE.high);
+    expect(toneFrequency(-52.15, 104.3)).toBeCloseTo((TONE_RANGE.low + TONE_RANGE.high) / 2, 10);
+    expect(toneFrequency(0, 0)).toBe(TONE_RANGE.low);
+  });
+});
+
+describe("planTones", () => {
+  it("plays one tone per flow in order, with a rest for a period without payment", () => {
+    const tones = planTones([-95, 0, 10, 110], { noteSeconds: 0.2, gapSeconds: 0.05 });
+    expect(tones.map(({ index }) => index)).toEqual([0, 2, 3]);
+    expect(tones.map(({ start }) => start)).toEqual([0, 0.5, 0.75]);
+    expect(tones.map(({ wave }) => wave)).toEqual(["triangle", "sine", "sine"]);
+    expect(tones[2].frequency).toBe(TONE_RANGE.high);
+  });
+});
+
+describe("playTones", () => {
+  it("schedules each tone from the context's current time and can stop them all", () => {
+    const calls = [];
+    const param = { setValueAtTime() {}, linearRampToValueAtTime() {} };
+    const context = {
+      currentTime: 10,
+      destination: {},
+      createGain: () => ({ gain: param, connect: (node) => node }),
+      createOscillator: () => ({
+        frequency: {},
+        connect: (node) => node,
+        start: (time) => calls.push(["start", time]),
+        stop: (time) => calls.push(["stop", time]),
+      }),
+    };
+    const stop = playTones(planTones([-95, 105]), context);
+    expect(calls.filter(([kind]) => kind === "start")).toEqual([["start", 10], ["start", 10.33]]);
+    stop();
+    expect(calls.slice(-2)).toEqual([["stop", undefined], ["stop", undefined]]);
+  });
+});
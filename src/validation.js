@@ -0,0 +1,272 @@
+// ============================
+// INPUT VALIDATION
+// ============================
+// Limits come from a validation profile rather than being written into the checks, so the same
+// calculator serves a textbook exercise and a real 30-year or high-yield bond. Errors block the
+// calculation; warnings flag combinations that are legal but worth a second look.
+import { addMonths, buildReferencePath, parseISODate } from "./engine/index.js";
+import { frequencyLabel } from "./i18n/index.js";
+
+/**
+ * @typedef {object} ValidationProfile
+ * @property {{ min: number, max: number }} couponRate annual %, inclusive
+ * @property {{ min: number, max: number }} ytm annual %, inclusive; also bounds the curve and grid pickers
+ * @property {{ min: number, max: number }} years years to maturity, inclusive
+ * @property {{ min: number, max: number }} horizonRate reinvestment and exit yields in the horizon analysis
+ * @property {{ min: number, max: number }} margin floating-rate notes' quoted and discount margins, basis points
+ * @property {{ min: number, max: number }} inflation inflation-linked bonds' constant inflation rate, annual %
+ * @property {number} horizonYears longest horizon in the horizon analysis
+ */
+
+/** @type {Record<string, ValidationProfile>} */
+export const VALIDATION_PROFILES = {
+  // The textbook exercise this calculator started from
+  exam: {
+    couponRate: { min: 0, max: 10 },
+    ytm: { min: 0, max: 10 },
+    years: { min: 1, max: 5 },
+    horizonRate: { min: 0, max: 20 },
+    horizonYears: 30,
+    margin: { min: 0, max: 500 },
+    inflation: { min: 0, max: 10 },
+  },
+  professional: {
+    couponRate: { min: 0, max: 25 },
+    ytm: { min: -5, max: 50 },
+    years: { min: 0.5, max: 100 },
+    horizonRate: { min: -5, max: 50 },
+    horizonYears: 100,
+    margin: { min: -200, max: 2000 },
+    inflation: { min: -10, max: 50 },
+  },
+};
+
+export const DEFAULT_PROFILE = "exam";
+
+/** Coupon payments per year the calculator offers; labels come from the message catalogs. */
+export const FREQUENCIES = [1, 2, 4, 12];
+
+/**
+ * @param {string} name
+ * @returns {ValidationProfile} the exam profile for an unknown name
+ */
+export const validationProfile = (name) => VALIDATION_PROFILES[name] ?? VALIDATION_PROFILES[DEFAULT_PROFILE];
+
+const within = (value, { min, max }) => value >= min && value <= max;
+
+// A whole number of coupon periods, allowing for floating-point noise in the year fraction
+const onCouponDate = (years, frequency) => Math.abs(years * frequency - Math.round(years * frequency)) < 1e-9;
+
+// Call and put dates must fall on a coupon date before maturity (dates roll forward to the next coupon)
+const validateExerciseSchedule = (entries, kind, { useDates, settlementDate, maturityDate, frequency }, pricingYears, t) => {
+  // An entry from a hand-edited link or file may not be an object at all
+  if (entries.some((entry) => !entry || typeof entry !== "object" || !(entry.price > 0))) return t(`validation.${kind}.price`);
+  if (useDates) {
+    if (entries.some(({ date }) => !parseISODate(date) || date <= settlementDate || date >= maturityDate))
+      return t(`validation.${kind}.dates`);
+  } else if (entries.some(({ years }) => !(years > 0 && years < pricingYears) || !onCouponDate(years, frequency))) {
+    return t(`validation.${kind}.couponDate`);
+  }
+  return null;
+};
+
+/**
+ * Checks one bond's raw inputs against its profile.
+ * @param {object} inputs the calculator inputs, including `profile`
+ * @param {number} pricingYears term after applying any settlement dates
+ * @param {{ t: Function, formatPercent: Function, formatDecimal: Function }} locale
+ * @returns {Record<string, string>} a message per invalid field; empty when the inputs are usable
+ */
+export function validateInputs(inputs, pricingYears, { t, formatPercent, formatDecimal }) {
+  const {
+    faceValue,
+    frequency,
+    couponRate,
+    ytm,
+    years,
+    solveFor,
+    quotedPrice,
+    useDates,
+    settlementDate,
+    maturityDate,
+    bondType,
+    sinkingFundPercent,
+    sinkingFundStart,
+    discounting,
+    curveModel,
+    curvePoints,
+    nelsonSiegelParams,
+    callSchedule,
+    putSchedule,
+    referenceModel,
+    referenceRate,
+    referenceStep,
+    referenceStepYears,
+    referenceRates,
+    quotedMargin,
+    discountMargin,
+    realYield,
+    inflationModel,
+    inflationRate,
+    baseCpi,
+    cpiSeries,
+    creditRisk,
+    defaultModel,
+    defaultProbability,
+    defaultProbabilities,
+    recoveryRate,
+  } = inputs;
+  const limits = validationProfile(inputs.profile);
+  const percentRange = ({ min, max }) => ({ min: formatPercent(min, 0), max: formatPercent(max, 0) });
+
+  // A floating-rate note's coupons and discount rates come from its reference path and margins instead
+  const floating = bondType === "floating-rate";
+  // An inflation-linked bond is always priced off its yields, never a quoted price or a curve
+  const indexed = bondType === "inflation-linked";
+  const yieldInput = indexed || (!floating && discounting === "ytm" && solveFor === "price");
+
+  const errors = {};
+  // Every term below is counted in coupon periods, so nothing else is checked against another frequency
+  if (!FREQUENCIES.includes(frequency)) errors.frequency = t("validation.frequency");
+  if (bondType !== "zero" && !floating && !within(couponRate, limits.couponRate))
+    errors.couponRate = t("validation.couponRate", percentRange(limits.couponRate));
+  if (yieldInput && !within(ytm, limits.ytm)) errors.ytm = t("validation.ytm", percentRange(limits.ytm));
+  if (!floating && !indexed && discounting === "ytm" && solveFor === "ytm" && !(quotedPrice > 0))
+    errors.quotedPrice = t("validation.quotedPrice");
+  if (useDates) {
+    const settlement = parseISODate(settlementDate);
+    const maturity = parseISODate(maturityDate);
+    if (!settlement) errors.settlementDate = t("validation.settlementDate");
+    if (!maturity) errors.maturityDate = t("validation.maturityDate");
+    else if (settlement && maturity <= settlement) errors.maturityDate = t("validation.maturityAfterSettlement");
+    else if (settlement && maturity > addMonths(settlement, Math.round(limits.years.max * 12)))
+      errors.maturityDate = t("validation.maturityWithin", { count: limits.years.max, max: formatDecimal(limits.years.max) });
+  } else if (!within(years, limits.years))
+    errors.years = t("validation.years", { min: formatDecimal(limits.years.min), max: formatDecimal(limits.years.max) });
+  else if (!errors.frequency && !onCouponDate(years, frequency))
+    errors.years = t("validation.wholePeriods", { frequency: frequencyLabel(frequency, t).toLocaleLowerCase() });
+  if (!(faceValue > 0)) errors.faceValue = t("validation.faceValue");
+  if (discounting === "curve" && !floating && !indexed) {
+    if (curveModel === "points") {
+      if (curvePoints.length === 0) errors.spotCurve = t("validation.spotCurveEmpty");
+      else if (curvePoints.some((point) => !point || typeof point !== "object" || !(point.tenor > 0) || !Number.isFinite(point.rate)))
+        errors.spotCurve = t("validation.spotCurvePoints");
+      else if (new Set(curvePoints.map(({ tenor }) => tenor)).size !== curvePoints.length)
+        errors.spotCurve = t("validation.spotCurveDuplicate");
+    } else if (!(nelsonSiegelParams.tau > 0) || !Object.values(nelsonSiegelParams).every(Number.isFinite)) {
+      errors.spotCurve = t("validation.nelsonSiegel");
+    }
+  }
+  // Periods are only counted over a term that passed its own checks; a years value of 1e10 would
+  // otherwise project a path too long to build
+  const termError = errors.frequency || errors.years || errors.settlementDate || errors.maturityDate;
+  if (floating) {
+    const field = referenceModel === "custom" ? "referenceRates" : "referenceRate";
+    const path = {
+      model: referenceModel,
+      rate: referenceRate,
+      step: referenceStep,
+      stepYears: referenceStepYears,
+      rates: referenceRates,
+    };
+    if (referenceModel === "custom" && referenceRates.length === 0) errors.referenceRates = t("validation.referenceRatesEmpty");
+    else if (referenceModel === "stepped" && !(referenceStepYears > 0)) errors.referenceStepYears = t("validation.referenceStepYears");
+    else if (!termError && buildReferencePath(path, Math.round(pricingYears * frequency), frequency).some((rate) => !Number.isFinite(rate) || !within(rate, limits.ytm)))
+      errors[field] = t("validation.referenceRate", percentRange(limits.ytm));
+    const marginRange = { min: formatDecimal(limits.margin.min), max: formatDecimal(limits.margin.max) };
+    if (!within(quotedMargin, limits.margin)) errors.quotedMargin = t("validation.quotedMargin", marginRange);
+    if (!within(discountMargin, limits.margin)) errors.discountMargin = t("validation.discountMargin", marginRange);
+  }
+  if (indexed) {
+    if (!within(realYield, limits.ytm)) errors.realYield = t("validation.realYield", percentRange(limits.ytm));
+    if (inflationModel === "cpi") {
+      if (!(baseCpi > 0)) errors.baseCpi = t("validation.baseCpi");
+      if (cpiSeries.length === 0) errors.cpiSeries = t("validation.cpiSeriesEmpty");
+      else if (cpiSeries.some((level) => !(level > 0))) errors.cpiSeries = t("validation.cpiSeries");
+    } else if (!within(inflationRate, limits.inflation)) {
+      errors.inflationRate = t("validation.inflationRate", percentRange(limits.inflation));
+    }
+  }
+  // A probability of 100% would leave nothing to survive to the next period
+  if (creditRisk) {
+    const probability = (value) => value >= 0 && value < 100;
+    if (defaultModel === "term") {
+      if (defaultProbabilities.length === 0) errors.defaultProbabilities = t("validation.defaultProbabilitiesEmpty");
+      else if (!defaultProbabilities.every(probability)) errors.defaultProbabilities = t("validation.defaultProbabilities");
+    } else if (!probability(defaultProbability)) {
+      errors.defaultProbability = t("validation.defaultProbability");
+    }
+    if (!(recoveryRate >= 0 && recoveryRate <= 100)) errors.recoveryRate = t("validation.recoveryRate");
+  }
+  if (bondType === "sinking-fund") {
+    if (!(sinkingFundPercent >= 0 && sinkingFundPercent <= 100))
+      errors.sinkingFundPercent = t("validation.sinkingFundPercent");
+    if (!(sinkingFundStart >= 0) || sinkingFundStart >= pricingYears)
+      errors.sinkingFundStart = t("validation.sinkingFundStart");
+  }
+  const callError = validateExerciseSchedule(callSchedule, "call", inputs, pricingYears, t);
+  const putError = validateExerciseSchedule(putSchedule, "put", inputs, pricingYears, t);
+  if (callError) errors.callSchedule = callError;
+  if (putError) errors.putSchedule = putError;
+  return errors;
+}
+
+// Shocks beyond ±10 percentage points are almost certainly a mistyped unit
+const SHOCK_LIMIT = 1000;
+
+/**
+ * Checks a list of yield-curve shocks (bp).
+ * @param {import("./engine/shocks.js").Shock[]} shocks
+ * @param {{ t: Function, formatNumber: Function }} locale
+ * @returns {Record<number, string>} a message per invalid shock, keyed by its position
+ */
+export function validateShocks(shocks, { t, formatNumber }) {
+  const errors = {};
+  const shift = (value) => Number.isFinite(value) && Math.abs(value) <= SHOCK_LIMIT;
+  const limit = { limit: formatNumber(SHOCK_LIMIT, 0) };
+  shocks.forEach((shock, index) => {
+    if (shock.kind === "twist") {
+      if (!(shock.shortTenor > 0 && shock.longTenor > shock.shortTenor)) errors[index] = t("validation.shockTenors");
+      else if (!shift(shock.shortShift) || !shift(shock.longShift)) errors[index] = t("validation.shockShift", limit);
+    } else if (shock.kind === "custom") {
+      if (!shock.points.every((point) => shift(point.shift))) errors[index] = t("validation.shockShift", limit);
+    } else if (!shift(shock.shift)) {
+      errors[index] = t("validation.shockShift", limit);
+    }
+  });
+  return errors;
+}
+
+// Clean prices outside this band (as a fraction of face) usually mean a mistyped coupon or yield
+const PLAUSIBLE_PRICE = { min: 0.5, max: 1.5 };
+
+/**
+ * Flags inputs that are valid but unusual, once the bond has been priced.
+ * @param {object} inputs
+ * @param {{ bondTerms: object, bondCalculations: object|null, effectiveYtm: number }} evaluation
+ * @param {{ t: Function, formatPercent: Function, formatDecimal: Function }} locale
+ * @returns {Record<string, string>} a message per warning; empty when nothing stands out
+ */
+export function collectWarnings(inputs, { bondTerms, bondCalculations, effectiveYtm }, { t, formatPercent, formatDecimal }) {
+  const warnings = {};
+  if (!bondCalculations) return warnings;
+
+  const priceRatio = bondCalculations.cleanPrice / bondTerms.faceValue;
+  if (priceRatio < PLAUSIBLE_PRICE.min || priceRatio > PLAUSIBLE_PRICE.max)
+    warnings.price = t("validation.warning.price", { percent: formatPercent(priceRatio * 100, 0) });
+  if (effectiveYtm < 0) warnings.negativeYield = t("validation.warning.negativeYield");
+  if (inputs.callSchedule.some(({ price }) => price < 100)) warnings.callBelowPar = t("validation.warning.callBelowPar");
+  if (inputs.putSchedule.some(({ price }) => price > 100)) warnings.putAbovePar = t("validation.warning.putAbovePar");
+  if (inputs.bondType === "sinking-fund" && inputs.sinkingFundPercent > 0) {
+    const retiredAfter = inputs.sinkingFundStart + 100 / inputs.sinkingFundPercent;
+    if (retiredAfter < bondTerms.years)
+      warnings.sinkingFund = t("validation.warning.sinkingFund", { count: retiredAfter, years: formatDecimal(retiredAfter, 2) });
+  }
+  // Real notes usually floor the coupon at zero; this projection lets it go negative
+  if (inputs.bondType === "floating-rate" && bondCalculations.cashFlows.some(({ couponPayment }) => couponPayment < 0))
+    warnings.negativeCoupon = t("validation.warning.negativeCoupon");
+  // TIPS repay at least the original principal; this projection passes deflation through in full
+  if (bondCalculations.inflation && bondCalculations.inflation.indexRatio < 1)
+    warnings.deflation = t("validation.warning.deflation", { ratio: formatDecimal(bondCalculations.inflation.indexRatio, 4) });
+  return warnings;
+}
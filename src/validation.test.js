@@ -0,0 +1,239 @@
+import { describe, expect, it } from "vitest";
+import { analyzeBond, analyzeInflationLinkedBond } from "./engine/index.js";
+import { createLocale, frequencyLabel } from "./i18n/index.js";
+import { VALIDATION_PROFILES, collectWarnings, validateInputs, validateShocks, validationProfile } from "./validation.js";
+
+const locale = createLocale("en-US", "USD");
+
+const inputs = (overrides = {}) => ({
+  profile: "exam",
+  faceValue: 100,
+  frequency: 2,
+  couponRate: 8.6,
+  ytm: 6.5,
+  years: 5,
+  solveFor: "price",
+  quotedPrice: 100,
+  useDates: false,
+  settlementDate: "2025-01-15",
+  maturityDate: "2029-01-15",
+  bondType: "bullet",
+  sinkingFundPercent: 10,
+  sinkingFundStart: 2,
+  discounting: "ytm",
+  curveModel: "points",
+  curvePoints: [],
+  nelsonSiegelParams: { beta0: 6.5, beta1: -2.5, beta2: 1, tau: 2 },
+  callSchedule: [],
+  putSchedule: [],
+  referenceModel: "flat",
+  referenceRate: 4,
+  referenceStep: 0.25,
+  referenceStepYears: 1,
+  referenceRates: [],
+  quotedMargin: 100,
+  discountMargin: 100,
+  realYield: 4,
+  yieldBasis: "real",
+  inflationModel: "flat",
+  inflationRate: 2.5,
+  baseCpi: 300,
+  cpiSeries: [],
+  creditRisk: false,
+  defaultModel: "flat",
+  defaultProbability: 2,
+  defaultProbabilities: [],
+  recoveryRate: 40,
+  ...overrides,
+});
+
+const validate = (overrides) => {
+  const bond = inputs(overrides);
+  return validateInputs(bond, bond.years, locale);
+};
+
+// Prices the bond the way the app does, then collects its warnings
+const warn = (overrides) => {
+  const bond = inputs(overrides);
+  const bondTerms = { ...bond, years: bond.years };
+  const bondCalculations = analyzeBond({ ...bondTerms, ytm: bond.ytm });
+  return collectWarnings(bond, { bondTerms, bondCalculations, effectiveYtm: bond.ytm }, locale);
+};
+
+describe("validationProfile", () => {
+  it("falls back to the exam limits for an unknown profile", () => {
+    expect(validationProfile("nonsense")).toBe(VALIDATION_PROFILES.exam);
+    expect(validationProfile("professional")).toBe(VALIDATION_PROFILES.professional);
+  });
+});
+
+describe("validateInputs", () => {
+  it("keeps the textbook limits in the exam profile", () => {
+    expect(validate()).toEqual({});
+    expect(validate({ couponRate: 12, ytm: -1, years: 10 })).toEqual({
+      couponRate: "Coupon rate must be between 0% and 10%",
+      ytm: "Yield-to-maturity must be between 0% and 10%",
+      years: "Years-to-maturity must be between 1 and 5",
+    });
+  });
+
+  it("accepts long maturities, high coupons and negative yields in the professional profile", () => {
+    expect(validate({ profile: "professional", couponRate: 12, ytm: -1, years: 30 })).toEqual({});
+    expect(validate({ profile: "professional", ytm: -6 }).ytm).toBe("Yield-to-maturity must be between -5% and 50%");
+  });
+
+  it("limits dated maturities to the profile's longest term", () => {
+    const dated = { useDates: true, maturityDate: "2045-01-15" };
+    expect(validate(dated).maturityDate).toBe("Maturity date must be within 5 years of settlement");
+    expect(validate({ ...dated, profile: "professional" }).maturityDate).toBeUndefined();
+  });
+
+  it("still requires whole coupon periods", () => {
+    expect(validate({ profile: "professional", years: 10.25 }).years).toBe(
+      `Years-to-maturity must be a whole number of ${frequencyLabel(2, locale.t).toLocaleLowerCase()} periods`
+    );
+  });
+
+  it("rejects a coupon frequency the calculator does not offer", () => {
+    expect(validate({ frequency: -1 })).toEqual({
+      frequency: "Choose an annual, semiannual, quarterly or monthly coupon frequency",
+    });
+    expect(validate({ frequency: 3, bondType: "floating-rate" })).toEqual({
+      frequency: "Choose an annual, semiannual, quarterly or monthly coupon frequency",
+    });
+  });
+
+  it("checks a floating-rate note's path and margins instead of its coupon and yield", () => {
+    const floating = { bondType: "floating-rate", couponRate: 50, ytm: 50 };
+    expect(validate(floating)).toEqual({});
+    expect(validate({ ...floating, quotedMargin: 600, discountMargin: -10 })).toEqual({
+      quotedMargin: "Quoted margin must be between 0 and 500 bp",
+      discountMargin: "Discount margin must be between 0 and 500 bp",
+    });
+    expect(validate({ ...floating, referenceModel: "stepped", referenceStep: 2 }).referenceRate).toBe(
+      "Every projected reference rate must be between 0% and 10%"
+    );
+    expect(validate({ ...floating, referenceModel: "custom" }).referenceRates).toBe(
+      "Enter a reference rate for at least the first period"
+    );
+    expect(validate({ ...floating, referenceModel: "custom", referenceRates: [3, null] }).referenceRates).toBeDefined();
+  });
+
+  it("does not project a floating-rate note's path over a term that is out of range", () => {
+    const floating = { bondType: "floating-rate", profile: "professional" };
+    expect(validate({ ...floating, years: 1e10 })).toEqual({ years: "Years-to-maturity must be between 0.5 and 100" });
+    expect(validate({ ...floating, useDates: true, settlementDate: "", years: 1e10 })).toEqual({
+      settlementDate: "Enter a valid settlement date",
+    });
+  });
+
+  it("checks an inflation-linked bond's yields and inflation path but never a quoted price", () => {
+    const indexed = { bondType: "inflation-linked", solveFor: "ytm", quotedPrice: 0 };
+    expect(validate(indexed)).toEqual({});
+    expect(validate({ ...indexed, ytm: 12, realYield: -1, inflationRate: 11 })).toEqual({
+      ytm: "Yield-to-maturity must be between 0% and 10%",
+      realYield: "The real yield must be between 0% and 10%",
+      inflationRate: "Inflation must be between 0% and 10% a year",
+    });
+    expect(validate({ ...indexed, profile: "professional", realYield: -1, inflationRate: -2 })).toEqual({});
+    expect(validate({ ...indexed, inflationModel: "cpi", baseCpi: 0 })).toEqual({
+      baseCpi: "The base CPI must be greater than zero",
+      cpiSeries: "Enter a CPI level for at least the first coupon date",
+    });
+    expect(validate({ ...indexed, inflationModel: "cpi", cpiSeries: [301, null] }).cpiSeries).toBe(
+      "Every CPI level must be a number greater than zero"
+    );
+  });
+
+  it("checks default probabilities and recovery only when credit risk is on", () => {
+    const bad = { defaultProbability: 100, recoveryRate: 120 };
+    expect(validate(bad)).toEqual({});
+    expect(validate({ ...bad, creditRisk: true })).toEqual({
+      defaultProbability: "The annual default probability must be at least 0% and below 100%",
+      recoveryRate: "The recovery rate must be between 0% and 100%",
+    });
+    const term = { creditRisk: true, defaultModel: "term" };
+    expect(validate(term).defaultProbabilities).toBe("Enter a default probability for at least the first year");
+    expect(validate({ ...term, defaultProbabilities: [1, -2] }).defaultProbabilities).toBe(
+      "Every default probability must be at least 0% and below 100%"
+    );
+    expect(validate({ ...term, defaultProbabilities: [1, 2.5] })).toEqual({});
+  });
+
+  it("reports a malformed spot curve point instead of failing on it", () => {
+    const curve = { discounting: "curve", curveModel: "points" };
+    const message = "Spot curve tenors must be positive and every tenor needs a rate";
+    expect(validate({ ...curve, curvePoints: [{ tenor: 1, rate: 4 }, null] }).spotCurve).toBe(message);
+    expect(validate({ ...curve, curvePoints: ["1"] }).spotCurve).toBe(message);
+  });
+
+  it("reports a malformed call or put entry instead of failing on it", () => {
+    expect(validate({ callSchedule: [null] }).callSchedule).toBe("Call prices must be greater than 0");
+    expect(validate({ putSchedule: [{ years: 2, price: 101 }, 3] }).putSchedule).toBe("Put prices must be greater than 0");
+    expect(validate({ callSchedule: [{ years: 2, price: 101 }] })).toEqual({});
+  });
+
+  it("translates the limits with the locale's number format", () => {
+    const bond = inputs({ couponRate: 12 });
+    expect(validateInputs(bond, bond.years, createLocale("fr-FR", "EUR")).couponRate).toBe(
+      "Le taux du coupon doit être compris entre 0 % et 10 %"
+    );
+  });
+});
+
+describe("validateShocks", () => {
+  it("keys each invalid shock by its position", () => {
+    const shocks = [
+      { kind: "parallel", shift: 100 },
+      { kind: "parallel", shift: 5000 },
+      { kind: "twist", shortTenor: 10, shortShift: -25, longTenor: 2, longShift: 25 },
+      { kind: "custom", points: [{ tenor: 1, shift: 10 }, { tenor: 2, shift: NaN }] },
+    ];
+    expect(validateShocks(shocks, locale)).toEqual({
+      1: "Each shift must be within ±1,000 bp",
+      2: "The short tenor must be above 0 and below the long tenor",
+      3: "Each shift must be within ±1,000 bp",
+    });
+    expect(validateShocks(shocks.slice(0, 1), locale)).toEqual({});
+  });
+});
+
+describe("collectWarnings", () => {
+  it("is quiet for an ordinary bond", () => {
+    expect(warn()).toEqual({});
+  });
+
+  it("flags a price far from par and a negative yield", () => {
+    const warnings = warn({ profile: "professional", couponRate: 0.5, ytm: -2, years: 30 });
+    expect(Object.keys(warnings)).toEqual(["price", "negativeYield"]);
+    expect(warnings.price).toMatch(/^The clean price is 2\d\d% of face value/);
+  });
+
+  it("flags a call below par and a put above par", () => {
+    const warnings = warn({ callSchedule: [{ years: 3, price: 98 }], putSchedule: [{ years: 2, price: 101 }] });
+    expect(Object.keys(warnings)).toEqual(["callBelowPar", "putAbovePar"]);
+  });
+
+  it("flags a sinking fund that retires the issue before maturity", () => {
+    expect(warn({ bondType: "sinking-fund", sinkingFundPercent: 50, sinkingFundStart: 1 }).sinkingFund).toBe(
+      "The sinking fund retires the whole issue after 3 years, before maturity"
+    );
+    expect(warn({ bondType: "sinking-fund", sinkingFundPercent: 10, sinkingFundStart: 2 }).sinkingFund).toBeUndefined();
+  });
+
+  it("flags a projected index that ends below its base", () => {
+    const bond = inputs({ bondType: "inflation-linked", years: 2 });
+    const analyze = (indexRatios) =>
+      analyzeInflationLinkedBond({ ...bond, indexRatios, nominalYield: bond.ytm, yieldBasis: "real" });
+    const check = (bondCalculations) => collectWarnings(bond, { bondTerms: bond, bondCalculations, effectiveYtm: 6 }, locale);
+    expect(check(analyze([1.01, 1, 0.99, 0.98])).deflation).toBe(
+      "The projected index ends at 0.98 of its base, so the principal repaid is less than face value; TIPS would repay at least par"
+    );
+    expect(check(analyze([0.99, 1, 1.01, 1.02])).deflation).toBeUndefined();
+  });
+
+  it("has nothing to say about a bond that could not be priced", () => {
+    const bond = inputs();
+    expect(collectWarnings(bond, { bondTerms: bond, bondCalculations: null, effectiveYtm: NaN }, locale)).toEqual({});
+  });
+});
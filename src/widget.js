@@ -0,0 +1,122 @@
+// ============================
+// EMBEDDED WIDGET
+// ============================
+// A course page configures the embedded calculator with a plain options object, either through
+// mount() or as JSON on a <bond-calculator> element. The options are checked once here so the app
+// only ever sees known cards, inputs and colors, and each change is reported to the page as a
+// message built from plain data.
+import { CURRENCIES, LOCALES } from "./i18n/index.js";
+import { MAX_BONDS, coerceInputs } from "./persistence.js";
+
+/** Cards a host page can show, in page order */
+export const EMBED_CARDS = [
+  "equation",
+  "results",
+  "chart",
+  "priceYield",
+  "pullToPar",
+  "horizon",
+  "sensitivity",
+  "shocks",
+  "comparison",
+  "calculator",
+];
+
+/** `source` of every message the widget posts, so a page can ignore unrelated messages */
+export const MESSAGE_SOURCE = "bond-calculator";
+
+/**
+ * @typedef {object} EmbedOptions
+ * @property {object|object[]} [inputs] starting inputs for one bond, or one object per compared bond;
+ *   keys and types as in the shareable URL, anything missing keeps its default
+ * @property {string[]} [cards] cards to show, from {@link EMBED_CARDS}; all of them when omitted
+ * @property {string[]} [locked] inputs readers cannot change, e.g. ["faceValue", "frequency"]
+ * @property {Record<string, string>} [theme] colors overriding the chart and equation palette, e.g. { coupon: "#0a7d5a" }
+ * @property {string} [locale] e.g. "fr-FR"; the reader's own preference when omitted
+ * @property {string} [currency] e.g. "EUR"; the locale's currency when omitted
+ * @property {string} [id] echoed in every message so a page can tell several widgets apart
+ * @property {string} [targetOrigin] origin allowed to receive the messages, or "*" for any; the
+ *   embedding page's own origin when omitted, so a widget in a cross-origin iframe posts nothing
+ *   until its host names itself
+ */
+
+/**
+ * The origin change messages may go to: "*" only when asked for by name, a URL cut to its origin,
+ * and anything else (missing, malformed, opaque) the page's own origin, or null when the page is
+ * opaque itself and there is nowhere safe to post.
+ * @param {unknown} targetOrigin as the host page gave it
+ * @param {string|null} ownOrigin the embedding page's origin
+ * @returns {string|null}
+ */
+export const resolveTargetOrigin = (targetOrigin, ownOrigin) => {
+  if (targetOrigin === "*") return "*";
+  // A sandboxed or file:// page reports its own origin as the string "null", which postMessage rejects
+  const fallback = ownOrigin === "null" ? null : ownOrigin;
+  try {
+    const { origin } = new URL(targetOrigin);
+    return origin === "null" ? fallback : origin;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Checks a host page's options against the app's inputs and palette.
+ * @param {EmbedOptions} options
+ * @param {object} defaults the calculator's default inputs
+ * @param {Record<string, string>} colors the default palette
+ * @param {string|null} [ownOrigin] the embedding page's origin, see {@link resolveTargetOrigin}
+ * @returns {{ bonds: object[], cards: Set<string>, locked: Set<string>, theme: Record<string, string>,
+ *   locale: string|null, currency: string|null, id: string|null, targetOrigin: string|null }}
+ */
+export const normalizeEmbedOptions = (options, defaults, colors, ownOrigin = null) => {
+  const { inputs, cards, locked, theme, locale, currency, id, targetOrigin } = options ?? {};
+  const listed = (value, known) => new Set((Array.isArray(value) ? value : []).filter((item) => known.includes(item)));
+
+  const bonds = (Array.isArray(inputs) && inputs.length > 0 ? inputs : [inputs])
+    .slice(0, MAX_BONDS)
+    .map((raw) => coerceInputs(raw, defaults));
+  const themeColors = Object.fromEntries(
+    Object.entries(theme ?? {}).filter(([key, value]) => key in colors && typeof value === "string" && value.trim() !== "")
+  );
+  const matched = LOCALES.find(({ value }) => value === locale) ?? null;
+
+  return {
+    bonds,
+    cards: Array.isArray(cards) ? listed(cards, EMBED_CARDS) : new Set(EMBED_CARDS),
+    locked: listed(locked, Object.keys(defaults)),
+    theme: { ...colors, ...themeColors },
+    locale: matched?.value ?? null,
+    currency: matched ? (CURRENCIES.includes(currency) ? currency : matched.currency) : null,
+    id: typeof id === "string" ? id : null,
+    targetOrigin: resolveTargetOrigin(targetOrigin, ownOrigin),
+  };
+};
+
+/**
+ * The figures a host page is most likely to want for one bond; null when its inputs are invalid.
+ * @param {{ name: string, inputs: object }} scenario
+ * @param {{ bondCalculations: object|null, effectiveYtm: number, inputErrors: Record<string, string> }} evaluation
+ */
+export const summarizeBond = ({ name, inputs }, { bondCalculations, effectiveYtm, inputErrors }) => ({
+  name,
+  inputs,
+  errors: Object.values(inputErrors),
+  results: bondCalculations && {
+    price: bondCalculations.bondPrice,
+    cleanPrice: bondCalculations.cleanPrice,
+    accruedInterest: bondCalculations.accruedInterest,
+    ytm: effectiveYtm,
+    macaulayDuration: bondCalculations.riskMeasures.macaulayDuration,
+    modifiedDuration: bondCalculations.riskMeasures.modifiedDuration,
+    convexity: bondCalculations.riskMeasures.convexity,
+  },
+});
+
+/**
+ * @param {string|null} id the widget's id option
+ * @param {ReturnType<typeof summarizeBond>[]} bonds every compared bond
+ * @param {number} activeIndex the bond being edited
+ * @returns {object} a message safe to pass to postMessage
+ */
+export const changeMessage = (id, bonds, activeIndex) => ({ source: MESSAGE_SOURCE, type: "change", id, activeIndex, bonds });
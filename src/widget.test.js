@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { analyzeBond } from "./engine/index.js";
+import { EMBED_CARDS, MESSAGE_SOURCE, changeMessage, normalizeEmbedOptions, summarizeBond } from "./widget.js";
+
+const defaults = { couponRate: 8.6, ytm: 6.5, years: 5, frequency: 2, bondType: "bullet", callSchedule: [] };
+const colors = { coupon: "#3369FF", yield: "#7a46ff" };
+
+describe("normalizeEmbedOptions", () => {
+  it("shows every card and locks nothing by default", () => {
+    const embed = normalizeEmbedOptions(undefined, defaults, colors);
+    expect(embed.bonds).toEqual([defaults]);
+    expect([...embed.cards]).toEqual(EMBED_CARDS);
+    expect(embed.locked.size).toBe(0);
+    expect(embed.theme).toEqual(colors);
+    expect(embed).toMatchObject({ locale: null, currency: null, id: null, targetOrigin: null });
+  });
+
+  it("posts to the page's own origin unless the host names another", () => {
+    const origin = (targetOrigin) => normalizeEmbedOptions({ targetOrigin }, defaults, colors, "https://course.example").targetOrigin;
+    expect(origin(undefined)).toBe("https://course.example");
+    expect(origin("not a url")).toBe("https://course.example");
+    expect(origin("https://lms.example/lesson/1")).toBe("https://lms.example");
+    expect(origin("*")).toBe("*");
+  });
+
+  it("posts nowhere from an opaque page unless the host names an origin", () => {
+    const origin = (targetOrigin) => normalizeEmbedOptions({ targetOrigin }, defaults, colors, "null").targetOrigin;
+    expect(origin(undefined)).toBeNull();
+    expect(origin("not a url")).toBeNull();
+    expect(origin("https://lms.example/lesson/1")).toBe("https://lms.example");
+    expect(origin("*")).toBe("*");
+  });
+
+  it("coerces starting inputs for one or several bonds", () => {
+    expect(normalizeEmbedOptions({ inputs: { couponRate: "5", unknown: 1 } }, defaults, colors).bonds).toEqual([
+      { ...defaults, couponRate: 5 },
+    ]);
+    const bonds = normalizeEmbedOptions({ inputs: Array.from({ length: 6 }, (_, index) => ({ years: index + 1 })) }, defaults, colors).bonds;
+    expect(bonds.map(({ years }) => years)).toEqual([1, 2, 3, 4]);
+  });
+
+  it("keeps only known cards, inputs and colors", () => {
+    const embed = normalizeEmbedOptions(
+      {
+        cards: ["chart", "practice", "calculator"],
+        locked: ["frequency", "password"],
+        theme: { coupon: "#0a7d5a", background: "black", yield: 3 },
+      },
+      defaults,
+      colors
+    );
+    expect([...embed.cards]).toEqual(["chart", "calculator"]);
+    expect([...embed.locked]).toEqual(["frequency"]);
+    expect(embed.theme).toEqual({ coupon: "#0a7d5a", yield: "#7a46ff" });
+  });
+
+  it("accepts a supported locale, with its own currency unless another is named", () => {
+    expect(normalizeEmbedOptions({ locale: "fr-FR" }, defaults, colors)).toMatchObject({ locale: "fr-FR", currency: "EUR" });
+    expect(normalizeEmbedOptions({ locale: "fr-FR", currency: "CHF" }, defaults, colors).currency).toBe("CHF");
+    expect(normalizeEmbedOptions({ locale: "xx-YY", currency: "CHF" }, defaults, colors)).toMatchObject({
+      locale: null,
+      currency: null,
+    });
+  });
+});
+
+describe("changeMessage", () => {
+  it("summarizes each bond with plain data that postMessage can clone", () => {
+    const inputs = { faceValue: 100, couponRate: 8.6, years: 5, frequency: 2 };
+    const bondCalculations = analyzeBond({ ...inputs, ytm: 6.5 });
+    const priced = summarizeBond({ name: "Bond A", inputs }, { bondCalculations, effectiveYtm: 6.5, inputErrors: {} });
+    const invalid = summarizeBond(
+      { name: "Bond B", inputs },
+      { bondCalculations: null, effectiveYtm: 6.5, inputErrors: { years: "Years-to-maturity must be between 1 and 5" } }
+    );
+    const message = changeMessage("lesson-1", [priced, invalid], 1);
+
+    expect(message).toMatchObject({ source: MESSAGE_SOURCE, type: "change", id: "lesson-1", activeIndex: 1 });
+    expect(message.bonds[0].results).toMatchObject({ cleanPrice: bondCalculations.cleanPrice, ytm: 6.5 });
+    expect(message.bonds[0].results.modifiedDuration).toBeCloseTo(bondCalculations.riskMeasures.modifiedDuration, 12);
+    expect(message.bonds[1]).toMatchObject({ results: null, errors: ["Years-to-maturity must be between 1 and 5"] });
+    expect(structuredClone(message)).toEqual(message);
+  });
+});
@@ -0,0 +1,21 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Embeddable widget: one self-contained script (styles included) that defines <bond-calculator>
+// and window.BondCalculator.mount. Built into dist/embed after the app itself.
+export default defineConfig({
+  plugins: [react()],
+  publicDir: false,
+  // Library builds leave process.env alone, but React reads NODE_ENV and pages have no process
+  define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+  build: {
+    outDir: 'dist/embed',
+    emptyOutDir: true,
+    lib: {
+      entry: 'src/embed.jsx',
+      name: 'BondCalculator',
+      formats: ['iife', 'es'],
+      fileName: (format) => `bond-calculator.${format === 'es' ? 'mjs' : 'js'}`,
+    },
+  },
+})